@@ -1 +1,79 @@
-// App configuration 
+// App configuration
+// Centralises values read from the environment so controllers and middleware agree on them.
+
+const config = {
+  env: process.env.NODE_ENV || 'development',
+
+  // --- JWT ---
+  jwt: {
+    secret: process.env.JWT_SECRET || 'fallback-insecure-secret',
+    // Access tokens are short-lived; clients renew them via POST /api/auth/refresh
+    accessExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+    // Refresh tokens (and the Session they belong to) expire after this many days
+    refreshExpiresDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30
+  },
+
+  // --- Auth ---
+  auth: {
+    // Dev bypass: when enabled (and not in production), requests WITHOUT a token
+    // are treated as the mock admin below. Requests that send a token are always verified.
+    devBypass: process.env.AUTH_DEV_BYPASS === 'true' && process.env.NODE_ENV !== 'production',
+    devUser: {
+      _id: process.env.AUTH_DEV_USER_ID || '64f070a6018c0c66ee419799',
+      name: 'Test User',
+      email: 'test@example.com',
+      emailVerified: true,
+      role: process.env.AUTH_DEV_USER_ROLE || 'admin'
+    }
+  },
+
+  // --- Brute-force protection ---
+  security: {
+    // Per-IP request limits (express-rate-limit)
+    loginRateLimit: { windowMinutes: 15, max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20 },
+    otpRateLimit: { windowMinutes: 15, max: parseInt(process.env.OTP_RATE_LIMIT_MAX, 10) || 10 },
+    // Per-account limit on OTP emails (forgot-password / resend-verification)
+    otpEmailAccountLimit: { windowMinutes: 60, max: 3 },
+    // Progressive lockout: after maxFailedLogins wrong passwords the account is locked for
+    // baseLockMinutes, doubling for each consecutive lockout up to maxLockMinutes
+    lockout: {
+      maxFailedLogins: parseInt(process.env.LOCKOUT_MAX_FAILED_LOGINS, 10) || 5,
+      baseLockMinutes: 15,
+      maxLockMinutes: 24 * 60
+    },
+    // Wrong guesses allowed before an OTP is invalidated
+    otpMaxAttempts: 5
+  },
+
+  // --- Quiz Sessions ---
+  quiz: {
+    // Extra seconds accepted after the deadline to absorb network latency
+    submissionGraceSeconds: parseInt(process.env.QUIZ_SUBMISSION_GRACE_SECONDS, 10) || 30,
+    // What happens to a submission that arrives after the deadline (+ grace):
+    //   'autograde' - grade the answers saved before the deadline
+    //   'reject'    - refuse it; the session is closed without an attempt
+    latePolicy: process.env.QUIZ_LATE_POLICY === 'reject' ? 'reject' : 'autograde'
+  },
+
+  // --- Progression (levels, see utils/progression.js) ---
+  progression: {
+    // Total XP needed to reach level L: xpBase * (L - 1) ^ xpExponent. The defaults give
+    // level = floor(1 + sqrt(xp / 100)): level 2 at 100 XP, 3 at 400, 4 at 900, ...
+    xpBase: parseFloat(process.env.LEVEL_XP_BASE) || 100,
+    xpExponent: parseFloat(process.env.LEVEL_XP_EXPONENT) || 2,
+    maxLevel: parseInt(process.env.LEVEL_MAX, 10) || 100,
+    // Title held from each level up to the next entry
+    titles: [
+      { level: 1, title: 'Novice' },
+      { level: 5, title: 'Apprentice' },
+      { level: 10, title: 'Scholar' },
+      { level: 20, title: 'Expert' },
+      { level: 35, title: 'Master' },
+      { level: 50, title: 'Grandmaster' }
+    ],
+    // Points granted once when a level is first reached (level -> points); {} turns rewards off
+    levelUpRewards: process.env.LEVEL_UP_REWARDS === 'off' ? {} : { 5: 50, 10: 100, 20: 250, 35: 500, 50: 1000 }
+  }
+};
+
+module.exports = config;
@@ -1,99 +1,50 @@
 // controllers/achievementController.js
 const mongoose = require('mongoose');
 const Achievement = require('../models/achievementModel');
-const User = require('../models/userModel');
-const QuizAttempt = require('../models/quizAttemptModel');
-const ResourceAccess = require('../models/resourceAccessModel'); // Assuming this exists if used
-const ForumTopic = require('../models/forumTopicModel'); // Assuming this exists if used
-const ForumReply = require('../models/forumReplyModel'); // Assuming this exists if used
-// const LoginActivityLog = require('../models/loginActivityLogModel'); // Assuming this exists if used
-
-// --- Helper: Calculate Achievement Points ---
-async function calculateAchievementPoints(userId) {
-    try {
-        // Get the user's unlocked achievements
-        const user = await User.findById(userId).select('achievements').lean();
-        if (!user || !user.achievements || !user.achievements.length) {
-            return 0;
-        }
-
-        // Get the achievement documents to sum their points
-        const unlockedAchievements = await Achievement.find({
-            _id: { $in: user.achievements }
-        }).select('points').lean();
-
-        // Calculate the total points
-        const totalPoints = unlockedAchievements.reduce((sum, achievement) => {
-            // Ensure points field exists and is a number before adding
-            return sum + (typeof achievement.points === 'number' ? achievement.points : 0);
-        }, 0);
-
-        return totalPoints;
-    } catch (error) {
-        console.error(`Error calculating achievement points for user ${userId}:`, error);
-        return 0; // Return 0 in case of error
-    }
-}
-
-// --- Helper: Calculate Achievement Progress (Example Placeholder) ---
-async function calculateAchievementProgress(userId, achievement) {
-  try {
-    switch (achievement.trigger) {
-      case 'quiz_perfect_score':
-        const perfectScores = await QuizAttempt.countDocuments({ user: userId, percentageScore: 100 });
-        return perfectScores;
-
-      case 'quiz_completion':
-        let query = { user: userId };
-        if (achievement.condition) {
-          if (achievement.condition.passed) query.passed = true;
-          if (achievement.condition.minScore) query.percentageScore = { $gte: achievement.condition.minScore };
-        }
-        const completions = await QuizAttempt.countDocuments(query);
-        return completions;
-
-      case 'quiz_points':
-        const userPoints = await User.findById(userId).select('quizPointsEarned').lean();
-        return userPoints ? userPoints.quizPointsEarned : 0;
-
-      case 'forum_posts':
-        // Ensure ForumTopic model is required
-        if (!ForumTopic) { console.warn("ForumTopic model not available for progress calculation."); return 0; }
-        return await ForumTopic.countDocuments({ author: userId });
-
-      case 'forum_replies':
-         // Ensure ForumReply model is required
-        if (!ForumReply) { console.warn("ForumReply model not available for progress calculation."); return 0; }
-        return await ForumReply.countDocuments({ author: userId });
-
-      case 'forum_best_answers':
-         // Ensure ForumReply model is required
-        if (!ForumReply) { console.warn("ForumReply model not available for progress calculation."); return 0; }
-        return await ForumReply.countDocuments({ author: userId, isBestAnswer: true });
-
-      case 'resource_access':
-         // Ensure ResourceAccess model is required
-        if (!ResourceAccess) { console.warn("ResourceAccess model not available for progress calculation."); return 0; }
-        const resourceQuery = { user: userId };
-        if (achievement.condition && achievement.condition.accessType) {
-          resourceQuery.accessType = achievement.condition.accessType;
-        }
-        return await ResourceAccess.countDocuments(resourceQuery);
-
-      case 'study_streak':
-        const streakUser = await User.findById(userId).select('streak').lean();
-        return streakUser ? streakUser.streak : 0;
-
-      default:
-        console.warn(`Progress calculation not implemented for trigger: ${achievement.trigger}`);
-        return 0;
-    }
-  } catch (error) {
-    console.error(`Error calculating achievement progress for ${achievement.title}:`, error);
-    return 0;
+const AchievementBackfill = require('../models/achievementBackfillModel');
+const AchievementBackfillAward = require('../models/achievementBackfillAwardModel');
+const { HIDDEN_TITLE, HIDDEN_ICON, getAchievementRarity } = require('../utils/achievementEngine');
+const {
+  DEFAULT_BATCH_SIZE, isStale, findActiveBackfill, createAchievementBackfill, runAchievementBackfill, reopenAchievementBackfill
+} = require('../jobs/achievementBackfill');
+
+// Summary of a backfill run (who was awarded is only in the full report)
+const summarizeBackfill = (backfill) => ({
+  id: backfill._id,
+  achievement: backfill.achievement,
+  dryRun: backfill.dryRun,
+  status: isStale(backfill) ? 'interrupted' : backfill.status,
+  batchSize: backfill.batchSize,
+  usersChecked: backfill.usersChecked,
+  alreadyUnlocked: backfill.alreadyUnlocked,
+  qualified: backfill.qualified,
+  awardedCount: backfill.awardedCount || 0,
+  error: backfill.error,
+  startedBy: backfill.startedBy,
+  createdAt: backfill.createdAt,
+  finishedAt: backfill.finishedAt
+});
+
+// Checks the rules that span fields or documents - prerequisites and the season window - on an
+// achievement's fields (merged with the stored ones for updates). Returns an error message or null.
+// A tiered achievement's requirement follows its first tier, so code reading `requirement` still works.
+const checkAchievementRules = async (fields, achievementId = null) => {
+  if (Array.isArray(fields.tiers) && fields.tiers.length > 0 && fields.tiers[0].requirement) {
+    fields.requirement = fields.tiers[0].requirement;
   }
-}
-
+  if (fields.startsAt && fields.endsAt && new Date(fields.endsAt) <= new Date(fields.startsAt)) {
+    return 'endsAt must be after startsAt.';
+  }
+  const prerequisites = fields.prerequisites || [];
+  if (prerequisites.length === 0) return null;
+  if (!prerequisites.every(id => mongoose.Types.ObjectId.isValid(id))) return 'Invalid prerequisite ID format.';
+  if (achievementId && prerequisites.some(id => id.toString() === achievementId.toString())) {
+    return 'An achievement cannot be its own prerequisite.';
+  }
+  const found = await Achievement.countDocuments({ _id: { $in: prerequisites } });
+  if (found !== new Set(prerequisites.map(id => id.toString())).size) return 'One or more prerequisites do not exist.';
+  return null;
+};
 
 /**
  * @desc    Get all achievements (Admin)
@@ -128,6 +79,10 @@ exports.createAchievement = async (req, res, next) => {
     if (!title || !description || !category || !trigger) {
       return res.status(400).json({ status: 'fail', message: 'Please provide title, description, category, and trigger' });
     }
+    const ruleError = await checkAchievementRules(req.body);
+    if (ruleError) {
+      return res.status(400).json({ status: 'fail', message: ruleError });
+    }
     const newAchievement = await Achievement.create(req.body);
     res.status(201).json({ status: 'success', data: { achievement: newAchievement } });
   } catch (error) {
@@ -146,6 +101,19 @@ exports.createAchievement = async (req, res, next) => {
  */
 exports.updateAchievement = async (req, res, next) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid achievement ID format.' });
+    }
+    const existing = await Achievement.findById(req.params.id).select('tiers prerequisites startsAt endsAt').lean();
+    if (!existing) {
+      return res.status(404).json({ status: 'fail', message: 'Achievement not found' });
+    }
+    const ruleError = await checkAchievementRules({ ...existing, ...req.body }, existing._id);
+    if (ruleError) {
+      return res.status(400).json({ status: 'fail', message: ruleError });
+    }
+    if (Array.isArray(req.body.tiers) && req.body.tiers.length > 0) req.body.requirement = req.body.tiers[0].requirement;
+
     const achievement = await Achievement.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
     if (!achievement) {
       return res.status(404).json({ status: 'fail', message: 'Achievement not found' });
@@ -171,6 +139,8 @@ exports.deleteAchievement = async (req, res, next) => {
     if (!achievement) {
       return res.status(404).json({ status: 'fail', message: 'Achievement not found' });
     }
+    // Don't leave achievements waiting on a prerequisite that can no longer be unlocked
+    await Achievement.updateMany({ prerequisites: achievement._id }, { $pull: { prerequisites: achievement._id } });
     res.status(204).json({ status: 'success', data: null });
   } catch (error) {
     console.error("Error deleting achievement:", error);
@@ -179,215 +149,204 @@ exports.deleteAchievement = async (req, res, next) => {
 };
 
 /**
- * @desc    Get user achievements with unlock status, total points, and total XP
- * @route   GET /api/users/:userId/achievements
+ * @desc    How many students have unlocked each achievement, as a count and a percentage
+ * @route   GET /api/achievements/rarity
  * @access  Private
  */
-exports.getUserAchievements = async (req, res, next) => {
+exports.getAchievementRarity = async (req, res, next) => {
   try {
-    const { userId } = req.params;
-
-    // Authorization check
-    if (req.user && req.user.id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({ status: 'fail', message: 'You do not have permission to access these records' });
-    }
-
-    // Get all achievement definitions
-    const achievements = await Achievement.find().lean();
-
-    // Fetch user's achievements array AND total XP
-    const user = await User.findById(userId).select('achievements xp').lean();
-
-    if (!user) {
-      return res.status(404).json({ status: 'fail', message: 'User not found' });
-    }
-
-    // Add console log to check fetched user XP
-    console.log(`[getUserAchievements] Fetched user ${userId}, XP: ${user.xp}`);
-
-    const unlockedAchievementIds = new Set((user.achievements || []).map(id => id.toString()));
-
-    // Calculate total points from unlocked achievements using the helper
-    const totalAchievementPoints = await calculateAchievementPoints(userId);
-
-    // Map achievements for response
-    const achievementsWithStatus = await Promise.all(
-      achievements.map(async (achievement) => {
-        const isUnlocked = unlockedAchievementIds.has(achievement._id.toString());
-        let progressValue = 0;
-        let totalNeeded = achievement.requirement || 1;
-
-        if (!isUnlocked) {
-          progressValue = await calculateAchievementProgress(userId, achievement);
-        }
-
-        // Mock date for now - replace with actual unlock date if stored
-        const dateUnlocked = isUnlocked ?
-          new Date(Date.now() - Math.floor(Math.random() * 30 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0] :
-          null;
-
-        return {
-          id: achievement._id.toString(),
-          title: achievement.title,
-          description: achievement.description,
-          icon: achievement.icon,
-          category: achievement.category,
-          unlocked: isUnlocked,
-          progress: isUnlocked ? 100 : Math.min(100, Math.round((progressValue / totalNeeded) * 100)),
-          totalNeeded,
-          xp: achievement.xp || 0,
-          points: achievement.points || 0,
-          rarity: achievement.rarity,
-          unlockedAt: dateUnlocked // Match frontend expectation
-        };
-      })
-    );
-
-    // Prepare response data
-    const responseData = {
-        achievements: achievementsWithStatus,
-        totalAchievementPoints: totalAchievementPoints, // Points ONLY from unlocked achievements
-        // *** THIS IS THE KEY CHANGE ***
-        totalUserXp: user.xp || 0 // User's TOTAL XP from all sources
-    };
-
-    // Add console log to check the response data being sent
-    console.log(`[getUserAchievements] Sending response for user ${userId}:`, JSON.stringify(responseData));
-
+    const [achievements, { totalStudents, byAchievement }] = await Promise.all([
+      Achievement.find().select('title icon category rarity hidden').lean(),
+      getAchievementRarity()
+    ]);
+    const rarity = achievements.map(achievement => {
+      const stats = byAchievement.get(achievement._id.toString()) || { unlockedBy: 0, percentage: 0 };
+      return { // Secret achievements stay secret here too
+        id: achievement._id, title: achievement.hidden ? HIDDEN_TITLE : achievement.title,
+        icon: achievement.hidden ? HIDDEN_ICON : achievement.icon, hidden: achievement.hidden || false,
+        category: achievement.category, rarity: achievement.rarity,
+        unlockedBy: stats.unlockedBy, unlockedPercent: stats.percentage
+      };
+    }).sort((a, b) => a.unlockedPercent - b.unlockedPercent);
 
     res.status(200).json({
       status: 'success',
-      results: achievementsWithStatus.length,
-      data: responseData
+      results: rarity.length,
+      data: { totalStudents, achievements: rarity }
     });
   } catch (error) {
-    console.error("Error getting user achievements:", error);
+    console.error("Error calculating achievement rarity:", error);
     next(error);
   }
 };
 
 /**
- * Check quiz-related achievements after a quiz submission
- * @param {string} userId - User ID
- * @param {object} quizResult - Quiz submission results (percentageScore, passed, etc.)
- * @returns {Promise<object>} Object containing awarded achievements
+ * @desc    Add custom achievements directly from an API endpoint (Admin)
+ * @route   POST /api/achievements/batch
+ * @access  Private/Admin
  */
-exports.checkQuizAchievements = async (userId, quizResult) => {
-  if (!userId) return { awarded: [] };
-
+exports.addCustomAchievements = async (req, res, next) => {
   try {
-    const user = await User.findById(userId).select('achievements quizPointsEarned xp points level');
-    if (!user) return { awarded: [] };
+    const { achievements } = req.body;
+    if (!Array.isArray(achievements) || achievements.length === 0) {
+      return res.status(400).json({ status: 'fail', message: 'Please provide an array of achievements' });
+    }
+    for (const achievement of achievements) {
+      const { title, description, category, trigger, requirement, tiers } = achievement;
+      if (!title || !description || !category || !trigger || (requirement === undefined && !(Array.isArray(tiers) && tiers.length > 0))) {
+        return res.status(400).json({ status: 'fail', message: 'Each achievement must have title, description, category, trigger, and requirement (or tiers)' });
+      }
+      // Prerequisites must already exist - an achievement in the same batch can't be referenced yet
+      const ruleError = await checkAchievementRules(achievement);
+      if (ruleError) {
+        return res.status(400).json({ status: 'fail', message: `${title}: ${ruleError}` });
+      }
+    }
+    const createdAchievements = await Achievement.insertMany(achievements);
+    res.status(201).json({ status: 'success', results: createdAchievements.length, data: { achievements: createdAchievements } });
+  } catch (error) {
+    console.error("Error adding batch achievements:", error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    next(error);
+  }
+};
 
-    const userAchievementIds = user.achievements.map(a => a.toString());
+/**
+ * @desc    Award an achievement to every user who already meets its requirement (e.g. after creating
+ *          it or lowering its requirement). Runs in the background in batches; `dryRun` only counts
+ *          who qualifies. Poll GET /api/achievements/backfills/:backfillId for the report.
+ * @route   POST /api/achievements/:id/backfill
+ * @access  Private/Admin
+ */
+exports.startAchievementBackfill = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid achievement ID format.' });
+    }
+    const achievement = await Achievement.findById(req.params.id).select('title').lean();
+    if (!achievement) {
+      return res.status(404).json({ status: 'fail', message: 'Achievement not found' });
+    }
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+    const batchSize = parseInt(req.body?.batchSize ?? req.query.batchSize, 10) || DEFAULT_BATCH_SIZE;
+    if (batchSize < 1 || batchSize > 5000) {
+      return res.status(400).json({ status: 'fail', message: 'batchSize must be between 1 and 5000.' });
+    }
 
-    const achievementsToCheck = await Achievement.find({
-      _id: { $nin: userAchievementIds },
-      $or: [
-        { trigger: 'quiz_perfect_score' },
-        { trigger: 'quiz_completion' },
-        { trigger: 'quiz_points' }
-      ]
-    });
+    const active = await findActiveBackfill(achievement._id);
+    if (active) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'A backfill of this achievement is already running.',
+        data: { backfill: summarizeBackfill(active) }
+      });
+    }
 
-    const newlyAwarded = [];
-    const quizAttempts = await QuizAttempt.find({ user: userId }); // Fetch attempts once
+    const backfill = await createAchievementBackfill({ achievementId: achievement._id, dryRun, batchSize, startedBy: req.user.id });
+    runAchievementBackfill(backfill._id); // Background - never throws, failures are stored on the run
 
-    for (const achievement of achievementsToCheck) {
-      let isAchieved = false;
-      switch (achievement.trigger) {
-        case 'quiz_perfect_score':
-          if (quizResult.percentageScore === 100) {
-            if (achievement.condition?.difficulty) {
-              if (quizResult.difficulty === achievement.condition.difficulty) isAchieved = true;
-            } else {
-              isAchieved = true;
-            }
-          }
-          break;
-        case 'quiz_completion':
-          let relevantAttempts = [...quizAttempts];
-          if (achievement.condition) {
-            if (achievement.condition.passed) relevantAttempts = relevantAttempts.filter(a => a.passed);
-            if (achievement.condition.minScore) relevantAttempts = relevantAttempts.filter(a => a.percentageScore >= achievement.condition.minScore);
-            if (achievement.condition.difficulty) {
-              if (quizResult.difficulty === achievement.condition.difficulty) {
-                if ((achievement.condition.passed && quizResult.passed) || (achievement.condition.minScore && quizResult.percentageScore >= achievement.condition.minScore)) {
-                  if (relevantAttempts.length + 1 >= achievement.requirement) isAchieved = true;
-                }
-              }
-            } else {
-              if (relevantAttempts.length >= achievement.requirement) isAchieved = true;
-              else if (relevantAttempts.length === achievement.requirement - 1) {
-                if ((achievement.condition.passed && quizResult.passed) || (achievement.condition.minScore && quizResult.percentageScore >= achievement.condition.minScore)) isAchieved = true;
-              }
-            }
-          } else {
-            if (relevantAttempts.length >= achievement.requirement) isAchieved = true;
-            else if (relevantAttempts.length === achievement.requirement - 1) isAchieved = true;
-          }
-          break;
-        case 'quiz_points':
-          // Check against points *after* potential award from current quiz
-          const potentialQuizPoints = user.quizPointsEarned + (quizResult.pointsAwarded || 0);
-          if (potentialQuizPoints >= achievement.requirement) {
-            isAchieved = true;
-          }
-          break;
-      }
+    res.status(202).json({ status: 'success', data: { backfill: summarizeBackfill(backfill) } });
+  } catch (error) {
+    console.error("Error starting achievement backfill:", error);
+    next(error);
+  }
+};
 
-      if (isAchieved) {
-        user.achievements.push(achievement._id);
-        user.xp += achievement.xp || 0;
-        user.points += achievement.points || 0;
-        newlyAwarded.push({
-          id: achievement._id, title: achievement.title, description: achievement.description,
-          icon: achievement.icon, category: achievement.category, xp: achievement.xp || 0,
-          points: achievement.points || 0, rarity: achievement.rarity || 'common'
-        });
-      }
+/**
+ * @desc    Resume a failed or interrupted backfill from its last finished batch
+ * @route   POST /api/achievements/backfills/:backfillId/resume
+ * @access  Private/Admin
+ */
+exports.resumeAchievementBackfill = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.backfillId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid backfill ID format.' });
     }
-
-    if (newlyAwarded.length > 0) {
-      await user.save();
-      const oldLevel = user.level;
-      const newLevel = Math.floor(1 + Math.sqrt(user.xp / 100));
-      if (newLevel > oldLevel) {
-        await User.findByIdAndUpdate(userId, { level: newLevel }, { new: true });
-      }
+    const existing = await AchievementBackfill.findById(req.params.backfillId).lean();
+    if (!existing) {
+      return res.status(404).json({ status: 'fail', message: 'Backfill not found' });
+    }
+    const reopened = await reopenAchievementBackfill(existing._id);
+    if (!reopened) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'Only failed or interrupted backfills can be resumed.',
+        data: { backfill: summarizeBackfill(existing) }
+      });
     }
-    return { awarded: newlyAwarded };
+    runAchievementBackfill(reopened._id);
+
+    res.status(202).json({ status: 'success', data: { backfill: summarizeBackfill(reopened) } });
   } catch (error) {
-    console.error('Error checking quiz achievements:', error);
-    return { awarded: [], error: error.message };
+    console.error("Error resuming achievement backfill:", error);
+    next(error);
   }
 };
 
+/**
+ * @desc    Backfill runs of an achievement, newest first
+ * @route   GET /api/achievements/:id/backfills
+ * @access  Private/Admin
+ */
+exports.getAchievementBackfills = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid achievement ID format.' });
+    }
+    const backfills = await AchievementBackfill.find({ achievement: req.params.id }).sort({ createdAt: -1 }).lean();
+    res.status(200).json({
+      status: 'success',
+      results: backfills.length,
+      data: { backfills: backfills.map(summarizeBackfill) }
+    });
+  } catch (error) {
+    console.error("Error fetching achievement backfills:", error);
+    next(error);
+  }
+};
 
 /**
- * @desc    Add custom achievements directly from an API endpoint (Admin)
- * @route   POST /api/achievements/batch
+ * @desc    Report of a backfill run: progress counts and who was awarded
+ * @route   GET /api/achievements/backfills/:backfillId
  * @access  Private/Admin
  */
-exports.addCustomAchievements = async (req, res, next) => {
+exports.getAchievementBackfill = async (req, res, next) => {
   try {
-    const { achievements } = req.body;
-    if (!Array.isArray(achievements) || achievements.length === 0) {
-      return res.status(400).json({ status: 'fail', message: 'Please provide an array of achievements' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.backfillId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid backfill ID format.' });
     }
-    for (const achievement of achievements) {
-      const { title, description, category, trigger, requirement } = achievement;
-      if (!title || !description || !category || !trigger || requirement === undefined) {
-        return res.status(400).json({ status: 'fail', message: 'Each achievement must have title, description, category, trigger, and requirement' });
-      }
+    const backfill = await AchievementBackfill.findById(req.params.backfillId)
+      .populate('achievement', 'title requirement trigger')
+      .lean();
+    if (!backfill) {
+      return res.status(404).json({ status: 'fail', message: 'Backfill not found' });
     }
-    const createdAchievements = await Achievement.insertMany(achievements);
-    res.status(201).json({ status: 'success', results: createdAchievements.length, data: { achievements: createdAchievements } });
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(500, parseInt(req.query.limit, 10) || 100);
+    const awarded = await AchievementBackfillAward.find({ backfill: backfill._id })
+      .sort({ _id: 1 }).skip((page - 1) * limit).limit(limit)
+      .populate('user', 'name email')
+      .lean();
+    res.status(200).json({
+      status: 'success',
+      results: awarded.length,
+      totalResults: backfill.awardedCount || 0,
+      totalPages: Math.ceil((backfill.awardedCount || 0) / limit) || 1,
+      currentPage: page,
+      data: {
+        backfill: summarizeBackfill(backfill),
+        awarded: awarded.map(a => ({
+          user: a.user ? { id: a.user._id, name: a.user.name, email: a.user.email } : null, // User deleted since
+          progress: a.progress,
+          tiers: a.tiers,
+          awardedAt: a.awardedAt
+        }))
+      }
+    });
   } catch (error) {
-    console.error("Error adding batch achievements:", error);
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ status: 'fail', message: error.message });
-    }
+    console.error("Error fetching achievement backfill:", error);
     next(error);
   }
-};
\ No newline at end of file
+};
@@ -5,9 +5,16 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/userModel'); // Adjust path if needed
 const DailyActivityLog = require('../models/dailyActivityLogModel'); // *** ADD THIS ***
+const LoginActivityLog = require('../models/loginActivityLogModel');
+const Session = require('../models/sessionModel');
+const FailedAuthAttempt = require('../models/failedAuthAttemptModel');
 const sendEmail = require('../utils/email'); // Uses the updated email utility
+const { EMAIL_VERIFICATION_TTL_MINUTES, sendVerificationOtp } = require('../utils/emailVerification');
+const config = require('../config/config');
+const { EVENTS, publish } = require('../utils/domainEvents');
 const { startOfDay, subDays, isSameDay } = require('date-fns'); // *** ADD date-fns ***
 
 // --- Email Template (Password Reset) ---
@@ -19,14 +26,184 @@ const PASSWORD_RESET_TEMPLATE = `
 `;
 
 
-// --- Helper function to sign JWT token ---
-const signToken = (id) => {
-    if (!process.env.JWT_SECRET || !process.env.JWT_EXPIRES_IN) {
-      console.error("FATAL ERROR: JWT_SECRET or JWT_EXPIRES_IN is not defined in .env file.");
+// --- Helper function to sign JWT access token ---
+// sessionId (sid claim) ties the access token to a Session so logout/revocation takes effect immediately
+const signToken = (id, sessionId) => {
+    if (!process.env.JWT_SECRET) {
+      console.error("FATAL ERROR: JWT_SECRET is not defined in .env file.");
     }
-    const secret = process.env.JWT_SECRET || 'fallback-insecure-secret';
-    const expiresIn = process.env.JWT_EXPIRES_IN || '1d'; // Consider a shorter duration for production
-    return jwt.sign({ id }, secret, { expiresIn });
+    const payload = { id };
+    if (sessionId) payload.sid = sessionId.toString();
+    // Secret/expiry come from config so protect (authMiddleware) verifies with the same values
+    return jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.accessExpiresIn });
+};
+
+// --- Refresh Token / Session Helpers ---
+// Refresh tokens are "<sessionId>.<generation>.<signature>" (see sessionModel.js); only the SHA-256
+// hash of the current one is stored. Older sessions may still hold "<sessionId>.<random hex>" tokens.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newTokenSecret = () => crypto.randomBytes(32).toString('hex');
+
+const signRefreshToken = (sessionId, generation, tokenSecret) => (
+    crypto.createHmac('sha256', tokenSecret).update(`${sessionId}.${generation}`).digest('hex')
+);
+
+const buildRefreshToken = (sessionId, generation, tokenSecret) => (
+    `${sessionId}.${generation}.${signRefreshToken(sessionId, generation, tokenSecret)}`
+);
+
+// { sessionId, generation, signature } - generation is null for tokens from before generations
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const parts = refreshToken.split('.');
+    if (!mongoose.Types.ObjectId.isValid(parts[0])) return null;
+    if (parts.length === 3 && /^\d+$/.test(parts[1])) {
+        return { sessionId: parts[0], generation: Number(parts[1]), signature: parts[2] };
+    }
+    return { sessionId: parts[0], generation: null, signature: null };
+};
+
+// Was this token issued for the session (any generation up to the current one)? Needs
+// +tokenSecret +previousTokenHashes
+const isIssuedToken = (session, parsed, presentedHash) => {
+    if (parsed.generation === null) return (session.previousTokenHashes || []).includes(presentedHash);
+    if (!session.tokenSecret || parsed.generation > (session.generation || 0)) return false;
+    const expected = Buffer.from(signRefreshToken(parsed.sessionId, parsed.generation, session.tokenSecret));
+    const given = Buffer.from(parsed.signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Very small user-agent summary for the sessions list ("Chrome on Windows")
+const describeDevice = (userAgent = '') => {
+    const browsers = [['Edg', 'Edge'], ['OPR', 'Opera'], ['Chrome', 'Chrome'], ['Firefox', 'Firefox'], ['Safari', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([needle]) => userAgent.includes(needle));
+    const system = systems.find(([needle]) => userAgent.includes(needle));
+    if (!browser && !system) return 'Unknown device';
+    return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+};
+
+/**
+ * Start a new Session (token family) for a user and issue the first token pair.
+ * @param {object} user - User document
+ * @param {object} req - Express request (device/IP info)
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        device: describeDevice(req.get('user-agent')),
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        tokenSecret: newTokenSecret(),
+        expiresAt: new Date(Date.now() + config.jwt.refreshExpiresDays * 24 * 60 * 60 * 1000)
+    });
+    const refreshToken = buildRefreshToken(session._id, session.generation, session.tokenSecret);
+    session.tokenHash = hashToken(refreshToken);
+    await session.save();
+    return { token: signToken(user._id, session._id), refreshToken };
+};
+
+// --- Brute-force Protection Helpers ---
+
+// Store a failed login/OTP attempt for admins (GET /api/auth/failed-attempts). Never throws.
+const recordFailedAttempt = async (req, { type, email, user, reason }) => {
+    try {
+        await FailedAuthAttempt.create({
+            type,
+            email,
+            user: user ? user._id : null,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            reason
+        });
+    } catch (logError) {
+        console.error(`[Backend] Could not record failed ${type} attempt for ${email}:`, logError);
+    }
+};
+
+const isAccountLocked = (user) => Boolean(user.lockUntil && user.lockUntil.getTime() > Date.now());
+
+const lockedResponse = (res, lockUntil) => {
+    const retryAfterSeconds = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+        status: 'fail',
+        message: `Too many failed login attempts. Your account is locked for ${Math.ceil(retryAfterSeconds / 60)} more minute(s).`,
+        lockedUntil: lockUntil
+    });
+};
+
+/**
+ * Count a wrong password. After maxFailedLogins in a row the account is locked;
+ * each consecutive lockout doubles the lock duration (capped at maxLockMinutes).
+ * @param {object} user - User document
+ * @returns {Promise<Date|null>} lockUntil when this attempt triggered a lockout
+ */
+const registerFailedLogin = async (user) => {
+    const { maxFailedLogins, baseLockMinutes, maxLockMinutes } = config.security.lockout;
+    // $inc keeps the counter correct under parallel guesses
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    ).select('+failedLoginAttempts +lockoutCount');
+    if (!updated || updated.failedLoginAttempts < maxFailedLogins) return null;
+
+    const lockMinutes = Math.min(baseLockMinutes * 2 ** (updated.lockoutCount || 0), maxLockMinutes);
+    const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    // Only the request that reached the threshold applies the lock
+    const result = await User.updateOne(
+        { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+        { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockoutCount: 1 } }
+    );
+    if (result.modifiedCount === 0) return null;
+    console.warn(`[Backend] Account ${user._id} locked for ${lockMinutes} minute(s) after ${maxFailedLogins} failed logins`);
+    return lockUntil;
+};
+
+// Fields holding each OTP kind on the User model
+const OTP_FIELDS = {
+    password_reset_otp: { otp: 'passwordResetOtp', expires: 'passwordResetExpires', attempts: 'passwordResetOtpAttempts' },
+    email_verification_otp: { otp: 'emailVerificationOtp', expires: 'emailVerificationExpires', attempts: 'emailVerificationOtpAttempts' }
+};
+
+/**
+ * Count an OTP guess BEFORE comparing it, so a burst of parallel guesses can't get more than
+ * otpMaxAttempts comparisons. Only counts while the OTP the user was loaded with is still set.
+ * @param {object} user - User document (with the OTP field selected)
+ * @param {('password_reset_otp'|'email_verification_otp')} type
+ * @returns {Promise<number|null>} Guesses used including this one, or null if none are left
+ *   (or the OTP was cleared or replaced meanwhile)
+ */
+const claimOtpAttempt = async (user, type) => {
+    const fields = OTP_FIELDS[type];
+    const claimed = await User.findOneAndUpdate(
+        { _id: user._id, [fields.otp]: user[fields.otp], [fields.attempts]: { $not: { $gte: config.security.otpMaxAttempts } } },
+        { $inc: { [fields.attempts]: 1 } },
+        { new: true }
+    ).select(`+${fields.attempts}`);
+    return claimed ? claimed[fields.attempts] : null;
+};
+
+/**
+ * After a wrong guess: once otpMaxAttempts guesses are used, clear the OTP so it can no longer be guessed.
+ * @param {object} user - User document
+ * @param {('password_reset_otp'|'email_verification_otp')} type
+ * @param {number} attempts - Guesses used (claimOtpAttempt)
+ * @returns {Promise<boolean>} true if the OTP was invalidated
+ */
+const registerFailedOtp = async (user, type, attempts) => {
+    const fields = OTP_FIELDS[type];
+    if (attempts < config.security.otpMaxAttempts) return false;
+
+    await User.updateOne(
+        { _id: user._id },
+        { $unset: { [fields.otp]: 1, [fields.expires]: 1 }, $set: { [fields.attempts]: 0 } }
+    );
+    console.warn(`[Backend] ${type} for user ${user._id} invalidated after ${config.security.otpMaxAttempts} wrong attempts`);
+    return true;
 };
 
 // --- Controller Functions ---
@@ -71,9 +248,20 @@ exports.register = async (req, res, next) => {
           password: hashedPassword,
           lastActive: new Date() // Set initial lastActive
         });
-        newUser.password = undefined;
         console.log('[Backend] User created successfully:', newUser._id);
 
+        // Send the email verification OTP - the account works without it, but
+        // features such as forum posting and reward redemption require a verified email
+        try {
+            await sendVerificationOtp(newUser);
+        } catch (emailError) {
+            console.error(`[Backend] Could not send verification email to ${newUser.email}:`, emailError);
+            // Don't fail registration; the user can request a new code via /resend-verification
+        }
+        newUser.password = undefined;
+        newUser.emailVerificationOtp = undefined;
+        newUser.emailVerificationExpires = undefined;
+
         // *** ADD: Log first activity for new user ***
         try {
             const todayUTC = startOfDay(new Date()); // Get start of today UTC
@@ -89,14 +277,15 @@ exports.register = async (req, res, next) => {
         }
         // *** END ADD ***
 
-        // 5. Generate JWT Token
-        const token = signToken(newUser._id);
+        // 5. Start a session and generate access/refresh tokens
+        const { token, refreshToken } = await createSession(newUser, req);
         console.log('[Backend] JWT Token generated for new user');
 
         // 6. Send Response
         res.status(201).json({
           status: 'success',
           token,
+          refreshToken,
           data: { user: newUser },
         });
 
@@ -132,14 +321,36 @@ exports.login = async (req, res, next) => {
 
         // 2. Check if user exists & get password + streak info
         // *** MODIFIED: Select streak and lastActive ***
-        const user = await User.findOne({ email }).select('+password +streak +lastActive');
+        const user = await User.findOne({ email }).select('+password +streak +lastActive +failedLoginAttempts +lockUntil +lockoutCount');
+        if (!user) {
+          await recordFailedAttempt(req, { type: 'login', email, reason: 'unknown_email' });
+          return res.status(401).json({ status: 'fail', message: 'Incorrect email or password.' });
+        }
+
+        // 3. Refuse locked accounts before checking the password
+        if (isAccountLocked(user)) {
+          console.log(`[Backend] Login refused: account ${user._id} locked until ${user.lockUntil.toISOString()}`);
+          await recordFailedAttempt(req, { type: 'login', email, user, reason: 'account_locked' });
+          return lockedResponse(res, user.lockUntil);
+        }
 
-        // 3. Check password validity
-        if (!user || !(await bcrypt.compare(password, user.password))) {
+        // 4. Check password validity
+        if (!(await bcrypt.compare(password, user.password))) {
+          await recordFailedAttempt(req, { type: 'login', email, user, reason: 'wrong_password' });
+          const lockUntil = await registerFailedLogin(user);
+          if (lockUntil) return lockedResponse(res, lockUntil);
           return res.status(401).json({ status: 'fail', message: 'Incorrect email or password.' });
         }
         console.log('[Backend] User found and password verified:', user._id);
 
+        // Successful login clears the failed-attempt counter and the lockout history
+        if (user.failedLoginAttempts || user.lockoutCount || user.lockUntil) {
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+            );
+        }
+
         // *** ADD: Daily Activity Logging & Streak Calculation ***
         const now = new Date();
         const todayUTCStart = startOfDay(now); // Start of today in UTC
@@ -194,20 +405,32 @@ exports.login = async (req, res, next) => {
         }
         // *** END ADD ***
 
+        // Every login is logged (login streak achievements count days with one)
+        try {
+            await LoginActivityLog.create({ user: user._id, loginDate: now });
+        } catch (logError) {
+            console.error(`[Backend] Error logging login for user ${user._id}:`, logError);
+        }
+        await publish(EVENTS.USER_LOGGED_IN, { userId: user._id.toString(), streak: user.streak || 0 });
 
-        // 4. Generate JWT Token
-        const token = signToken(user._id);
+
+        // 5. Start a session and generate access/refresh tokens
+        const { token, refreshToken } = await createSession(user, req);
         console.log('[Backend] JWT Token generated for logged in user');
 
-        // 5. Send Response
+        // 6. Send Response
         user.password = undefined; // Remove password from output
         // Ensure the user object sent back has the potentially updated streak
         const userResponseData = user.toObject(); // Convert to plain object if needed
         delete userResponseData.password; // Ensure password is removed again if toObject includes it
+        delete userResponseData.failedLoginAttempts;
+        delete userResponseData.lockUntil;
+        delete userResponseData.lockoutCount;
 
         res.status(200).json({
           status: 'success',
           token,
+          refreshToken,
           data: { user: userResponseData }, // Send back user data
         });
 
@@ -244,6 +467,7 @@ exports.forgotPassword = async (req, res, next) => {
         const otpExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
         user.passwordResetOtp = hashedOtp;
         user.passwordResetExpires = new Date(otpExpires);
+        user.passwordResetOtpAttempts = 0; // Fresh OTP, fresh guess budget
         await user.save({ validateBeforeSave: false });
         console.log(`[Backend] Hashed OTP and expiry saved for user ${user._id}`);
         try {
@@ -312,31 +536,55 @@ exports.resetPassword = async (req, res, next) => {
         const user = await User.findOne({ email }).select('+passwordResetOtp +passwordResetExpires');
         if (!user || !user.passwordResetOtp || !user.passwordResetExpires) {
             console.log(`[Backend] Reset Failed: User not found or no OTP data for ${email}`);
+            await recordFailedAttempt(req, { type: 'password_reset_otp', email, user, reason: user ? 'wrong_otp' : 'unknown_email' });
             return res.status(400).json({ status: 'fail', message: 'Invalid OTP or email address.' });
         }
         if (user.passwordResetExpires < Date.now()) {
             console.log(`[Backend] Reset Failed: OTP expired for ${email}`);
+            await recordFailedAttempt(req, { type: 'password_reset_otp', email, user, reason: 'otp_expired' });
             user.passwordResetOtp = undefined;
             user.passwordResetExpires = undefined;
             await user.save({ validateBeforeSave: false });
             return res.status(400).json({ status: 'fail', message: 'OTP has expired. Please request a new one.' });
         }
+        const attempts = await claimOtpAttempt(user, 'password_reset_otp');
+        if (attempts === null) {
+            await recordFailedAttempt(req, { type: 'password_reset_otp', email, user, reason: 'otp_attempts_exceeded' });
+            return res.status(400).json({ status: 'fail', message: 'Too many incorrect attempts. Please request a new OTP.' });
+        }
         const isOtpValid = await bcrypt.compare(otp, user.passwordResetOtp);
         if (!isOtpValid) {
             console.log(`[Backend] Reset Failed: Invalid OTP for ${email}`);
+            const invalidated = await registerFailedOtp(user, 'password_reset_otp', attempts);
+            await recordFailedAttempt(req, { type: 'password_reset_otp', email, user, reason: invalidated ? 'otp_attempts_exceeded' : 'wrong_otp' });
+            if (invalidated) {
+                return res.status(400).json({ status: 'fail', message: 'Too many incorrect attempts. Please request a new OTP.' });
+            }
             return res.status(400).json({ status: 'fail', message: 'Invalid OTP or email address.' });
         }
         const hashedNewPassword = await bcrypt.hash(password, 12);
         user.password = hashedNewPassword;
+        // Invalidate tokens issued before the reset (1s back-dated so the new token below stays valid)
+        user.passwordChangedAt = new Date(Date.now() - 1000);
         user.passwordResetOtp = undefined;
         user.passwordResetExpires = undefined;
+        user.passwordResetOtpAttempts = 0;
+        // Proving control of the email also lifts any login lockout
+        user.failedLoginAttempts = 0;
+        user.lockoutCount = 0;
+        user.lockUntil = undefined;
         await user.save();
         console.log(`[Backend] Password successfully reset for user ${user._id}`);
-        const token = signToken(user._id);
+        // Sign out every existing session before starting a fresh one
+        await Session.updateMany(
+            { user: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'password_reset' } }
+        );
+        const { token, refreshToken } = await createSession(user, req);
         console.log('[Backend] JWT Token generated after password reset');
         user.password = undefined;
         res.status(200).json({
-            status: 'success', token, message: 'Password has been reset successfully!',
+            status: 'success', token, refreshToken, message: 'Password has been reset successfully!',
             data: { user }
         });
     } catch (err) {
@@ -382,4 +630,364 @@ exports.getMe = async (req, res, next) => {
              res.status(500).json({ status: 'error', message: 'Could not fetch user data.' });
         }
     }
-};
\ No newline at end of file
+};
+
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair (rotation)
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+exports.refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide a refresh token.' });
+        }
+        const parsed = parseRefreshToken(refreshToken);
+        const current = parsed && await Session.findById(parsed.sessionId).select('+tokenSecret generation').lean();
+        if (!current) {
+            return res.status(401).json({ status: 'fail', message: 'Invalid or expired refresh token.' });
+        }
+        const sessionId = parsed.sessionId;
+
+        const now = new Date();
+        const presentedHash = hashToken(refreshToken);
+        // Sessions from before generations get a token secret on their first rotation
+        const tokenSecret = current.tokenSecret || newTokenSecret();
+        const generation = (current.generation || 0) + 1;
+        const newRefreshToken = buildRefreshToken(sessionId, generation, tokenSecret);
+
+        // Rotate atomically: only succeeds if the presented token is the CURRENT one
+        const session = await Session.findOneAndUpdate(
+            { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+            { $set: { tokenHash: hashToken(newRefreshToken), tokenSecret, generation, lastUsedAt: now, ip: req.ip } },
+            { new: true }
+        );
+
+        if (!session) {
+            // Was this an already-rotated token? Then it has leaked - revoke the whole family.
+            const latest = await Session.findById(sessionId).select('+tokenSecret +previousTokenHashes');
+            const reusedSession = latest && isIssuedToken(latest, parsed, presentedHash) ? latest : null;
+            if (reusedSession) {
+                if (!reusedSession.revokedAt) {
+                    reusedSession.revokedAt = now;
+                    reusedSession.revokedReason = 'reuse_detected';
+                    await reusedSession.save({ validateBeforeSave: false });
+                }
+                console.warn(`[Backend] Refresh token reuse detected for session ${sessionId} (user ${reusedSession.user}). Session revoked.`);
+                return res.status(401).json({ status: 'fail', message: 'Refresh token reuse detected. This session has been revoked, please log in again.' });
+            }
+            return res.status(401).json({ status: 'fail', message: 'Invalid or expired refresh token.' });
+        }
+
+        const user = await User.findById(session.user);
+        if (!user) {
+            return res.status(401).json({ status: 'fail', message: 'The user belonging to this token no longer exists.' });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            token: signToken(user._id, session._id),
+            refreshToken: newRefreshToken
+        });
+    } catch (err) {
+        console.error("[Backend] Error refreshing token:", err);
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Could not refresh the session.' });
+        }
+    }
+};
+
+/**
+ * @desc    Log out - revoke the session that owns the given refresh token
+ * @route   POST /api/auth/logout
+ * @access  Public (requires the refresh token being logged out)
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        const parsed = parseRefreshToken(refreshToken);
+        const session = parsed && await Session.findById(parsed.sessionId).select('+tokenHash +tokenSecret +previousTokenHashes').lean();
+        const presentedHash = parsed && hashToken(refreshToken);
+        // The current token or any earlier one of the session
+        if (session && (session.tokenHash === presentedHash || isIssuedToken(session, parsed, presentedHash))) {
+            await Session.updateOne(
+                { _id: parsed.sessionId, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+            );
+        }
+        // Always succeed so clients can clear local state regardless
+        res.status(200).json({ status: 'success', message: 'Logged out successfully.' });
+    } catch (err) {
+        console.error("[Backend] Error during logout:", err);
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Logout failed due to a server error.' });
+        }
+    }
+};
+
+/**
+ * @desc    List the current user's active sessions (device, IP, last used)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort('-lastUsedAt').lean();
+
+        const formattedSessions = sessions.map(session => ({
+            id: session._id.toString(),
+            device: session.device,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.toString() === req.sessionId
+        }));
+
+        res.status(200).json({
+            status: 'success',
+            results: formattedSessions.length,
+            data: { sessions: formattedSessions }
+        });
+    } catch (err) {
+        console.error("[Backend] Error fetching sessions:", err);
+        next(err);
+    }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 'fail', message: 'Invalid session ID format.' });
+        }
+        const result = await Session.updateOne(
+            { _id: req.params.id, user: req.user.id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ status: 'fail', message: 'Session not found or already revoked.' });
+        }
+        res.status(200).json({ status: 'success', message: 'Session revoked.' });
+    } catch (err) {
+        console.error("[Backend] Error revoking session:", err);
+        next(err);
+    }
+};
+
+/**
+ * @desc    Revoke all of the current user's sessions (sign out everywhere)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = async (req, res, next) => {
+    try {
+        const result = await Session.updateMany(
+            { user: req.user.id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+        );
+        res.status(200).json({
+            status: 'success',
+            message: `${result.modifiedCount} session(s) revoked.`,
+            data: { revoked: result.modifiedCount }
+        });
+    } catch (err) {
+        console.error("[Backend] Error revoking all sessions:", err);
+        next(err);
+    }
+};
+
+
+/**
+ * @desc    Verify email address using the OTP sent on registration
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+    try {
+        const { email, otp } = req.body;
+        if (!email || !otp) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide email and OTP.' });
+        }
+        if (!validator.isEmail(email)) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide a valid email address.' });
+        }
+        if (!/^\d{6}$/.test(otp)) {
+            return res.status(400).json({ status: 'fail', message: 'Invalid OTP format. Please enter the 6-digit code.' });
+        }
+        const user = await User.findOne({ email }).select('+emailVerificationOtp +emailVerificationExpires');
+        if (!user) {
+            await recordFailedAttempt(req, { type: 'email_verification_otp', email, reason: 'unknown_email' });
+            return res.status(400).json({ status: 'fail', message: 'Invalid OTP or email address.' });
+        }
+        if (user.emailVerified) {
+            return res.status(200).json({ status: 'success', message: 'Email is already verified.' });
+        }
+        if (!user.emailVerificationOtp || !user.emailVerificationExpires) {
+            return res.status(400).json({ status: 'fail', message: 'Invalid OTP or email address.' });
+        }
+        if (user.emailVerificationExpires < Date.now()) {
+            await recordFailedAttempt(req, { type: 'email_verification_otp', email, user, reason: 'otp_expired' });
+            user.emailVerificationOtp = undefined;
+            user.emailVerificationExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+            return res.status(400).json({ status: 'fail', message: 'OTP has expired. Please request a new one.' });
+        }
+        const attempts = await claimOtpAttempt(user, 'email_verification_otp');
+        if (attempts === null) {
+            await recordFailedAttempt(req, { type: 'email_verification_otp', email, user, reason: 'otp_attempts_exceeded' });
+            return res.status(400).json({ status: 'fail', message: 'Too many incorrect attempts. Please request a new OTP.' });
+        }
+        const isOtpValid = await bcrypt.compare(otp, user.emailVerificationOtp);
+        if (!isOtpValid) {
+            console.log(`[Backend] Email verification failed: Invalid OTP for ${email}`);
+            const invalidated = await registerFailedOtp(user, 'email_verification_otp', attempts);
+            await recordFailedAttempt(req, { type: 'email_verification_otp', email, user, reason: invalidated ? 'otp_attempts_exceeded' : 'wrong_otp' });
+            if (invalidated) {
+                return res.status(400).json({ status: 'fail', message: 'Too many incorrect attempts. Please request a new OTP.' });
+            }
+            return res.status(400).json({ status: 'fail', message: 'Invalid OTP or email address.' });
+        }
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        user.emailVerificationOtp = undefined;
+        user.emailVerificationExpires = undefined;
+        user.emailVerificationOtpAttempts = 0;
+        await user.save({ validateBeforeSave: false });
+        console.log(`[Backend] Email verified for user ${user._id}`);
+        res.status(200).json({ status: 'success', message: 'Email verified successfully!' });
+    } catch (err) {
+        console.error("[Backend] Error during email verification:", err);
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'An error occurred while verifying the email.' });
+        }
+    }
+};
+
+/**
+ * @desc    Resend the email verification OTP
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ */
+exports.resendVerification = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (!email || !validator.isEmail(email)) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide a valid email address.' });
+        }
+        const genericResponse = { status: 'success', message: 'If an unverified account with that email exists, a new OTP has been sent.' };
+        const user = await User.findOne({ email }).select('+emailVerificationExpires');
+        if (!user || user.emailVerified) {
+            return res.status(200).json(genericResponse);
+        }
+        // Allow one resend per minute (the current code's issue time is its expiry minus the TTL)
+        const resendCooldownMs = 60 * 1000;
+        if (user.emailVerificationExpires &&
+            user.emailVerificationExpires.getTime() - EMAIL_VERIFICATION_TTL_MINUTES * 60 * 1000 + resendCooldownMs > Date.now()) {
+            return res.status(429).json({ status: 'fail', message: 'Please wait a minute before requesting another code.' });
+        }
+        try {
+            await sendVerificationOtp(user);
+        } catch (emailError) {
+            console.error("[Backend] Verification email sending failed via Brevo:", emailError);
+            return res.status(500).json({ status: 'error', message: 'Failed to send verification email. Please try again.' });
+        }
+        res.status(200).json(genericResponse);
+    } catch (err) {
+        console.error("[Backend] Error in resendVerification:", err);
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'An unexpected error occurred. Please try again.' });
+        }
+    }
+};
+
+/**
+ * @desc    List recorded failed login / OTP attempts
+ * @route   GET /api/auth/failed-attempts
+ * @access  Private (Admin)
+ */
+exports.getFailedAttempts = async (req, res, next) => {
+    try {
+        const { email, ip, type, userId } = req.query;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+        const filter = {};
+        if (email) filter.email = String(email).trim().toLowerCase();
+        if (ip) filter.ip = String(ip);
+        if (type) {
+            if (!FailedAuthAttempt.schema.path('type').enumValues.includes(type)) {
+                return res.status(400).json({ status: 'fail', message: 'Invalid attempt type.' });
+            }
+            filter.type = type;
+        }
+        if (userId) {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                return res.status(400).json({ status: 'fail', message: 'Invalid user ID format.' });
+            }
+            filter.user = userId;
+        }
+
+        const [attempts, total] = await Promise.all([
+            FailedAuthAttempt.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('user', 'name email')
+                .lean(),
+            FailedAuthAttempt.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: attempts.length,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalAttempts: total,
+            data: { attempts }
+        });
+    } catch (err) {
+        console.error("[Backend] Error fetching failed auth attempts:", err);
+        res.status(500).json({ status: 'error', message: 'Failed to fetch failed attempts.' });
+    }
+};
+
+/**
+ * @desc    Lift a login lockout and reset the failed-attempt counters of a user
+ * @route   PATCH /api/auth/users/:id/unlock
+ * @access  Private (Admin)
+ */
+exports.unlockUser = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 'fail', message: 'Invalid user ID format.' });
+        }
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            {
+                $set: { failedLoginAttempts: 0, lockoutCount: 0, passwordResetOtpAttempts: 0, emailVerificationOtpAttempts: 0 },
+                $unset: { lockUntil: 1 }
+            },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({ status: 'fail', message: 'User not found.' });
+        }
+        console.log(`[Backend] Admin ${req.user.id} unlocked user ${user._id}`);
+        res.status(200).json({ status: 'success', message: 'User account unlocked.', data: { user } });
+    } catch (err) {
+        console.error("[Backend] Error unlocking user:", err);
+        res.status(500).json({ status: 'error', message: 'Failed to unlock user.' });
+    }
+};
@@ -0,0 +1,536 @@
+// controllers/examController.js
+const mongoose = require('mongoose');
+const Exam = require('../models/examModel');
+const ExamAttempt = require('../models/examAttemptModel');
+const Subject = require('../models/subjectModel');
+const { toStudentQuestion } = require('../utils/quizSerializer');
+const { normalizeAnswer, describeCorrectAnswer } = require('../utils/questionGrading');
+const {
+  validateSections,
+  getExamPhase,
+  canSeeResults,
+  syncAttempt,
+  submitSection,
+  rankAttempts
+} = require('../utils/examHelpers');
+
+const EXAM_UPDATE_FIELDS = ['title', 'description', 'subject', 'year', 'sections', 'opensAt', 'closesAt', 'resultsReleaseAt', 'passMark', 'isPublished'];
+
+const sectionPoints = (section) => (section.questions || []).reduce((sum, q) => sum + (q.points || 0), 0);
+
+// Exam details without questions (what students see before and outside an attempt)
+const serializeExamSummary = (exam) => ({
+  id: exam._id,
+  title: exam.title,
+  description: exam.description,
+  subject: exam.subject,
+  year: exam.year ?? null,
+  opensAt: exam.opensAt,
+  closesAt: exam.closesAt,
+  resultsReleaseAt: exam.resultsReleaseAt,
+  passMark: exam.passMark,
+  isPublished: exam.isPublished,
+  phase: getExamPhase(exam),
+  totalTime: (exam.sections || []).reduce((sum, s) => sum + s.timeLimit, 0),
+  totalPoints: (exam.sections || []).reduce((sum, s) => sum + sectionPoints(s), 0),
+  sections: (exam.sections || []).map(section => ({
+    id: section._id,
+    title: section.title,
+    type: section.type,
+    timeLimit: section.timeLimit,
+    questionCount: (section.questions || []).length,
+    totalPoints: sectionPoints(section)
+  }))
+});
+
+// The running section of an attempt: questions without answers, saved answers and the deadline
+const serializeRunningAttempt = (attempt, exam) => {
+  const section = exam.sections[attempt.currentSection];
+  const state = attempt.sections.find(s => s.sectionId.toString() === section._id.toString());
+  return {
+    attemptId: attempt._id,
+    status: attempt.status,
+    sectionIndex: attempt.currentSection,
+    sectionsTotal: exam.sections.length,
+    section: {
+      id: section._id,
+      title: section.title,
+      type: section.type,
+      instructions: section.instructions,
+      timeLimit: section.timeLimit,
+      startedAt: state.startedAt,
+      expiresAt: state.expiresAt,
+      remainingSeconds: Math.max(0, Math.floor((new Date(state.expiresAt).getTime() - Date.now()) / 1000)),
+      questions: section.questions.map(toStudentQuestion),
+      savedAnswers: state.answers || []
+    }
+  };
+};
+
+// Attempts left running when the exam closed are graded from their saved answers
+const finishClosedAttempts = async (exam) => {
+  if (['upcoming', 'open'].includes(getExamPhase(exam))) return;
+  const stale = await ExamAttempt.find({ exam: exam._id, status: 'in_progress' });
+  for (const attempt of stale) {
+    syncAttempt(attempt, exam, { startNext: false });
+    try {
+      await attempt.save();
+    } catch (err) {
+      if (err.name !== 'VersionError') throw err; // Otherwise another request finished it first
+    }
+  }
+};
+
+// A submitted attempt: withheld until results are released, then scores, answers and rank
+const serializeSubmittedAttempt = async (attempt, exam, user) => {
+  const base = {
+    attemptId: attempt._id,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    submittedAt: attempt.submittedAt,
+    resultsReleaseAt: exam.resultsReleaseAt
+  };
+  if (!canSeeResults(exam, user)) return { ...base, resultsReleased: false };
+
+  await finishClosedAttempts(exam);
+  const submitted = await ExamAttempt.find({ exam: exam._id, status: 'submitted' }).select('percentageScore').lean();
+  const { ranks, stats } = rankAttempts(submitted);
+  const standing = ranks.get(attempt._id.toString()) || null;
+
+  return {
+    ...base,
+    resultsReleased: getExamPhase(exam) === 'released',
+    score: attempt.score,
+    totalPoints: attempt.totalPoints,
+    percentageScore: attempt.percentageScore,
+    passed: attempt.passed,
+    rank: standing ? standing.rank : null,
+    percentile: standing ? standing.percentile : null,
+    stats,
+    sections: exam.sections.map(section => {
+      const state = attempt.sections.find(s => s.sectionId.toString() === section._id.toString());
+      const answers = new Map(((state && state.answers) || []).map(a => [a.questionId, a]));
+      return {
+        id: section._id,
+        title: section.title,
+        type: section.type,
+        score: state ? state.score : 0,
+        totalPoints: sectionPoints(section),
+        autoSubmitted: Boolean(state && state.autoSubmitted),
+        questions: section.questions.map(question => {
+          const answer = answers.get(question._id.toString()) || null;
+          return {
+            ...toStudentQuestion(question),
+            answer,
+            isCorrect: answer ? answer.isCorrect : false,
+            pointsEarned: answer ? answer.pointsEarned : 0,
+            correctAnswer: describeCorrectAnswer(question),
+            explanation: question.explanation || null
+          };
+        })
+      };
+    })
+  };
+};
+
+const isExamVisible = (exam, user) => exam.isPublished || (user && user.role === 'admin');
+
+// Load the exam and the user's attempt, and bring the attempt up to date (expired sections)
+const loadAttempt = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ status: 'fail', message: 'Invalid Exam ID format.' });
+    return null;
+  }
+  const exam = await Exam.findById(id).lean();
+  if (!exam || !isExamVisible(exam, req.user)) {
+    res.status(404).json({ status: 'fail', message: 'Exam not found' });
+    return null;
+  }
+  const attempt = await ExamAttempt.findOne({ exam: id, user: req.user.id });
+  if (!attempt) {
+    res.status(404).json({ status: 'fail', message: 'You have not started this exam.' });
+    return null;
+  }
+  if (syncAttempt(attempt, exam)) await attempt.save();
+  return { exam, attempt };
+};
+
+// Two requests updated the same attempt at once (VersionError from optimisticConcurrency)
+const sendConflict = (res) => res.status(409).json({
+  status: 'fail',
+  message: 'Your attempt was updated by another request. Please reload and try again.'
+});
+
+// Merge submitted answers into the saved answers of the current section
+const mergeAnswers = (state, section, rawAnswers) => {
+  const questionIds = new Set(section.questions.map(q => q._id.toString()));
+  const byQuestion = new Map((state.answers || []).map(a => [a.questionId, a.toObject ? a.toObject() : a]));
+  rawAnswers.forEach(raw => {
+    const answer = normalizeAnswer(raw);
+    if (answer && questionIds.has(answer.questionId)) byQuestion.set(answer.questionId, answer);
+  });
+  state.answers = [...byQuestion.values()];
+};
+
+/**
+ * @desc     List exams (published ones for students) with their schedule phase
+ * @route    GET /api/exams
+ * @access   Public
+ */
+exports.getAllExams = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (!req.user || req.user.role !== 'admin') filter.isPublished = true;
+    if (req.query.subject) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.subject)) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid subject ID format.' });
+      }
+      filter.subject = req.query.subject;
+    }
+
+    const exams = await Exam.find(filter).sort({ opensAt: -1 }).populate('subject', 'name color').lean();
+
+    // The user's own attempt status per exam
+    let attemptsByExam = new Map();
+    if (req.user) {
+      const attempts = await ExamAttempt.find({ user: req.user.id, exam: { $in: exams.map(e => e._id) } })
+        .select('exam status').lean();
+      attemptsByExam = new Map(attempts.map(a => [a.exam.toString(), a.status]));
+    }
+
+    const data = exams.map(exam => ({
+      ...serializeExamSummary(exam),
+      attemptStatus: attemptsByExam.get(exam._id.toString()) || null
+    }));
+
+    res.status(200).json({ status: 'success', results: data.length, data: { exams: data } });
+  } catch (error) {
+    console.error('Error fetching exams:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Get an exam. Students get the summary (no questions); admins get the full exam.
+ * @route    GET /api/exams/:id
+ * @access   Public
+ */
+exports.getExamById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Exam ID format.' });
+    }
+    const exam = await Exam.findById(id).populate('subject', 'name color').lean();
+    if (!exam || !isExamVisible(exam, req.user)) {
+      return res.status(404).json({ status: 'fail', message: 'Exam not found' });
+    }
+
+    const isAdmin = req.user && req.user.role === 'admin';
+    res.status(200).json({
+      status: 'success',
+      data: { exam: isAdmin ? { ...exam, phase: getExamPhase(exam) } : serializeExamSummary(exam) }
+    });
+  } catch (error) {
+    console.error('Error fetching exam:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Create an exam
+ * @route    POST /api/exams
+ * @access   Private/Admin
+ */
+exports.createExam = async (req, res, next) => {
+  try {
+    if (!req.body.subject || !mongoose.Types.ObjectId.isValid(req.body.subject)) {
+      return res.status(400).json({ status: 'fail', message: 'Valid subject ID is required.' });
+    }
+    const sectionError = validateSections(req.body.sections);
+    if (sectionError) return res.status(400).json({ status: 'fail', message: sectionError });
+
+    const subject = await Subject.findById(req.body.subject).select('_id').lean();
+    if (!subject) return res.status(404).json({ status: 'fail', message: 'Subject not found' });
+
+    const data = {};
+    EXAM_UPDATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    const exam = await Exam.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({ status: 'success', data: { exam } });
+  } catch (error) {
+    console.error('Error creating exam:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc     Update an exam. Sections are locked once a student has started it.
+ * @route    PATCH /api/exams/:id
+ * @access   Private/Admin
+ */
+exports.updateExam = async (req, res, next) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) return res.status(404).json({ status: 'fail', message: 'Exam not found' });
+
+    if (req.body.sections !== undefined) {
+      if (await ExamAttempt.exists({ exam: exam._id })) {
+        return res.status(400).json({ status: 'fail', message: 'Sections cannot be changed after students have started the exam.' });
+      }
+      const sectionError = validateSections(req.body.sections);
+      if (sectionError) return res.status(400).json({ status: 'fail', message: sectionError });
+    }
+    if (req.body.subject !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.subject) || !(await Subject.exists({ _id: req.body.subject }))) {
+        return res.status(400).json({ status: 'fail', message: 'Valid subject ID is required.' });
+      }
+    }
+
+    EXAM_UPDATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) exam.set(field, req.body[field]);
+    });
+    await exam.save(); // Runs the schedule checks and correctAnswer hook
+
+    res.status(200).json({ status: 'success', data: { exam } });
+  } catch (error) {
+    console.error('Error updating exam:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc     Delete an exam and its attempts
+ * @route    DELETE /api/exams/:id
+ * @access   Private/Admin
+ */
+exports.deleteExam = async (req, res, next) => {
+  try {
+    const exam = await Exam.findByIdAndDelete(req.params.id);
+    if (!exam) return res.status(404).json({ status: 'fail', message: 'Exam not found' });
+
+    const deleteResult = await ExamAttempt.deleteMany({ exam: exam._id });
+    console.log(`[Exam] Deleted exam ${exam._id} and ${deleteResult.deletedCount} attempt(s)`);
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    console.error('Error deleting exam:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Start the exam (one attempt per student) or resume it. Starts the first section's timer.
+ * @route    POST /api/exams/:id/start
+ * @access   Private
+ */
+exports.startExam = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Exam ID format.' });
+    }
+    const exam = await Exam.findById(id).lean();
+    if (!exam || !isExamVisible(exam, req.user)) {
+      return res.status(404).json({ status: 'fail', message: 'Exam not found' });
+    }
+
+    let attempt = await ExamAttempt.findOne({ exam: id, user: userId });
+    if (attempt && attempt.status === 'submitted') {
+      return res.status(403).json({ status: 'fail', message: 'You have already taken this exam.' });
+    }
+    if (!attempt) {
+      const phase = getExamPhase(exam);
+      if (phase === 'upcoming') {
+        return res.status(403).json({ status: 'fail', message: `This exam opens at ${new Date(exam.opensAt).toISOString()}.` });
+      }
+      if (phase !== 'open') {
+        return res.status(403).json({ status: 'fail', message: 'This exam is closed.' });
+      }
+      try {
+        attempt = await ExamAttempt.create({ exam: id, user: userId, startedAt: new Date() });
+        console.log(`[Exam] User ${userId} started exam ${id}`);
+      } catch (err) {
+        // Unique (user, exam): a parallel request created the attempt first
+        if (err.code !== 11000) throw err;
+        attempt = await ExamAttempt.findOne({ exam: id, user: userId });
+      }
+    }
+
+    if (syncAttempt(attempt, exam)) await attempt.save();
+    if (attempt.status === 'submitted') {
+      return res.status(200).json({ status: 'success', data: await serializeSubmittedAttempt(attempt, exam, req.user) });
+    }
+    res.status(200).json({ status: 'success', data: serializeRunningAttempt(attempt, exam) });
+  } catch (error) {
+    if (error.name === 'VersionError') return sendConflict(res);
+    console.error('Error starting exam:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Get your attempt: the running section, or (once results are released) your results
+ * @route    GET /api/exams/:id/attempt
+ * @access   Private
+ */
+exports.getMyExamAttempt = async (req, res, next) => {
+  try {
+    const loaded = await loadAttempt(req, res);
+    if (!loaded) return;
+    const { exam, attempt } = loaded;
+
+    const data = attempt.status === 'submitted'
+      ? await serializeSubmittedAttempt(attempt, exam, req.user)
+      : serializeRunningAttempt(attempt, exam);
+    res.status(200).json({ status: 'success', data });
+  } catch (error) {
+    if (error.name === 'VersionError') return sendConflict(res);
+    console.error('Error fetching exam attempt:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Save answers for the running section (graded when the section is submitted or times out)
+ * @route    PATCH /api/exams/:id/attempt/answers
+ * @access   Private
+ */
+exports.saveExamAnswers = async (req, res, next) => {
+  try {
+    const { answers } = req.body;
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ status: 'fail', message: 'Answers must be provided as an array' });
+    }
+    const loaded = await loadAttempt(req, res);
+    if (!loaded) return;
+    const { exam, attempt } = loaded;
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ status: 'fail', message: 'This exam attempt has already been submitted.' });
+    }
+
+    const section = exam.sections[attempt.currentSection];
+    if (req.body.sectionId && String(req.body.sectionId) !== section._id.toString()) {
+      return res.status(409).json({ status: 'fail', message: 'That section has ended. Reload to continue with the next section.' });
+    }
+    const state = attempt.sections.find(s => s.sectionId.toString() === section._id.toString());
+    mergeAnswers(state, section, answers);
+    await attempt.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { sectionId: section._id, savedAnswers: state.answers, expiresAt: state.expiresAt }
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') return sendConflict(res);
+    console.error('Error saving exam answers:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Submit the running section (with any last answers) and start the next one.
+ *           Submitting the last section completes the attempt.
+ * @route    POST /api/exams/:id/attempt/sections/:sectionId/submit
+ * @access   Private
+ */
+exports.submitExamSection = async (req, res, next) => {
+  try {
+    const loaded = await loadAttempt(req, res);
+    if (!loaded) return;
+    const { exam, attempt } = loaded;
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ status: 'fail', message: 'This exam attempt has already been submitted.' });
+    }
+
+    const section = exam.sections[attempt.currentSection];
+    if (String(req.params.sectionId) !== section._id.toString()) {
+      return res.status(409).json({ status: 'fail', message: 'That section has already ended. Reload to continue with the next section.' });
+    }
+    const state = attempt.sections.find(s => s.sectionId.toString() === section._id.toString());
+    if (Array.isArray(req.body.answers)) mergeAnswers(state, section, req.body.answers);
+
+    submitSection(attempt, exam, state, new Date(), false);
+    syncAttempt(attempt, exam); // Start the next section
+    await attempt.save();
+
+    if (attempt.status === 'submitted') {
+      console.log(`[Exam] User ${req.user.id} completed exam ${exam._id}`);
+      return res.status(200).json({ status: 'success', data: await serializeSubmittedAttempt(attempt, exam, req.user) });
+    }
+    res.status(200).json({ status: 'success', data: serializeRunningAttempt(attempt, exam) });
+  } catch (error) {
+    if (error.name === 'VersionError') return sendConflict(res);
+    console.error('Error submitting exam section:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Exam results: score distribution with your rank and percentile; admins also get the
+ *           full ranking. Students only after the results release time.
+ * @route    GET /api/exams/:id/results
+ * @access   Private
+ */
+exports.getExamResults = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Exam ID format.' });
+    }
+    const exam = await Exam.findById(id).lean();
+    if (!exam || !isExamVisible(exam, req.user)) {
+      return res.status(404).json({ status: 'fail', message: 'Exam not found' });
+    }
+    if (!canSeeResults(exam, req.user)) {
+      return res.status(403).json({
+        status: 'fail',
+        message: `Results will be released at ${new Date(exam.resultsReleaseAt).toISOString()}.`
+      });
+    }
+
+    await finishClosedAttempts(exam);
+    const attempts = await ExamAttempt.find({ exam: id, status: 'submitted' })
+      .select('user score totalPoints percentageScore passed submittedAt')
+      .populate('user', 'name')
+      .lean();
+    const { ranks, stats } = rankAttempts(attempts);
+    const passCount = attempts.filter(a => a.passed).length;
+
+    const mine = attempts.find(a => a.user && a.user._id.toString() === req.user.id);
+    const data = {
+      exam: { id: exam._id, title: exam.title, resultsReleaseAt: exam.resultsReleaseAt, passMark: exam.passMark },
+      stats: { ...stats, passRate: attempts.length ? Math.round((passCount / attempts.length) * 100) : null },
+      you: mine ? { percentageScore: mine.percentageScore, passed: mine.passed, ...ranks.get(mine._id.toString()) } : null
+    };
+    if (req.user.role === 'admin') {
+      data.ranking = attempts
+        .map(a => ({
+          attemptId: a._id,
+          user: a.user,
+          score: a.score,
+          totalPoints: a.totalPoints,
+          percentageScore: a.percentageScore,
+          passed: a.passed,
+          submittedAt: a.submittedAt,
+          ...ranks.get(a._id.toString())
+        }))
+        .sort((a, b) => a.rank - b.rank || new Date(a.submittedAt) - new Date(b.submittedAt));
+    }
+
+    res.status(200).json({ status: 'success', data });
+  } catch (error) {
+    console.error('Error fetching exam results:', error);
+    next(error);
+  }
+};
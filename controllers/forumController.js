@@ -3,6 +3,8 @@ const ForumCategory = require('../models/forumCategoryModel');
 const ForumTopic = require('../models/forumTopicModel');
 const ForumReply = require('../models/forumReplyModel');
 const mongoose = require('mongoose'); // Import mongoose for ObjectId validation
+const { recordForumActivity } = require('../utils/topicProgress');
+const { EVENTS, publish } = require('../utils/domainEvents');
 
 // === Category Controllers ===
 
@@ -281,6 +283,13 @@ exports.createTopic = async (req, res, next) => {
         }
     }
 
+    // Counts towards progress in the subject linked to this category
+    await recordForumActivity(authorId, category, 'topic');
+    // Pending topics are published when a moderator approves them
+    if (isAutoApproved) {
+      await publish(EVENTS.FORUM_TOPIC_POSTED, { userId: authorId, topicId: newTopic._id.toString(), categoryId: category });
+    }
+
     res.status(201).json({
         status: 'success',
         data: {
@@ -454,6 +463,13 @@ exports.addReply = async (req, res, next) => {
         await ForumCategory.findByIdAndUpdate(topic.category, { $inc: { postsCount: 1 } });
     }
 
+    // Counts towards progress in the subject linked to this category
+    await recordForumActivity(req.user.id, topic.category, 'reply');
+    // Pending replies are published when a moderator approves them
+    if (isAutoApproved) {
+      await publish(EVENTS.FORUM_REPLY_POSTED, { userId: req.user.id, replyId: newReply._id.toString(), topicId });
+    }
+
     // Populate author details for the response
     const populatedReply = await ForumReply.findById(newReply._id).populate('author', 'name');
 
@@ -524,6 +540,13 @@ exports.markBestAnswer = async (req, res, next) => {
     reply.isBestAnswer = newBestAnswerStatus;
     await reply.save();
 
+    // Achievements go to the reply's author; unmarking doesn't take them back
+    if (newBestAnswerStatus) {
+      await publish(EVENTS.FORUM_BEST_ANSWER_MARKED, {
+        userId: reply.author.toString(), replyId: reply._id.toString(), topicId: topic._id.toString(), markedBy: req.user.id
+      });
+    }
+
     // Populate author for the response
     const updatedReply = await ForumReply.findById(reply._id).populate('author', 'name');
 
@@ -3,6 +3,7 @@ const ForumTopic = require('../models/forumTopicModel');
 const ForumReply = require('../models/forumReplyModel');
 const ForumCategory = require('../models/forumCategoryModel');
 const mongoose = require('mongoose');
+const { EVENTS, publish } = require('../utils/domainEvents');
 
 /**
  * @desc     Get Pending Topics
@@ -105,6 +106,10 @@ exports.approveTopic = async (req, res, next) => {
       $inc: { topicsCount: 1, postsCount: 1 }
     });
 
+    await publish(EVENTS.FORUM_TOPIC_POSTED, {
+      userId: topic.author.toString(), topicId: topic._id.toString(), categoryId: topic.category.toString()
+    });
+
     res.status(200).json({
       status: 'success',
       data: { topic }
@@ -185,6 +190,10 @@ exports.approveReply = async (req, res, next) => {
       { $inc: { postsCount: 1 } }
     );
 
+    await publish(EVENTS.FORUM_REPLY_POSTED, {
+      userId: reply.author.toString(), replyId: reply._id.toString(), topicId: topic._id.toString()
+    });
+
     res.status(200).json({
       status: 'success',
       data: { reply }
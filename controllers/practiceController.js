@@ -0,0 +1,286 @@
+// controllers/practiceController.js
+const mongoose = require('mongoose');
+const PracticeSession = require('../models/practiceSessionModel');
+const Question = require('../models/questionModel');
+const Subject = require('../models/subjectModel');
+const UserProgress = require('../models/userProgressModel');
+const { toStudentQuestion } = require('../utils/quizSerializer');
+const { normalizeAnswer, gradeAnswer } = require('../utils/questionGrading');
+const { applyPracticeAnswer } = require('../utils/topicProgress');
+const {
+  questionRating,
+  describeAbility,
+  updateQuestionRating,
+  pickNextQuestion
+} = require('../utils/adaptivePractice');
+
+// Topics a session practises: its own topic, or every topic of the subject
+const sessionTopicIds = (session, subject) => (
+  session.topic ? [session.topic.toString()] : (subject.topics || []).map(t => t._id.toString())
+);
+
+const abilityLookup = (progressDoc) => {
+  const entries = progressDoc ? progressDoc.topicProgress || [] : [];
+  return (topicId) => {
+    const entry = entries.find(tp => tp.topic.toString() === String(topicId));
+    return entry ? entry.ability : undefined;
+  };
+};
+
+// Session state for the client: the waiting question (without answers) and the ability per topic
+const buildPracticePayload = (session, subject, progressDoc, question) => {
+  const abilityOf = abilityLookup(progressDoc);
+  const topicNames = new Map((subject.topics || []).map(t => [t._id.toString(), t.name]));
+  const answers = session.answers || [];
+
+  return {
+    sessionId: session._id,
+    status: session.status,
+    subject: { id: subject._id, name: subject.name },
+    topic: session.topic ? { id: session.topic, name: topicNames.get(session.topic.toString()) || null } : null,
+    answered: answers.length,
+    correct: answers.filter(a => a.isCorrect).length,
+    stopReason: session.stopReason || null,
+    question: session.status === 'in_progress' && question ? toStudentQuestion(question) : null,
+    abilities: sessionTopicIds(session, subject).map(topicId => ({
+      topicId,
+      name: topicNames.get(topicId) || null,
+      ...describeAbility(abilityOf(topicId))
+    }))
+  };
+};
+
+// Serve the next question, or complete the session when the picker says to stop
+const advanceSession = async (session, subject, progressDoc) => {
+  const { question, topic, stopReason } = await pickNextQuestion({
+    session,
+    topicIds: sessionTopicIds(session, subject),
+    abilityOf: abilityLookup(progressDoc)
+  });
+  const update = question
+    ? { $set: { current: { questionId: question._id, topic, servedAt: new Date() } } }
+    : { $set: { current: null, status: 'completed', stopReason, completedAt: new Date() } };
+  const updated = await PracticeSession.findOneAndUpdate(
+    { _id: session._id, status: 'in_progress' },
+    update,
+    { new: true }
+  );
+  return { session: updated || session, question };
+};
+
+/**
+ * @desc     Start (or resume) an adaptive practice session for a subject or one of its topics
+ * @route    POST /api/practice/sessions
+ * @access   Private
+ */
+exports.startPracticeSession = async (req, res, next) => {
+  try {
+    const { subjectId, topicId } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Subject ID' });
+    }
+    const subject = await Subject.findById(subjectId).select('name topics').lean();
+    if (!subject) return res.status(404).json({ status: 'fail', message: 'Subject not found' });
+    if (topicId && !(subject.topics || []).some(t => t._id.toString() === String(topicId))) {
+      return res.status(400).json({ status: 'fail', message: 'Topic does not belong to this subject.' });
+    }
+    if (!topicId && (subject.topics || []).length === 0) {
+      return res.status(400).json({ status: 'fail', message: 'This subject has no topics to practise.' });
+    }
+
+    const progressDoc = await UserProgress.findOne({ user: userId, subject: subjectId }).lean();
+
+    // Resume the same practice; any other in-progress session ends (one at a time)
+    const existing = await PracticeSession.findOne({ user: userId, status: 'in_progress' });
+    if (existing) {
+      const sameScope = existing.subject.toString() === String(subjectId)
+        && String(existing.topic || '') === String(topicId || '');
+      if (sameScope) {
+        let question = existing.current ? await Question.findById(existing.current.questionId).lean() : null;
+        let session = existing;
+        if (!question) ({ session, question } = await advanceSession(existing, subject, progressDoc));
+        console.log(`[Practice] Resuming session ${session._id} for user ${userId}`);
+        return res.status(200).json({
+          status: 'success',
+          data: { resumed: true, ...buildPracticePayload(session, subject, progressDoc, question) }
+        });
+      }
+      await PracticeSession.updateOne(
+        { _id: existing._id, status: 'in_progress' },
+        { $set: { status: 'completed', current: null, stopReason: 'abandoned', completedAt: new Date() } }
+      );
+    }
+
+    const draft = { subject: subjectId, topic: topicId || null, answers: [] };
+    const { question, topic } = await pickNextQuestion({
+      session: draft,
+      topicIds: sessionTopicIds(draft, subject),
+      abilityOf: abilityLookup(progressDoc)
+    });
+    if (!question) {
+      return res.status(400).json({ status: 'fail', message: 'No practice questions are available for this selection yet.' });
+    }
+
+    let session;
+    try {
+      session = await PracticeSession.create({
+        ...draft,
+        user: userId,
+        current: { questionId: question._id, topic }
+      });
+    } catch (err) {
+      // A parallel request started a session first - resume that one
+      if (err.code === 11000) {
+        const concurrent = await PracticeSession.findOne({ user: userId, status: 'in_progress' });
+        if (concurrent && concurrent.current) {
+          const concurrentQuestion = await Question.findById(concurrent.current.questionId).lean();
+          return res.status(200).json({
+            status: 'success',
+            data: { resumed: true, ...buildPracticePayload(concurrent, subject, progressDoc, concurrentQuestion) }
+          });
+        }
+      }
+      throw err;
+    }
+
+    console.log(`[Practice] Started session ${session._id} for user ${userId} on subject ${subjectId}`);
+    res.status(201).json({
+      status: 'success',
+      data: { resumed: false, ...buildPracticePayload(session, subject, progressDoc, question) }
+    });
+  } catch (error) {
+    console.error('Error starting practice session:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Get a practice session with its waiting question
+ * @route    GET /api/practice/sessions/:sessionId
+ * @access   Private (owner or admin)
+ */
+exports.getPracticeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Session ID format.' });
+    }
+    let session = await PracticeSession.findById(sessionId);
+    if (!session) return res.status(404).json({ status: 'fail', message: 'Practice session not found.' });
+    if (session.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ status: 'fail', message: 'You do not have permission to view this session.' });
+    }
+
+    const subject = await Subject.findById(session.subject).select('name topics').lean();
+    if (!subject) return res.status(404).json({ status: 'fail', message: 'Subject not found' });
+    const progressDoc = await UserProgress.findOne({ user: session.user, subject: session.subject }).lean();
+
+    let question = null;
+    if (session.status === 'in_progress') {
+      question = session.current ? await Question.findById(session.current.questionId).lean() : null;
+      // An earlier answer was recorded but the next question wasn't picked (or it was deleted)
+      if (!question && session.user.toString() === req.user.id) {
+        ({ session, question } = await advanceSession(session, subject, progressDoc));
+      }
+    }
+
+    res.status(200).json({ status: 'success', data: buildPracticePayload(session, subject, progressDoc, question) });
+  } catch (error) {
+    console.error('Error fetching practice session:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Answer the waiting question. Updates the topic ability and serves the next question,
+ *           or ends the session once the estimate is confident enough.
+ * @route    POST /api/practice/sessions/:sessionId/answers
+ * @access   Private (owner)
+ */
+exports.answerPracticeQuestion = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Session ID format.' });
+    }
+    const session = await PracticeSession.findById(sessionId);
+    if (!session) return res.status(404).json({ status: 'fail', message: 'Practice session not found.' });
+    if (session.user.toString() !== userId) {
+      return res.status(403).json({ status: 'fail', message: 'You can only answer your own practice sessions.' });
+    }
+    if (session.status !== 'in_progress') {
+      return res.status(400).json({ status: 'fail', message: 'This practice session has ended.' });
+    }
+    if (!session.current || String(req.body.questionId) !== session.current.questionId.toString()) {
+      return res.status(409).json({ status: 'fail', message: 'This is not the current question. Fetch the session to continue.' });
+    }
+
+    const { current } = session;
+    const question = await Question.findById(current.questionId).lean();
+    const subject = await Subject.findById(session.subject).select('name topics').lean();
+    if (!question || !subject) {
+      return res.status(404).json({ status: 'fail', message: 'Question not found. Fetch the session to continue.' });
+    }
+
+    const { credit, isCorrect } = gradeAnswer(question, normalizeAnswer({ ...req.body, questionId: question._id }));
+
+    // Claim the question first so a double submit can't count twice
+    const claimed = await PracticeSession.findOneAndUpdate(
+      { _id: session._id, status: 'in_progress', 'current.questionId': current.questionId },
+      { $set: { current: null } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ status: 'fail', message: 'This question has already been answered.' });
+    }
+
+    const rating = questionRating(question);
+    const outcome = await applyPracticeAnswer({
+      userId,
+      subjectId: session.subject,
+      topicId: current.topic,
+      questionRating: rating,
+      score: credit
+    });
+    await updateQuestionRating(question, outcome.questionDelta);
+
+    const answered = await PracticeSession.findByIdAndUpdate(
+      session._id,
+      {
+        $push: {
+          answers: {
+            questionId: question._id,
+            topic: current.topic,
+            questionRating: rating,
+            abilityBefore: outcome.previousRating,
+            abilityAfter: outcome.ability.rating,
+            expected: Math.round(outcome.expected * 1000) / 1000,
+            credit,
+            isCorrect
+          }
+        }
+      },
+      { new: true }
+    );
+    const progressDoc = outcome.progress.toObject();
+    const { session: updated, question: nextQuestion } = await advanceSession(answered, subject, progressDoc);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        result: {
+          questionId: question._id,
+          isCorrect,
+          credit,
+          ability: { topicId: current.topic, ...describeAbility(outcome.ability) }
+        },
+        ...buildPracticePayload(updated, subject, progressDoc, nextQuestion)
+      }
+    });
+  } catch (error) {
+    console.error('Error answering practice question:', error);
+    next(error);
+  }
+};
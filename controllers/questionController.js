@@ -0,0 +1,198 @@
+// controllers/questionController.js
+const mongoose = require('mongoose');
+const Question = require('../models/questionModel');
+const Quiz = require('../models/quizModel');
+const Subject = require('../models/subjectModel');
+const { QUESTION_TYPES, validateQuestion } = require('../utils/questionGrading');
+const { copyQuizQuestionsToBank } = require('../utils/questionBank');
+const { escapeRegex } = require('../utils/helpers');
+
+// Fields admins can't set directly
+const PROTECTED_FIELDS = ['_id', 'correctAnswer', 'source', 'createdBy', 'createdAt', 'updatedAt'];
+
+const stripProtectedFields = (body) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Check the subject exists and the topic (if any) is one of its topics
+const validateSubjectAndTopic = async (subjectId, topicId) => {
+  if (!subjectId || !mongoose.Types.ObjectId.isValid(subjectId)) return 'Valid subject ID is required.';
+  const subject = await Subject.findById(subjectId).select('topics._id');
+  if (!subject) return 'Subject not found.';
+  if (topicId) {
+    if (!mongoose.Types.ObjectId.isValid(topicId)) return 'Invalid topic ID.';
+    if (!subject.topics.some(topic => topic._id.equals(topicId))) return 'Topic does not belong to this subject.';
+  }
+  return null;
+};
+
+/**
+ * @desc     List bank questions (filter by subject, topic, difficulty, type, tag, search)
+ * @route    GET /api/questions
+ * @access   Private/Admin
+ */
+exports.getAllQuestions = async (req, res, next) => {
+  try {
+    const filter = {};
+    for (const field of ['subject', 'topic']) {
+      if (!req.query[field]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        return res.status(400).json({ status: 'fail', message: `Invalid ${field} ID format.` });
+      }
+      filter[field] = req.query[field];
+    }
+    if (req.query.difficulty && req.query.difficulty !== 'all') filter.difficulty = req.query.difficulty;
+    if (req.query.type && QUESTION_TYPES.includes(req.query.type)) filter.type = req.query.type;
+    if (req.query.tag) filter.tags = String(req.query.tag).toLowerCase();
+    if (req.query.search) filter.text = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    if (req.query.includeArchived !== 'true') filter.isActive = true;
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [questions, totalResults] = await Promise.all([
+      Question.find(filter).sort('-createdAt').skip(skip).limit(limit).lean(),
+      Question.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      totalResults,
+      results: questions.length,
+      totalPages: Math.ceil(totalResults / limit),
+      currentPage: page,
+      data: { questions }
+    });
+  } catch (error) {
+    console.error('Error fetching bank questions:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Get a bank question
+ * @route    GET /api/questions/:id
+ * @access   Private/Admin
+ */
+exports.getQuestionById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Question ID format.' });
+    }
+    const question = await Question.findById(req.params.id).lean();
+    if (!question) return res.status(404).json({ status: 'fail', message: 'Question not found' });
+
+    res.status(200).json({ status: 'success', data: { question } });
+  } catch (error) {
+    console.error('Error fetching bank question:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Add a question to the bank
+ * @route    POST /api/questions
+ * @access   Private/Admin
+ */
+exports.createQuestion = async (req, res, next) => {
+  try {
+    const data = stripProtectedFields(req.body);
+    const subjectError = await validateSubjectAndTopic(data.subject, data.topic);
+    if (subjectError) return res.status(400).json({ status: 'fail', message: subjectError });
+    const questionError = validateQuestion(data);
+    if (questionError) return res.status(400).json({ status: 'fail', message: questionError });
+
+    const question = await Question.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({ status: 'success', data: { question } });
+  } catch (error) {
+    console.error('Error creating bank question:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc     Update a bank question
+ * @route    PATCH /api/questions/:id
+ * @access   Private/Admin
+ */
+exports.updateQuestion = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Question ID format.' });
+    }
+    const question = await Question.findById(req.params.id);
+    if (!question) return res.status(404).json({ status: 'fail', message: 'Question not found' });
+
+    question.set(stripProtectedFields(req.body));
+    // Ordering options sent without a correctOrder are in the correct order - re-key them on save
+    if (req.body.options !== undefined && req.body.correctOrder === undefined) question.correctOrder = [];
+    if (req.body.subject !== undefined || req.body.topic !== undefined) {
+      const subjectError = await validateSubjectAndTopic(question.subject?.toString(), question.topic?.toString());
+      if (subjectError) return res.status(400).json({ status: 'fail', message: subjectError });
+    }
+    // Validate the merged question so partial updates can't leave it inconsistent
+    const questionError = validateQuestion(question.toObject());
+    if (questionError) return res.status(400).json({ status: 'fail', message: questionError });
+
+    await question.save();
+
+    res.status(200).json({ status: 'success', data: { question } });
+  } catch (error) {
+    console.error('Error updating bank question:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc     Archive a bank question. It is no longer drawn or referenced by new sessions,
+ *           but attempts that used it can still be reviewed.
+ * @route    DELETE /api/questions/:id
+ * @access   Private/Admin
+ */
+exports.archiveQuestion = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Question ID format.' });
+    }
+    const question = await Question.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!question) return res.status(404).json({ status: 'fail', message: 'Question not found' });
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    console.error('Error archiving bank question:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Copy a quiz's embedded questions into the bank (already copied ones are skipped)
+ * @route    POST /api/questions/import/quiz/:quizId
+ * @access   Private/Admin
+ */
+exports.importFromQuiz = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    const quiz = await Quiz.findById(req.params.quizId).lean();
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+
+    const result = await copyQuizQuestionsToBank(quiz, { createdBy: req.user._id });
+    console.log(`[Question Bank] Imported quiz ${quiz._id}: ${result.created} created, ${result.skipped} skipped, ${result.failed} failed`);
+
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    console.error('Error importing quiz questions into the bank:', error);
+    next(error);
+  }
+};
@@ -4,7 +4,58 @@ const Quiz = require('../models/quizModel');
 const Subject = require('../models/subjectModel');
 const QuizAttempt = require('../models/quizAttemptModel');
 const User = require('../models/userModel');
-const achievementController = require('./achievementController');
+const QuizSession = require('../models/quizSessionModel');
+const QuizVersion = require('../models/quizVersionModel');
+const { applyPointsChange } = require('../utils/pointsLedger');
+const config = require('../config/config');
+const { serializeQuiz, toStudentQuestion, canRevealAnswers, canSeeAllAnswers } = require('../utils/quizSerializer');
+const { resolveQuestionType, orderingKey, validateQuestions, normalizeAnswer, gradeAnswer, describeCorrectAnswer } = require('../utils/questionGrading');
+const { validateQuestionSources, resolveQuestions, generateQuestionSet, withSessionQuestions } = require('../utils/questionBank');
+const { recordQuizAttempt } = require('../utils/topicProgress');
+const { EVENTS, publish } = require('../utils/domainEvents');
+const { syncLevel } = require('../utils/progression');
+const { enqueueMissedQuestions } = require('../utils/spacedRepetition');
+const { buildItemAnalysis, itemAnalysisToCsv } = require('../utils/itemAnalysis');
+const { IMPORT_FORMATS, pickQuizSettings, parseQuizImport, buildQuizExport } = require('../utils/quizFormats');
+const { escapeRegex } = require('../utils/helpers');
+const { buildAttemptReview } = require('../utils/attemptReview');
+const { resolveRetakePolicy, getRetakeStatus, countedResult, repeatPointsMultiplier } = require('../utils/retakePolicy');
+const { ensureQuizVersion, loadQuizAtVersion, diffVersions } = require('../utils/quizVersions');
+
+// Fields the quiz lists can sort by
+const QUIZ_SORT_FIELDS = ['title', 'difficulty', 'timeLimit', 'createdAt', 'updatedAt', 'attempts', 'rating', 'ratingsCount'];
+// Top-level fields GET /api/quizzes can return with ?fields (no paths into questions)
+const QUIZ_SELECT_FIELDS = [
+  'title', 'description', 'subject', 'topic', 'difficulty', 'timeLimit', 'shuffleQuestions', 'shuffleOptions',
+  'questions', 'bankQuestions', 'drawRules', 'isPublished', 'passScore', 'answerRelease', 'closesAt', 'retakePolicy',
+  'createdBy', 'attempts', 'currentVersion', 'rating', 'ratingsCount', 'createdAt', 'updatedAt'
+];
+const QUIZ_DIFFICULTIES = Quiz.schema.path('difficulty').enumValues;
+
+// ?difficulty for the quiz lists: one of the quiz difficulties ('all' or anything else = no filter)
+const parseDifficultyFilter = (difficulty) => (QUIZ_DIFFICULTIES.includes(difficulty) ? difficulty : null);
+
+// ?sort for the quiz lists: quiz-level fields only - sorting by question content would leak it just like filtering
+const parseQuizSort = (sort) => (typeof sort === 'string'
+  ? sort.split(',').map(f => f.trim()).filter(f => QUIZ_SORT_FIELDS.includes(f.replace(/^-/, ''))).join(' ')
+  : '');
+
+// The user's earlier attempts at a quiz, oldest first (what the retake policy looks at)
+const findPreviousAttempts = (userId, quizId) => QuizAttempt.find({ user: userId, quiz: quizId })
+  .sort({ createdAt: 1, _id: 1 })
+  .select('percentageScore passed createdAt pointsAwarded attemptNumber')
+  .lean();
+
+// Record a version when a quiz is published or a published quiz's content changes. Sessions
+// check for changes again when they start, so a failure here is only logged.
+const recordPublishedVersion = async (quiz, { reason, createdBy }) => {
+  if (!quiz || !quiz.isPublished) return;
+  try {
+    await ensureQuizVersion(quiz, { reason, createdBy });
+  } catch (err) {
+    console.error(`[Quiz Version] Could not record a version of quiz ${quiz._id}:`, err);
+  }
+};
 
 /**
  * @desc     Get all quizzes with filtering, sorting, pagination, and total count
@@ -14,41 +65,30 @@ const achievementController = require('./achievementController');
 exports.getAllQuizzes = async (req, res, next) => {
   try {
     // --- Filtering ---
-    let queryObj = { ...req.query };
-    const excludedFields = ['page', 'sort', 'limit', 'fields', 'search']; // Added 'search'
-    excludedFields.forEach(field => delete queryObj[field]);
-
-    // Add specific filters based on query parameters
-    // Example: Filter by difficulty
-    if (req.query.difficulty && req.query.difficulty !== 'all') { // Handle 'all' filter
-        queryObj.difficulty = req.query.difficulty;
-    } else {
-        delete queryObj.difficulty; // Remove if 'all' or not provided
-    }
-
-    // --- CORRECTED Published Status Filter ---
-    // Default to published=true only if the parameter is completely missing or explicitly 'true'
-    if (req.query.isPublished === 'false') {
-      console.log("isPublished is 'false', fetching unpublished.");
-      queryObj.isPublished = false; // Explicitly fetch only unpublished
-    } else if (req.query.isPublished === 'all') {
-      // If 'all', remove the isPublished property from the query object
-      console.log("isPublished is 'all', removing filter.");
-      delete queryObj.isPublished;
-    } else {
-        // Default to published=true (if undefined, 'true', or any other value)
-        console.log(`isPublished is '${req.query.isPublished}', defaulting to true.`);
-        queryObj.isPublished = true;
+    // Built only from the parameters below. Copying arbitrary query keys into the filter would let
+    // anyone probe answer keys (e.g. questions.options.isCorrect) through the result count.
+    const queryObj = {};
+    const isAdmin = canSeeAllAnswers(req.user);
+    const difficulty = parseDifficultyFilter(req.query.difficulty);
+    if (difficulty) {
+        queryObj.difficulty = difficulty;
+    }
+
+    // --- Published Status Filter ---
+    // Students only ever see published quizzes; admins can ask for 'false' (drafts) or 'all'
+    if (isAdmin && req.query.isPublished === 'false') {
+      queryObj.isPublished = false;
+    } else if (!(isAdmin && req.query.isPublished === 'all')) {
+      queryObj.isPublished = true;
     }
-    // --- End CORRECTED Filter ---
 
     // Handle text search
-    if (req.query.search) {
-      queryObj.title = { $regex: req.query.search, $options: 'i' };
+    if (typeof req.query.search === 'string' && req.query.search) {
+      queryObj.title = { $regex: escapeRegex(req.query.search), $options: 'i' };
     }
 
     // --- Handle Subject Filter (Single or Multiple) ---
-    if (req.query.subject && req.query.subject !== 'all') { // Handle 'all' filter
+    if (typeof req.query.subject === 'string' && req.query.subject && req.query.subject !== 'all') { // Handle 'all' filter
         const subjectIds = req.query.subject.split(',') // Split by comma
             .map(id => id.trim()) // Remove whitespace
             .filter(id => mongoose.Types.ObjectId.isValid(id)); // Keep only valid ObjectIds
@@ -61,8 +101,6 @@ exports.getAllQuizzes = async (req, res, next) => {
              // Match nothing if filter is present but invalid
              queryObj._id = new mongoose.Types.ObjectId(); // Generate a non-existent ID to return 0 results
         }
-    } else {
-        delete queryObj.subject; // Remove if 'all' or not provided
     }
     // --- End Subject Filter ---
 
@@ -77,8 +115,8 @@ exports.getAllQuizzes = async (req, res, next) => {
     let query = Quiz.find(queryObj);
 
     // --- Sorting ---
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
+    const sortBy = parseQuizSort(req.query.sort);
+    if (sortBy) {
       query = query.sort(sortBy);
     } else {
       query = query.sort('-createdAt'); // Default sort
@@ -86,9 +124,11 @@ exports.getAllQuizzes = async (req, res, next) => {
 
 
     // --- Field Limiting ---
-     if (req.query.fields) {
-       const fields = req.query.fields.split(',').join(' ');
-       query = query.select(fields);
+     const fields = typeof req.query.fields === 'string'
+       ? req.query.fields.split(',').map(f => f.trim()).filter(f => QUIZ_SELECT_FIELDS.includes(f))
+       : [];
+     if (fields.length > 0) {
+       query = query.select(fields.join(' '));
      } else {
        query = query.select('-__v'); // Exclude __v by default
      }
@@ -125,7 +165,7 @@ exports.getAllQuizzes = async (req, res, next) => {
       totalPages: totalPages,
       currentPage: page,
       data: {
-        quizzes // Paginated quizzes
+        quizzes: quizzes.map(quiz => serializeQuiz(quiz, req.user)) // Paginated quizzes, answers only for admins
       }
     });
   } catch (error) {
@@ -142,12 +182,14 @@ exports.getAllQuizzes = async (req, res, next) => {
 exports.getQuizById = async (req, res, next) => {
   try {
     // Populate subject and include virtuals for the detail view
-    const quiz = await Quiz.findById(req.params.id)
+    let query = Quiz.findById(req.params.id)
         .populate({
           path: 'subject',
           select: 'name color icon'
-        })
-        .lean({ virtuals: true }); // Fetch virtuals like totalQuestions, totalPoints
+        });
+    // Referenced bank questions (with answers) are only expanded for admins
+    if (canSeeAllAnswers(req.user)) query = query.populate('bankQuestions');
+    const quiz = await query.lean({ virtuals: true }); // Fetch virtuals like totalQuestions, totalPoints
 
     if (!quiz) {
       return res.status(404).json({
@@ -159,7 +201,7 @@ exports.getQuizById = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        quiz
+        quiz: serializeQuiz(quiz, req.user) // Answers only for admins
       }
     });
   } catch (error) {
@@ -182,7 +224,14 @@ exports.createQuiz = async (req, res, next) => {
      if (!req.body.title) {
          return res.status(400).json({ status: 'fail', message: 'Quiz title is required.' });
      }
-     // Add more validation as needed (e.g., questions array non-empty?)
+     if (req.body.questions !== undefined) {
+         const questionError = validateQuestions(req.body.questions);
+         if (questionError) return res.status(400).json({ status: 'fail', message: questionError });
+     }
+     const sourceError = await validateQuestionSources({
+         subjectId: req.body.subject, bankQuestions: req.body.bankQuestions, drawRules: req.body.drawRules
+     });
+     if (sourceError) return res.status(400).json({ status: 'fail', message: sourceError });
 
     // Validate that subject exists
     const subject = await Subject.findById(req.body.subject);
@@ -195,11 +244,13 @@ exports.createQuiz = async (req, res, next) => {
       ...req.body,
       createdBy: req.user?._id // Get user from auth middleware (ensure protect middleware runs)
     };
+    delete newQuizData.currentVersion; // Managed by utils/quizVersions.js
 
     // Note: The pre-save hook in quizModel.js will handle setting correctAnswer based on isCorrect flag
     // and ensuring option IDs exist before the actual save.
 
     const newQuiz = await Quiz.create(newQuizData);
+    await recordPublishedVersion(newQuiz.toObject(), { reason: 'published', createdBy: req.user?._id });
 
     res.status(201).json({
       status: 'success',
@@ -224,6 +275,29 @@ exports.createQuiz = async (req, res, next) => {
 exports.updateQuiz = async (req, res, next) => {
   try {
     const updateData = { ...req.body };
+    delete updateData.currentVersion; // Managed by utils/quizVersions.js
+
+    if (updateData.questions !== undefined) {
+      const questionError = validateQuestions(updateData.questions);
+      if (questionError) return res.status(400).json({ status: 'fail', message: questionError });
+      // findByIdAndUpdate skips the pre-validate hooks, so resolve types and key ordering questions here
+      updateData.questions = updateData.questions.map(question => ({
+        ...question,
+        type: resolveQuestionType(question),
+        ...orderingKey(question)
+      }));
+    }
+    if (updateData.bankQuestions !== undefined || updateData.drawRules !== undefined || updateData.subject !== undefined) {
+      const current = await Quiz.findById(req.params.id).select('subject bankQuestions drawRules').lean();
+      if (!current) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+      // Draw rules only draw from the quiz's subject, so re-check them when it changes
+      const sourceError = await validateQuestionSources({
+        subjectId: updateData.subject || current.subject,
+        bankQuestions: updateData.bankQuestions,
+        drawRules: updateData.drawRules !== undefined ? updateData.drawRules : (updateData.subject ? current.drawRules : undefined)
+      });
+      if (sourceError) return res.status(400).json({ status: 'fail', message: sourceError });
+    }
 
     // Prevent direct update of certain fields if necessary
     // delete updateData.attempts;
@@ -243,6 +317,11 @@ exports.updateQuiz = async (req, res, next) => {
     if (!quiz) {
       return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
     }
+    // Edits never touch existing versions - attempts keep pointing at the version they were taken on
+    await recordPublishedVersion(quiz.toObject(), {
+      reason: updateData.isPublished === true ? 'published' : 'edited',
+      createdBy: req.user?._id
+    });
 
     res.status(200).json({
       status: 'success',
@@ -275,6 +354,8 @@ exports.deleteQuiz = async (req, res, next) => {
     // Delete all associated quiz attempts
     const deleteResult = await QuizAttempt.deleteMany({ quiz: req.params.id });
     console.log(`Deleted ${deleteResult.deletedCount} associated quiz attempts for quiz ${req.params.id}`);
+    await QuizSession.deleteMany({ quiz: req.params.id });
+    await QuizVersion.deleteMany({ quiz: req.params.id });
 
     res.status(204).json({ status: 'success', data: null }); // 204 No Content
   } catch (error) {
@@ -283,160 +364,520 @@ exports.deleteQuiz = async (req, res, next) => {
   }
 };
 
+// --- Quiz Session Helpers ---
+
+// Seconds left before the session deadline (null when the quiz has no time limit)
+const getRemainingSeconds = (session) => {
+  if (!session.expiresAt) return null;
+  return Math.max(0, Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000));
+};
+
+// Has the session passed its deadline plus the grace period?
+const isPastDeadline = (session) => {
+  if (!session.expiresAt) return false;
+  return Date.now() > new Date(session.expiresAt).getTime() + config.quiz.submissionGraceSeconds * 1000;
+};
+
+// Reorder a question's options as they were shuffled for the session
+const applyOptionOrder = (question, optionOrder) => {
+  const entry = (optionOrder || []).find(o => o.questionId && o.questionId.toString() === question._id.toString());
+  if (!entry) return question;
+  const optionsById = new Map((question.options || []).map(o => [o._id.toString(), o]));
+  const ordered = entry.optionIds.map(id => optionsById.get(id.toString())).filter(Boolean);
+  // Options added after the session started go last
+  const rest = (question.options || []).filter(o => !entry.optionIds.some(id => id.toString() === o._id.toString()));
+  return { ...question, options: [...ordered, ...rest] };
+};
+
+// Session data sent to the client on start/resume: questions in session order, no answers
+const buildSessionPayload = async (session, liveQuiz) => {
+  const quiz = await loadQuizAtVersion(liveQuiz, session.quizVersion);
+  const { questions } = await withSessionQuestions(quiz, session);
+  return {
+    sessionId: session._id,
+    quizId: quiz._id,
+    status: session.status,
+    startedAt: session.startedAt,
+    expiresAt: session.expiresAt,
+    remainingSeconds: getRemainingSeconds(session),
+    savedAnswers: session.savedAnswers || [],
+    attemptId: session.attempt || null,
+    quiz: {
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.difficulty,
+      timeLimit: quiz.timeLimit,
+      passScore: quiz.passScore,
+      totalQuestions: questions.length,
+      version: quiz.quizVersionNumber || null
+    },
+    questions: questions
+      .map(question => applyOptionOrder(question, session.optionOrder))
+      .map(toStudentQuestion)
+  };
+};
+
 /**
- * @desc     Submit a quiz attempt
- * @route    POST /api/quizzes/:id/attempts
- * @access   Private (Requires 'protect' middleware in routes)
+ * Grade answers against a quiz, store the QuizAttempt and credit points, XP and achievements.
+ * @param {object} params
+ * @param {object} params.quiz - Lean quiz document (subject populated) at the session's version (loadQuizAtVersion)
+ *   whose questions are the session's (withSessionQuestions)
+ * @param {string} params.userId
+ * @param {Array<{questionId: string, answerId: string}>} params.answers
+ * @param {number} params.timeTaken - Seconds, measured by the server
+ * @param {object} [params.session] - QuizSession the answers came from
+ * @param {boolean} [params.autoSubmitted=false] - Graded from saved answers after the deadline
+ * @returns {Promise<object>} Submission result sent back to the client
  */
-exports.submitQuizAttempt = async (req, res, next) => {
-  // Add log at the very beginning to check req.user
-  console.log('[submitQuizAttempt] req.user at start:', JSON.stringify(req.user));
+const gradeAndRecordAttempt = async ({ quiz, userId, answers, timeTaken, session = null, autoSubmitted = false }) => {
+  const quizId = quiz._id.toString();
+
+  // --- Score Calculation Logic ---
+  let score = 0, totalPoints = quiz.totalPoints || 0, correctCount = 0, questionsInAttempt = 0;
+
+  // Calculate totalPoints manually if not available from virtuals (fallback)
+  if (totalPoints === 0) {
+    console.warn("Quiz totalPoints virtual not available, calculating manually.");
+    totalPoints = quiz.questions.reduce((sum, q) => sum + (q.points || 0), 0);
+  }
+
+  // Process answers
+  // Each question type is graded in utils/questionGrading.js; partial credit earns a share of the points
+  const processedAnswers = answers.map(rawAnswer => {
+    const answer = normalizeAnswer(rawAnswer);
+    if (!answer) return null;
+    const question = quiz.questions.find(q => q._id.toString() === answer.questionId);
+    if (!question) { console.warn(`Question ID ${answer.questionId} from submission not found in quiz ${quizId}. Skipping.`); return null; }
+
+    questionsInAttempt++;
+    const { credit, pointsEarned, isCorrect } = gradeAnswer(question, answer);
+    score += pointsEarned;
+    if (isCorrect) correctCount += 1;
+
+    return { ...answer, isCorrect, credit, pointsEarned };
+  }).filter(a => a !== null);
+  score = Math.round(score * 100) / 100;
+
+  // Calculate percentage score based on the total points of the QUIZ, not just answered questions
+  const percentageScore = totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0;
+  const passScore = quiz.passScore || 70;
+  const passed = percentageScore >= passScore;
+
+  // Retakes: repeat attempts of a passed quiz earn less (or nothing), and the user's quiz score
+  // stats follow the attempt the scoring policy counts
+  const retakePolicy = resolveRetakePolicy(quiz);
+  const previousAttempts = await findPreviousAttempts(userId, quizId);
+  const pointsMultiplier = repeatPointsMultiplier(retakePolicy, previousAttempts);
+  const countedBefore = countedResult(previousAttempts, retakePolicy.scoring, passScore);
+  const countedAfter = countedResult([...previousAttempts, { percentageScore, passed }], retakePolicy.scoring, passScore);
+
+  // --- POINTS SYSTEM CALCULATION ---
+  const calculatePointsAwarded = () => {
+    const difficultyMultiplier = { 'easy': 1, 'medium': 1.5, 'hard': 2.5 }[quiz.difficulty] || 1;
+    const basePoints = 10;
+    const questionCountFactor = Math.min(2, Math.log10(quiz.questions.length + 1) + 0.5);
+    const perfectScoreBonus = percentageScore === 100 ? 1.2 : 1;
+    let timeBonus = 1;
+    if (timeTaken && quiz.timeLimit && quiz.timeLimit > 0) {
+      const timePercentage = timeTaken / (quiz.timeLimit * 60);
+      if (timePercentage < 0.5) timeBonus = 1.1;
+    }
+    const rawPoints = basePoints * difficultyMultiplier * (percentageScore / 100) * questionCountFactor * perfectScoreBonus * timeBonus;
+    return Math.max(1, Math.round(rawPoints));
+  };
+  const pointsAwarded = Math.round(calculatePointsAwarded() * pointsMultiplier);
+  console.log(`Points awarded for quiz completion: ${pointsAwarded} (retake multiplier ${pointsMultiplier})`);
+
+  // --- XP CALCULATION ---
+  const xpMultiplier = { 'easy': 1, 'medium': 1.5, 'hard': 2 }[quiz.difficulty] || 1;
+  const xpAwarded = Math.floor(percentageScore * 0.5 * xpMultiplier * pointsMultiplier);
+  console.log(`XP awarded for quiz completion: ${xpAwarded}`);
+
+  // --- Save attempt and Update User Stats ---
+  // Saving the attempt and crediting it must both succeed - errors propagate so the caller can
+  // re-open the session for a retry. What follows them only logs its failures.
+  let achievementResults = { awarded: [] };
+  let levelUp = null;
+
+  // 1. Save quiz attempt
+  const attempt = await QuizAttempt.create({
+    user: userId, quiz: quiz._id, quizVersion: quiz.quizVersion || null, quizVersionNumber: quiz.quizVersionNumber || null,
+    answers: processedAnswers, score: score,
+    totalPoints: totalPoints, percentageScore: percentageScore, passed: passed,
+    timeTaken: timeTaken ?? null, pointsAwarded: pointsAwarded, pointsMultiplier,
+    attemptNumber: previousAttempts.length + 1,
+    session: session ? session._id : null, autoSubmitted
+    // ratingGiven will default to null here
+  });
+  const attemptId = attempt._id; // Capture the ID of the saved attempt
+  console.log(`Quiz attempt ${attemptId} saved for user ${userId}`);
+
+  // Quiz stats count each quiz once, with the score of the attempt the scoring policy counts
+  const completedInc = countedBefore ? 0 : 1;
+  const scoreSumInc = Math.round((countedAfter.percentageScore - (countedBefore ? countedBefore.percentageScore : 0)) * 100) / 100;
+
+  // Log the values *before* the update operation
+  console.log(`[submitQuizAttempt] BEFORE UPDATE - Incrementing stats for user ${userId}: XP+=${xpAwarded}, Points+=${pointsAwarded}, QuizPoints+=${pointsAwarded}, Completed+=${completedInc}, ScoreSum+=${scoreSumInc}`);
+
+  // 2. Credit points/XP through the ledger and update the aggregate quiz stats in the same write
+  let userUpdate;
   try {
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-    console.log('Request params:', JSON.stringify(req.params, null, 2));
-    // console.log('Request user:', req.user); // Redundant with the log above
+    if (session) {
+      await QuizSession.updateOne({ _id: session._id }, { $set: { attempt: attempt._id } });
+    }
+    userUpdate = await applyPointsChange({
+      userId,
+      points: pointsAwarded,
+      xp: xpAwarded,
+      source: 'quiz_attempt',
+      sourceId: attempt._id,
+      description: `Completed quiz "${quiz.title}" (${percentageScore}%${previousAttempts.length ? `, attempt ${previousAttempts.length + 1}` : ''})`,
+      extraInc: {
+        quizPointsEarned: pointsAwarded,   // Increment quiz-specific points
+        quizCompletedCount: completedInc,  // First attempt at this quiz only
+        quizTotalPercentageScoreSum: scoreSumInc // Change in the counted score for this quiz
+      }
+    });
+  } catch (error) {
+    // Remove the uncredited attempt so a retry doesn't count it as an earlier attempt
+    console.error(`Error crediting quiz attempt ${attemptId} for user ${userId}, removing it:`, error);
+    await QuizAttempt.deleteOne({ _id: attempt._id });
+    throw error;
+  }
 
+  // Update quiz attempts count - only once the attempt is credited, so a retried submission counts once
+  try {
+    await Quiz.findByIdAndUpdate(quizId, { $inc: { attempts: 1 } });
+  } catch (error) {
+    console.error(`Error counting attempt ${attemptId} on quiz ${quizId}:`, error);
+  }
+
+  // Log the result *after* the update operation
+  if (userUpdate) {
+      console.log(`[submitQuizAttempt] AFTER UPDATE - User data: XP=${userUpdate.xp}, Points=${userUpdate.points}, QuizPoints=${userUpdate.quizPointsEarned}, Completed=${userUpdate.quizCompletedCount}, ScoreSum=${userUpdate.quizTotalPercentageScoreSum}`);
+  } else {
+      console.warn(`[submitQuizAttempt] AFTER UPDATE - User ${userId} not found during update. Stats not updated.`);
+  }
+
+  // 3. Side effects of the recorded attempt
+  try {
+    // Topic progress/mastery (by question topic, falling back to Quiz.topic)
+    await recordQuizAttempt({ userId, quiz, answers: processedAnswers });
+  } catch (error) {
+    console.error(`Error updating topic progress for attempt ${attemptId}:`, error);
+  }
+  try {
+    // Missed questions go into the user's review queue
+    await enqueueMissedQuestions({ userId, quiz, answers: processedAnswers, attemptId: attempt._id });
+  } catch (error) {
+    console.error(`Error queueing missed questions of attempt ${attemptId}:`, error);
+  }
+
+  if (userUpdate) {
+    try {
+      // Check for level up based on the updated XP
+      const levelChange = await syncLevel(userId);
+      if (levelChange && levelChange.leveledUp) {
+        levelUp = { previousLevel: levelChange.previousLevel, level: levelChange.level, title: levelChange.title, rewards: levelChange.rewards };
+      }
+    } catch (error) {
+      console.error(`Error updating the level of user ${userId}:`, error);
+    }
+
+    // 4. Let subscribers (achievements) react to the submission (publish never throws)
+    const { achievements } = await publish(EVENTS.QUIZ_SUBMITTED, {
+      userId, quizId: quiz._id.toString(), attemptId, percentageScore, passed,
+      difficulty: quiz.difficulty, subjectId: quiz.subject?._id?.toString() || null
+    });
+    if (achievements) achievementResults = achievements;
+  }
+
+  const retakeStatus = getRetakeStatus(retakePolicy, [...previousAttempts, { createdAt: new Date() }]);
+
+  return {
+    attemptId, // Send the attemptId back to the frontend
+    score, totalPoints, percentageScore, passed, correctAnswers: correctCount,
+    totalQuestions: quiz.questions.length, pointsAwarded, xpAwarded, timeTaken,
+    autoSubmitted, quizVersion: quiz.quizVersionNumber || null, achievements: achievementResults.awarded, levelUp,
+    retake: {
+      attemptNumber: previousAttempts.length + 1,
+      pointsMultiplier,
+      scoring: retakePolicy.scoring,
+      countedScore: countedAfter.percentageScore,
+      countedPassed: countedAfter.passed,
+      attemptsRemaining: retakeStatus.attemptsRemaining,
+      nextAttemptAt: retakeStatus.nextAttemptAt
+    }
+  };
+};
+
+/**
+ * Close a session whose deadline (+ grace) has passed. Under the 'autograde' late policy the
+ * answers saved before the deadline are graded; under 'reject' the session just expires.
+ * @param {object} session - QuizSession document
+ * @param {object} quiz - Lean quiz document (subject populated)
+ * @returns {Promise<object|null>} Submission result, or null if nothing was graded
+ */
+const closeExpiredSession = async (session, quiz) => {
+  // Claim the session so a concurrent submit/resume can't grade it twice
+  const claimed = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: 'in_progress' },
+    { $set: { status: 'expired', submittedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+  console.log(`[Quiz Session] Session ${session._id} expired (late policy: ${config.quiz.latePolicy})`);
+  if (config.quiz.latePolicy !== 'autograde') return null;
+
+  try {
+    const sessionQuiz = await loadQuizAtVersion(quiz, claimed.quizVersion);
+    return await gradeAndRecordAttempt({
+      quiz: await withSessionQuestions(sessionQuiz, claimed),
+      userId: claimed.user.toString(),
+      answers: claimed.savedAnswers || [],
+      timeTaken: sessionQuiz.timeLimit * 60, // The whole time limit was used
+      session: claimed,
+      autoSubmitted: true
+    });
+  } catch (gradingError) {
+    // Release the claim so the next submit/resume grades it again
+    await QuizSession.updateOne({ _id: session._id }, { $set: { status: 'in_progress' }, $unset: { submittedAt: 1, attempt: 1 } });
+    throw gradingError;
+  }
+};
+
+/**
+ * @desc     Start (or resume) a timed quiz session
+ * @route    POST /api/quizzes/:id/start
+ * @access   Private
+ */
+exports.startQuizSession = async (req, res, next) => {
+  try {
     const quizId = req.params.id;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+
     const quiz = await Quiz.findById(quizId).populate('subject').lean({ virtuals: true });
     if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+    if (!quiz.isPublished && req.user.role !== 'admin') {
+      return res.status(403).json({ status: 'fail', message: 'This quiz is not available yet.' });
+    }
+    if (quiz.closesAt && new Date(quiz.closesAt).getTime() <= Date.now() && req.user.role !== 'admin') {
+      return res.status(403).json({ status: 'fail', message: 'This quiz is closed.' });
+    }
 
-    // Basic validation
-    const { answers, timeTaken } = req.body;
-    if (!answers || !Array.isArray(answers)) return res.status(400).json({ status: 'fail', message: 'Answers must be provided as an array' });
-
-    // --- Score Calculation Logic ---
-    let score = 0, totalPoints = quiz.totalPoints || 0, correctCount = 0, questionsInAttempt = 0;
+    // Resume an in-progress session (e.g. after a page reload) while time remains
+    const existing = await QuizSession.findOne({ user: userId, quiz: quizId, status: 'in_progress' });
+    if (existing) {
+      if (!isPastDeadline(existing)) {
+        console.log(`[Quiz Session] Resuming session ${existing._id} for user ${userId}`);
+        return res.status(200).json({ status: 'success', data: { resumed: true, ...(await buildSessionPayload(existing, quiz)) } });
+      }
+      await closeExpiredSession(existing, quiz);
+    }
 
-    // Calculate totalPoints manually if not available from virtuals (fallback)
-    if (totalPoints === 0) {
-      console.warn("Quiz totalPoints virtual not available, calculating manually.");
-      totalPoints = quiz.questions.reduce((sum, q) => sum + (q.points || 0), 0);
+    // Retake policy: attempt limit and cooldown (admins aren't limited)
+    if (req.user.role !== 'admin') {
+      const retakeStatus = getRetakeStatus(resolveRetakePolicy(quiz), await findPreviousAttempts(userId, quizId));
+      if (!retakeStatus.canStart) {
+        const message = retakeStatus.reason === 'max_attempts'
+          ? `You have used all ${retakeStatus.attemptsUsed} attempts at this quiz.`
+          : 'Please wait before retaking this quiz.';
+        return res.status(403).json({ status: 'fail', message, data: retakeStatus });
+      }
     }
 
-    // Process answers
-    const processedAnswers = answers.map(answer => {
-      const question = quiz.questions.find(q => q._id.toString() === answer.questionId);
-      if (!question) { console.warn(`Question ID ${answer.questionId} from submission not found in quiz ${quizId}. Skipping.`); return null; }
+    // The session is taken (and graded) on the quiz's current version
+    const version = await ensureQuizVersion(quiz, { reason: 'session' });
+
+    // Per-session question set: embedded + referenced bank questions + random draws
+    const { questionOrder, optionOrder, drawnQuestions } = await generateQuestionSet(quiz);
+    if (questionOrder.length === 0) {
+      return res.status(400).json({ status: 'fail', message: 'This quiz has no questions.' });
+    }
 
-      questionsInAttempt++;
-      const questionPoints = question.points || 0;
-      let isCorrect = false;
-      if (question.correctAnswer && answer.answerId === question.correctAnswer.toString()) {
-        score += questionPoints;
-        correctCount += 1;
-        isCorrect = true;
+    const startedAt = new Date();
+    let session;
+    try {
+      session = await QuizSession.create({
+        user: userId,
+        quiz: quizId,
+        quizVersion: version._id,
+        questionOrder,
+        optionOrder,
+        drawnQuestions,
+        startedAt,
+        expiresAt: quiz.timeLimit > 0 ? new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000) : null
+      });
+    } catch (err) {
+      // A parallel request started the session first - resume that one
+      if (err.code === 11000) {
+        const concurrent = await QuizSession.findOne({ user: userId, quiz: quizId, status: 'in_progress' });
+        if (concurrent) {
+          return res.status(200).json({ status: 'success', data: { resumed: true, ...(await buildSessionPayload(concurrent, quiz)) } });
+        }
       }
+      throw err;
+    }
 
-      return { questionId: answer.questionId, answerId: answer.answerId, isCorrect };
-    }).filter(a => a !== null);
+    console.log(`[Quiz Session] Started session ${session._id} for user ${userId} on quiz ${quizId}`);
+    res.status(201).json({ status: 'success', data: { resumed: false, ...(await buildSessionPayload(session, quiz)) } });
+  } catch (error) {
+    console.error('Error starting quiz session:', error);
+    next(error);
+  }
+};
 
-    // Calculate percentage score based on the total points of the QUIZ, not just answered questions
-    const percentageScore = totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0;
-    const passScore = quiz.passScore || 70;
-    const passed = percentageScore >= passScore;
+/**
+ * @desc     Get a quiz session (resume after reload). Expired sessions are closed on read.
+ * @route    GET /api/quizzes/sessions/:sessionId
+ * @access   Private (owner or admin)
+ */
+exports.getQuizSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Session ID format.' });
+    }
+    let session = await QuizSession.findById(sessionId);
+    if (!session) return res.status(404).json({ status: 'fail', message: 'Quiz session not found.' });
+    if (session.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ status: 'fail', message: 'You do not have permission to view this session.' });
+    }
 
-    // Update quiz attempts count
-    await Quiz.findByIdAndUpdate(quizId, { $inc: { attempts: 1 } });
+    const quiz = await Quiz.findById(session.quiz).populate('subject').lean({ virtuals: true });
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
 
-    // --- POINTS SYSTEM CALCULATION ---
-    const calculatePointsAwarded = () => {
-      const difficultyMultiplier = { 'easy': 1, 'medium': 1.5, 'hard': 2.5 }[quiz.difficulty] || 1;
-      const basePoints = 10;
-      const questionCountFactor = Math.min(2, Math.log10(quiz.questions.length + 1) + 0.5);
-      const perfectScoreBonus = percentageScore === 100 ? 1.2 : 1;
-      let timeBonus = 1;
-      if (timeTaken && quiz.timeLimit && quiz.timeLimit > 0) {
-        const timePercentage = timeTaken / (quiz.timeLimit * 60);
-        if (timePercentage < 0.5) timeBonus = 1.1;
-      }
-      const rawPoints = basePoints * difficultyMultiplier * (percentageScore / 100) * questionCountFactor * perfectScoreBonus * timeBonus;
-      return Math.max(1, Math.round(rawPoints));
-    };
-    const pointsAwarded = calculatePointsAwarded();
-    console.log(`Points awarded for quiz completion: ${pointsAwarded}`);
+    if (session.status === 'in_progress' && isPastDeadline(session)) {
+      await closeExpiredSession(session, quiz);
+      session = await QuizSession.findById(sessionId);
+    }
 
-    // --- XP CALCULATION ---
-    const xpMultiplier = { 'easy': 1, 'medium': 1.5, 'hard': 2 }[quiz.difficulty] || 1;
-    const xpAwarded = Math.floor(percentageScore * 0.5 * xpMultiplier);
-    console.log(`XP awarded for quiz completion: ${xpAwarded}`);
+    res.status(200).json({ status: 'success', data: await buildSessionPayload(session, quiz) });
+  } catch (error) {
+    console.error('Error fetching quiz session:', error);
+    next(error);
+  }
+};
 
-    // --- Save attempt and Update User Stats (if authenticated) ---
-    let attemptId = null;
-    let achievementResults = { awarded: [] };
+/**
+ * @desc     Save in-progress answers so they survive a reload / count if time runs out
+ * @route    PATCH /api/quizzes/sessions/:sessionId/answers
+ * @access   Private (owner)
+ */
+exports.saveQuizSessionAnswers = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { answers } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Session ID format.' });
+    }
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ status: 'fail', message: 'Answers must be provided as an array' });
+    }
 
-    // Check if user is authenticated
-    if (req.user && req.user.id) {
-      const userId = req.user.id;
-      try {
-        // 1. Save quiz attempt
-        const attempt = await QuizAttempt.create({
-          user: userId, quiz: quiz._id, answers: processedAnswers, score: score,
-          totalPoints: totalPoints, percentageScore: percentageScore, passed: passed,
-          timeTaken: timeTaken || null, pointsAwarded: pointsAwarded
-          // ratingGiven will default to null here
-        });
-        attemptId = attempt._id; // Capture the ID of the saved attempt
-        console.log(`Quiz attempt ${attemptId} saved for user ${userId}`);
-
-        // Log the values *before* the update operation
-        console.log(`[submitQuizAttempt] BEFORE UPDATE - Incrementing stats for user ${userId}: XP+=${xpAwarded}, Points+=${pointsAwarded}, QuizPoints+=${pointsAwarded}, Completed+=1, ScoreSum+=${percentageScore}`);
-
-        // 2. Update user's aggregate stats and level-related fields
-        const userUpdate = await User.findByIdAndUpdate(
-          userId,
-          {
-            $inc: {
-              xp: xpAwarded,                     // Increment XP
-              points: pointsAwarded,             // Increment total points
-              quizPointsEarned: pointsAwarded,   // Increment quiz-specific points
-              quizCompletedCount: 1,             // Increment completed count by 1
-              quizTotalPercentageScoreSum: percentageScore // Add this attempt's score % to the sum
-            }
-          },
-          { new: true } // Return the updated document
-        );
+    const session = await QuizSession.findOne({ _id: sessionId, user: req.user.id });
+    if (!session) return res.status(404).json({ status: 'fail', message: 'Quiz session not found.' });
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ status: 'fail', message: 'This quiz session is already closed.' });
+    }
+    // No saving after the real deadline - the grace period only applies to the final submission
+    if (session.expiresAt && Date.now() > session.expiresAt.getTime()) {
+      return res.status(400).json({ status: 'fail', message: 'Time is up for this quiz session.' });
+    }
 
-        // Log the result *after* the update operation
-        if (userUpdate) {
-            console.log(`[submitQuizAttempt] AFTER UPDATE - User data: XP=${userUpdate.xp}, Points=${userUpdate.points}, QuizPoints=${userUpdate.quizPointsEarned}, Completed=${userUpdate.quizCompletedCount}, ScoreSum=${userUpdate.quizTotalPercentageScoreSum}`);
-        } else {
-            console.warn(`[submitQuizAttempt] AFTER UPDATE - User ${userId} not found during update. Stats not updated.`);
-        }
+    const sessionQuestionIds = new Set(session.questionOrder.map(id => id.toString()));
+    const savedAnswers = answers
+      .map(normalizeAnswer)
+      .filter(a => a && sessionQuestionIds.has(a.questionId));
 
-        if (!userUpdate) {
-          console.warn(`[submitQuizAttempt] User ${userId} not found during update. Stats not updated.`);
-        } else {
-          // Check for level up based on the updated XP
-          const oldLevel = userUpdate.level;
-          const currentXP = typeof userUpdate.xp === 'number' ? userUpdate.xp : 0;
-          const newLevel = Math.floor(1 + Math.sqrt(currentXP / 100));
-
-          if (newLevel > oldLevel) {
-            await User.findByIdAndUpdate(userId, { level: newLevel });
-            console.log(`User ${userId} leveled up from ${oldLevel} to level ${newLevel}!`);
-          }
+    const updated = await QuizSession.findOneAndUpdate(
+      { _id: sessionId, status: 'in_progress' },
+      { $set: { savedAnswers, lastSavedAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ status: 'fail', message: 'This quiz session is already closed.' });
 
-          // 4. Check for quiz-related achievements
-          achievementResults = await achievementController.checkQuizAchievements(userId, {
-            percentageScore, passed, difficulty: quiz.difficulty,
-            quizId: quiz._id.toString(), subject: quiz.subject?._id?.toString() || null
-          });
-          console.log(`Checked achievements for user ${userId}. Awarded: ${achievementResults.awarded.length}`);
-        }
-      } catch (error) {
-        console.error(`Error processing authenticated quiz attempt for user ${userId}:`, error);
+    res.status(200).json({
+      status: 'success',
+      data: { savedCount: savedAnswers.length, remainingSeconds: getRemainingSeconds(updated) }
+    });
+  } catch (error) {
+    console.error('Error saving quiz session answers:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Submit a quiz attempt for an in-progress session
+ * @route    POST /api/quizzes/:id/attempts
+ * @access   Private (Requires 'protect' middleware in routes)
+ */
+exports.submitQuizAttempt = async (req, res, next) => {
+  // Add log at the very beginning to check req.user
+  console.log('[submitQuizAttempt] req.user at start:', JSON.stringify(req.user));
+  try {
+    console.log('Request body:', JSON.stringify(req.body, null, 2));
+    console.log('Request params:', JSON.stringify(req.params, null, 2));
+
+    const quizId = req.params.id;
+    const userId = req.user.id;
+    const { sessionId, answers } = req.body;
+
+    // Basic validation
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ status: 'fail', message: 'A valid sessionId is required. Start the quiz with POST /api/quizzes/:id/start first.' });
+    }
+    if (!answers || !Array.isArray(answers)) return res.status(400).json({ status: 'fail', message: 'Answers must be provided as an array' });
+
+    const quiz = await Quiz.findById(quizId).populate('subject').lean({ virtuals: true });
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+
+    const session = await QuizSession.findOne({ _id: sessionId, user: userId, quiz: quizId });
+    if (!session) return res.status(404).json({ status: 'fail', message: 'Quiz session not found.' });
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ status: 'fail', message: 'This quiz session has already been submitted.', data: { attemptId: session.attempt } });
+    }
+
+    // Late submission: handled by the configured late policy
+    if (isPastDeadline(session)) {
+      const lateResult = await closeExpiredSession(session, quiz);
+      if (!lateResult) {
+        return res.status(400).json({ status: 'fail', message: 'Time is up for this quiz. Late submissions are not accepted.' });
       }
-    } else {
-      console.log('Quiz submitted anonymously (no user authentication) OR req.user was missing.');
+      return res.status(200).json({
+        status: 'success',
+        message: 'Time limit exceeded. Answers saved before the deadline were graded.',
+        data: lateResult
+      });
     }
 
-    // --- Prepare and Send Response ---
-    // Ensure pointsAwarded and xpAwarded are included even if user update failed or was skipped
-    const responseData = {
-      attemptId, // Send the attemptId back to the frontend
-      score, totalPoints, percentageScore, passed, correctAnswers: correctCount,
-      totalQuestions: quiz.questions.length, pointsAwarded, xpAwarded, achievements: achievementResults.awarded
-    };
+    // Claim the session so the same session can't be submitted twice
+    const submittedAt = new Date();
+    const claimed = await QuizSession.findOneAndUpdate(
+      { _id: sessionId, status: 'in_progress' },
+      { $set: { status: 'submitted', submittedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ status: 'fail', message: 'This quiz session has already been submitted.' });
+    }
+
+    // timeTaken is measured by the server and capped at the time limit
+    const endTime = claimed.expiresAt ? Math.min(submittedAt.getTime(), claimed.expiresAt.getTime()) : submittedAt.getTime();
+    const timeTaken = Math.max(0, Math.round((endTime - claimed.startedAt.getTime()) / 1000));
+
+    let responseData;
+    try {
+      const sessionQuiz = await withSessionQuestions(await loadQuizAtVersion(quiz, claimed.quizVersion), claimed);
+      responseData = await gradeAndRecordAttempt({ quiz: sessionQuiz, userId, answers, timeTaken, session: claimed });
+    } catch (gradingError) {
+      // Re-open the session so the student can retry
+      await QuizSession.updateOne({ _id: sessionId }, { $set: { status: 'in_progress' }, $unset: { submittedAt: 1, attempt: 1 } });
+      throw gradingError;
+    }
 
     console.log("Sending quiz submission response:", responseData);
     res.status(200).json({
@@ -548,6 +989,17 @@ exports.rateQuiz = async (req, res, next) => {
 };
 
 
+// Questions an attempt was served: as they were when it was taken (its quiz version and the
+// session's drawn questions), in the session's order
+const loadAttemptQuestions = async (attempt, quiz) => {
+    const quizAtAttempt = await loadQuizAtVersion(quiz, attempt.quizVersion);
+    const attemptSession = attempt.session
+        ? await QuizSession.findById(attempt.session).select('questionOrder drawnQuestions').lean()
+        : null;
+    if (attemptSession) return (await withSessionQuestions(quizAtAttempt, attemptSession)).questions;
+    return resolveQuestions(quizAtAttempt, quizAtAttempt.questions.map(q => q._id));
+};
+
 /**
  * @desc     Get a single quiz attempt by its ID
  * @route    GET /api/attempts/:id  (Note: Route defined in quizRoutes.js)
@@ -565,7 +1017,7 @@ exports.getQuizAttemptById = async (req, res, next) => {
         const attempt = await QuizAttempt.findById(attemptId)
                                         .populate({ // Optionally populate quiz/subject if needed on results page again
                                             path: 'quiz',
-                                            select: 'title subject',
+                                            select: 'title subject answerRelease closesAt questions',
                                             populate: { path: 'subject', select: 'name' }
                                         })
                                         .lean(); // Use lean if no model methods needed after fetch
@@ -579,8 +1031,26 @@ exports.getQuizAttemptById = async (req, res, next) => {
              return res.status(403).json({ status: 'fail', message: 'You do not have permission to view this attempt.' });
         }
 
-        // Exclude sensitive or large fields if not needed by frontend
-        // delete attempt.answers; // Example: remove detailed answers if only rating is needed
+        // Answers are released according to the quiz's answerRelease policy (admins always see them)
+        const quiz = attempt.quiz;
+        const answersReleased = Boolean(quiz) && canRevealAnswers(quiz, attempt, req.user);
+        if (answersReleased) {
+            const questions = await loadAttemptQuestions(attempt, quiz);
+            attempt.answerKey = questions.map(question => ({
+                questionId: question._id,
+                correctAnswer: question.correctAnswer,
+                ...describeCorrectAnswer(question),
+                explanation: question.explanation || null
+            }));
+        } else {
+            // Per-question correctness (or partial credit) would give the answers away too
+            attempt.answers = (attempt.answers || []).map(({ isCorrect, credit, pointsEarned, ...answer }) => answer);
+        }
+        attempt.answersReleased = answersReleased;
+        if (quiz) {
+            const { questions, ...quizSummary } = quiz;
+            attempt.quiz = quizSummary;
+        }
 
         res.status(200).json({
             status: 'success',
@@ -596,6 +1066,112 @@ exports.getQuizAttemptById = async (req, res, next) => {
 };
 
 
+/**
+ * @desc     Your attempts at a quiz under its retake policy: attempts used/remaining, when the next
+ *           one can start and the score that counts
+ * @route    GET /api/quizzes/:id/my-attempts
+ * @access   Private
+ */
+exports.getMyQuizAttempts = async (req, res, next) => {
+  try {
+    const quizId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    const quiz = await Quiz.findById(quizId).select('title passScore retakePolicy').lean();
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+
+    const policy = resolveRetakePolicy(quiz);
+    const attempts = await findPreviousAttempts(req.user.id, quizId);
+    const counted = countedResult(attempts, policy.scoring, quiz.passScore || 70);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quiz: { id: quiz._id, title: quiz.title },
+        retakePolicy: policy,
+        ...getRetakeStatus(policy, attempts),
+        counted,
+        attempts: attempts.map((a, index) => ({
+          id: a._id,
+          attemptNumber: a.attemptNumber || index + 1,
+          percentageScore: a.percentageScore,
+          passed: a.passed,
+          pointsAwarded: a.pointsAwarded,
+          counted: counted ? (counted.attemptId === null || counted.attemptId === a._id.toString()) : false,
+          submittedAt: a.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quiz attempts for user:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Question-by-question review of an attempt: each question as it was served, your answer,
+ *           and - once the quiz's answer-release policy allows it - the correct answer, explanation
+ *           and points earned, plus a summary by difficulty and topic
+ * @route    GET /api/quizzes/attempts/:id/review
+ * @access   Private (owner or admin)
+ */
+exports.getQuizAttemptReview = async (req, res, next) => {
+  try {
+    const attemptId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Attempt ID format.' });
+    }
+
+    const attempt = await QuizAttempt.findById(attemptId).lean();
+    if (!attempt) return res.status(404).json({ status: 'fail', message: 'Quiz attempt not found.' });
+    if (attempt.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ status: 'fail', message: 'You do not have permission to view this attempt.' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz)
+      .select('title subject topic answerRelease closesAt questions bankQuestions')
+      .populate('subject', 'name')
+      .lean();
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'The quiz for this attempt no longer exists.' });
+
+    const answersReleased = canRevealAnswers(quiz, attempt, req.user);
+    const questions = await loadAttemptQuestions(attempt, quiz);
+
+    // Topic names from the subjects of the questions (bank questions carry their own)
+    const subjectIds = [...new Set([quiz.subject?._id, ...questions.map(q => q.subject)].filter(Boolean).map(String))];
+    const subjects = await Subject.find({ _id: { $in: subjectIds } }).select('topics._id topics.name').lean();
+    const topicNames = new Map(subjects.flatMap(s => (s.topics || []).map(t => [t._id.toString(), t.name])));
+
+    const review = buildAttemptReview({ attempt, questions, answersReleased, topicNames, quizTopic: quiz.topic || null });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attempt: {
+          id: attempt._id,
+          quiz: { id: quiz._id, title: quiz.title, subject: quiz.subject || null },
+          quizVersionNumber: attempt.quizVersionNumber ?? null,
+          score: attempt.score,
+          totalPoints: attempt.totalPoints,
+          percentageScore: attempt.percentageScore,
+          passed: attempt.passed,
+          timeTaken: attempt.timeTaken ?? null,
+          autoSubmitted: Boolean(attempt.autoSubmitted),
+          submittedAt: attempt.createdAt
+        },
+        answersReleased,
+        answerRelease: quiz.answerRelease || 'immediately',
+        ...review
+      }
+    });
+  } catch (error) {
+    console.error('Error building attempt review:', error);
+    next(error);
+  }
+};
+
+
 /**
  * @desc     Get quizzes for a specific subject
  * @route    GET /api/subjects/:id/quizzes (Note: Route definition likely in subjectRoutes.js)
@@ -617,9 +1193,10 @@ exports.getQuizzesForSubject = async (req, res, next) => {
     // Add filtering/pagination if needed from req.query, similar to getAllQuizzes
     const queryObj = { subject: subjectId, isPublished: true }; // Default to only published for this view
 
-    // Example: Apply difficulty filter if provided
-    if (req.query.difficulty && req.query.difficulty !== 'all') {
-       queryObj.difficulty = req.query.difficulty;
+    // Same difficulty and sort checks as getAllQuizzes
+    const difficulty = parseDifficultyFilter(req.query.difficulty);
+    if (difficulty) {
+       queryObj.difficulty = difficulty;
     }
 
     const page = parseInt(req.query.page, 10) || 1;
@@ -629,7 +1206,7 @@ exports.getQuizzesForSubject = async (req, res, next) => {
     const totalResults = await Quiz.countDocuments(queryObj);
     const quizzes = await Quiz.find(queryObj)
                               .populate('subject', 'name color') // Populate relevant subject fields
-                              .sort(req.query.sort || '-createdAt') // Allow sorting, default to newest
+                              .sort(parseQuizSort(req.query.sort) || '-createdAt') // Allow sorting, default to newest
                               .skip(skip)
                               .limit(limit)
                               .lean({ virtuals: true }); // Include virtuals
@@ -640,7 +1217,7 @@ exports.getQuizzesForSubject = async (req, res, next) => {
       results: quizzes.length,
       totalPages: Math.ceil(totalResults / limit),
       currentPage: page,
-      data: { quizzes }
+      data: { quizzes: quizzes.map(quiz => serializeQuiz(quiz, req.user)) }
     });
   } catch (error) {
     console.error('Error fetching quizzes for subject:', error);
@@ -698,7 +1275,9 @@ exports.getPracticeQuizzes = async (req, res, next) => {
 
       // --- FIX START ---
       // Calculate question count reliably: Use virtual, fallback to array length
-      const questionCount = quiz.totalQuestions || (quiz.questions ? quiz.questions.length : 0);
+      // (plus the bank questions each session gets)
+      const questionCount = (quiz.totalQuestions || (quiz.questions ? quiz.questions.length : 0)) +
+        (quiz.bankQuestionCount || 0) + (quiz.drawnQuestionCount || 0);
       // --- FIX END ---
 
       return {
@@ -726,6 +1305,315 @@ exports.getPracticeQuizzes = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc     Item analysis per question (difficulty, discrimination, distractors, time, flags).
+ *           First attempt per student unless ?attempts=all; ?format=csv for a CSV download.
+ * @route    GET /api/quizzes/:id/item-analysis
+ * @access   Private/Admin
+ */
+exports.getQuizItemAnalysis = async (req, res, next) => {
+  try {
+    const quizId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ status: 'fail', message: 'format must be json or csv.' });
+    }
+
+    const quiz = await Quiz.findById(quizId).select('title questions').lean();
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+
+    const report = await buildItemAnalysis(quiz, { allAttempts: req.query.attempts === 'all' });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="item-analysis-${quiz._id}.csv"`);
+      return res.status(200).send(itemAnalysisToCsv(report));
+    }
+    res.status(200).json({ status: 'success', data: { report } });
+  } catch (error) {
+    console.error('Error building item analysis:', error);
+    next(error);
+  }
+};
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  gift: 'text/plain; charset=utf-8',
+  aiken: 'text/plain; charset=utf-8'
+};
+const EXPORT_EXTENSIONS = { json: 'json', csv: 'csv', gift: 'gift.txt', aiken: 'aiken.txt' };
+
+// Import format from the request, or from the uploaded file's extension
+const resolveImportFormat = (req) => {
+  const requested = (req.body.format || req.query.format || '').toLowerCase();
+  if (requested) return requested;
+  const name = (req.file?.originalname || '').toLowerCase();
+  if (name.endsWith('.json')) return 'json';
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.gift') || name.includes('.gift.')) return 'gift';
+  if (name.includes('aiken')) return 'aiken';
+  return '';
+};
+
+/**
+ * @desc     Import questions from JSON, CSV, GIFT or Aiken - into a new quiz, or appended to an
+ *           existing one (quizId). Send `content` in the body or upload a `file` (multipart).
+ *           dryRun=true only validates and returns the report; otherwise any error rejects the import.
+ * @route    POST /api/quizzes/import
+ * @access   Private/Admin
+ */
+exports.importQuiz = async (req, res, next) => {
+  try {
+    const format = resolveImportFormat(req);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ status: 'fail', message: `format must be one of: ${IMPORT_FORMATS.join(', ')}.` });
+    }
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ status: 'fail', message: 'Provide the questions as `content` or upload a `file`.' });
+    }
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    // Quiz settings: from the file (JSON format), overridden by the request (a JSON string in multipart forms)
+    let overrides = req.body.quiz || {};
+    if (typeof overrides === 'string') {
+      try {
+        overrides = JSON.parse(overrides);
+      } catch (err) {
+        return res.status(400).json({ status: 'fail', message: '`quiz` must be a JSON object.' });
+      }
+    }
+
+    const { quiz: fileQuiz, questions, report } = parseQuizImport(format, content);
+
+    // Target: an existing quiz, or a new one in the given subject
+    let targetQuiz = null;
+    let subject = null;
+    if (req.body.quizId) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.quizId)) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+      }
+      targetQuiz = await Quiz.findById(req.body.quizId);
+      if (!targetQuiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+    } else {
+      const subjectId = req.body.subject || overrides.subject;
+      const subjectName = fileQuiz?.subjectName;
+      if (subjectId) {
+        if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+          return res.status(400).json({ status: 'fail', message: 'Valid subject ID is required.' });
+        }
+        subject = await Subject.findById(subjectId).select('name');
+      } else if (subjectName) {
+        subject = await Subject.findOne({ name: { $regex: `^${escapeRegex(subjectName)}$`, $options: 'i' } }).select('name');
+      } else {
+        return res.status(400).json({ status: 'fail', message: 'Valid subject ID is required.' });
+      }
+      if (!subject) return res.status(404).json({ status: 'fail', message: 'Subject not found' });
+    }
+
+    const quizData = { ...pickQuizSettings(fileQuiz), ...pickQuizSettings(overrides) };
+    if (!targetQuiz && !quizData.title) {
+      report.errors.push({ location: 'quiz', message: 'Quiz title is required (in the file or as quiz.title).' });
+    }
+
+    report.target = targetQuiz
+      ? { quizId: targetQuiz._id, title: targetQuiz.title, existingQuestions: targetQuiz.questions.length }
+      : { subject: { id: subject._id, name: subject.name }, title: quizData.title || null };
+
+    if (dryRun) {
+      return res.status(200).json({ status: 'success', data: { dryRun: true, report } });
+    }
+    if (report.errors.length > 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Import rejected: ${report.errors.length} error(s). Nothing was saved.`,
+        data: { report }
+      });
+    }
+
+    let quiz;
+    if (targetQuiz) {
+      targetQuiz.questions.push(...questions);
+      quiz = await targetQuiz.save();
+    } else {
+      quiz = await Quiz.create({
+        isPublished: false, // Review imported quizzes before publishing
+        ...quizData,
+        subject: subject._id,
+        questions,
+        createdBy: req.user._id
+      });
+    }
+    await recordPublishedVersion(quiz.toObject(), { reason: targetQuiz ? 'edited' : 'published', createdBy: req.user._id });
+    console.log(`[Import] ${questions.length} ${format} question(s) imported into quiz ${quiz._id} by ${req.user._id}`);
+
+    res.status(targetQuiz ? 200 : 201).json({
+      status: 'success',
+      data: { quiz, report }
+    });
+  } catch (error) {
+    console.error('Error importing quiz:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc     Download a quiz as JSON, CSV, GIFT or Aiken (?format=, default json). Includes embedded
+ *           and referenced bank questions; random draw rules are not exported. Questions the format
+ *           can't express are left out and counted in the X-Skipped-Questions header.
+ * @route    GET /api/quizzes/:id/export
+ * @access   Private/Admin
+ */
+exports.exportQuiz = async (req, res, next) => {
+  try {
+    const quizId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ status: 'fail', message: `format must be one of: ${IMPORT_FORMATS.join(', ')}.` });
+    }
+
+    const quiz = await Quiz.findById(quizId).populate('subject', 'name').lean();
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+
+    const questionIds = [...(quiz.questions || []).map(q => q._id), ...(quiz.bankQuestions || [])];
+    const questions = await resolveQuestions(quiz, questionIds);
+    const { content, skipped } = buildQuizExport(format, quiz, questions, { subjectName: quiz.subject?.name });
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="quiz-${quiz._id}.${EXPORT_EXTENSIONS[format]}"`);
+    res.setHeader('X-Skipped-Questions', String(skipped.length));
+    if (skipped.length > 0) {
+      res.setHeader('X-Skipped-Question-Numbers', skipped.map(s => s.number).join(','));
+    }
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Error exporting quiz:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     List a quiz's versions, with how many attempts were taken on each
+ * @route    GET /api/quizzes/:id/versions
+ * @access   Private/Admin
+ */
+exports.getQuizVersions = async (req, res, next) => {
+  try {
+    const quizId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    const quiz = await Quiz.findById(quizId).select('title currentVersion').lean();
+    if (!quiz) return res.status(404).json({ status: 'fail', message: 'Quiz not found' });
+
+    const [versions, attemptCounts] = await Promise.all([
+      QuizVersion.find({ quiz: quizId })
+        .sort({ version: -1 })
+        .select('version reason title questions._id bankQuestions._id drawRules createdBy createdAt')
+        .populate('createdBy', 'name')
+        .lean(),
+      QuizAttempt.aggregate([
+        { $match: { quiz: new mongoose.Types.ObjectId(quizId) } },
+        { $group: { _id: '$quizVersion', count: { $sum: 1 } } }
+      ])
+    ]);
+    const attemptsByVersion = new Map(attemptCounts.map(c => [String(c._id), c.count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quiz: { id: quiz._id, title: quiz.title, currentVersion: quiz.currentVersion },
+        versions: versions.map(v => ({
+          id: v._id,
+          version: v.version,
+          reason: v.reason,
+          title: v.title,
+          questionCount: (v.questions || []).length + (v.bankQuestions || []).length,
+          drawnQuestions: (v.drawRules || []).reduce((sum, rule) => sum + (rule.count || 0), 0),
+          attempts: attemptsByVersion.get(v._id.toString()) || 0,
+          createdBy: v.createdBy || null,
+          createdAt: v.createdAt
+        })),
+        unversionedAttempts: attemptsByVersion.get('null') || 0 // Taken before versioning
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quiz versions:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Get one version of a quiz (full snapshot, including answers)
+ * @route    GET /api/quizzes/:id/versions/:version
+ * @access   Private/Admin
+ */
+exports.getQuizVersion = async (req, res, next) => {
+  try {
+    const quizId = req.params.id;
+    const versionNumber = parseInt(req.params.version, 10);
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ status: 'fail', message: 'Version must be a positive number.' });
+    }
+
+    const version = await QuizVersion.findOne({ quiz: quizId, version: versionNumber }).lean();
+    if (!version) return res.status(404).json({ status: 'fail', message: 'Quiz version not found' });
+    const attempts = await QuizAttempt.countDocuments({ quiz: quizId, quizVersion: version._id });
+
+    res.status(200).json({ status: 'success', data: { version: { ...version, attempts } } });
+  } catch (error) {
+    console.error('Error fetching quiz version:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Compare two versions of a quiz (?from=&to=, default: the latest against the one before)
+ * @route    GET /api/quizzes/:id/versions/diff
+ * @access   Private/Admin
+ */
+exports.diffQuizVersions = async (req, res, next) => {
+  try {
+    const quizId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid Quiz ID format.' });
+    }
+    const latest = await QuizVersion.findOne({ quiz: quizId }).sort({ version: -1 }).select('version').lean();
+    if (!latest) return res.status(404).json({ status: 'fail', message: 'This quiz has no versions yet.' });
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : latest.version;
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - 1;
+    if (![from, to].every(n => Number.isInteger(n) && n >= 1)) {
+      return res.status(400).json({ status: 'fail', message: 'from and to must be version numbers.' });
+    }
+
+    const versions = await QuizVersion.find({ quiz: quizId, version: { $in: [from, to] } }).lean();
+    const fromVersion = versions.find(v => v.version === from);
+    const toVersion = versions.find(v => v.version === to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ status: 'fail', message: `Version ${!fromVersion ? from : to} not found.` });
+    }
+
+    res.status(200).json({ status: 'success', data: { diff: diffVersions(fromVersion, toVersion) } });
+  } catch (error) {
+    console.error('Error comparing quiz versions:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc     Get user's quiz attempts
  * @route    GET /api/quizzes/user/:userId/attempts
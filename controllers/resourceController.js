@@ -6,6 +6,8 @@ const Resource = require('../models/resourceModel');
 const Subject = require('../models/subjectModel');
 const Quiz = require('../models/quizModel');
 const ResourceAccess = require('../models/resourceAccessModel');
+const { recordResourceAccess } = require('../utils/topicProgress');
+const { EVENTS, publish } = require('../utils/domainEvents');
 
 // Helper function
 function getTimeAgo(date) {
@@ -242,6 +244,10 @@ exports.getResourceById = async (req, res, next) => {
         resource: resource._id,
         accessType: 'view'
       });
+      await recordResourceAccess(req.user.id, resource);
+      await publish(EVENTS.RESOURCE_VIEWED, {
+        userId: req.user.id, resourceId: resource._id.toString(), subjectId: resource.subject?._id?.toString() || null
+      });
     }
 
     res.status(200).json({
@@ -401,6 +407,10 @@ exports.downloadResource = async (req, res, next) => {
         resource: resource._id,
         accessType: 'download'
       });
+      await recordResourceAccess(req.user.id, resource);
+      await publish(EVENTS.RESOURCE_DOWNLOADED, {
+        userId: req.user.id, resourceId: resource._id.toString(), subjectId: resource.subject?._id?.toString() || null
+      });
     }
 
     // Send File
@@ -0,0 +1,196 @@
+// controllers/reviewController.js
+const mongoose = require('mongoose');
+const ReviewItem = require('../models/reviewItemModel');
+const Quiz = require('../models/quizModel');
+const QuizAttempt = require('../models/quizAttemptModel');
+const { resolveQuestions } = require('../utils/questionBank');
+const { toStudentQuestion, canRevealAnswers } = require('../utils/quizSerializer');
+const { normalizeAnswer, gradeAnswer, describeCorrectAnswer } = require('../utils/questionGrading');
+const { qualityFromCredit, scheduleReview } = require('../utils/spacedRepetition');
+const { recordStudyActivity } = require('../utils/studyActivity');
+const { EVENTS, publish } = require('../utils/domainEvents');
+
+const MAX_REVIEWS_PER_REQUEST = 50;
+
+// End of the current UTC day - everything due today is served, not just what's overdue this second
+const endOfTodayUTC = () => {
+  const end = new Date();
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+// Load the questions of review items (embedded in their quiz or from the bank), keyed by question ID
+const loadReviewQuestions = async (items) => {
+  const quizIds = [...new Set(items.map(item => item.quiz.toString()))];
+  const quizzes = await Quiz.find({ _id: { $in: quizIds } }).select('title answerRelease closesAt questions').lean();
+  const quizzesById = new Map(quizzes.map(quiz => [quiz._id.toString(), quiz]));
+
+  const questionsById = new Map();
+  for (const quizId of quizIds) {
+    // A deleted quiz can still have bank questions in the queue
+    const quiz = quizzesById.get(quizId) || { _id: quizId, questions: [] };
+    const ids = items.filter(item => item.quiz.toString() === quizId).map(item => item.questionId);
+    (await resolveQuestions(quiz, ids)).forEach(question => questionsById.set(question._id.toString(), question));
+  }
+  return { quizzesById, questionsById };
+};
+
+/**
+ * @desc     Get the review items due today (across subjects), oldest first
+ * @route    GET /api/reviews/due
+ * @access   Private
+ */
+exports.getDueReviews = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_REVIEWS_PER_REQUEST);
+    const filter = { user: req.user.id, isActive: true, dueAt: { $lte: endOfTodayUTC() } };
+    if (req.query.subject) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.subject)) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid subject ID format.' });
+      }
+      filter.subject = req.query.subject;
+    }
+
+    const [items, dueCount] = await Promise.all([
+      ReviewItem.find(filter).sort({ dueAt: 1, _id: 1 }).limit(limit).populate('subject', 'name color').lean(),
+      ReviewItem.countDocuments(filter)
+    ]);
+    const { quizzesById, questionsById } = await loadReviewQuestions(items);
+
+    const reviews = [];
+    const missingIds = [];
+    items.forEach(item => {
+      const question = questionsById.get(item.questionId.toString());
+      if (!question) {
+        missingIds.push(item._id);
+        return;
+      }
+      const quiz = quizzesById.get(item.quiz.toString());
+      reviews.push({
+        reviewId: item._id,
+        dueAt: item.dueAt,
+        repetitions: item.repetitions,
+        interval: item.interval,
+        subject: item.subject || null,
+        topic: item.topic,
+        quiz: quiz ? { id: quiz._id, title: quiz.title } : null,
+        question: toStudentQuestion(question)
+      });
+    });
+    // Questions that were deleted drop out of the queue
+    if (missingIds.length > 0) {
+      await ReviewItem.updateMany({ _id: { $in: missingIds } }, { $set: { isActive: false } });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: reviews.length,
+      dueCount: dueCount - missingIds.length,
+      data: { reviews }
+    });
+  } catch (error) {
+    console.error('Error fetching due reviews:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc     Submit review answers. Each answer is graded and its item rescheduled (SM-2).
+ *           Completing reviews counts as study activity (streak) and towards review achievements.
+ * @route    POST /api/reviews/answers
+ * @access   Private
+ */
+exports.submitReviewAnswers = async (req, res, next) => {
+  try {
+    const { answers } = req.body;
+    if (!Array.isArray(answers) || answers.length === 0) {
+      return res.status(400).json({ status: 'fail', message: 'Answers must be provided as a non-empty array' });
+    }
+    if (answers.length > MAX_REVIEWS_PER_REQUEST) {
+      return res.status(400).json({ status: 'fail', message: `At most ${MAX_REVIEWS_PER_REQUEST} reviews per request.` });
+    }
+    if (answers.some(a => !a || !mongoose.Types.ObjectId.isValid(a.reviewId))) {
+      return res.status(400).json({ status: 'fail', message: 'Every answer needs a valid reviewId.' });
+    }
+
+    const items = await ReviewItem.find({
+      _id: { $in: answers.map(a => a.reviewId) },
+      user: req.user.id,
+      isActive: true
+    }).lean();
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+    const { quizzesById, questionsById } = await loadReviewQuestions(items);
+    const attempts = await QuizAttempt.find({ _id: { $in: items.map(item => item.attempt).filter(Boolean) } })
+      .select('passed').lean();
+    const attemptsById = new Map(attempts.map(attempt => [attempt._id.toString(), attempt]));
+
+    const now = new Date();
+    // Only due items can be reviewed - answering the same item again early would count it again
+    const dueBy = endOfTodayUTC();
+    const results = [];
+    for (const rawAnswer of answers) {
+      const item = itemsById.get(String(rawAnswer.reviewId));
+      const question = item && questionsById.get(item.questionId.toString());
+      if (!item || !question) {
+        results.push({ reviewId: rawAnswer.reviewId, status: 'not_found' });
+        continue;
+      }
+      if (new Date(item.dueAt) > dueBy) {
+        results.push({ reviewId: item._id, status: 'not_due', nextDueAt: item.dueAt });
+        continue;
+      }
+
+      const answer = normalizeAnswer({ ...rawAnswer, questionId: item.questionId });
+      const { credit, isCorrect } = gradeAnswer(question, answer);
+      const quality = qualityFromCredit(credit, rawAnswer.quality);
+      const schedule = scheduleReview(item, quality, now);
+
+      // Matching reviewCount: the same item answered twice in parallel is only counted once
+      const updated = await ReviewItem.findOneAndUpdate(
+        { _id: item._id, reviewCount: item.reviewCount, dueAt: { $lte: dueBy } },
+        {
+          $set: {
+            easeFactor: schedule.easeFactor, interval: schedule.interval, repetitions: schedule.repetitions,
+            dueAt: schedule.dueAt, lastReviewedAt: now, lastQuality: quality
+          },
+          $inc: { reviewCount: 1, correctCount: isCorrect ? 1 : 0, lapses: schedule.lapsed ? 1 : 0 }
+        },
+        { new: true }
+      );
+      if (!updated) {
+        results.push({ reviewId: item._id, status: 'already_reviewed' });
+        continue;
+      }
+
+      const result = {
+        reviewId: item._id, status: 'reviewed', isCorrect, credit, quality,
+        interval: schedule.interval, nextDueAt: schedule.dueAt
+      };
+      // The correct answer is shown under the same release policy as the quiz itself
+      const quiz = quizzesById.get(item.quiz.toString());
+      const attempt = item.attempt ? attemptsById.get(item.attempt.toString()) : null;
+      if (canRevealAnswers(quiz || { answerRelease: 'immediately' }, attempt, req.user)) {
+        result.correctAnswer = describeCorrectAnswer(question);
+        result.explanation = question.explanation || null;
+      }
+      results.push(result);
+    }
+
+    const reviewedCount = results.filter(r => r.status === 'reviewed').length;
+    let streak = null;
+    let achievements = [];
+    if (reviewedCount > 0) {
+      streak = await recordStudyActivity(req.user.id);
+      const published = await publish(EVENTS.REVIEWS_COMPLETED, { userId: req.user.id, reviewed: reviewedCount, streak });
+      if (published.achievements) achievements = published.achievements.awarded;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { reviewed: reviewedCount, results, streak, achievements }
+    });
+  } catch (error) {
+    console.error('Error submitting review answers:', error);
+    next(error);
+  }
+};
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const Reward = require('../models/rewardModel');
 const User = require('../models/userModel'); // Assuming you have a User model for points
+const Redemption = require('../models/redemptionModel');
+const { applyPointsChange } = require('../utils/pointsLedger');
+
+const REDEMPTION_STATUSES = Redemption.schema.path('status').enumValues;
 
 // --- Helper Functions (Consider moving to a utils file) ---
 const handleAsyncError = fn => (req, res, next) => {
@@ -134,28 +138,127 @@ exports.redeemReward = handleAsyncError(async (req, res, next) => {
 
     if (!mongoose.Types.ObjectId.isValid(rewardId)) { return res.status(400).json({ status: 'fail', message: 'Invalid reward ID format.' }); }
 
-    // TODO: Implement using Mongoose Transactions for atomicity
-
-    const reward = await Reward.findById(rewardId);
+    const reward = await Reward.findById(rewardId).select('+isActive');
     if (!reward) { return res.status(404).json({ status: 'fail', message: 'Reward not found.' }); }
     if (!reward.isActive) { return res.status(400).json({ status: 'fail', message: 'This reward is currently unavailable.' }); }
     if (reward.stock !== null && reward.stock <= 0) { return res.status(400).json({ status: 'fail', message: 'This reward is out of stock.' }); }
 
-    const user = await User.findById(userId).select('points');
-    if (!user) { return res.status(404).json({ status: 'fail', message: 'User not found.' }); }
-    if (user.points < reward.pointsCost) { return res.status(400).json({ status: 'fail', message: 'Not enough points to redeem this reward.' }); }
+    const cost = reward.pointsCost;
+
+    // 1. Take one unit of limited stock. The filter only matches while stock remains,
+    //    so concurrent redemptions can never push it below zero.
+    const stockDecremented = reward.stock !== null;
+    if (stockDecremented) {
+        const reserved = await Reward.findOneAndUpdate(
+            { _id: rewardId, isActive: true, stock: { $gte: 1 } },
+            { $inc: { stock: -1 } },
+            { new: true }
+        );
+        if (!reserved) { return res.status(400).json({ status: 'fail', message: 'This reward is out of stock.' }); }
+    }
+
+    // Put the stock unit back if a later step fails
+    const releaseStock = async () => {
+        if (!stockDecremented) return;
+        try {
+            await Reward.updateOne({ _id: rewardId }, { $inc: { stock: 1 } });
+        } catch (releaseError) {
+            console.error(`[Rewards] Failed to release stock for reward ${rewardId}:`, releaseError);
+        }
+    };
+
+    // 2. Deduct the points only if the balance still covers the cost (no overdraw).
+    //    The redemption ID is generated up front so the ledger entry can reference it.
+    const redemptionId = new mongoose.Types.ObjectId();
+    let updatedUser;
+    try {
+        updatedUser = await applyPointsChange({
+            userId,
+            points: -cost,
+            source: 'redemption',
+            sourceId: redemptionId,
+            description: `Redeemed reward "${reward.name}"`,
+            filter: { points: { $gte: cost } }
+        });
+    } catch (err) {
+        await releaseStock();
+        throw err;
+    }
+    if (!updatedUser) {
+        await releaseStock();
+        const userExists = await User.exists({ _id: userId });
+        if (!userExists) { return res.status(404).json({ status: 'fail', message: 'User not found.' }); }
+        return res.status(400).json({ status: 'fail', message: 'Not enough points to redeem this reward.' });
+    }
 
-    // Perform Updates
-    const updatedUser = await User.findByIdAndUpdate(userId, { $inc: { points: -reward.pointsCost } }, { new: true });
-    if (reward.stock !== null) {
-        await Reward.findByIdAndUpdate(rewardId, { $inc: { stock: -1 } });
+    // 3. Record the redemption; undo both writes if it cannot be stored
+    let redemption;
+    try {
+        redemption = await Redemption.create({
+            _id: redemptionId,
+            user: userId,
+            reward: rewardId,
+            rewardName: reward.name,
+            cost,
+            stockDecremented
+        });
+    } catch (err) {
+        console.error(`[Rewards] Failed to record redemption of ${rewardId} by ${userId}, rolling back:`, err);
+        await applyPointsChange({
+            userId,
+            points: cost,
+            source: 'redemption_refund',
+            sourceId: redemptionId,
+            description: `Refund: redemption of "${reward.name}" could not be recorded`
+        });
+        await releaseStock();
+        throw err;
     }
-    // TODO: Record Redemption in a separate collection
+
+    console.log(`[Rewards] User ${userId} redeemed "${reward.name}" for ${cost} points (redemption ${redemption._id})`);
 
     res.status(200).json({
         status: 'success',
         message: `Reward "${reward.name}" redeemed successfully!`,
-        data: { newPointsBalance: updatedUser?.points }
+        data: { newPointsBalance: updatedUser.points, redemption }
+    });
+});
+
+/**
+ * @desc    Get the logged-in user's redemption history
+ * @route   GET /api/rewards/redemptions/me
+ * @access  Private
+ */
+exports.getMyRedemptions = handleAsyncError(async (req, res, next) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+    if (req.query.status) {
+        // Only a known status - an object here (?status[$ne]=x) would be a query operator
+        if (!REDEMPTION_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ status: 'fail', message: `status must be one of: ${REDEMPTION_STATUSES.join(', ')}.` });
+        }
+        filter.status = req.query.status;
+    }
+
+    const [totalResults, redemptions] = await Promise.all([
+        Redemption.countDocuments(filter),
+        Redemption.find(filter)
+            .sort('-createdAt')
+            .skip(skip)
+            .limit(limit)
+            .populate('reward', 'name image category')
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        totalResults,
+        results: redemptions.length,
+        totalPages: Math.ceil(totalResults / limit) || 1,
+        currentPage: page,
+        data: { redemptions }
     });
 });
 
@@ -227,3 +330,126 @@ exports.deleteReward = handleAsyncError(async (req, res, next) => {
     if (!reward) { return res.status(404).json({ status: 'fail', message: 'Reward not found.' }); }
     res.status(204).json({ status: 'success', data: null });
 });
+
+/**
+ * @desc    List all redemptions (filter by status, user or reward)
+ * @route   GET /api/rewards/redemptions
+ * @access  Private/Admin
+ */
+exports.getAllRedemptions = handleAsyncError(async (req, res, next) => {
+    const filter = {};
+    if (req.query.status) {
+        // Only a known status - an object here (?status[$ne]=x) would be a query operator
+        if (!REDEMPTION_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ status: 'fail', message: `status must be one of: ${REDEMPTION_STATUSES.join(', ')}.` });
+        }
+        filter.status = req.query.status;
+    }
+    for (const field of ['user', 'reward']) {
+        if (req.query[field]) {
+            if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+                return res.status(400).json({ status: 'fail', message: `Invalid ${field} ID format.` });
+            }
+            filter[field] = req.query[field];
+        }
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const [totalResults, redemptions] = await Promise.all([
+        Redemption.countDocuments(filter),
+        Redemption.find(filter)
+            .sort('-createdAt')
+            .skip(skip)
+            .limit(limit)
+            .populate('user', 'name email')
+            .populate('reward', 'name image category')
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        totalResults,
+        results: redemptions.length,
+        totalPages: Math.ceil(totalResults / limit) || 1,
+        currentPage: page,
+        data: { redemptions }
+    });
+});
+
+/**
+ * @desc    Mark a pending redemption as fulfilled
+ * @route   PATCH /api/rewards/redemptions/:redemptionId/fulfil
+ * @access  Private/Admin
+ */
+exports.fulfilRedemption = handleAsyncError(async (req, res, next) => {
+    const { redemptionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(redemptionId)) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid redemption ID format.' });
+    }
+
+    const update = { status: 'fulfilled', fulfilledBy: req.user.id, fulfilledAt: new Date() };
+    if (req.body.fulfilmentNotes !== undefined) update.fulfilmentNotes = req.body.fulfilmentNotes;
+
+    // Status in the filter makes the transition one-way even under concurrent admin actions
+    const redemption = await Redemption.findOneAndUpdate(
+        { _id: redemptionId, status: 'pending' },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+    if (!redemption) {
+        const exists = await Redemption.exists({ _id: redemptionId });
+        if (!exists) { return res.status(404).json({ status: 'fail', message: 'Redemption not found.' }); }
+        return res.status(400).json({ status: 'fail', message: 'Only pending redemptions can be fulfilled.' });
+    }
+
+    console.log(`[Rewards] Redemption ${redemptionId} fulfilled by admin ${req.user.id}`);
+    res.status(200).json({ status: 'success', data: { redemption } });
+});
+
+/**
+ * @desc    Cancel a pending redemption, refund its points and restore stock
+ * @route   PATCH /api/rewards/redemptions/:redemptionId/cancel
+ * @access  Private/Admin
+ */
+exports.cancelRedemption = handleAsyncError(async (req, res, next) => {
+    const { redemptionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(redemptionId)) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid redemption ID format.' });
+    }
+
+    const update = { status: 'cancelled', cancelledBy: req.user.id, cancelledAt: new Date() };
+    if (req.body.fulfilmentNotes !== undefined) update.fulfilmentNotes = req.body.fulfilmentNotes;
+
+    // Claim the cancellation first so the refund below can only ever run once
+    const redemption = await Redemption.findOneAndUpdate(
+        { _id: redemptionId, status: 'pending' },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+    if (!redemption) {
+        const exists = await Redemption.exists({ _id: redemptionId });
+        if (!exists) { return res.status(404).json({ status: 'fail', message: 'Redemption not found.' }); }
+        return res.status(400).json({ status: 'fail', message: 'Only pending redemptions can be cancelled.' });
+    }
+
+    await applyPointsChange({
+        userId: redemption.user,
+        points: redemption.cost,
+        source: 'redemption_refund',
+        sourceId: redemption._id,
+        description: `Refund: redemption of "${redemption.rewardName}" cancelled`,
+        createdBy: req.user.id
+    });
+    redemption.refundedPoints = redemption.cost;
+    await redemption.save();
+
+    // Stock is only restored for rewards that still track limited stock
+    if (redemption.stockDecremented) {
+        await Reward.updateOne({ _id: redemption.reward, stock: { $ne: null } }, { $inc: { stock: 1 } });
+    }
+
+    console.log(`[Rewards] Redemption ${redemptionId} cancelled by admin ${req.user.id}; refunded ${redemption.cost} points`);
+    res.status(200).json({ status: 'success', data: { redemption } });
+});
@@ -1,5 +1,8 @@
 const Subject = require('../models/subjectModel');
 const Quiz = require('../models/quizModel');
+const UserProgress = require('../models/userProgressModel');
+const { buildSubjectProgress } = require('../utils/topicProgress');
+const { getRecommendations } = require('../utils/recommendations');
 
 /**
  * @desc    Get all subjects
@@ -326,7 +329,7 @@ exports.deleteTopic = async (req, res) => {
  */
 exports.getUserProgress = async (req, res) => {
   try {
-    const subject = await Subject.findById(req.params.id);
+    const subject = await Subject.findById(req.params.id).lean();
     
     if (!subject) {
       return res.status(404).json({
@@ -335,17 +338,9 @@ exports.getUserProgress = async (req, res) => {
       });
     }
     
-    // In a real app, you'd get the progress from the user model
-    // For now, we'll generate mock progress data
-    const userProgress = {
-      overallProgress: Math.floor(Math.random() * 40) + 30, // Random progress between 30-70%
-      topics: subject.topics.map(topic => ({
-        id: topic._id,
-        name: topic.name,
-        progress: Math.floor(Math.random() * 60) + 20, // Random progress between 20-80%
-        mastery: ['Low', 'Medium', 'High'][Math.floor(Math.random() * 3)] // Random mastery level
-      }))
-    };
+    // Progress is kept up to date from quizzes, resources and forum activity (utils/topicProgress.js)
+    const progressDoc = await UserProgress.findOne({ user: req.user.id, subject: subject._id }).lean();
+    const userProgress = buildSubjectProgress(subject, progressDoc);
     
     res.status(200).json({
       status: 'success',
@@ -369,7 +364,7 @@ exports.getUserProgress = async (req, res) => {
  */
 exports.getRecommendedResources = async (req, res) => {
   try {
-    const subject = await Subject.findById(req.params.id);
+    const subject = await Subject.findById(req.params.id).lean();
     
     if (!subject) {
       return res.status(404).json({
@@ -378,19 +373,9 @@ exports.getRecommendedResources = async (req, res) => {
       });
     }
     
-    // In a real app, you'd retrieve personalized recommendations from a recommendation system
-    // For now, we'll generate mock recommendation data
-    const recommendedTypes = ['Practice Quiz', 'Study Notes', 'Video Lesson'];
-    const difficultyLevels = ['Beginner', 'Medium', 'Advanced'];
-    
-    const recommendedResources = subject.topics.slice(0, 3).map((topic, index) => ({
-      id: index + 1,
-      title: `${topic.name} - Comprehensive Guide`,
-      type: recommendedTypes[index % recommendedTypes.length],
-      difficulty: difficultyLevels[index % difficultyLevels.length],
-      estimatedTime: `${Math.floor(Math.random() * 30) + 15} min`,
-      description: `Improve your understanding of ${topic.name} with this ${recommendedTypes[index % recommendedTypes.length].toLowerCase()}.`
-    }));
+    // Ranked from the student's weak topics, recent quiz results, resource history and popularity
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 30);
+    const recommendedResources = await getRecommendations(req.user.id, subject, { limit });
     
     res.status(200).json({
       status: 'success',
@@ -9,78 +9,45 @@ const Quiz = require('../models/quizModel');
 const QuizAttempt = require('../models/quizAttemptModel');
 const ResourceAccess = require('../models/resourceAccessModel');
 const DailyActivityLog = require('../models/dailyActivityLogModel'); // *** ADD THIS ***
+const PointsTransaction = require('../models/pointsTransactionModel');
+const { applyPointsChange } = require('../utils/pointsLedger');
+const { reconcilePoints } = require('../jobs/pointsReconciliation');
+const { buildSubjectProgress } = require('../utils/topicProgress');
+const { levelTitle, getLevelProgress, syncLevel } = require('../utils/progression');
+const { sendVerificationOtp } = require('../utils/emailVerification');
+const UserAchievement = require('../models/userAchievementModel');
+const {
+    HIDDEN_TITLE, HIDDEN_ICON, seasonStatus, achievementLevels, loadUserUnlocks, getAchievementProgress, getAchievementRarity
+} = require('../utils/achievementEngine');
 const mongoose = require('mongoose');
 const validator = require('validator');
 const { startOfMonth, endOfMonth, format } = require('date-fns'); // *** ADD date-fns ***
 
+// Fields a user may change through PATCH /api/users/:id
+const EDITABLE_PROFILE_FIELDS = ['name', 'email', 'phoneNumber', 'subjects'];
+const POINTS_SOURCES = PointsTransaction.schema.path('source').enumValues;
+
 // --- Helper function to check if an ID is valid ---
 const isValidObjectId = (id) => {
     return id && mongoose.Types.ObjectId.isValid(id);
 };
 
-/**
- * Calculate XP needed for a specific level using the same formula that determines level from XP
- * @param {number} level - The level to calculate XP for
- * @returns {number} - The XP needed to reach this level
- */
-function calculateXpForLevel(level) {
-    const effectiveLevel = Math.max(1, level);
-    return 100 * Math.pow(effectiveLevel - 1, 2);
-}
-
 
 // --- Helper: Calculate Achievement Points ---
 async function calculateAchievementPoints(userId) {
     try {
-        const user = await User.findById(userId).select('achievements').lean();
-        if (!user || !user.achievements || !user.achievements.length) { return 0; }
-        const unlockedAchievements = await Achievement.find({ _id: { $in: user.achievements } }).select('points').lean();
-        const totalPoints = unlockedAchievements.reduce((sum, ach) => sum + (typeof ach.points === 'number' ? ach.points : 0), 0);
-        return totalPoints;
+        // What was actually credited per unlock - each tier of a tiered achievement counts separately
+        const [totals] = await UserAchievement.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(userId) } },
+            { $group: { _id: null, points: { $sum: '$pointsAwarded' } } }
+        ]);
+        return totals ? totals.points : 0;
     } catch (error) {
         console.error(`Error calculating achievement points for user ${userId}:`, error);
         return 0;
     }
 }
 
-// --- Helper: Calculate Achievement Progress (Example Placeholder) ---
-async function calculateAchievementProgress(userId, achievement) {
-  try {
-    switch (achievement.trigger) {
-      case 'quiz_perfect_score':
-        return await QuizAttempt.countDocuments({ user: userId, percentageScore: 100 });
-      case 'quiz_completion':
-        let query = { user: userId };
-        if (achievement.condition?.passed) query.passed = true;
-        if (achievement.condition?.minScore) query.percentageScore = { $gte: achievement.condition.minScore };
-        return await QuizAttempt.countDocuments(query);
-      case 'quiz_points':
-        const userPoints = await User.findById(userId).select('quizPointsEarned').lean();
-        return userPoints?.quizPointsEarned || 0;
-      case 'forum_posts':
-        return await ForumTopic.countDocuments({ author: userId });
-      case 'forum_replies':
-        return await ForumReply.countDocuments({ author: userId });
-      case 'forum_best_answers':
-        return await ForumReply.countDocuments({ author: userId, isBestAnswer: true });
-      case 'resource_access':
-        const resourceQuery = { user: userId };
-        if (achievement.condition?.accessType) resourceQuery.accessType = achievement.condition.accessType;
-        return await ResourceAccess.countDocuments(resourceQuery);
-      case 'study_streak':
-        const streakUser = await User.findById(userId).select('streak').lean();
-        return streakUser?.streak || 0;
-      default:
-        console.warn(`Progress calculation not implemented for trigger: ${achievement.trigger}`);
-        return 0;
-    }
-  } catch (error) {
-    console.error(`Error calculating achievement progress for ${achievement.title}:`, error);
-    return 0;
-  }
-}
-
-
 // --- Helper function to get Quiz Stats ---
 async function getQuizStats(userId) {
     try {
@@ -177,15 +144,7 @@ exports.getDashboardSummary = async (req, res, next) => {
             }
             return { subjectId: record.subject._id.toString(), name: record.subject.name, color: record.subject.color || '#808080', progress: calculatedProgress };
         }).filter(sp => sp !== null);
-        const currentLevel = user.level || 1;
-        const currentXP = user.xp || 0;
-        const xpForCurrentLevel = calculateXpForLevel(currentLevel);
-        const xpForNextLevel = calculateXpForLevel(currentLevel + 1);
-        const pointsToNextLevel = Math.max(0, xpForNextLevel - currentXP);
-        let levelProgress = 0;
-        const xpInLevel = xpForNextLevel - xpForCurrentLevel;
-        if (xpInLevel > 0) { levelProgress = Math.min(100, Math.max(0, ((currentXP - xpForCurrentLevel) / xpInLevel) * 100)); }
-        else if (currentXP >= xpForCurrentLevel) { levelProgress = 100; }
+        const levelStatus = getLevelProgress(user.xp); // From XP, so the bar always matches the level
         const quizStats = await getQuizStats(userId);
         const forumStats = await getForumStats(userId);
         const resourceStats = await getResourceStats(userId);
@@ -193,8 +152,9 @@ exports.getDashboardSummary = async (req, res, next) => {
         const studyStats = { hours: Math.floor(Math.random() * 100) + 50, lastSession: getRandomPastDate(1, 7) }; // Mock study stats
         const userRank = await getUserRank(userId);
         const dashboardSummary = {
-            userName: user.name, level: currentLevel, xp: currentXP, pointsToNextLevel: pointsToNextLevel,
-            xpForNextLevel: xpForNextLevel, levelProgress: levelProgress, streak: user.streak || 0,
+            userName: user.name, level: levelStatus.level, levelTitle: levelStatus.title, xp: levelStatus.xp,
+            pointsToNextLevel: levelStatus.xpToNextLevel, xpForCurrentLevel: levelStatus.xpForCurrentLevel,
+            xpForNextLevel: levelStatus.xpForNextLevel, levelProgress: levelStatus.levelProgress, streak: user.streak || 0,
             points: user.points || 0, quizPointsEarned: user.quizPointsEarned || 0,
             achievementPoints: userAchievementPoints, leaderboardRank: userRank,
             subjectProgress: overallProgressPerSubject,
@@ -219,18 +179,13 @@ exports.getDetailedSubjectProgress = async (req, res, next) => {
         const { userId, subjectId } = req.params;
         if (!isValidObjectId(userId) || !isValidObjectId(subjectId)) return res.status(400).json({ status: 'fail', message: 'Invalid User or Subject ID format' });
         if (!req.user || (req.user.id !== userId && req.user.role !== 'admin')) return res.status(403).json({ status: 'fail', message: 'You do not have permission to access this progress data' });
-        const progressDoc = await UserProgress.findOne({ user: userId, subject: subjectId }).populate({ path: 'subject', select: 'name color topics' }).lean();
-        if (!progressDoc?.subject) return res.status(404).json({ status: 'fail', message: 'Progress data not found for this subject.' });
-        const detailedTopicProgress = progressDoc.subject.topics.map(subjectTopic => {
-             const topicProgressEntry = progressDoc.topicProgress.find(tp => tp.topic.equals(subjectTopic._id));
-             return { id: subjectTopic._id.toString(), name: subjectTopic.name, progress: topicProgressEntry?.progress || 0, mastery: topicProgressEntry?.mastery || 'low' };
-         }).sort((a, b) => {
-             const topicA = progressDoc.subject.topics.find(st => st._id.toString() === a.id);
-             const topicB = progressDoc.subject.topics.find(st => st._id.toString() === b.id);
-             return (topicA?.order ?? Infinity) - (topicB?.order ?? Infinity);
-         });
-        const analytics = { timeSpent: "N/A", quizAccuracy: "N/A", weakAreas: detailedTopicProgress.filter(t => t.mastery === 'low').map(t => t.name), performanceComparison: { overallStanding: "N/A", quizCompletionRate: "N/A", consistencyScore: "N/A" } };
-        const responseData = { subjectId: progressDoc.subject._id.toString(), subjectName: progressDoc.subject.name, subjectColor: progressDoc.subject.color, overallProgress: progressDoc.overallSubjectProgress || 0, topics: detailedTopicProgress, analytics: analytics };
+        const subject = await Subject.findById(subjectId).select('name color topics').lean();
+        if (!subject) return res.status(404).json({ status: 'fail', message: 'Subject not found.' });
+        // No document yet just means no activity in this subject - report zero progress
+        const progressDoc = await UserProgress.findOne({ user: userId, subject: subjectId }).lean();
+        const subjectProgress = buildSubjectProgress(subject, progressDoc);
+        const analytics = { timeSpent: "N/A", quizAccuracy: subjectProgress.quizAttempts > 0 ? subjectProgress.quizScore : "N/A", weakAreas: subjectProgress.topics.filter(t => t.mastery === 'low').map(t => t.name), performanceComparison: { overallStanding: "N/A", quizCompletionRate: "N/A", consistencyScore: "N/A" } };
+        const responseData = { ...subjectProgress, analytics: analytics };
         res.status(200).json({ status: 'success', data: responseData });
     } catch (err) {
         console.error("[Backend] Error in getDetailedSubjectProgress:", err);
@@ -249,25 +204,72 @@ exports.getUserAchievements = async (req, res, next) => {
         if (!isValidObjectId(userId)) return res.status(400).json({ status: 'fail', message: 'Invalid User ID format' });
         if (!req.user || (req.user.id !== userId && req.user.role !== 'admin')) return res.status(403).json({ status: 'fail', message: 'You do not have permission to access these achievements' });
         const achievements = await Achievement.find().lean();
-        const user = await User.findById(userId).select('achievements xp').lean(); // Fetch 'xp'
+        const user = await User.findById(userId).select('xp').lean(); // Fetch 'xp'
         if (!user) return res.status(404).json({ status: 'fail', message: 'User not found.' });
         // console.log(`[userController.getUserAchievements] Fetched user ${userId}, XP: ${user.xp}`); // Debug Log 1
-        const unlockedAchievementIds = new Set((user.achievements || []).map(id => id.toString()));
+        const [unlocks, { byAchievement: unlockCounts }] = await Promise.all([
+            loadUserUnlocks(userId),
+            getAchievementRarity()
+        ]);
+        const achievementsById = new Map(achievements.map(a => [a._id.toString(), a]));
+        const toDate = (record) => (record && record.unlockedAt ? record.unlockedAt.toISOString().split('T')[0] : null);
         const totalAchievementPoints = await calculateAchievementPoints(userId);
         const achievementsWithStatus = await Promise.all(
           achievements.map(async (achievement) => {
-            const isUnlocked = unlockedAchievementIds.has(achievement._id.toString());
+            const unlocked = unlocks.get(achievement._id.toString()) || new Map();
+            const levels = achievementLevels(achievement);
+            const isTiered = levels[0].tier !== null;
+            const isUnlocked = unlocked.size > 0; // Any tier of a tiered achievement
+            const isCompleted = levels.every(level => unlocked.has(level.tier));
+            const season = seasonStatus(achievement);
+            const prerequisites = (achievement.prerequisites || []).map(id => {
+                const prerequisite = achievementsById.get(id.toString());
+                const prerequisiteUnlocked = unlocks.has(id.toString());
+                return {
+                    id: id.toString(),
+                    title: prerequisite && (!prerequisite.hidden || prerequisiteUnlocked) ? prerequisite.title : HIDDEN_TITLE,
+                    unlocked: prerequisiteUnlocked
+                };
+            });
+            const available = prerequisites.every(p => p.unlocked) && (season === null || season === 'active');
+            // Progress towards the next level; the first tier with no record is next
+            const nextLevel = levels.find(level => !unlocked.has(level.tier)) || null;
+            const currentLevel = [...levels].reverse().find(level => unlocked.has(level.tier)) || null;
             let progressValue = 0;
-            let totalNeeded = achievement.requirement || 1;
-            if (!isUnlocked) { progressValue = await calculateAchievementProgress(userId, achievement); }
-            const dateUnlocked = isUnlocked ? getRandomPastDate(30, 180).toISOString().split('T')[0] : null;
-            return {
+            if (nextLevel && available) { progressValue = await getAchievementProgress(userId, achievement); }
+            const totalNeeded = (nextLevel || levels[levels.length - 1]).requirement;
+            const unlockStats = unlockCounts.get(achievement._id.toString()) || { unlockedBy: 0, percentage: 0 };
+            const entry = {
               id: achievement._id.toString(), title: achievement.title, description: achievement.description,
               icon: achievement.icon, category: achievement.category, unlocked: isUnlocked,
-              progress: isUnlocked ? 100 : Math.min(100, Math.round((progressValue / totalNeeded) * 100)),
+              progress: isCompleted ? 100 : Math.min(100, Math.round((progressValue / totalNeeded) * 100)),
               totalNeeded, xp: achievement.xp || 0, points: achievement.points || 0,
-              rarity: achievement.rarity, unlockedAt: dateUnlocked
+              rarity: achievement.rarity, unlockedAt: toDate(unlocked.get(levels[0].tier)),
+              unlockedBy: unlockStats.unlockedBy, unlockedPercent: unlockStats.percentage,
+              hidden: achievement.hidden || false, available, prerequisites,
+              season: season ? { startsAt: achievement.startsAt, endsAt: achievement.endsAt, status: season } : null
             };
+            if (isTiered) {
+              const summarize = (level) => (level ? { tier: level.tier, name: level.name } : null);
+              Object.assign(entry, {
+                tiers: levels.map(level => ({
+                  tier: level.tier, name: level.name, description: level.description, icon: level.icon,
+                  requirement: level.requirement, xp: level.xp, points: level.points, rarity: level.rarity,
+                  unlocked: unlocked.has(level.tier), unlockedAt: toDate(unlocked.get(level.tier))
+                })),
+                currentTier: summarize(currentLevel), nextTier: summarize(nextLevel), completed: isCompleted,
+                // Rewards and look of the next tier to unlock (the top one once completed)
+                xp: (nextLevel || currentLevel).xp, points: (nextLevel || currentLevel).points,
+                rarity: (nextLevel || currentLevel).rarity, icon: (currentLevel || levels[0]).icon
+              });
+            }
+            if (entry.hidden && !isUnlocked) { // Secret until unlocked: only its category shows
+              Object.assign(entry, {
+                title: HIDDEN_TITLE, description: 'Keep exploring to discover this achievement.', icon: HIDDEN_ICON,
+                progress: 0, totalNeeded: null, xp: null, points: null, tiers: undefined, nextTier: undefined, prerequisites: []
+              });
+            }
+            return entry;
           })
         );
         const responseData = {
@@ -283,6 +285,50 @@ exports.getUserAchievements = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc     Achievements a user has unlocked, newest first
+ * @route    GET /api/users/:userId/achievements/feed
+ * @access   Private (own feed or admin)
+ */
+exports.getAchievementFeed = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!isValidObjectId(userId)) return res.status(400).json({ status: 'fail', message: 'Invalid User ID format' });
+        if (!req.user || (req.user.id !== userId && req.user.role !== 'admin')) return res.status(403).json({ status: 'fail', message: 'You do not have permission to access these achievements' });
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = Math.min(100, parseInt(req.query.limit, 10) || 20);
+        const [total, unlocks] = await Promise.all([
+            UserAchievement.countDocuments({ user: userId }),
+            // Unlocks with an unknown date (migrated) sort last
+            UserAchievement.find({ user: userId }).sort({ unlockedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit)
+                .populate('achievement', 'title description icon category rarity tiers').lean()
+        ]);
+        const feed = unlocks.map(u => {
+            const tier = u.achievement && u.tier ? (u.achievement.tiers || []).find(t => t.tier === u.tier) : null;
+            return {
+                id: u._id,
+                achievement: u.achievement ? {
+                    id: u.achievement._id, title: u.achievement.title,
+                    description: (tier && tier.description) || u.achievement.description,
+                    icon: (tier && tier.icon) || u.achievement.icon, category: u.achievement.category,
+                    rarity: tier ? tier.rarity : u.achievement.rarity
+                } : null, // Achievement deleted since
+                tier: u.tier ? { tier: u.tier, name: tier ? tier.name : null } : null,
+                unlockedAt: u.unlockedAt, sourceEvent: u.sourceEvent,
+                xpAwarded: u.xpAwarded, pointsAwarded: u.pointsAwarded
+            };
+        });
+        res.status(200).json({
+            status: 'success', results: feed.length, totalResults: total,
+            totalPages: Math.ceil(total / limit) || 1, currentPage: page,
+            data: { feed }
+        });
+    } catch (err) {
+        console.error("[userController.getAchievementFeed] Error:", err);
+        next(err);
+    }
+};
+
 /**
  * @desc     Get user's recent activity
  * @route    GET /api/users/:userId/activity
@@ -327,7 +373,7 @@ exports.getLeaderboard = async (req, res, next) => {
         const limit = parseInt(req.query.limit, 10) || 20;
         if (isNaN(limit) || limit <= 0 || limit > 100) return res.status(400).json({ status: 'fail', message: 'Invalid or excessive limit parameter.' });
         const leaderboard = await User.find().select('name points level').sort({ points: -1, level: -1, xp: -1 }).limit(limit).lean();
-        const rankedLeaderboard = leaderboard.map((user, index) => ({ id: user._id.toString(), name: user.name, points: user.points || 0, level: user.level || 1, rank: index + 1 }));
+        const rankedLeaderboard = leaderboard.map((user, index) => ({ id: user._id.toString(), name: user.name, points: user.points || 0, level: user.level || 1, levelTitle: levelTitle(user.level || 1), rank: index + 1 }));
         res.status(200).json({ status: 'success', results: rankedLeaderboard.length, data: { leaderboard: rankedLeaderboard } });
     } catch (err) {
         console.error('[Backend] Error fetching leaderboard:', err);
@@ -346,13 +392,29 @@ exports.updateUserProfile = async (req, res, next) => {
         if (!isValidObjectId(id)) return res.status(400).json({ status: 'fail', message: 'Invalid User ID format' });
         if (!req.user) return res.status(401).json({ status: 'fail', message: 'Not authorized. Please log in.' });
         if (req.user.id !== id && req.user.role !== 'admin') return res.status(403).json({ status: 'fail', message: 'You do not have permission to update this profile' });
-        const restrictedFields = [ 'password', 'role', 'xp', 'level', 'points', 'achievements', 'streak', 'lastActive', 'passwordResetOtp', 'passwordResetExpires', 'quizCompletedCount', 'quizTotalPercentageScoreSum', 'quizPointsEarned' ];
-        const updateData = { ...req.body };
-        restrictedFields.forEach(field => delete updateData[field]);
-        if (updateData.email && !validator.isEmail(updateData.email)) return res.status(400).json({ status: 'fail', message: 'Invalid email format.' });
+        // Only profile fields are editable; balances, progression and security bookkeeping never are
+        const updateData = {};
+        EDITABLE_PROFILE_FIELDS.forEach(field => { if (req.body[field] !== undefined) updateData[field] = req.body[field]; });
+        if (updateData.email !== undefined && (typeof updateData.email !== 'string' || !validator.isEmail(updateData.email))) return res.status(400).json({ status: 'fail', message: 'Invalid email format.' });
+        const currentUser = await User.findById(id).select('email').lean();
+        if (!currentUser) return res.status(404).json({ status: 'fail', message: 'User not found' });
+        // A new address has to be verified again before it unlocks verified-only features
+        const emailChanged = updateData.email !== undefined && updateData.email.toLowerCase() !== currentUser.email;
+        if (emailChanged) {
+            updateData.emailVerified = false;
+            updateData.$unset = { emailVerifiedAt: 1 };
+        }
         const updatedUser = await User.findByIdAndUpdate(id, updateData, { new: true, runValidators: true }).select('-password -passwordResetOtp -passwordResetExpires');
         if (!updatedUser) return res.status(404).json({ status: 'fail', message: 'User not found' });
-        res.status(200).json({ status: 'success', data: { user: updatedUser } });
+        if (emailChanged) {
+            try {
+                await sendVerificationOtp(await User.findById(id));
+            } catch (emailError) {
+                console.error(`[Backend] Could not send verification email to ${updatedUser.email}:`, emailError);
+                // The user can request a new code via /api/auth/resend-verification
+            }
+        }
+        res.status(200).json({ status: 'success', data: { user: updatedUser, emailVerificationRequired: emailChanged } });
     } catch (err) {
         console.error("[Backend] Error updating user profile:", err);
         if (err.code === 11000 && err.keyPattern?.email) return res.status(400).json({ status: 'fail', message: 'Email address already in use.' });
@@ -439,4 +501,93 @@ exports.getUserActivityDates = async (req, res, next) => {
         console.error("[getUserActivityDates] Error:", err);
         next(err);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc     Get a user's points/XP ledger (newest first)
+ * @route    GET /api/users/:id/points-history
+ * @access   Private (own history or admin)
+ */
+exports.getPointsHistory = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) return res.status(400).json({ status: 'fail', message: 'Invalid User ID format' });
+        if (!req.user || (req.user.id !== id && req.user.role !== 'admin')) return res.status(403).json({ status: 'fail', message: 'You do not have permission to access this data' });
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = Math.min(100, parseInt(req.query.limit, 10) || 20);
+        const filter = { user: id };
+        if (req.query.source) {
+            // Only a known source - an object here (?source[$ne]=x) would be a query operator
+            if (!POINTS_SOURCES.includes(req.query.source)) {
+                return res.status(400).json({ status: 'fail', message: `source must be one of: ${POINTS_SOURCES.join(', ')}.` });
+            }
+            filter.source = req.query.source;
+        }
+        const [user, total, transactions] = await Promise.all([
+            User.findById(id).select('points xp').lean(),
+            PointsTransaction.countDocuments(filter),
+            PointsTransaction.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate('createdBy', 'name').lean()
+        ]);
+        if (!user) return res.status(404).json({ status: 'fail', message: 'User not found' });
+        res.status(200).json({
+            status: 'success', results: transactions.length, totalResults: total,
+            totalPages: Math.ceil(total / limit) || 1, currentPage: page,
+            data: { balance: { points: user.points || 0, xp: user.xp || 0 }, transactions }
+        });
+    } catch (err) {
+        console.error("[Backend] Error fetching points history:", err);
+        next(err);
+    }
+};
+
+/**
+ * @desc     Manually credit/debit a user's points and/or XP
+ * @route    POST /api/users/:id/points-adjustments
+ * @access   Private/Admin
+ */
+exports.adjustPoints = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) return res.status(400).json({ status: 'fail', message: 'Invalid User ID format' });
+        const points = Number(req.body.points || 0);
+        const xp = Number(req.body.xp || 0);
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!Number.isInteger(points) || !Number.isInteger(xp)) return res.status(400).json({ status: 'fail', message: 'Points and XP adjustments must be whole numbers.' });
+        if (points === 0 && xp === 0) return res.status(400).json({ status: 'fail', message: 'Provide a non-zero points or xp adjustment.' });
+        if (!reason) return res.status(400).json({ status: 'fail', message: 'A reason is required for manual adjustments.' });
+        // Debits may not take a balance below zero
+        const filter = {};
+        if (points < 0) filter.points = { $gte: -points };
+        if (xp < 0) filter.xp = { $gte: -xp };
+        const user = await applyPointsChange({ userId: id, points, xp, source: 'admin_adjustment', description: reason, createdBy: req.user.id, filter });
+        if (!user) {
+            const exists = await User.exists({ _id: id });
+            if (!exists) return res.status(404).json({ status: 'fail', message: 'User not found' });
+            return res.status(400).json({ status: 'fail', message: 'Adjustment would make the balance negative.' });
+        }
+        // Level-up rewards can add points, so the balance is read again afterwards
+        const levelChange = xp !== 0 ? await syncLevel(id, { allowDecrease: true }) : null;
+        const balance = levelChange && levelChange.rewards.length > 0 ? await User.findById(id).select('points xp').lean() : user;
+        console.log(`[Backend] Admin ${req.user.id} adjusted user ${id}: points ${points}, xp ${xp} (${reason})`);
+        res.status(200).json({ status: 'success', data: { balance: { points: balance.points, xp: balance.xp }, level: levelChange ? levelChange.level : user.level } });
+    } catch (err) {
+        console.error("[Backend] Error adjusting points:", err);
+        next(err);
+    }
+};
+
+/**
+ * @desc     Recompute points from the ledger and report drift (?fix=true to correct User.points)
+ * @route    POST /api/users/points/reconcile
+ * @access   Private/Admin
+ */
+exports.reconcilePoints = async (req, res, next) => {
+    try {
+        const fix = req.query.fix === 'true' || req.body?.fix === true;
+        const report = await reconcilePoints({ fix });
+        res.status(200).json({ status: 'success', data: report });
+    } catch (err) {
+        console.error("[Backend] Error reconciling points:", err);
+        next(err);
+    }
+};
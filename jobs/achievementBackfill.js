@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+// jobs/achievementBackfill.js
+// Evaluates one achievement against every user and awards it to those who already meet its
+// requirement - for achievements that were just created or whose requirement was lowered, which
+// events alone would only award the next time each student happens to trigger them.
+//
+// Each user is evaluated by the achievement engine (evaluateAchievement), the same logic used when
+// events are handled - tiers, prerequisites and seasons included. Users are processed in batches ordered by _id; after each batch the run
+// (AchievementBackfill) stores a checkpoint, so an interrupted run resumes where it stopped.
+// Awarding is idempotent, so overlapping with live events or re-running is safe.
+//
+//   node jobs/achievementBackfill.js <achievementId>              # award
+//   node jobs/achievementBackfill.js <achievementId> --dry-run    # only count who qualifies
+//   node jobs/achievementBackfill.js --resume <backfillId>
+//   add --batch-size=500 to change the batch size (default 200)
+//
+// Also available to admins via POST /api/achievements/:id/backfill.
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Achievement = require('../models/achievementModel');
+const AchievementBackfill = require('../models/achievementBackfillModel');
+const AchievementBackfillAward = require('../models/achievementBackfillAwardModel');
+const { evaluateAchievement } = require('../utils/achievementEngine');
+
+const DEFAULT_BATCH_SIZE = 200;
+// A running backfill that hasn't finished a batch for this long is treated as interrupted
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+const isStale = (backfill, now = Date.now()) => (
+  backfill.status === 'running' && now - new Date(backfill.heartbeatAt).getTime() > STALE_AFTER_MS
+);
+
+/**
+ * The backfill currently running for an achievement, if any (interrupted runs don't count).
+ * @param {string} achievementId
+ * @returns {Promise<object|null>} Lean AchievementBackfill
+ */
+const findActiveBackfill = async (achievementId) => {
+  const running = await AchievementBackfill.findOne({ achievement: achievementId, status: 'running' })
+    .sort({ createdAt: -1 }).lean();
+  return running && !isStale(running) ? running : null;
+};
+
+/**
+ * Record a new backfill run (run it with runAchievementBackfill).
+ * @param {object} params
+ * @param {string} params.achievementId
+ * @param {boolean} [params.dryRun=false]
+ * @param {number} [params.batchSize]
+ * @param {string} [params.startedBy]
+ * @returns {Promise<object>} Lean AchievementBackfill
+ */
+const createAchievementBackfill = async ({ achievementId, dryRun = false, batchSize = DEFAULT_BATCH_SIZE, startedBy = null }) => {
+  const backfill = await AchievementBackfill.create({ achievement: achievementId, dryRun, batchSize, startedBy });
+  return backfill.toObject();
+};
+
+/**
+ * Process a backfill from its checkpoint until every user has been checked. Never throws - a
+ * failure is stored on the run (status 'failed') so it can be resumed.
+ * @param {string} backfillId
+ * @returns {Promise<object|null>} Lean AchievementBackfill as it ended, null if it doesn't exist
+ */
+const runAchievementBackfill = async (backfillId) => {
+  let backfill = await AchievementBackfill.findById(backfillId).lean();
+  if (!backfill) return null;
+  const tag = `[Achievement Backfill ${backfillId}]`;
+
+  try {
+    const achievement = await Achievement.findById(backfill.achievement).lean();
+    if (!achievement) throw new Error(`Achievement ${backfill.achievement} no longer exists`);
+    console.log(`${tag} ${backfill.lastUserId ? 'Resuming' : 'Starting'} "${achievement.title}"${backfill.dryRun ? ' (dry run)' : ''}`);
+
+    let lastUserId = backfill.lastUserId;
+    for (;;) {
+      const users = await User.find(lastUserId ? { _id: { $gt: lastUserId } } : {})
+        .sort({ _id: 1 }).limit(backfill.batchSize).select('_id').lean();
+      if (users.length === 0) break;
+
+      let alreadyUnlocked = 0;
+      let qualified = 0;
+      const awarded = [];
+      for (const user of users) {
+        const result = await evaluateAchievement(user._id, achievement, { sourceEvent: 'backfill', dryRun: backfill.dryRun });
+        if (result.status === 'completed') alreadyUnlocked++;
+        if (result.status !== 'reached') continue;
+        qualified++;
+        if (backfill.dryRun) continue;
+        if (result.awarded.length > 0) {
+          awarded.push({
+            backfill: backfill._id,
+            user: user._id,
+            progress: result.progress,
+            tiers: result.awarded.filter(a => a.tier).map(a => a.tier.tier),
+            awardedAt: new Date()
+          });
+        } else { // An event awarded it since it was evaluated
+          alreadyUnlocked++;
+          qualified--;
+        }
+      }
+
+      // Written before the checkpoint: if the run stops in between, the re-run batch finds these
+      // users already unlocked, so nobody is listed twice
+      if (awarded.length > 0) await AchievementBackfillAward.insertMany(awarded);
+      lastUserId = users[users.length - 1]._id;
+      backfill = await AchievementBackfill.findByIdAndUpdate(backfillId, {
+        $set: { lastUserId, heartbeatAt: new Date() },
+        $inc: { usersChecked: users.length, alreadyUnlocked, qualified, awardedCount: awarded.length }
+      }, { new: true }).lean();
+      if (users.length < backfill.batchSize) break;
+    }
+
+    backfill = await AchievementBackfill.findByIdAndUpdate(backfillId, {
+      $set: { status: 'completed', finishedAt: new Date(), heartbeatAt: new Date() }
+    }, { new: true }).lean();
+    console.log(`${tag} Completed: ${backfill.usersChecked} users checked, ${backfill.qualified} qualified, ${backfill.awardedCount} awarded`);
+  } catch (err) {
+    console.error(`${tag} Failed:`, err);
+    backfill = await AchievementBackfill.findByIdAndUpdate(backfillId, {
+      $set: { status: 'failed', error: err.message, heartbeatAt: new Date() }
+    }, { new: true }).lean();
+  }
+  return backfill;
+};
+
+/**
+ * Mark a failed or interrupted backfill as running again, from its checkpoint.
+ * @param {string} backfillId
+ * @returns {Promise<object|null>} Lean AchievementBackfill, or null if it isn't resumable
+ */
+const reopenAchievementBackfill = async (backfillId) => {
+  const backfill = await AchievementBackfill.findById(backfillId).lean();
+  if (!backfill || !(backfill.status === 'failed' || isStale(backfill))) return null;
+  // Conditional on the state just read, so two resumes can't both run it
+  return AchievementBackfill.findOneAndUpdate(
+    { _id: backfillId, status: backfill.status, heartbeatAt: backfill.heartbeatAt },
+    { $set: { status: 'running', error: null, heartbeatAt: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  isStale,
+  findActiveBackfill,
+  createAchievementBackfill,
+  runAchievementBackfill,
+  reopenAchievementBackfill
+};
+
+// --- CLI ---
+if (require.main === module) {
+  require('dotenv').config();
+  const args = process.argv.slice(2);
+  const resumeIndex = args.indexOf('--resume');
+  const batchArg = args.find(a => a.startsWith('--batch-size='));
+  const batchSize = batchArg ? parseInt(batchArg.split('=')[1], 10) || DEFAULT_BATCH_SIZE : DEFAULT_BATCH_SIZE;
+  const achievementId = resumeIndex === -1 ? args.find(a => !a.startsWith('--')) : null;
+
+  const start = async () => {
+    if (resumeIndex !== -1) {
+      const reopened = await reopenAchievementBackfill(args[resumeIndex + 1]);
+      if (!reopened) throw new Error('Backfill not found, or still running / already completed');
+      return runAchievementBackfill(reopened._id);
+    }
+    if (!achievementId || !mongoose.Types.ObjectId.isValid(achievementId)) throw new Error('Usage: achievementBackfill.js <achievementId> [--dry-run] [--batch-size=N] | --resume <backfillId>');
+    if (!(await Achievement.exists({ _id: achievementId }))) throw new Error(`Achievement ${achievementId} not found`);
+    if (await findActiveBackfill(achievementId)) throw new Error('A backfill of this achievement is already running');
+    const backfill = await createAchievementBackfill({ achievementId, dryRun: args.includes('--dry-run'), batchSize });
+    return runAchievementBackfill(backfill._id);
+  };
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(start)
+    .then((backfill) => {
+      console.log(JSON.stringify({
+        backfillId: backfill._id, status: backfill.status, dryRun: backfill.dryRun, usersChecked: backfill.usersChecked,
+        alreadyUnlocked: backfill.alreadyUnlocked, qualified: backfill.qualified, awarded: backfill.awardedCount
+      }, null, 2));
+      return mongoose.disconnect().then(() => process.exit(backfill.status === 'completed' ? 0 : 1));
+    })
+    .catch(err => {
+      console.error('[Achievement Backfill] Failed:', err.message);
+      mongoose.disconnect().finally(() => process.exit(1));
+    });
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// jobs/pointsReconciliation.js
+// Recomputes every user's points (and XP) from the PointsTransaction ledger and reports drift.
+//
+//   node jobs/pointsReconciliation.js          # report only
+//   node jobs/pointsReconciliation.js --fix    # also reset User.points and User.xp to the ledger
+//                                              # totals (and re-sync the level)
+//
+// A change still being applied (balance updated, ledger entry not yet written) looks like drift
+// for that moment, so --fix is best run while the app is quiet.
+//
+// Also available to admins via POST /api/users/points/reconcile.
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const PointsTransaction = require('../models/pointsTransactionModel');
+const { syncLevel } = require('../utils/progression');
+
+const ZERO_TOTALS = { points: 0, xp: 0 };
+
+// Ledger totals of one user, as of now
+const ledgerTotalsFor = async (userId) => {
+  const [totals] = await PointsTransaction.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: '$user', points: { $sum: '$points' }, xp: { $sum: '$xp' } } }
+  ]);
+  return totals || ZERO_TOTALS;
+};
+
+/**
+ * Compare User.points / User.xp with the ledger totals.
+ * @param {object} [options]
+ * @param {boolean} [options.fix=false] - Set User.points / User.xp to the ledger totals for drifting
+ *   users and re-sync their level
+ * @returns {Promise<{ checkedUsers: number, driftCount: number, fixedCount: number, drift: object[] }>}
+ */
+const reconcilePoints = async ({ fix = false } = {}) => {
+  console.log(`[Points Reconciliation] Starting${fix ? ' (fix mode)' : ''}...`);
+
+  const ledgerTotals = await PointsTransaction.aggregate([
+    { $group: { _id: '$user', points: { $sum: '$points' }, xp: { $sum: '$xp' } } }
+  ]);
+  const totalsByUser = new Map(ledgerTotals.map(t => [t._id.toString(), t]));
+
+  const drift = [];
+  let checkedUsers = 0;
+  let fixedCount = 0;
+
+  const cursor = User.find().select('name email points xp').lean().cursor();
+  for await (const user of cursor) {
+    checkedUsers++;
+    const snapshotTotals = totalsByUser.get(user._id.toString()) || ZERO_TOTALS;
+    if ((user.points || 0) === snapshotTotals.points && (user.xp || 0) === snapshotTotals.xp) continue;
+
+    // The totals above were read before the cursor got here - re-read the balance, then the ledger,
+    // so a change made during the run isn't taken for drift
+    const current = await User.findById(user._id).select('points xp').lean();
+    if (!current) continue;
+    const totals = await ledgerTotalsFor(user._id);
+    const storedPoints = current.points || 0;
+    const storedXp = current.xp || 0;
+    if (storedPoints === totals.points && storedXp === totals.xp) continue;
+
+    const entry = {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      storedPoints,
+      ledgerPoints: totals.points,
+      pointsDrift: storedPoints - totals.points,
+      storedXp,
+      ledgerXp: totals.xp,
+      xpDrift: storedXp - totals.xp,
+      fixed: false
+    };
+
+    if (fix) {
+      // Only overwrite if the balances haven't moved since they were read
+      const result = await User.updateOne(
+        { _id: user._id, points: current.points ?? null, xp: current.xp ?? null },
+        { $set: { points: totals.points, xp: totals.xp } }
+      );
+      entry.fixed = result.modifiedCount === 1;
+      if (entry.fixed) {
+        fixedCount++;
+        if (entry.xpDrift !== 0) entry.level = (await syncLevel(user._id, { allowDecrease: true }))?.level ?? null;
+      }
+    }
+    drift.push(entry);
+  }
+
+  console.log(`[Points Reconciliation] Checked ${checkedUsers} users: ${drift.length} drifting, ${fixedCount} fixed`);
+  drift.forEach(d => {
+    console.log(`[Points Reconciliation]  ${d.email}: points ${d.storedPoints} vs ledger ${d.ledgerPoints} (${d.pointsDrift > 0 ? '+' : ''}${d.pointsDrift}), xp ${d.storedXp} vs ledger ${d.ledgerXp}${d.fixed ? ` -> fixed${d.level ? ` (level ${d.level})` : ''}` : ''}`);
+  });
+
+  return { checkedUsers, driftCount: drift.length, fixedCount, drift };
+};
+
+module.exports = { reconcilePoints };
+
+// --- CLI ---
+if (require.main === module) {
+  require('dotenv').config();
+  const fix = process.argv.includes('--fix');
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => reconcilePoints({ fix }))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error('[Points Reconciliation] Failed:', err);
+      mongoose.disconnect().finally(() => process.exit(1));
+    });
+}
@@ -1,43 +1,82 @@
 // middleware/authMiddleware.js
+// Single authentication/authorization module used by every route file.
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel'); // Adjust path if needed
+const Session = require('../models/sessionModel');
+const config = require('../config/config');
 
-exports.protect = async (req, res, next) => {
-  let token;
-
-  // 1. Get token and check if it exists
+// --- Helper: Extract Bearer token from the Authorization header ---
+const getTokenFromRequest = (req) => {
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
   }
+  return undefined;
+};
+
+/**
+ * Verify a token produced by authController's signToken and load the live user.
+ * Resolves with the user document, or rejects with an error carrying statusCode/message.
+ * @param {string} token - Raw JWT string
+ * @returns {Promise<{ currentUser: object, sessionId: (string|undefined) }>}
+ */
+const verifyTokenAndLoadUser = async (token) => {
+  // 1. Verify token signature and expiry (throws JsonWebTokenError / TokenExpiredError)
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  // 2. Check if user still exists
+  const currentUser = await User.findById(decoded.id).select('+role +passwordChangedAt');
+  if (!currentUser) {
+    const err = new Error('The user belonging to this token no longer exists.');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  // 3. Reject tokens issued before the latest password change/reset
+  if (currentUser.changedPasswordAfter(decoded.iat)) {
+    const err = new Error('Password was changed recently. Please log in again.');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  // 4. Tokens bound to a session (sid claim) die with it (logout / revocation)
+  if (decoded.sid) {
+    const sessionActive = await Session.exists({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!sessionActive) {
+      const err = new Error('Your session has ended. Please log in again.');
+      err.statusCode = 401;
+      throw err;
+    }
+  }
+
+  return { currentUser, sessionId: decoded.sid };
+};
+
+exports.protect = async (req, res, next) => {
+  // 1. Get token and check if it exists
+  const token = getTokenFromRequest(req);
   // --- DEBUG LOG ---
   console.log('[Auth Middleware] Token received:', token ? 'Yes (Bearer)' : 'No');
-  // console.log('[Auth Middleware] Full Token:', token); // Optional: Log full token if needed, but be careful with sensitive data
 
   if (!token) {
+    // Explicit opt-in dev bypass (AUTH_DEV_BYPASS=true, never in production)
+    if (config.auth.devBypass) {
+      const devUser = config.auth.devUser;
+      req.user = { ...devUser, id: devUser._id };
+      console.warn(`[Auth Middleware] DEV BYPASS active - attaching mock user ${req.user.id} (${req.user.role})`);
+      return next();
+    }
     return res.status(401).json({ status: 'fail', message: 'Not authorized, no token provided.' });
   }
 
   try {
-    // 2. Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // --- DEBUG LOG ---
-    console.log('[Auth Middleware] Token decoded successfully. Decoded Payload:', decoded);
-
-    // 3. Check if user still exists
-    const currentUser = await User.findById(decoded.id).select('+role'); // Select role if needed for restrictTo
-    if (!currentUser) {
-      console.error(`[Auth Middleware] User belonging to token (ID: ${decoded.id}) no longer exists.`);
-      return res.status(401).json({ status: 'fail', message: 'The user belonging to this token no longer exists.' });
-    }
-
-    // --- DEBUG LOG ---
-    console.log(`[Auth Middleware] User found in DB. ID: ${currentUser._id}, Role: ${currentUser.role}`);
+    const { currentUser, sessionId } = await verifyTokenAndLoadUser(token);
 
     // GRANT ACCESS TO PROTECTED ROUTE
     req.user = currentUser; // Attach user to the request object
+    req.sessionId = sessionId; // Used by the sessions endpoints to flag the current device
     console.log('[Auth Middleware] Access granted for user ID:', req.user.id, ', Role:', req.user.role);
     next(); // Move to the next middleware/controller
 
@@ -50,12 +89,35 @@ exports.protect = async (req, res, next) => {
     if (err.name === 'TokenExpiredError') {
         return res.status(401).json({ status: 'fail', message: 'Your token has expired. Please log in again.' });
     }
+    if (err.statusCode === 401) {
+        return res.status(401).json({ status: 'fail', message: err.message });
+    }
     // Generic error
     return res.status(401).json({ status: 'fail', message: 'Not authorized.' });
   }
 };
 
-// Replace the existing restrictTo function with this one
+// Like protect, but never rejects: attaches req.user when a valid token is sent and
+// continues anonymously otherwise. For public routes whose output depends on the viewer.
+exports.optionalAuth = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (!token) {
+    if (config.auth.devBypass) {
+      const devUser = config.auth.devUser;
+      req.user = { ...devUser, id: devUser._id };
+    }
+    return next();
+  }
+  try {
+    const { currentUser, sessionId } = await verifyTokenAndLoadUser(token);
+    req.user = currentUser;
+    req.sessionId = sessionId;
+  } catch (err) {
+    console.warn('[Auth Middleware] Optional auth ignored invalid token:', err.name, err.message);
+  }
+  next();
+};
+
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
     // roles ['admin', 'moderator']. role='user'
@@ -63,7 +125,7 @@ exports.restrictTo = (...roles) => {
          console.error('[Restrict Middleware] req.user or req.user.role not found. Is protect running first?');
          return res.status(500).json({ status: 'error', message: 'User role not identified.' });
     }
-    
+
     // Special handling for preview role
     if (req.user.role === 'preview') {
       // Check if this is a GET request (view-only)
@@ -80,7 +142,7 @@ exports.restrictTo = (...roles) => {
         });
       }
     }
-    
+
     // Standard role check for non-preview users
     if (!roles.includes(req.user.role)) {
       console.log(`[Restrict Middleware] Permission denied for role: ${req.user.role}. Required: ${roles.join(', ')}`);
@@ -89,8 +151,40 @@ exports.restrictTo = (...roles) => {
           message: 'You do not have permission to perform this action'
       });
     }
-    
+
     console.log(`[Restrict Middleware] Permission granted for role: ${req.user.role}`);
     next();
   };
-};
\ No newline at end of file
+};
+
+// Admins only, without restrictTo's preview exception - for admin reads that expose answers or
+// other users' personal data (use after protect)
+exports.adminOnly = (req, res, next) => {
+  if (!req.user || !req.user.role) {
+    console.error('[Admin Middleware] req.user or req.user.role not found. Is protect running first?');
+    return res.status(500).json({ status: 'error', message: 'User role not identified.' });
+  }
+  if (req.user.role !== 'admin') {
+    console.log(`[Admin Middleware] Permission denied for role: ${req.user.role}`);
+    return res.status(403).json({
+      status: 'fail',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+// Require a verified email address (use after protect)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    console.error('[Verified Email Middleware] req.user not found. Is protect running first?');
+    return res.status(401).json({ status: 'fail', message: 'Not authorized. Please log in.' });
+  }
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Please verify your email address to use this feature.'
+    });
+  }
+  next();
+};
@@ -0,0 +1,138 @@
+// middleware/rateLimiter.js
+// Per-IP (express-rate-limit) and per-account throttling for the auth endpoints.
+const { rateLimit } = require('express-rate-limit');
+const config = require('../config/config');
+
+// --- Limiter Store ---
+// Both the per-IP limiters and the per-account throttles count hits through this store.
+// The default keeps counters in process memory; call setLimiterStore() at startup with any
+// object implementing the same async methods (e.g. a Redis-backed store) to share counters
+// between several server instances.
+class MemoryLimiterStore {
+  constructor() {
+    this.hits = new Map();
+    // Drop expired windows periodically so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  // Count one hit for key in a window of windowMs; resolves with { count, resetAt }
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async decrement(key) {
+    const entry = this.hits.get(key);
+    if (entry && entry.count > 0) entry.count -= 1;
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let limiterStore = new MemoryLimiterStore();
+
+const setLimiterStore = (store) => {
+  if (!store || typeof store.increment !== 'function' || typeof store.decrement !== 'function' || typeof store.reset !== 'function') {
+    throw new Error('Limiter store must implement increment(key, windowMs), decrement(key) and reset(key).');
+  }
+  limiterStore = store;
+};
+
+const getLimiterStore = () => limiterStore;
+
+// Adapter exposing the pluggable store through express-rate-limit's Store interface.
+// Resolves the current store on every call so setLimiterStore() works after routes are built.
+const createRateLimitStore = (prefix) => ({
+  prefix,
+  windowMs: 60 * 1000,
+  init(options) {
+    this.windowMs = options.windowMs;
+  },
+  async increment(key) {
+    const { count, resetAt } = await getLimiterStore().increment(`${prefix}:${key}`, this.windowMs);
+    return { totalHits: count, resetTime: resetAt };
+  },
+  async decrement(key) {
+    await getLimiterStore().decrement(`${prefix}:${key}`);
+  },
+  async resetKey(key) {
+    await getLimiterStore().reset(`${prefix}:${key}`);
+  }
+});
+
+// --- Per-IP Limiters ---
+const buildIpLimiter = (name, { windowMinutes, max }, message) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  limit: max,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore(`ip:${name}`),
+  handler: (req, res, next, options) => {
+    console.warn(`[Rate Limit] ${name} limit reached for IP ${req.ip}`);
+    res.status(options.statusCode).json({ status: 'fail', message });
+  }
+});
+
+// Login attempts per IP
+const loginLimiter = buildIpLimiter(
+  'login',
+  config.security.loginRateLimit,
+  'Too many login attempts from this IP. Please try again later.'
+);
+
+// OTP-related endpoints per IP (forgot/reset password, verify/resend email)
+const otpLimiter = buildIpLimiter(
+  'otp',
+  config.security.otpRateLimit,
+  'Too many requests from this IP. Please try again later.'
+);
+
+// --- Per-Account Throttle ---
+/**
+ * Limit how often one account (keyed by req.body.email) may hit an endpoint,
+ * whichever IP the requests come from.
+ * @param {string} name - Counter namespace, e.g. 'forgot-password'
+ * @param {{ windowMinutes: number, max: number }} limits
+ */
+const accountThrottle = (name, { windowMinutes, max }) => async (req, res, next) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+  if (!email) return next(); // Controller validation reports the missing email
+
+  try {
+    const { count, resetAt } = await getLimiterStore().increment(`account:${name}:${email}`, windowMinutes * 60 * 1000);
+    if (count > max) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+      console.warn(`[Rate Limit] ${name} limit reached for account ${email}`);
+      return res.status(429).json({ status: 'fail', message: 'Too many requests for this account. Please try again later.' });
+    }
+    next();
+  } catch (err) {
+    // Never lock users out because the counter store is unavailable
+    console.error(`[Rate Limit] Store error in ${name} account throttle:`, err);
+    next();
+  }
+};
+
+module.exports = {
+  MemoryLimiterStore,
+  setLimiterStore,
+  getLimiterStore,
+  loginLimiter,
+  otpLimiter,
+  accountThrottle
+};
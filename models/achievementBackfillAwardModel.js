@@ -0,0 +1,28 @@
+// models/achievementBackfillAwardModel.js
+const mongoose = require('mongoose');
+
+// One user awarded by an achievement backfill run (jobs/achievementBackfill.js). Kept out of the
+// AchievementBackfill document so a backfill over the whole user base can't outgrow it.
+const achievementBackfillAwardSchema = new mongoose.Schema({
+  backfill: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'AchievementBackfill',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  progress: Number,
+  tiers: [Number], // Tiers awarded, for tiered achievements
+  awardedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+achievementBackfillAwardSchema.index({ backfill: 1, _id: 1 });
+
+const AchievementBackfillAward = mongoose.model('AchievementBackfillAward', achievementBackfillAwardSchema);
+module.exports = AchievementBackfillAward;
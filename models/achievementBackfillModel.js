@@ -0,0 +1,57 @@
+// models/achievementBackfillModel.js
+const mongoose = require('mongoose');
+
+// A run of jobs/achievementBackfill.js: one achievement evaluated against every user, in batches
+// of users ordered by _id. lastUserId is the checkpoint an interrupted run resumes from.
+const achievementBackfillSchema = new mongoose.Schema({
+  achievement: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Achievement',
+    required: true
+  },
+  dryRun: { // Only count who qualifies, award nothing
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  batchSize: {
+    type: Number,
+    default: 200,
+    min: 1,
+    max: 5000
+  },
+  lastUserId: { // Last user of the last finished batch
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  usersChecked: { type: Number, default: 0 },
+  alreadyUnlocked: { type: Number, default: 0 }, // Had it (every tier of a tiered one) already
+  qualified: { type: Number, default: 0 }, // Reached a requirement (or tier) they didn't have yet
+  awardedCount: { type: Number, default: 0 }, // 0 for dry runs; who was awarded is in AchievementBackfillAward
+  error: {
+    type: String,
+    default: null
+  },
+  heartbeatAt: { // Updated after every batch; a running job without one for a while was interrupted
+    type: Date,
+    default: Date.now
+  },
+  startedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+achievementBackfillSchema.index({ achievement: 1, createdAt: -1 });
+
+const AchievementBackfill = mongoose.model('AchievementBackfill', achievementBackfillSchema);
+module.exports = AchievementBackfill;
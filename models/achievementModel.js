@@ -46,7 +46,8 @@ const achievementSchema = new mongoose.Schema({
             'resource_access',      // Access resources
             'login_streak',         // Daily login streak
             'study_streak',         // Study activity streak
-            'quiz_points'           // NEW: Earn quiz points milestones
+            'quiz_points',          // NEW: Earn quiz points milestones
+            'reviews_completed'     // Complete spaced-repetition reviews (condition { correct: true } counts correct ones)
         ],
         required: true
     },
@@ -59,9 +60,53 @@ const achievementSchema = new mongoose.Schema({
         type: Object,
         default: {}
     },
-    // Example condition: { difficulty: 'hard' } - Only applies to hard quizzes
-    // Example condition: { category: 'pdf' } - Only counts PDF resources
+    // Narrows what counts, e.g. { difficulty: 'hard' } - only hard quizzes.
+    // Supported fields per trigger are listed in utils/achievementEngine.js
+
+    // Tiered series: one achievement unlocked again at each tier (e.g. Bronze/Silver/Gold), each
+    // with its own requirement and rewards. When set, the tiers replace requirement/xp/points.
+    tiers: {
+        type: [{
+            _id: false,
+            tier: { type: Number, required: true, min: 1 }, // 1 = first tier
+            name: { type: String, required: true, trim: true },
+            description: { type: String },
+            icon: { type: String },
+            requirement: { type: Number, required: true, min: 1 },
+            xp: { type: Number, default: 0 },
+            points: { type: Number, default: 0 },
+            rarity: { type: String, enum: ['common', 'uncommon', 'rare', 'epic', 'legendary'], default: 'common' }
+        }],
+        default: [],
+        validate: {
+            // Numbered 1, 2, 3, ... with strictly increasing requirements
+            validator: (tiers) => tiers.every((t, i) => t.tier === i + 1 && (i === 0 || t.requirement > tiers[i - 1].requirement)),
+            message: 'Tiers must be numbered 1, 2, 3, ... in order, with increasing requirements'
+        }
+    },
+    // Secret achievement: title, description, icon and progress are masked until it's unlocked
+    hidden: {
+        type: Boolean,
+        default: false
+    },
+    // Achievements that must be unlocked first (the first tier of a tiered one is enough)
+    prerequisites: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'Achievement'
+    }],
+    // Seasonal achievement: can only be unlocked between these dates, and only activity in the
+    // window counts towards it (see utils/achievementEngine.js). Either end may be open.
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    }
 }, { timestamps: true });
 
+achievementSchema.index({ prerequisites: 1 });
+
 const Achievement = mongoose.model('Achievement', achievementSchema);
 module.exports = Achievement;
\ No newline at end of file
@@ -0,0 +1,82 @@
+// models/examAttemptModel.js
+const mongoose = require('mongoose');
+
+// Type-specific answer fields are the same as QuizAttempt answers (see utils/questionGrading.js)
+const examAnswerSchema = new mongoose.Schema({
+  questionId: { type: String, required: true },
+  answerId: String,
+  answerIds: [String],
+  value: Number,
+  unit: String,
+  text: String,
+  order: [String],
+  matches: [{ _id: false, pairId: String, match: String }],
+  isCorrect: { type: Boolean, default: false },
+  credit: { type: Number, default: 0 },
+  pointsEarned: { type: Number, default: 0 }
+}, { _id: false });
+
+// One attempt per student and exam. Sections are taken in order; each starts when the student
+// reaches it and ends after its time limit (or when the exam closes), whichever comes first.
+const examAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exam: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Exam',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  currentSection: { // Index into Exam.sections
+    type: Number,
+    default: 0
+  },
+  sections: [{
+    _id: false,
+    sectionId: { type: mongoose.Schema.ObjectId, required: true },
+    startedAt: Date,
+    expiresAt: Date,
+    submittedAt: Date,
+    autoSubmitted: { type: Boolean, default: false },
+    // Saved while the section runs, graded when it is submitted or runs out of time
+    answers: [examAnswerSchema],
+    graded: { type: Boolean, default: false },
+    score: { type: Number, default: 0 },
+    totalPoints: { type: Number, default: 0 }
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: Date,
+  score: {
+    type: Number,
+    default: 0
+  },
+  totalPoints: {
+    type: Number,
+    default: 0
+  },
+  percentageScore: {
+    type: Number,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true, optimisticConcurrency: true });
+
+// A single attempt per student
+examAttemptSchema.index({ user: 1, exam: 1 }, { unique: true });
+examAttemptSchema.index({ exam: 1, status: 1, percentageScore: -1 });
+
+const ExamAttempt = mongoose.model('ExamAttempt', examAttemptSchema);
+module.exports = ExamAttempt;
@@ -0,0 +1,106 @@
+// models/examModel.js
+const mongoose = require('mongoose');
+const Quiz = require('./quizModel');
+
+// Mock exam (e.g. a full A/L past paper): timed sections taken one after another, a scheduled
+// window, one attempt per student and results withheld until resultsReleaseAt.
+// Section questions are the same as quiz questions (see utils/questionGrading.js); which question
+// types each section type allows is checked in utils/examHelpers.js.
+
+const examQuestionSchema = Quiz.schema.path('questions').schema.clone();
+
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['mcq', 'structured'],
+    required: [true, 'Section type is required']
+  },
+  instructions: {
+    type: String,
+    default: ''
+  },
+  timeLimit: { // Minutes for this section
+    type: Number,
+    required: [true, 'Section time limit is required'],
+    min: [1, 'Section time limit must be at least 1 minute']
+  },
+  questions: [examQuestionSchema]
+});
+
+const examSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Exam title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  subject: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Exam must belong to a subject']
+  },
+  year: Number, // Past paper year, if the exam is one
+  sections: [sectionSchema],
+  opensAt: {
+    type: Date,
+    required: [true, 'Exam opening time is required']
+  },
+  closesAt: { // No attempts start after this, and running sections end here
+    type: Date,
+    required: [true, 'Exam closing time is required']
+  },
+  resultsReleaseAt: { // Scores, answers, rank and percentile are hidden from students until then
+    type: Date,
+    required: [true, 'Results release time is required']
+  },
+  passMark: { // Percentage
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+examSchema.pre('validate', function(next) {
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate('closesAt', 'closesAt must be after opensAt');
+  }
+  if (this.closesAt && this.resultsReleaseAt && this.resultsReleaseAt < this.closesAt) {
+    this.invalidate('resultsReleaseAt', 'resultsReleaseAt cannot be before closesAt');
+  }
+  next();
+});
+
+// Same as the Quiz pre-save hook: keep correctAnswer in sync with the isCorrect flags
+examSchema.pre('save', function(next) {
+  (this.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => {
+      const correctOption = (question.options || []).find(opt => opt.isCorrect === true);
+      question.correctAnswer = correctOption ? correctOption._id.toString() : null;
+    });
+  });
+  next();
+});
+
+examSchema.index({ subject: 1, opensAt: -1 });
+examSchema.index({ isPublished: 1, opensAt: -1 });
+
+const Exam = mongoose.model('Exam', examSchema);
+
+module.exports = Exam;
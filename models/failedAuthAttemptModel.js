@@ -0,0 +1,44 @@
+// models/failedAuthAttemptModel.js
+const mongoose = require('mongoose');
+
+// Record of failed login / OTP attempts, inspected by admins via GET /api/auth/failed-attempts
+const failedAuthAttemptSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['login', 'password_reset_otp', 'email_verification_otp'],
+        required: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        index: true
+    },
+    user: { // Null when the email doesn't belong to an account
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    ip: {
+        type: String,
+        index: true
+    },
+    userAgent: {
+        type: String
+    },
+    reason: {
+        type: String,
+        enum: ['unknown_email', 'wrong_password', 'account_locked', 'wrong_otp', 'otp_expired', 'otp_attempts_exceeded'],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60 * 24 * 90 // Keep 90 days of history
+    }
+});
+
+failedAuthAttemptSchema.index({ type: 1, createdAt: -1 });
+
+const FailedAuthAttempt = mongoose.model('FailedAuthAttempt', failedAuthAttemptSchema);
+module.exports = FailedAuthAttempt;
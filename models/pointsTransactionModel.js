@@ -0,0 +1,59 @@
+// models/pointsTransactionModel.js
+const mongoose = require('mongoose');
+
+// Ledger entry for every change to a user's points and/or XP.
+// Positive values are credits, negative values debits. Summing a user's entries
+// gives their balance (see jobs/pointsReconciliation.js).
+const pointsTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A points transaction must belong to a user.']
+  },
+  points: {
+    type: Number,
+    default: 0
+  },
+  xp: {
+    type: Number,
+    default: 0
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['quiz_attempt', 'achievement', 'level_up', 'redemption', 'redemption_refund', 'admin_adjustment', 'opening_balance'],
+      message: 'Invalid points transaction source.'
+    }
+  },
+  // Document that caused the change (QuizAttempt, Achievement, Redemption)
+  sourceId: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'sourceModel'
+  },
+  sourceModel: {
+    type: String,
+    enum: ['QuizAttempt', 'Achievement', 'Redemption']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description must have less or equal than 500 characters']
+  },
+  // Balances right after this entry was applied
+  pointsBalanceAfter: Number,
+  xpBalanceAfter: Number,
+  // Admin who made a manual adjustment
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index({ source: 1, sourceId: 1 });
+
+const PointsTransaction = mongoose.model('PointsTransaction', pointsTransactionSchema);
+module.exports = PointsTransaction;
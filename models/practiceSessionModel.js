@@ -0,0 +1,63 @@
+// models/practiceSessionModel.js
+const mongoose = require('mongoose');
+
+// Adaptive practice session (POST /api/practice/sessions). Bank questions are served one at a
+// time based on the student's ability per topic - see utils/adaptivePractice.js.
+// Ability estimates themselves live in UserProgress.topicProgress[].ability.
+const practiceSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  topic: { // null = all of the subject's topics
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // Question waiting for an answer (null between an answer and the next pick)
+  current: {
+    type: new mongoose.Schema({
+      questionId: { type: mongoose.Schema.ObjectId, required: true },
+      topic: { type: mongoose.Schema.ObjectId, required: true },
+      servedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null
+  },
+  answers: [{
+    _id: false,
+    questionId: { type: mongoose.Schema.ObjectId, required: true },
+    topic: mongoose.Schema.ObjectId,
+    questionRating: Number,
+    abilityBefore: Number,
+    abilityAfter: Number,
+    expected: Number, // Probability of a correct answer before answering
+    credit: Number,
+    isCorrect: Boolean,
+    answeredAt: { type: Date, default: Date.now }
+  }],
+  stopReason: { // Why the session ended: confident, max_questions, no_questions or abandoned
+    type: String,
+    default: null
+  },
+  completedAt: Date
+}, { timestamps: true });
+
+// At most one in-progress practice session per user
+practiceSessionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+practiceSessionSchema.index({ user: 1, subject: 1, createdAt: -1 });
+
+const PracticeSession = mongoose.model('PracticeSession', practiceSessionSchema);
+module.exports = PracticeSession;
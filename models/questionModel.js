@@ -0,0 +1,72 @@
+// models/questionModel.js
+const mongoose = require('mongoose');
+const Quiz = require('./quizModel');
+const { orderingKey } = require('../utils/questionGrading');
+
+// Question bank: reusable questions tagged by subject, topic and difficulty.
+// Quizzes reference them directly (bankQuestions) or draw them at random (drawRules).
+// Content fields (text, type, options, numericAnswer, ...) are the same as a question embedded in a quiz.
+const questionSchema = Quiz.schema.path('questions').schema.clone();
+
+questionSchema.add({
+  subject: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Question must belong to a subject']
+  },
+  topic: { // _id of one of the subject's embedded topics
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isActive: { // Archived questions are no longer drawn, but old attempts can still be reviewed
+    type: Boolean,
+    default: true
+  },
+  source: { // Set when the question was copied from a quiz's embedded questions
+    quiz: { type: mongoose.Schema.ObjectId, ref: 'Quiz' },
+    question: { type: mongoose.Schema.ObjectId }
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Elo rating learned from adaptive practice answers (null until first answered - the
+  // difficulty's default rating is used until then, see utils/adaptivePractice.js)
+  rating: {
+    type: Number,
+    default: null
+  },
+  ratingAnswers: {
+    type: Number,
+    default: 0
+  }
+});
+questionSchema.set('timestamps', true);
+
+// Same as the Quiz pre-validate hook: re-key ordering questions sent in the correct order
+questionSchema.pre('validate', function(next) {
+  const key = orderingKey(this);
+  if (key) this.set(key);
+  next();
+});
+
+// Same as the Quiz pre-save hook: keep correctAnswer in sync with the isCorrect flags
+questionSchema.pre('save', function(next) {
+  if (this.isModified('options') || this.isNew) {
+    const correctOption = (this.options || []).find(opt => opt.isCorrect === true);
+    this.correctAnswer = correctOption ? correctOption._id.toString() : null;
+  }
+  next();
+});
+
+questionSchema.index({ subject: 1, topic: 1, difficulty: 1, isActive: 1 });
+questionSchema.index({ 'source.question': 1 });
+
+const Question = mongoose.model('Question', questionSchema);
+
+module.exports = Question;
@@ -12,6 +12,17 @@ const quizAttemptSchema = new mongoose.Schema({
     ref: 'Quiz',
     required: true
   },
+  // Version of the quiz the attempt was taken on (null for attempts from before versioning).
+  // Attempt review renders questions from it, so later edits don't change old attempts.
+  quizVersion: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'QuizVersion',
+    default: null
+  },
+  quizVersionNumber: {
+    type: Number,
+    default: null
+  },
   answers: [{
     questionId: { // Stores Question _id
       type: String, // Using String as Question _id is ObjectId but stored as string in processing
@@ -20,9 +31,25 @@ const quizAttemptSchema = new mongoose.Schema({
     answerId: { // Stores selected Option _id (as string)
       type: String
     },
+    // Type-specific answer fields (see utils/questionGrading.js)
+    answerIds: [String], // multiple_select
+    value: Number, // numeric
+    unit: String, // numeric
+    text: String, // text
+    order: [String], // ordering
+    matches: [{ _id: false, pairId: String, match: String }], // matching
+    timeSpent: Number, // Seconds on this question, reported by the client
     isCorrect: {
       type: Boolean,
       default: false
+    },
+    credit: { // 0-1, partial credit for multiple_select / ordering / matching
+      type: Number,
+      default: 0
+    },
+    pointsEarned: {
+      type: Number,
+      default: 0
     }
   }],
   score: { // Raw score based on question points
@@ -48,6 +75,23 @@ const quizAttemptSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  session: { // QuizSession this attempt was submitted from
+    type: mongoose.Schema.ObjectId,
+    ref: 'QuizSession',
+    default: null
+  },
+  autoSubmitted: { // Graded automatically from saved answers after the time limit ran out
+    type: Boolean,
+    default: false
+  },
+  attemptNumber: { // 1 for the student's first attempt at the quiz, 2 for the first retake, ...
+    type: Number,
+    default: null
+  },
+  pointsMultiplier: { // Share of the usual points/XP awarded (retake policy repeatPoints)
+    type: Number,
+    default: 1
+  },
   // --- ADDED FIELD ---
   ratingGiven: { // Stores the 1-5 rating the user gave for this attempt
     type: Number,
@@ -60,6 +104,7 @@ const quizAttemptSchema = new mongoose.Schema({
 
 // Add index to quickly find attempts by user and quiz
 quizAttemptSchema.index({ user: 1, quiz: 1 });
+quizAttemptSchema.index({ quiz: 1, quizVersion: 1 });
 
 const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
 module.exports = QuizAttempt;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // models/quizModel.js
 const mongoose = require('mongoose');
+const { QUESTION_TYPES, resolveQuestionType, orderingKey } = require('../utils/questionGrading');
 
 // Option Schema (Keep as is)
 const optionSchema = new mongoose.Schema({
@@ -13,13 +14,58 @@ const optionSchema = new mongoose.Schema({
   }
 });
 
-// Question Schema (Keep as is)
+// Matching pair (matching questions): students match each prompt to one of the shuffled matches
+const pairSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true
+  },
+  match: {
+    type: String,
+    required: true
+  }
+});
+
+// Question Schema
+// Type-specific fields are validated in utils/questionGrading.js (validateQuestions)
 const questionSchema = new mongoose.Schema({
   text: {
     type: String,
     required: [true, 'Question must have text']
   },
+  type: { // Set from the legacy isTrueFalse/isFillBlank flags when missing
+    type: String,
+    enum: QUESTION_TYPES
+  },
+  // single_choice / true_false / multiple_select: choices flagged with isCorrect
+  // ordering: the items, stored shuffled under random IDs (sent in the correct order, see orderingKey)
   options: [optionSchema],
+  correctOrder: [mongoose.Schema.ObjectId], // ordering: option IDs in the correct order
+  partialCredit: { // multiple_select / ordering / matching
+    type: Boolean,
+    default: true
+  },
+  // --- numeric ---
+  numericAnswer: Number,
+  tolerance: { // Absolute tolerance around numericAnswer
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unit: String,
+  acceptedUnits: [String], // Aliases of unit, e.g. ['m s^-1'] for 'm/s'
+  requireUnit: {
+    type: Boolean,
+    default: false
+  },
+  // --- text (fill-in-the-blank) ---
+  acceptedAnswers: [String], // Compared after trimming/whitespace/punctuation normalisation
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // --- matching ---
+  pairs: [pairSchema],
   correctAnswer: {
     type: String
   },
@@ -45,6 +91,11 @@ const questionSchema = new mongoose.Schema({
   },
 });
 
+questionSchema.pre('validate', function(next) {
+  if (!this.type) this.type = resolveQuestionType(this);
+  next();
+});
+
 // Quiz Schema
 const quizSchema = new mongoose.Schema({
   title: {
@@ -71,10 +122,42 @@ const quizSchema = new mongoose.Schema({
     default: 'medium'
   },
   timeLimit: {
-    type: Number, // In minutes
+    type: Number, // In minutes (0 = no limit). Enforced server-side through QuizSession
     default: 30
   },
+  shuffleQuestions: { // Serve questions in a random order per session
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: { // Serve choice options in a random order per session
+    type: Boolean,
+    default: false
+  },
   questions: [questionSchema],
+  // Question bank (models/questionModel.js): questions included in every session...
+  bankQuestions: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Question'
+  }],
+  // ...and rules drawing random bank questions of this quiz's subject per session,
+  // e.g. [{ topic, difficulty: 'easy', count: 5 }, { topic, difficulty: 'hard', count: 3 }]
+  drawRules: [{
+    _id: false,
+    topic: {
+      type: mongoose.Schema.ObjectId,
+      default: null
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    },
+    tags: [String],
+    count: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
   isPublished: {
     type: Boolean,
     default: false
@@ -83,6 +166,26 @@ const quizSchema = new mongoose.Schema({
     type: Number,
     default: 70 // Percentage needed to pass
   },
+  // When students may see correct answers and explanations (attempt review).
+  // Admins always see them; see utils/quizSerializer.js
+  answerRelease: {
+    type: String,
+    enum: ['immediately', 'after_pass', 'after_close', 'never'],
+    default: 'immediately'
+  },
+  closesAt: { // No new sessions after this date; 'after_close' releases answers from then on
+    type: Date,
+    default: null
+  },
+  // How often a student may retake the quiz, which attempt counts and what repeats earn.
+  // Unset fields fall back to the defaults in utils/retakePolicy.js
+  retakePolicy: {
+    maxAttempts: { type: Number, default: null, min: 1 }, // null = unlimited
+    cooldownMinutes: { type: Number, default: 0, min: 0 },
+    scoring: { type: String, enum: ['best', 'latest', 'average', 'first'], default: 'best' },
+    repeatPoints: { type: String, enum: ['full', 'diminishing', 'none'], default: 'diminishing' },
+    repeatPointsFactor: { type: Number, default: 0.5, min: 0, max: 1 }
+  },
   createdBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User'
@@ -91,6 +194,10 @@ const quizSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  currentVersion: { // Latest QuizVersion number (null until first published or taken) - see utils/quizVersions.js
+    type: Number,
+    default: null
+  },
   // --- RATING FIELDS (UPDATED) ---
   rating: {
     type: Number,
@@ -117,6 +224,16 @@ const quizSchema = new mongoose.Schema({
   toObject: { virtuals: true, getters: true }
 });
 
+// Ordering questions sent with their options in the correct order are re-keyed before storage.
+// Quiz-level rather than on questionSchema, whose clone in QuizVersion must keep snapshots as taken
+quizSchema.pre('validate', function(next) {
+  (this.questions || []).forEach(question => {
+    const key = orderingKey(question);
+    if (key) question.set(key);
+  });
+  next();
+});
+
 // Pre-save hook for correctAnswer (Keep as is)
 quizSchema.pre('save', function(next) {
   if (this.isModified('questions') || this.isNew) {
@@ -138,6 +255,8 @@ quizSchema.pre('save', function(next) {
 });
 
 // Virtual properties (Keep as is)
+// totalQuestions and totalPoints cover the embedded questions only - bank questions are resolved
+// per session (utils/questionBank.js), so they're counted separately below
 quizSchema.virtual('totalQuestions').get(function() {
   return this.questions?.length || 0;
 });
@@ -149,6 +268,16 @@ quizSchema.virtual('totalPoints').get(function() {
   return this.questions.reduce((sum, question) => sum + (question.points || 0), 0);
 });
 
+// Referenced bank questions (in every session)
+quizSchema.virtual('bankQuestionCount').get(function() {
+  return this.bankQuestions?.length || 0;
+});
+
+// Bank questions drawn at random for each session by drawRules
+quizSchema.virtual('drawnQuestionCount').get(function() {
+  return (this.drawRules || []).reduce((sum, rule) => sum + (rule.count || 0), 0);
+});
+
 
 const Quiz = mongoose.model('Quiz', quizSchema);
 
@@ -0,0 +1,82 @@
+// models/quizSessionModel.js
+const mongoose = require('mongoose');
+const QuizVersion = require('./quizVersionModel');
+
+// A QuizSession is created when a student starts a quiz (POST /api/quizzes/:id/start).
+// The server owns the start time and deadline, so timeTaken can't be forged by the client.
+const quizSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quiz: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  quizVersion: { // Version of the quiz the session was started on - graded against it
+    type: mongoose.Schema.ObjectId,
+    ref: 'QuizVersion',
+    default: null
+  },
+  // Question _ids in the order they were served to this student. Embedded quiz questions and
+  // bank questions (referenced or drawn for this session) - see utils/questionBank.js
+  questionOrder: [{
+    type: mongoose.Schema.ObjectId
+  }],
+  // Copies of the bank questions drawn for this session, as they were when drawn - grading and
+  // attempt review read them from here, so later bank edits don't change them
+  drawnQuestions: [QuizVersion.schema.path('bankQuestions').schema.clone()],
+  // Per-session option order when the quiz shuffles options
+  optionOrder: [{
+    _id: false,
+    questionId: mongoose.Schema.ObjectId,
+    optionIds: [mongoose.Schema.ObjectId]
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: { // null when the quiz has no time limit
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress'
+  },
+  // Answers saved while in progress - restored when the student resumes after a reload,
+  // and graded automatically if the session runs out of time
+  savedAnswers: [{
+    _id: false,
+    questionId: { type: String, required: true },
+    answerId: { type: String },
+    // Type-specific answer fields (see utils/questionGrading.js)
+    answerIds: [String],
+    value: Number,
+    unit: String,
+    text: String,
+    order: [String],
+    matches: [{ _id: false, pairId: String, match: String }],
+    timeSpent: Number
+  }],
+  lastSavedAt: Date,
+  submittedAt: Date,
+  attempt: { // QuizAttempt produced from this session
+    type: mongoose.Schema.ObjectId,
+    ref: 'QuizAttempt',
+    default: null
+  }
+}, { timestamps: true });
+
+// At most one in-progress session per user and quiz
+quizSessionSchema.index(
+  { user: 1, quiz: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+quizSessionSchema.index({ user: 1, createdAt: -1 });
+
+const QuizSession = mongoose.model('QuizSession', quizSessionSchema);
+module.exports = QuizSession;
@@ -0,0 +1,73 @@
+// models/quizVersionModel.js
+const mongoose = require('mongoose');
+const Quiz = require('./quizModel');
+
+// Immutable snapshot of a quiz's content. A new version is recorded when a quiz is published or
+// a published quiz's content changes, and whenever a session starts on content that differs from
+// the latest version (e.g. a referenced bank question was edited). Sessions and attempts point
+// at the version they were taken on, so later edits don't change how old attempts are graded
+// or reviewed. See utils/quizVersions.js.
+
+const snapshotQuestionSchema = Quiz.schema.path('questions').schema.clone();
+snapshotQuestionSchema.add({
+  // Bank questions keep their subject/topic (topic progress and the review queue use them)
+  subject: { type: mongoose.Schema.ObjectId, ref: 'Subject', default: undefined },
+  topic: { type: mongoose.Schema.ObjectId, default: undefined }
+});
+
+const quizVersionSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  version: { // 1, 2, 3... per quiz
+    type: Number,
+    required: true,
+    min: 1
+  },
+  contentHash: { // Detects whether the quiz changed since this version
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['published', 'edited', 'session', 'migration'],
+    required: true
+  },
+  // --- Snapshot ---
+  title: String,
+  difficulty: String,
+  timeLimit: Number,
+  passScore: Number,
+  shuffleQuestions: Boolean,
+  shuffleOptions: Boolean,
+  questions: [snapshotQuestionSchema], // Embedded questions
+  bankQuestions: [snapshotQuestionSchema], // Copies of the referenced bank questions
+  drawRules: [{ // Drawn questions are snapshotted per session (QuizSession.drawnQuestions)
+    _id: false,
+    topic: { type: mongoose.Schema.ObjectId, default: null },
+    difficulty: String,
+    tags: [String],
+    count: Number
+  }],
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+quizVersionSchema.index({ quiz: 1, version: -1 }, { unique: true });
+
+// Versions are never changed once written
+quizVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  next(new Error('Quiz versions are immutable'));
+});
+quizVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Quiz versions are immutable'));
+  next();
+});
+
+const QuizVersion = mongoose.model('QuizVersion', quizVersionSchema);
+module.exports = QuizVersion;
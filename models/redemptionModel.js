@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Ledger of reward redemptions - one document per successful redeem
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A redemption must belong to a user.']
+  },
+  reward: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Reward',
+    required: [true, 'A redemption must reference a reward.']
+  },
+  rewardName: { // Snapshot so the history still reads well if the reward is renamed/deleted
+    type: String,
+    required: true
+  },
+  cost: { // Points actually deducted at redemption time
+    type: Number,
+    required: true,
+    min: [0, 'Cost cannot be negative.']
+  },
+  stockDecremented: { // Whether a unit of limited stock was taken (restored on cancel)
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'fulfilled', 'cancelled'],
+      message: 'Status must be one of: pending, fulfilled, cancelled'
+    },
+    default: 'pending'
+  },
+  fulfilmentNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Fulfilment notes must have less or equal than 1000 characters']
+  },
+  fulfilledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  fulfilledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  refundedPoints: { // Points returned to the user when the redemption was cancelled
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+redemptionSchema.index({ user: 1, createdAt: -1 });
+redemptionSchema.index({ status: 1, createdAt: -1 });
+redemptionSchema.index({ reward: 1 });
+
+const Redemption = mongoose.model('Redemption', redemptionSchema);
+
+module.exports = Redemption;
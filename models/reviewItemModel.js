@@ -0,0 +1,75 @@
+// models/reviewItemModel.js
+const mongoose = require('mongoose');
+
+// One question in a user's spaced-repetition review queue. Created when the user misses the
+// question in a quiz and rescheduled with SM-2 after each review (utils/spacedRepetition.js).
+const reviewItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  questionId: { // Embedded quiz question or bank question _id
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  quiz: { // Quiz the question was last missed in (used to load embedded questions)
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  attempt: { // QuizAttempt that last missed it (answer release is checked against it)
+    type: mongoose.Schema.ObjectId,
+    ref: 'QuizAttempt'
+  },
+  subject: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subject'
+  },
+  topic: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  // --- SM-2 state ---
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  interval: { // Days until the next review
+    type: Number,
+    default: 0
+  },
+  repetitions: { // Successful reviews in a row
+    type: Number,
+    default: 0
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  lastReviewedAt: Date,
+  lastQuality: Number, // 0-5
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0
+  },
+  lapses: { // Times the question was missed again (in a review or a quiz)
+    type: Number,
+    default: 0
+  },
+  isActive: { // false once the question no longer exists
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+reviewItemSchema.index({ user: 1, questionId: 1 }, { unique: true });
+reviewItemSchema.index({ user: 1, isActive: 1, dueAt: 1 });
+
+const ReviewItem = mongoose.model('ReviewItem', reviewItemSchema);
+module.exports = ReviewItem;
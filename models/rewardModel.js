@@ -55,11 +55,7 @@ const rewardSchema = new mongoose.Schema({
     required: false // Make it optional, not all rewards belong to a subject
   },
   // ---------------
-  // Optional: Track who redeemed what (better in a separate Redemption collection)
-  // redeemedBy: [{
-  //   type: mongoose.Schema.ObjectId,
-  //   ref: 'User'
-  // }]
+  // Who redeemed what is recorded in the Redemption collection (models/redemptionModel.js)
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
   toJSON: { virtuals: true },
@@ -0,0 +1,75 @@
+// models/sessionModel.js
+const mongoose = require('mongoose');
+
+// One Session per login (device). The refresh token rotates on every use;
+// all rotations of a session form one "token family".
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current (latest) refresh token - never store the raw token
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Refresh tokens are "<sessionId>.<generation>.<signature>", signed with tokenSecret. Each
+  // rotation bumps the generation, so a validly signed token below it is a reused one - however
+  // many rotations ago it was issued
+  tokenSecret: {
+    type: String,
+    select: false
+  },
+  generation: {
+    type: Number,
+    default: 0
+  },
+  // Hashes of the last rotated tokens from before generations ("<sessionId>.<random hex>"),
+  // kept to detect their reuse
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset', null],
+    default: null
+  }
+}, { timestamps: true });
+
+// Let MongoDB clean up sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// --- Virtual: is the session still usable? ---
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -0,0 +1,48 @@
+// models/userAchievementModel.js
+const mongoose = require('mongoose');
+
+// One record per achievement a user has unlocked, written by utils/achievementEngine.js.
+// User.achievements keeps the IDs as well (profile/dashboard counts) and is updated alongside.
+const userAchievementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  achievement: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Achievement',
+    required: true
+  },
+  tier: { // Tier number for tiered achievements (one record per tier), null otherwise
+    type: Number,
+    default: null
+  },
+  unlockedAt: { // null for unlocks from before these records whose date isn't known
+    type: Date,
+    default: Date.now
+  },
+  // Domain event that unlocked it (e.g. 'quiz.submitted'), or 'migration' for records created
+  // from User.achievements
+  sourceEvent: {
+    type: String,
+    default: null
+  },
+  xpAwarded: {
+    type: Number,
+    default: 0
+  },
+  pointsAwarded: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// An achievement (or tier) is unlocked at most once per user - the unique index is what makes
+// awarding idempotent
+userAchievementSchema.index({ user: 1, achievement: 1, tier: 1 }, { unique: true });
+userAchievementSchema.index({ user: 1, unlockedAt: -1 });
+userAchievementSchema.index({ achievement: 1 });
+
+const UserAchievement = mongoose.model('UserAchievement', userAchievementSchema);
+module.exports = UserAchievement;
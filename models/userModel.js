@@ -8,7 +8,8 @@ const userSchema = new mongoose.Schema({
   phoneNumber: { type: String, trim: true },
   password: { type: String, required: [true, 'Please provide a password'], minlength: [8, 'Password must be at least 8 characters long'], select: false },
   subjects: [{ type: mongoose.Schema.ObjectId, ref: 'Subject' }],
-  level: { type: Number, default: 1 },
+  level: { type: Number, default: 1 }, // Derived from xp by utils/progression.js
+  levelRewardedUpTo: { type: Number, default: 1 }, // Highest level whose level-up reward has been granted
   xp: { type: Number, default: 0 },
   points: { type: Number, default: 0 },
   quizPointsEarned: { type: Number, default: 0, min: 0 }, // New field for tracking quiz-specific points
@@ -20,6 +21,18 @@ const userSchema = new mongoose.Schema({
 role: { type: String, enum: ['user', 'admin', 'moderator', 'preview'], default: 'user' },
   passwordResetOtp: { type: String, select: false },
   passwordResetExpires: { type: Date, select: false },
+  passwordChangedAt: { type: Date, select: false }, // Tokens issued before this are rejected by protect
+  // --- Email Verification ---
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  emailVerificationOtp: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  emailVerificationOtpAttempts: { type: Number, default: 0, select: false },
+  // --- Brute-force Protection ---
+  failedLoginAttempts: { type: Number, default: 0, select: false },
+  lockUntil: { type: Date, select: false },
+  lockoutCount: { type: Number, default: 0, select: false }, // Consecutive lockouts; drives the progressive lock duration
+  passwordResetOtpAttempts: { type: Number, default: 0, select: false },
   // --- Aggregated Quiz Stats ---
   quizCompletedCount: { type: Number, default: 0, min: 0 },
   quizTotalPercentageScoreSum: { type: Number, default: 0, min: 0 },
@@ -35,5 +48,13 @@ userSchema.virtual('quizAccuracyRate').get(function() {
   return Math.round(nonNegativeAccuracy);
 });
 
+// --- Instance Method: Was the password changed after the token was issued? ---
+// JWTTimestamp is the token's `iat` claim (seconds since epoch)
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return JWTTimestamp < changedTimestamp;
+};
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
\ No newline at end of file
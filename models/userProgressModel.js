@@ -1,6 +1,8 @@
 // models/userProgressModel.js
 const mongoose = require('mongoose');
 
+// Written by utils/topicProgress.js from quiz attempts, resource accesses and forum activity.
+// progress/mastery are derived from the activity fields - see the algorithm there.
 const userProgressSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.ObjectId,
@@ -30,6 +32,36 @@ const userProgressSchema = new mongoose.Schema({
          },
          lastAccessed: {
             type: Date
+         },
+         // --- Activity the progress is computed from ---
+         quizAttempts: { // Attempts that included questions on this topic
+            type: Number,
+            default: 0
+         },
+         quizScore: { // Weighted average of recent results on this topic, 0-100
+            type: Number,
+            default: 0
+         },
+         bestQuizScore: {
+            type: Number,
+            default: 0
+         },
+         lastQuizAt: Date,
+         resourcesAccessed: [{ // Distinct resources of this topic viewed or downloaded
+            type: mongoose.Schema.ObjectId,
+            ref: 'Resource'
+         }],
+         resourcesTotal: { // Active resources of the topic at the last update
+            type: Number,
+            default: 0
+         },
+         // Ability estimate from adaptive practice (Elo scale, see utils/adaptivePractice.js).
+         // Unset until the student answers a practice question on the topic.
+         ability: {
+            rating: Number,
+            information: Number, // Evidence behind the estimate - its standard error shrinks as this grows
+            answered: Number,
+            updatedAt: Date
          }
      }],
     overallSubjectProgress: { // Calculated or stored
@@ -37,8 +69,26 @@ const userProgressSchema = new mongoose.Schema({
          default: 0,
          min: 0,
          max: 100
-    }
-}, { timestamps: true });
+    },
+    // Subject-wide activity (includes quizzes/resources without a topic)
+    quizAttempts: {
+         type: Number,
+         default: 0
+    },
+    quizScore: { // Weighted average of recent quiz results in the subject, 0-100
+         type: Number,
+         default: 0
+    },
+    forumTopics: { // Forum activity in the subject's forum category
+         type: Number,
+         default: 0
+    },
+    forumReplies: {
+         type: Number,
+         default: 0
+    },
+    lastActivityAt: Date
+}, { timestamps: true, optimisticConcurrency: true });
 
 // Index for efficient querying
 userProgressSchema.index({ user: 1, subject: 1 }, { unique: true });
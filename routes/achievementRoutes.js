@@ -1,10 +1,13 @@
 // routes/achievementRoutes.js
 const express = require('express');
 const achievementController = require('../controllers/achievementController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, adminOnly } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// How rare each achievement is - any logged-in user
+router.get('/rarity', protect, achievementController.getAchievementRarity);
+
 // Admin routes for managing achievements
 router.use(protect);
 router.use(restrictTo('admin'));
@@ -17,4 +20,11 @@ router.route('/:id')
   .patch(achievementController.updateAchievement)
   .delete(achievementController.deleteAchievement);
 
+// Retroactive awarding (see jobs/achievementBackfill.js)
+router.post('/:id/backfill', achievementController.startAchievementBackfill);
+// Award reports list users - adminOnly, as restrictTo lets preview accounts read every GET
+router.get('/:id/backfills', adminOnly, achievementController.getAchievementBackfills);
+router.get('/backfills/:backfillId', adminOnly, achievementController.getAchievementBackfill);
+router.post('/backfills/:backfillId/resume', achievementController.resumeAchievementBackfill);
+
 module.exports = router;
\ No newline at end of file
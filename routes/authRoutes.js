@@ -1,21 +1,39 @@
 // routes/authRoutes.js
 const express = require('express');
 const authController = require('../controllers/authController'); // Adjust path if needed
-const { protect } = require('../middleware/authMiddleware'); // <-- Import the protect middleware
+const { protect, restrictTo, adminOnly } = require('../middleware/authMiddleware'); // <-- Import the protect middleware
+const { loginLimiter, otpLimiter, accountThrottle } = require('../middleware/rateLimiter');
+const config = require('../config/config');
 
 const router = express.Router();
 
 // --- Authentication Routes ---
 
+// Limits how many OTP emails one account can trigger, whatever IP they come from
+const otpEmailThrottle = (name) => accountThrottle(name, config.security.otpEmailAccountLimit);
+
 // Public Routes
 router.post('/register', authController.register);
-router.post('/login', authController.login);
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password', authController.resetPassword);
+router.post('/login', loginLimiter, authController.login);
+router.post('/forgot-password', otpLimiter, otpEmailThrottle('forgot-password'), authController.forgotPassword);
+router.post('/reset-password', otpLimiter, authController.resetPassword);
+router.post('/refresh', authController.refresh);
+router.post('/verify-email', otpLimiter, authController.verifyEmail);
+router.post('/resend-verification', otpLimiter, otpEmailThrottle('resend-verification'), authController.resendVerification);
+router.post('/logout', authController.logout);
 
 // Private Route - Get Current User Details
 // Apply the 'protect' middleware before the controller function
 router.get('/me', protect, authController.getMe); // <-- Added protect middleware
 
+// Private Routes - Session Management
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions', protect, authController.revokeAllSessions);
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
+// Admin Routes - Brute-force Protection
+router.get('/failed-attempts', protect, adminOnly, authController.getFailedAttempts); // Emails and IPs - no preview access
+router.patch('/users/:id/unlock', protect, restrictTo('admin'), authController.unlockUser);
+
 
 module.exports = router;
@@ -0,0 +1,25 @@
+// routes/examRoutes.js
+const express = require('express');
+const router = express.Router();
+const examController = require('../controllers/examController');
+const { protect, restrictTo, optionalAuth } = require('../middleware/authMiddleware');
+
+// --- Public Routes ---
+// optionalAuth identifies the viewer: only admins receive questions outside an attempt
+router.get('/', optionalAuth, examController.getAllExams);
+router.get('/:id', optionalAuth, examController.getExamById);
+
+// --- Protected Routes (Require User Login) ---
+// One attempt per student: start it, save/submit section by section, results after release
+router.post('/:id/start', protect, examController.startExam);
+router.get('/:id/attempt', protect, examController.getMyExamAttempt);
+router.patch('/:id/attempt/answers', protect, examController.saveExamAnswers);
+router.post('/:id/attempt/sections/:sectionId/submit', protect, examController.submitExamSection);
+router.get('/:id/results', protect, examController.getExamResults);
+
+// --- Admin Only Routes ---
+router.post('/', protect, restrictTo('admin'), examController.createExam);
+router.patch('/:id', protect, restrictTo('admin'), examController.updateExam);
+router.delete('/:id', protect, restrictTo('admin'), examController.deleteExam);
+
+module.exports = router;
@@ -5,7 +5,7 @@ const forumModerationController = require('../controllers/forumModerationControl
 
 // Assuming your auth middleware provides protect (authentication)
 // and restrictTo (authorization based on roles like 'admin')
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middleware/authMiddleware');
 
 // --- Public Routes ---
 // Anyone can view categories, topics lists, and individual topics/replies
@@ -17,8 +17,8 @@ router.get('/topics/:id', forumController.getTopicById); // Gets topic and its r
 // Apply 'protect' middleware to all subsequent routes
 router.use(protect);
 
-router.post('/topics', forumController.createTopic); // Create a new topic
-router.post('/topics/:topicId/replies', forumController.addReply); // Add a reply
+router.post('/topics', requireVerifiedEmail, forumController.createTopic); // Create a new topic (verified email required)
+router.post('/topics/:topicId/replies', requireVerifiedEmail, forumController.addReply); // Add a reply (verified email required)
 router.patch('/replies/:id/best', forumController.markBestAnswer); // Mark best answer (controller checks if user is topic author)
 router.post('/replies/:id/vote', forumController.voteReply); // Vote on a reply
 
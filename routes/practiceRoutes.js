@@ -0,0 +1,15 @@
+// routes/practiceRoutes.js
+const express = require('express');
+const router = express.Router();
+const practiceController = require('../controllers/practiceController');
+const { protect } = require('../middleware/authMiddleware');
+
+// --- Protected Routes ---
+// Adaptive practice works on the logged-in user's ability estimates.
+router.use(protect);
+
+router.post('/sessions', practiceController.startPracticeSession);
+router.get('/sessions/:sessionId', practiceController.getPracticeSession);
+router.post('/sessions/:sessionId/answers', practiceController.answerPracticeQuestion);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/questionRoutes.js
+const express = require('express');
+const router = express.Router();
+const questionController = require('../controllers/questionController');
+const { protect, adminOnly } = require('../middleware/authMiddleware');
+
+// --- Admin Only Routes ---
+// Bank questions include their answers, so the whole bank is admin-only.
+// Students only see bank questions through quiz sessions, and preview accounts not at all
+// (adminOnly, unlike restrictTo, doesn't let them read).
+router.use(protect);
+router.use(adminOnly);
+
+router.post('/import/quiz/:quizId', questionController.importFromQuiz);
+
+router.route('/')
+  .get(questionController.getAllQuestions)
+  .post(questionController.createQuestion);
+
+router.route('/:id')
+  .get(questionController.getQuestionById)
+  .patch(questionController.updateQuestion)
+  .delete(questionController.archiveQuestion);
+
+module.exports = router;
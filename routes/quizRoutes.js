@@ -1,17 +1,36 @@
 // routes/quizRoutes.js
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const quizController = require('../controllers/quizController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, adminOnly, optionalAuth } = require('../middleware/authMiddleware');
+
+// Import files are parsed straight from memory, never written to disk
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024 * 2; // 2MB
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_SIZE } });
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ status: 'fail', message: 'Import file is too large. Maximum size is 2MB.' });
+    }
+    next(err);
+  });
+};
 
 // --- Public Routes ---
-router.get('/', quizController.getAllQuizzes);
-router.get('/subject/:subjectId/practice', quizController.getPracticeQuizzes);
-router.get('/:id', quizController.getQuizById);
+// optionalAuth identifies the viewer: only admins receive correct answers/explanations
+router.get('/', optionalAuth, quizController.getAllQuizzes);
+router.get('/subject/:subjectId/practice', optionalAuth, quizController.getPracticeQuizzes);
+router.get('/:id', optionalAuth, quizController.getQuizById);
 
 
 // --- Protected Routes (Require User Login) ---
+// Timed sessions: start (or resume) first, then submit with the returned sessionId
+router.post('/:id/start', protect, quizController.startQuizSession);
+router.get('/sessions/:sessionId', protect, quizController.getQuizSession);
+router.patch('/sessions/:sessionId/answers', protect, quizController.saveQuizSessionAnswers);
 router.post('/:id/attempts', protect, quizController.submitQuizAttempt);
+router.get('/:id/my-attempts', protect, quizController.getMyQuizAttempts);
 router.get('/user/:userId/attempts', protect, quizController.getUserQuizAttempts);
 
 // ***** ADD NEW ROUTE FOR RATING *****
@@ -21,6 +40,7 @@ router.post('/:quizId/rate', protect, quizController.rateQuiz);
 // ***** ADD NEW ROUTE FOR GETTING SINGLE ATTEMPT *****
 // User must be logged in and own the attempt (or be admin) - controller handles authorization
 router.get('/attempts/:id', protect, quizController.getQuizAttemptById);
+router.get('/attempts/:id/review', protect, quizController.getQuizAttemptReview);
 
 
 // --- Admin Only Routes ---
@@ -28,8 +48,15 @@ router.get('/attempts/:id', protect, quizController.getQuizAttemptById);
 // Note: 'protect' is already applied individually above where needed for non-admin users.
 // We only need restrictTo('admin') here for the admin-specific actions.
 router.post('/', protect, restrictTo('admin'), quizController.createQuiz);
+router.post('/import', protect, restrictTo('admin'), uploadImportFile, quizController.importQuiz);
 router.patch('/:id', protect, restrictTo('admin'), quizController.updateQuiz);
 router.delete('/:id', protect, restrictTo('admin'), quizController.deleteQuiz);
+router.get('/:id/item-analysis', protect, adminOnly, quizController.getQuizItemAnalysis); // Per-student answers
+// Answer keys (exports and version snapshots) - adminOnly, as restrictTo lets preview accounts read every GET
+router.get('/:id/export', protect, adminOnly, quizController.exportQuiz);
+router.get('/:id/versions', protect, adminOnly, quizController.getQuizVersions);
+router.get('/:id/versions/diff', protect, adminOnly, quizController.diffQuizVersions);
+router.get('/:id/versions/:version', protect, adminOnly, quizController.getQuizVersion);
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+// routes/reviewRoutes.js
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { protect } = require('../middleware/authMiddleware');
+
+// --- Protected Routes ---
+// The review queue is per user; every route works on the logged-in user's items.
+router.use(protect);
+
+router.get('/due', reviewController.getDueReviews);
+router.post('/answers', reviewController.submitReviewAnswers);
+
+module.exports = router;
@@ -1,9 +1,16 @@
 const express = require('express');
 const rewardController = require('../controllers/rewardController');
-const { protect, restrictTo } = require('../middleware/auth'); // Import auth middleware
+const { protect, restrictTo, adminOnly, requireVerifiedEmail } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// --- Redemption Routes ---
+// Registered before '/:id' so "redemptions" isn't treated as a reward ID
+router.get('/redemptions/me', protect, rewardController.getMyRedemptions);
+router.get('/redemptions', protect, adminOnly, rewardController.getAllRedemptions); // Every user's redemptions - no preview access
+router.patch('/redemptions/:redemptionId/fulfil', protect, restrictTo('admin'), rewardController.fulfilRedemption);
+router.patch('/redemptions/:redemptionId/cancel', protect, restrictTo('admin'), rewardController.cancelRedemption);
+
 // --- Public Routes ---
 // Anyone can view the list of available rewards and details of a single reward
 router.get('/', rewardController.getAllRewards);
@@ -13,8 +20,8 @@ router.get('/:id', rewardController.getRewardById);
 // Apply 'protect' middleware to all subsequent routes in this file
 router.use(protect);
 
-// Logged-in users can attempt to redeem a reward
-router.post('/:id/redeem', rewardController.redeemReward);
+// Logged-in users with a verified email can attempt to redeem a reward
+router.post('/:id/redeem', requireVerifiedEmail, rewardController.redeemReward);
 
 // --- Admin Routes (Require Admin Role) ---
 // Apply 'restrictTo' middleware for admin-only actions
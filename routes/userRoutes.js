@@ -7,6 +7,9 @@ const { protect, restrictTo } = require('../middleware/authMiddleware'); // Make
 // --- Leaderboard Route (Public) ---
 router.get('/leaderboard', userController.getLeaderboard);
 
+// --- Points Ledger (Admin) ---
+router.post('/points/reconcile', protect, restrictTo('admin'), userController.reconcilePoints);
+
 // --- Routes requiring Authentication (Apply 'protect') ---
 
 // GET User Profile
@@ -27,12 +30,21 @@ router.get('/:userId/progress/:subjectId', protect, userController.getDetailedSu
 // GET User Achievements
 router.get('/:userId/achievements', protect, userController.getUserAchievements);
 
+// GET Achievement unlock feed (newest first)
+router.get('/:userId/achievements/feed', protect, userController.getAchievementFeed);
+
 // GET User Recent Activity
 router.get('/:userId/activity', protect, userController.getRecentActivity);
 
 // *** ADD NEW ROUTE for Activity Dates ***
 router.get('/:userId/activity-dates', protect, userController.getUserActivityDates);
 
+// GET Points/XP Ledger
+router.get('/:id/points-history', protect, userController.getPointsHistory);
+
+// POST Manual Points/XP Adjustment (Admin)
+router.post('/:id/points-adjustments', protect, restrictTo('admin'), userController.adjustPoints);
+
 
 // --- Admin Only Routes (Example - if needed later) ---
 // router.get('/', protect, restrictTo('admin'), userController.getAllUsers); // Example
@@ -21,9 +21,15 @@ const resourceRoutes = require('./routes/resourceRoutes');
 const rewardRoutes = require('./routes/rewardRoutes');
 const uploadRoutes = require('./routes/uploadRoutes'); 
 const achievementRoutes = require('./routes/achievementRoutes'); // Import achievement routes
+const questionRoutes = require('./routes/questionRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const practiceRoutes = require('./routes/practiceRoutes');
+const examRoutes = require('./routes/examRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { registerAchievementEngine } = require('./utils/achievementEngine');
+const { registerProgression } = require('./utils/progression');
 
 // Initialize Express app
 const app = express();
@@ -254,6 +260,623 @@ const runPendingMigrations = async () => {
           
           return { success: true };
         }
+      },
+      {
+        id: '006-existing-users-email-verified',
+        description: 'Mark accounts created before email verification as verified',
+        async execute() {
+          console.log('Running migration: Marking existing users as email-verified');
+          
+          // Get the User model
+          const User = mongoose.models.User || mongoose.model('User');
+          
+          // Accounts that predate the emailVerified field should not lose forum/reward access
+          const result = await User.updateMany(
+            { emailVerified: { $exists: false } },
+            { $set: { emailVerified: true } }
+          );
+          
+          console.log(`Migration complete: ${result.modifiedCount} users marked as email-verified`);
+          
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            { 
+              id: this.id, 
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+          
+          return result;
+        }
+      },
+      {
+        id: '007-points-ledger-opening-balances',
+        description: 'Record existing point/XP balances as opening PointsTransaction entries',
+        async execute() {
+          console.log('Running migration: Creating opening balances in the points ledger');
+          
+          const User = mongoose.models.User || mongoose.model('User');
+          const PointsTransaction = mongoose.models.PointsTransaction || mongoose.model('PointsTransaction');
+          
+          // Balances earned before the ledger existed become one opening entry per user,
+          // so the reconciliation job starts from zero drift
+          const usersWithLedger = new Set((await PointsTransaction.distinct('user')).map(id => id.toString()));
+          const openingEntries = [];
+          const cursor = User.find().select('points xp').lean().cursor();
+          for await (const user of cursor) {
+            if (usersWithLedger.has(user._id.toString())) continue;
+            const points = user.points || 0;
+            const xp = user.xp || 0;
+            if (points === 0 && xp === 0) continue;
+            openingEntries.push({
+              user: user._id,
+              points,
+              xp,
+              source: 'opening_balance',
+              description: 'Balance before the points ledger was introduced',
+              pointsBalanceAfter: points,
+              xpBalanceAfter: xp
+            });
+          }
+          if (openingEntries.length > 0) {
+            await PointsTransaction.insertMany(openingEntries);
+          }
+          
+          console.log(`Migration complete: ${openingEntries.length} opening balance entries created`);
+          
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            { 
+              id: this.id, 
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+          
+          return { created: openingEntries.length };
+        }
+      },
+      {
+        id: '008-question-types',
+        description: 'Set an explicit type on existing quiz questions from the legacy flags',
+        async execute() {
+          console.log('Running migration: Setting question types on existing quizzes');
+
+          const Quiz = mongoose.models.Quiz || mongoose.model('Quiz');
+          const { resolveQuestionType } = require('./utils/questionGrading');
+
+          let quizzesUpdated = 0;
+          const cursor = Quiz.find({ 'questions.type': { $exists: false } }).select('questions').lean().cursor();
+          for await (const quiz of cursor) {
+            const questions = (quiz.questions || []).map(question => {
+              if (question.type) return question;
+              const type = resolveQuestionType(question);
+              // Fill-in-the-blank answers used to live in the correct option's text
+              const acceptedAnswers = type === 'text' && !(question.acceptedAnswers || []).length
+                ? (question.options || []).filter(o => o.isCorrect).map(o => o.text)
+                : question.acceptedAnswers;
+              return { ...question, type, ...(acceptedAnswers ? { acceptedAnswers } : {}) };
+            });
+            // Raw update: older questions may not pass the new type-specific rules
+            await Quiz.collection.updateOne({ _id: quiz._id }, { $set: { questions } });
+            quizzesUpdated++;
+          }
+
+          console.log(`Migration complete: ${quizzesUpdated} quizzes updated`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { quizzesUpdated };
+        }
+      },
+      {
+        id: '009-question-bank',
+        description: 'Copy existing embedded quiz questions into the question bank',
+        async execute() {
+          console.log('Running migration: Copying embedded quiz questions into the question bank');
+
+          const Quiz = mongoose.models.Quiz || mongoose.model('Quiz');
+          const { copyQuizQuestionsToBank } = require('./utils/questionBank');
+
+          // Copies only - quizzes keep their embedded questions, so existing attempts are unaffected
+          const totals = { quizzes: 0, created: 0, skipped: 0, failed: 0 };
+          const cursor = Quiz.find({ 'questions.0': { $exists: true } }).lean().cursor();
+          for await (const quiz of cursor) {
+            const result = await copyQuizQuestionsToBank(quiz);
+            totals.quizzes++;
+            totals.created += result.created;
+            totals.skipped += result.skipped;
+            totals.failed += result.failed;
+          }
+
+          console.log(`Migration complete: ${totals.created} questions copied from ${totals.quizzes} quizzes (${totals.skipped} skipped, ${totals.failed} failed)`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return totals;
+        }
+      },
+      {
+        id: '010-topic-progress-backfill',
+        description: 'Build topic progress and mastery from past quiz attempts and resource accesses',
+        async execute() {
+          console.log('Running migration: Backfilling topic progress from past activity');
+
+          const QuizAttempt = mongoose.models.QuizAttempt || mongoose.model('QuizAttempt');
+          const QuizSession = mongoose.models.QuizSession || mongoose.model('QuizSession');
+          const Quiz = mongoose.models.Quiz || mongoose.model('Quiz');
+          const ResourceAccess = mongoose.models.ResourceAccess || mongoose.model('ResourceAccess');
+          const Resource = mongoose.models.Resource || mongoose.model('Resource');
+          const UserProgress = mongoose.models.UserProgress || mongoose.model('UserProgress');
+          const { recordQuizAttempt, recordResourceAccess } = require('./utils/topicProgress');
+          const { resolveQuestions } = require('./utils/questionBank');
+
+          // Users who already have tracked progress are skipped so nothing is counted twice
+          const usersWithProgress = new Set((await UserProgress.distinct('user')).map(id => id.toString()));
+
+          // Replay attempts oldest first so the weighted quiz score ends up as if tracked live
+          const quizzes = new Map();
+          let attemptsReplayed = 0;
+          const attemptCursor = QuizAttempt.find().sort('createdAt').lean().cursor();
+          for await (const attempt of attemptCursor) {
+            if (usersWithProgress.has(attempt.user.toString())) continue;
+            const quizId = attempt.quiz.toString();
+            if (!quizzes.has(quizId)) quizzes.set(quizId, await Quiz.findById(quizId).lean());
+            const quiz = quizzes.get(quizId);
+            if (!quiz) continue;
+
+            const session = attempt.session ? await QuizSession.findById(attempt.session).select('questionOrder').lean() : null;
+            const questions = session ? await resolveQuestions(quiz, session.questionOrder) : quiz.questions;
+            const pointsById = new Map(questions.map(q => [q._id.toString(), q.points || 0]));
+            // Attempts graded before partial credit only stored isCorrect
+            const answers = (attempt.answers || []).map(answer => ({
+              questionId: answer.questionId,
+              pointsEarned: answer.pointsEarned ?? (answer.isCorrect ? pointsById.get(answer.questionId) || 0 : 0)
+            }));
+            await recordQuizAttempt({ userId: attempt.user, quiz: { ...quiz, questions }, answers });
+            attemptsReplayed++;
+          }
+
+          // Each distinct resource a user opened counts once
+          let resourcesReplayed = 0;
+          const accessCursor = ResourceAccess.aggregate([
+            { $group: { _id: { user: '$user', resource: '$resource' } } }
+          ]).cursor();
+          for await (const access of accessCursor) {
+            if (usersWithProgress.has(access._id.user.toString())) continue;
+            const resource = await Resource.findById(access._id.resource).select('subject topic').lean();
+            if (!resource) continue;
+            await recordResourceAccess(access._id.user, resource);
+            resourcesReplayed++;
+          }
+
+          console.log(`Migration complete: ${attemptsReplayed} quiz attempts and ${resourcesReplayed} resource accesses replayed`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { attemptsReplayed, resourcesReplayed };
+        }
+      },
+      {
+        id: '011-quiz-versions',
+        description: 'Record version 1 of every existing quiz',
+        async execute() {
+          console.log('Running migration: Recording initial quiz versions');
+
+          const Quiz = mongoose.models.Quiz || mongoose.model('Quiz');
+          const { ensureQuizVersion } = require('./utils/quizVersions');
+
+          // Existing attempts keep quizVersion: null - the quiz may have been edited since they were
+          // taken, so they aren't tied to a snapshot they didn't necessarily see
+          let versionsRecorded = 0;
+          let failed = 0;
+          const cursor = Quiz.find().lean().cursor();
+          for await (const quiz of cursor) {
+            try {
+              await ensureQuizVersion(quiz, { reason: 'migration' });
+              versionsRecorded++;
+            } catch (err) {
+              console.error(`Could not record a version of quiz ${quiz._id}:`, err.message);
+              failed++;
+            }
+          }
+
+          console.log(`Migration complete: ${versionsRecorded} quiz versions recorded (${failed} failed)`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { versionsRecorded, failed };
+        }
+      },
+      {
+        id: '012-quiz-retake-scoring',
+        description: 'Number existing quiz attempts and recount user quiz stats once per quiz',
+        async execute() {
+          console.log('Running migration: Numbering quiz attempts and recounting user quiz stats');
+
+          const QuizAttempt = mongoose.models.QuizAttempt || mongoose.model('QuizAttempt');
+          const Quiz = mongoose.models.Quiz || mongoose.model('Quiz');
+          const User = mongoose.models.User || mongoose.model('User');
+          const { resolveRetakePolicy, countedResult } = require('./utils/retakePolicy');
+
+          // quizCompletedCount / quizTotalPercentageScoreSum used to grow with every attempt; they
+          // now count each quiz once, with the score its retake policy counts (default: best)
+          const quizzes = new Map();
+          const stats = new Map(); // userId -> { completed, scoreSum }
+          let attemptsNumbered = 0;
+          const groups = QuizAttempt.aggregate([
+            { $sort: { createdAt: 1, _id: 1 } },
+            { $group: { _id: { user: '$user', quiz: '$quiz' }, attempts: { $push: { _id: '$_id', percentageScore: '$percentageScore', passed: '$passed' } } } }
+          ]).allowDiskUse(true).cursor();
+          for await (const group of groups) {
+            const quizId = group._id.quiz.toString();
+            if (!quizzes.has(quizId)) quizzes.set(quizId, await Quiz.findById(quizId).select('passScore retakePolicy').lean());
+            const quiz = quizzes.get(quizId);
+
+            const numbering = group.attempts.map((attempt, index) => ({
+              updateOne: { filter: { _id: attempt._id }, update: { $set: { attemptNumber: index + 1 } } }
+            }));
+            if (numbering.length > 0) await QuizAttempt.bulkWrite(numbering);
+            attemptsNumbered += numbering.length;
+
+            if (!quiz) continue; // Deleted quizzes don't count
+            const counted = countedResult(group.attempts, resolveRetakePolicy(quiz).scoring, quiz.passScore || 70);
+            const userId = group._id.user.toString();
+            const totals = stats.get(userId) || { completed: 0, scoreSum: 0 };
+            totals.completed += 1;
+            totals.scoreSum += counted.percentageScore;
+            stats.set(userId, totals);
+          }
+
+          let usersUpdated = 0;
+          for (const [userId, totals] of stats) {
+            await User.updateOne(
+              { _id: userId },
+              { $set: { quizCompletedCount: totals.completed, quizTotalPercentageScoreSum: Math.round(totals.scoreSum * 100) / 100 } }
+            );
+            usersUpdated++;
+          }
+
+          console.log(`Migration complete: ${attemptsNumbered} attempts numbered, quiz stats recounted for ${usersUpdated} users`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { attemptsNumbered, usersUpdated };
+        }
+      },
+      {
+        id: '013-user-achievement-records',
+        description: 'Create UserAchievement records for achievements in User.achievements',
+        async execute() {
+          console.log('Running migration: Creating achievement unlock records');
+
+          const User = mongoose.models.User || mongoose.model('User');
+          const Achievement = mongoose.models.Achievement || mongoose.model('Achievement');
+          const UserAchievement = require('./models/userAchievementModel');
+          const PointsTransaction = require('./models/pointsTransactionModel');
+
+          const achievements = new Map(
+            (await Achievement.find().select('xp points').lean()).map(a => [a._id.toString(), a])
+          );
+          let recordsCreated = 0;
+          let datesFromLedger = 0;
+          const users = User.find({ 'achievements.0': { $exists: true } }).select('achievements').lean().cursor();
+          for await (const user of users) {
+            // The ledger entry written when the achievement was unlocked has the real date and amounts
+            const ledger = await PointsTransaction.find({ user: user._id, source: 'achievement' })
+              .select('sourceId points xp createdAt').sort({ createdAt: 1 }).lean();
+            const ledgerByAchievement = new Map();
+            ledger.forEach(entry => {
+              if (entry.sourceId && !ledgerByAchievement.has(entry.sourceId.toString())) ledgerByAchievement.set(entry.sourceId.toString(), entry);
+            });
+
+            const records = [...new Set(user.achievements.map(id => id.toString()))].map(achievementId => {
+              const entry = ledgerByAchievement.get(achievementId);
+              const achievement = achievements.get(achievementId) || {};
+              if (entry) datesFromLedger++;
+              return {
+                updateOne: {
+                  filter: { user: user._id, achievement: achievementId },
+                  update: {
+                    $setOnInsert: {
+                      unlockedAt: entry ? entry.createdAt : null, // Unknown before the ledger existed
+                      sourceEvent: 'migration',
+                      xpAwarded: entry ? entry.xp : achievement.xp || 0,
+                      pointsAwarded: entry ? entry.points : achievement.points || 0
+                    }
+                  },
+                  upsert: true
+                }
+              };
+            });
+            const result = await UserAchievement.bulkWrite(records, { ordered: false });
+            recordsCreated += result.upsertedCount;
+          }
+
+          console.log(`Migration complete: ${recordsCreated} unlock records created (${datesFromLedger} dated from the points ledger)`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { recordsCreated, datesFromLedger };
+        }
+      },
+      {
+        id: '014-achievement-tiers',
+        description: 'Allow one unlock record per tier and merge the point scorer medals into a tiered achievement',
+        async execute() {
+          console.log('Running migration: Tiered achievements');
+
+          const User = mongoose.models.User || mongoose.model('User');
+          const Achievement = mongoose.models.Achievement || mongoose.model('Achievement');
+          const UserAchievement = require('./models/userAchievementModel');
+
+          // Unlock records are now unique per (user, achievement, tier); the old index would reject
+          // a second tier of the same achievement
+          try {
+            await UserAchievement.collection.dropIndex('user_1_achievement_1');
+            console.log('Dropped the old user_1_achievement_1 index');
+          } catch (err) {
+            if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+          }
+          await UserAchievement.createIndexes();
+
+          // Bronze/Silver/Gold Point Scorer (migrations 002-004) become the tiers of "Point Scorer"
+          const medals = [
+            { title: 'Bronze Point Scorer', name: 'Bronze' },
+            { title: 'Silver Point Scorer', name: 'Silver' },
+            { title: 'Gold Point Scorer', name: 'Gold' }
+          ];
+          const oldAchievements = await Achievement.find({ title: { $in: medals.map(m => m.title) } }).lean();
+          let recordsMoved = 0;
+          if (oldAchievements.length > 0) {
+            const tiers = medals
+              .map(medal => ({ medal, old: oldAchievements.find(a => a.title === medal.title) }))
+              .filter(({ old }) => old)
+              .map(({ medal, old }, i) => ({
+                old,
+                tier: {
+                  tier: i + 1, name: medal.name, description: old.description, icon: old.icon,
+                  requirement: old.requirement, xp: old.xp, points: old.points, rarity: old.rarity
+                }
+              }));
+            const pointScorer = await Achievement.findOneAndUpdate(
+              { title: 'Point Scorer' },
+              {
+                $setOnInsert: {
+                  title: 'Point Scorer',
+                  description: 'Earn quiz points to climb from Bronze to Gold',
+                  icon: tiers[0].tier.icon,
+                  category: 'academic',
+                  rarity: tiers[0].tier.rarity,
+                  trigger: 'quiz_points',
+                  requirement: tiers[0].tier.requirement,
+                  xp: 0,
+                  points: 0,
+                  tiers: tiers.map(t => t.tier)
+                }
+              },
+              { upsert: true, new: true }
+            );
+
+            for (const { old, tier } of tiers) {
+              const moved = await UserAchievement.updateMany(
+                { achievement: old._id },
+                { $set: { achievement: pointScorer._id, tier: tier.tier } }
+              );
+              recordsMoved += moved.modifiedCount;
+              await User.updateMany({ achievements: old._id }, { $addToSet: { achievements: pointScorer._id } });
+              await User.updateMany({ achievements: old._id }, { $pull: { achievements: old._id } });
+              await Achievement.updateMany({ prerequisites: old._id }, { $addToSet: { prerequisites: pointScorer._id } });
+              await Achievement.updateMany({ prerequisites: old._id }, { $pull: { prerequisites: old._id } });
+              // Points ledger entries keep the old achievement ID as their sourceId - they're history
+              await Achievement.deleteOne({ _id: old._id });
+            }
+            console.log(`Merged ${tiers.length} point scorer achievements into "Point Scorer" (${recordsMoved} unlock records moved)`);
+          }
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { recordsMoved };
+        }
+      },
+      {
+        id: '015-recompute-levels',
+        description: 'Recompute user levels from XP with the progression curve',
+        async execute() {
+          console.log('Running migration: Recomputing user levels');
+
+          const User = mongoose.models.User || mongoose.model('User');
+          const { levelForXp } = require('./utils/progression');
+
+          // Levels already held count as rewarded, so no level-up rewards are paid out retroactively
+          let usersChecked = 0;
+          let levelsChanged = 0;
+          let batch = [];
+          const flush = async () => {
+            if (batch.length === 0) return;
+            await User.bulkWrite(batch, { ordered: false });
+            batch = [];
+          };
+          const users = User.find().select('xp level levelRewardedUpTo').lean().cursor();
+          for await (const user of users) {
+            usersChecked++;
+            const level = levelForXp(user.xp);
+            if (level !== user.level) levelsChanged++;
+            const levelRewardedUpTo = Math.max(level, user.levelRewardedUpTo || 1);
+            if (level === user.level && levelRewardedUpTo === user.levelRewardedUpTo) continue;
+            batch.push({ updateOne: { filter: { _id: user._id }, update: { $set: { level, levelRewardedUpTo } } } });
+            if (batch.length >= 500) await flush();
+          }
+          await flush();
+
+          console.log(`Migration complete: ${usersChecked} users checked, ${levelsChanged} levels corrected`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { usersChecked, levelsChanged };
+        }
+      },
+      {
+        id: '016-backfill-award-records',
+        description: 'Move achievement backfill award lists into AchievementBackfillAward records',
+        async execute() {
+          console.log('Running migration: Moving backfill award lists');
+
+          const AchievementBackfill = require('./models/achievementBackfillModel');
+          const AchievementBackfillAward = require('./models/achievementBackfillAwardModel');
+
+          // The awarded array is no longer in the schema, so it is read from the raw collection
+          let recordsCreated = 0;
+          const backfills = AchievementBackfill.collection.find({ awarded: { $exists: true } });
+          for await (const backfill of backfills) {
+            const awarded = backfill.awarded || [];
+            if (awarded.length > 0) {
+              await AchievementBackfillAward.insertMany(awarded.map(a => ({
+                backfill: backfill._id, user: a.user, progress: a.progress, tiers: a.tiers || [], awardedAt: a.awardedAt
+              })));
+              recordsCreated += awarded.length;
+            }
+            await AchievementBackfill.collection.updateOne(
+              { _id: backfill._id },
+              { $set: { awardedCount: awarded.length }, $unset: { awarded: '' } }
+            );
+          }
+
+          console.log(`Migration complete: ${recordsCreated} backfill award records created`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { recordsCreated };
+        }
+      },
+      {
+        id: '017-ordering-correct-order',
+        description: 'Store the correct order of ordering questions in correctOrder, with shuffled random option IDs',
+        async execute() {
+          console.log('Running migration: Keying ordering questions');
+
+          const Quiz = mongoose.models.Quiz || mongoose.model('Quiz');
+          const Question = require('./models/questionModel');
+          const { orderingKey } = require('./utils/questionGrading');
+
+          // Embedded and referenced questions of past attempts stay as snapshotted in their quiz version
+          const unkeyed = { type: 'ordering', 'correctOrder.0': { $exists: false } };
+          let quizzesUpdated = 0;
+          const quizzes = Quiz.find({ questions: { $elemMatch: unkeyed } }).select('questions').lean().cursor();
+          for await (const quiz of quizzes) {
+            const questions = quiz.questions.map(question => ({ ...question, ...orderingKey(question) }));
+            await Quiz.updateOne({ _id: quiz._id }, { $set: { questions } });
+            quizzesUpdated++;
+          }
+
+          let questionsUpdated = 0;
+          const bankQuestions = Question.find(unkeyed).select('type options correctOrder').lean().cursor();
+          for await (const question of bankQuestions) {
+            await Question.updateOne({ _id: question._id }, { $set: orderingKey(question) });
+            questionsUpdated++;
+          }
+
+          console.log(`Migration complete: ${quizzesUpdated} quizzes and ${questionsUpdated} bank questions updated`);
+
+          // Record the migration execution
+          await MigrationRegistry.findOneAndUpdate(
+            { id: this.id },
+            {
+              id: this.id,
+              description: this.description,
+              executedAt: new Date()
+            },
+            { upsert: true, new: true }
+          );
+
+          return { quizzesUpdated, questionsUpdated };
+        }
       }
       // Add more migrations here as needed
     ];
@@ -295,6 +918,12 @@ mongoose.connect(process.env.MONGODB_URI)
 
 // Function to start the server after migrations
 const startServer = () => {
+  // Behind a reverse proxy (Render, Nginx, ...) set TRUST_PROXY=<hops> so req.ip - and the
+  // per-IP rate limits on /api/auth - see the client address instead of the proxy's
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+  }
+
   // Apply middleware
   app.use(helmet()); // Security headers
   app.use(morgan('dev')); // Logging
@@ -305,12 +934,20 @@ const startServer = () => {
   // --- Serve Static Files ---
   app.use(express.static(path.join(__dirname, 'public')));
 
+  // Achievements and level-up rewards are awarded from domain events published by the controllers
+  registerAchievementEngine();
+  registerProgression();
+
   // Define API routes
   app.use('/api/auth', authRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/subjects', subjectRoutes);
   app.use('/api/forum', forumRoutes);
   app.use('/api/quizzes', quizRoutes);
+  app.use('/api/questions', questionRoutes);
+  app.use('/api/reviews', reviewRoutes);
+  app.use('/api/practice', practiceRoutes);
+  app.use('/api/exams', examRoutes);
   app.use('/api/resources', resourceRoutes);
   app.use('/api/rewards', rewardRoutes);
   app.use('/api/uploads', uploadRoutes);
@@ -66,7 +66,10 @@ describe('Xforce Devthon API Tests', () => {
     });
 
     test('Attempt Quiz', async () => {
+      const start = await authRequest('post', `/quizzes/${testQuizId}/start`);
+      expect(start.data.data.sessionId).toBeDefined();
       const res = await authRequest('post', `/quizzes/${testQuizId}/attempts`, {
+        sessionId: start.data.data.sessionId,
         answers: [{ questionId: '0', answerId: '0' }]
       });
       expect(res.status).toBe(201);
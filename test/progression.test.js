@@ -0,0 +1,52 @@
+const { xpForLevel, levelForXp, levelTitle, getLevelProgress } = require('../utils/progression');
+
+const curve = { xpBase: 100, xpExponent: 2, maxLevel: 10, titles: [{ level: 1, title: 'Novice' }, { level: 5, title: 'Apprentice' }] };
+
+describe('Progression', () => {
+  test('xpForLevel follows xpBase * (L - 1) ^ xpExponent', () => {
+    expect([1, 2, 3, 4, 10].map(level => xpForLevel(level, curve))).toEqual([0, 100, 400, 900, 8100]);
+  });
+
+  test('levelForXp changes level exactly at each threshold', () => {
+    expect(levelForXp(0, curve)).toBe(1);
+    expect(levelForXp(99, curve)).toBe(1);
+    expect(levelForXp(100, curve)).toBe(2);
+    expect(levelForXp(399, curve)).toBe(2);
+    expect(levelForXp(400, curve)).toBe(3);
+  });
+
+  test('levelForXp is exact at the thresholds of fractional curves', () => {
+    const steep = { xpBase: 37, xpExponent: 1.7, maxLevel: 200 };
+    for (let level = 2; level <= 200; level++) {
+      const threshold = xpForLevel(level, steep);
+      expect(levelForXp(threshold, steep)).toBe(level);
+      expect(levelForXp(threshold - 1, steep)).toBe(level - 1);
+    }
+  });
+
+  test('levelForXp is capped at maxLevel and ignores negative XP', () => {
+    expect(levelForXp(1e9, curve)).toBe(10);
+    expect(levelForXp(-50, curve)).toBe(1);
+    expect(levelForXp(undefined, curve)).toBe(1);
+  });
+
+  test('levelTitle keeps the last title reached', () => {
+    expect(levelTitle(4, curve)).toBe('Novice');
+    expect(levelTitle(5, curve)).toBe('Apprentice');
+    expect(levelTitle(9, curve)).toBe('Apprentice');
+  });
+
+  test('getLevelProgress reports progress to the next level', () => {
+    expect(getLevelProgress(250, curve)).toEqual({
+      level: 2,
+      title: 'Novice',
+      xp: 250,
+      xpForCurrentLevel: 100,
+      xpForNextLevel: 400,
+      xpToNextLevel: 150,
+      levelProgress: 50,
+      maxLevel: false
+    });
+    expect(getLevelProgress(9000, curve)).toMatchObject({ level: 10, xpForNextLevel: null, xpToNextLevel: 0, levelProgress: 100, maxLevel: true });
+  });
+});
@@ -0,0 +1,180 @@
+const {
+  resolveQuestionType,
+  correctOrderOf,
+  orderingKey,
+  validateQuestion,
+  normalizeAnswer,
+  gradeAnswer,
+  describeCorrectAnswer
+} = require('../utils/questionGrading');
+
+const option = (_id, text, isCorrect = false) => ({ _id, text, isCorrect });
+const grade = (question, raw) => gradeAnswer(question, normalizeAnswer({ questionId: 'q1', ...raw }));
+
+describe('Question Grading', () => {
+  describe('resolveQuestionType', () => {
+    test('Falls back to the legacy flags', () => {
+      expect(resolveQuestionType({ type: 'numeric' })).toBe('numeric');
+      expect(resolveQuestionType({ isFillBlank: true })).toBe('text');
+      expect(resolveQuestionType({ isTrueFalse: true })).toBe('true_false');
+      expect(resolveQuestionType({})).toBe('single_choice');
+    });
+  });
+
+  describe('single_choice / true_false', () => {
+    const question = { type: 'single_choice', points: 4, options: [option('a', 'A'), option('b', 'B', true)] };
+
+    test('Full points for the correct option only', () => {
+      expect(grade(question, { answerId: 'b' })).toEqual({ credit: 1, pointsEarned: 4, isCorrect: true });
+      expect(grade(question, { answerId: 'a' })).toEqual({ credit: 0, pointsEarned: 0, isCorrect: false });
+      expect(grade(question, {})).toEqual({ credit: 0, pointsEarned: 0, isCorrect: false });
+    });
+
+    test('Uses correctAnswer when no option is flagged', () => {
+      const legacy = { type: 'true_false', points: 1, correctAnswer: 't', options: [option('t', 'True'), option('f', 'False')] };
+      expect(grade(legacy, { answerId: 't' }).isCorrect).toBe(true);
+    });
+  });
+
+  describe('multiple_select', () => {
+    const question = {
+      type: 'multiple_select',
+      points: 10,
+      options: [option('a', 'A', true), option('b', 'B', true), option('c', 'C'), option('d', 'D')]
+    };
+
+    test('Partial credit per correct pick, each wrong pick cancels one', () => {
+      expect(grade(question, { answerIds: ['a', 'b'] }).credit).toBe(1);
+      expect(grade(question, { answerIds: ['a'] })).toEqual({ credit: 0.5, pointsEarned: 5, isCorrect: false });
+      expect(grade(question, { answerIds: ['a', 'c'] }).credit).toBe(0);
+      expect(grade(question, { answerIds: ['c', 'd'] }).credit).toBe(0);
+    });
+
+    test('All or nothing without partialCredit', () => {
+      const strict = { ...question, partialCredit: false };
+      expect(grade(strict, { answerIds: ['a'] }).credit).toBe(0);
+      expect(grade(strict, { answerIds: ['b', 'a'] }).credit).toBe(1);
+      expect(grade(strict, { answerIds: ['a', 'b', 'c'] }).credit).toBe(0);
+    });
+  });
+
+  describe('numeric', () => {
+    const question = { type: 'numeric', points: 2, numericAnswer: 9.8, tolerance: 0.1, unit: 'm/s2', acceptedUnits: ['m s^-1'] };
+
+    test('Accepts values within the tolerance', () => {
+      expect(grade(question, { value: 9.75 }).credit).toBe(1);
+      expect(grade(question, { value: 9.9 }).credit).toBe(1);
+      expect(grade(question, { value: 9.95 }).credit).toBe(0);
+    });
+
+    test('Parses the value and unit from a string', () => {
+      expect(grade(question, { value: '9,8 m/s2' }).credit).toBe(1);
+      expect(grade(question, { value: '9.8 km' }).credit).toBe(0);
+      expect(grade(question, { value: 9.8, unit: 'm s^-1' }).credit).toBe(1);
+    });
+
+    test('Requires a unit only when requireUnit is set', () => {
+      expect(grade(question, { value: 9.8 }).credit).toBe(1);
+      expect(grade({ ...question, requireUnit: true }, { value: 9.8 }).credit).toBe(0);
+    });
+  });
+
+  describe('text', () => {
+    const question = { type: 'text', points: 1, acceptedAnswers: ['Photosynthesis'] };
+
+    test('Ignores case, whitespace and surrounding punctuation', () => {
+      expect(grade(question, { text: '  photosynthesis. ' }).credit).toBe(1);
+      expect(grade(question, { text: 'respiration' }).credit).toBe(0);
+      expect(grade(question, { text: '' }).credit).toBe(0);
+    });
+
+    test('Respects caseSensitive', () => {
+      expect(grade({ ...question, caseSensitive: true }, { text: 'photosynthesis' }).credit).toBe(0);
+    });
+
+    test('Legacy fill-blank questions use the correct option', () => {
+      const legacy = { isFillBlank: true, points: 1, options: [option('a', 'Paris', true)] };
+      expect(grade(legacy, { text: 'paris' }).credit).toBe(1);
+    });
+  });
+
+  describe('ordering', () => {
+    const question = {
+      type: 'ordering',
+      points: 4,
+      options: [option('c', 'Third'), option('a', 'First'), option('d', 'Fourth'), option('b', 'Second')],
+      correctOrder: ['a', 'b', 'c', 'd']
+    };
+
+    test('Grades against correctOrder, not the stored option order', () => {
+      expect(grade(question, { order: ['a', 'b', 'c', 'd'] }).credit).toBe(1);
+      expect(grade(question, { order: ['c', 'a', 'd', 'b'] }).credit).toBe(0);
+    });
+
+    test('Partial credit per item in place', () => {
+      expect(grade(question, { order: ['a', 'b', 'd', 'c'] })).toEqual({ credit: 0.5, pointsEarned: 2, isCorrect: false });
+      expect(grade({ ...question, partialCredit: false }, { order: ['a', 'b', 'd', 'c'] }).credit).toBe(0);
+    });
+
+    test('Questions without correctOrder use the option order', () => {
+      const legacy = { type: 'ordering', points: 1, options: [option('x', 'X'), option('y', 'Y')] };
+      expect(correctOrderOf(legacy)).toEqual(['x', 'y']);
+      expect(grade(legacy, { order: ['x', 'y'] }).credit).toBe(1);
+    });
+
+    test('orderingKey gives the options random IDs and keeps the order in correctOrder', () => {
+      const key = orderingKey({ type: 'ordering', options: [{ text: 'A' }, { text: 'B' }, { text: 'C' }] });
+      expect(key.correctOrder).toHaveLength(3);
+      key.correctOrder.forEach(id => expect(id).toMatch(/^[0-9a-f]{24}$/));
+      const textById = new Map(key.options.map(o => [o._id, o.text]));
+      expect(key.correctOrder.map(id => textById.get(id))).toEqual(['A', 'B', 'C']);
+      expect(orderingKey({ ...question })).toBeNull();
+      expect(orderingKey({ type: 'single_choice', options: [] })).toBeNull();
+    });
+
+    test('describeCorrectAnswer lists correctOrder', () => {
+      expect(describeCorrectAnswer(question)).toEqual({ type: 'ordering', correctOrder: ['a', 'b', 'c', 'd'] });
+    });
+  });
+
+  describe('matching', () => {
+    const question = {
+      type: 'matching',
+      points: 3,
+      pairs: [{ _id: 'p1', prompt: 'H2O', match: 'Water' }, { _id: 'p2', prompt: 'NaCl', match: 'Salt' }, { _id: 'p3', prompt: 'CO2', match: 'Carbon dioxide' }]
+    };
+
+    test('Partial credit per correct match', () => {
+      const matches = [{ pairId: 'p1', match: 'water' }, { pairId: 'p2', match: 'Salt' }, { pairId: 'p3', match: 'Salt' }];
+      expect(grade(question, { matches }).credit).toBeCloseTo(2 / 3);
+      expect(grade({ ...question, partialCredit: false }, { matches }).credit).toBe(0);
+    });
+  });
+
+  describe('validateQuestion', () => {
+    test('Checks the fields each type needs', () => {
+      expect(validateQuestion({ type: 'essay' })).toMatch(/Unknown question type/);
+      expect(validateQuestion({ type: 'single_choice', options: [option('a', 'A', true), option('b', 'B', true)] })).toMatch(/exactly one correct/);
+      expect(validateQuestion({ type: 'numeric', numericAnswer: 'x' })).toMatch(/numericAnswer/);
+      expect(validateQuestion({ type: 'text', acceptedAnswers: [' '] })).toMatch(/accepted answer/);
+      expect(validateQuestion({ type: 'matching', pairs: [{ prompt: 'a', match: 'b' }] })).toMatch(/two pairs/);
+      expect(validateQuestion({ type: 'multiple_select', options: [option('a', 'A', true), option('b', 'B')] })).toBeNull();
+    });
+
+    test('An explicit correctOrder must list every option once', () => {
+      const options = [option('a', 'A'), option('b', 'B')];
+      expect(validateQuestion({ type: 'ordering', options })).toBeNull();
+      expect(validateQuestion({ type: 'ordering', options, correctOrder: ['b', 'a'] })).toBeNull();
+      expect(validateQuestion({ type: 'ordering', options, correctOrder: ['a', 'a'] })).toMatch(/correctOrder/);
+      expect(validateQuestion({ type: 'ordering', options, correctOrder: ['a'] })).toMatch(/correctOrder/);
+    });
+  });
+
+  describe('normalizeAnswer', () => {
+    test('Keeps known fields with consistent types', () => {
+      expect(normalizeAnswer({ answerId: 'a' })).toBeNull();
+      expect(normalizeAnswer({ questionId: 1, answerIds: [1, 1, 2], timeSpent: '12.4', extra: true }))
+        .toEqual({ questionId: '1', answerIds: ['1', '2'], timeSpent: 12 });
+    });
+  });
+});
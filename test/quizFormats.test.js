@@ -0,0 +1,78 @@
+const { parseQuizImport, buildQuizExport } = require('../utils/quizFormats');
+
+const quiz = { title: 'Mechanics', timeLimit: 20, passScore: 60, difficulty: 'medium' };
+// Stored form - ordering options are shuffled with the answer in correctOrder
+const questions = [
+  { _id: 'q1', type: 'single_choice', text: 'Unit of force?', points: 2, difficulty: 'easy', explanation: 'Named after Newton.', options: [{ _id: 'o1', text: 'Newton', isCorrect: true }, { _id: 'o2', text: 'Joule', isCorrect: false }] },
+  { _id: 'q2', type: 'multiple_select', text: 'Vector quantities?', points: 1, options: [{ _id: 'o3', text: 'Velocity', isCorrect: true }, { _id: 'o4', text: 'Force', isCorrect: true }, { _id: 'o5', text: 'Mass', isCorrect: false }] },
+  { _id: 'q3', type: 'true_false', text: 'Mass depends on gravity', points: 1, options: [{ _id: 'o6', text: 'True', isCorrect: false }, { _id: 'o7', text: 'False', isCorrect: true }] },
+  { _id: 'q4', type: 'numeric', text: 'g at sea level?', points: 1, numericAnswer: 9.8, tolerance: 0.1, unit: 'm/s2' },
+  { _id: 'q5', type: 'text', text: 'SI unit of energy?', points: 1, acceptedAnswers: ['joule', 'J'] },
+  { _id: 'q6', type: 'ordering', text: 'Order by size', points: 1, options: [{ _id: 'o9', text: 'Atom' }, { _id: 'o8', text: 'Proton' }, { _id: 'o10', text: 'Molecule' }], correctOrder: ['o8', 'o9', 'o10'] },
+  { _id: 'q7', type: 'matching', text: 'Match the units', points: 1, pairs: [{ _id: 'p1', prompt: 'Force', match: 'N' }, { _id: 'p2', prompt: 'Power', match: 'W' }] }
+];
+
+const roundTrip = (format) => {
+  const exported = buildQuizExport(format, quiz, questions, { subjectName: 'Physics' });
+  return { exported, imported: parseQuizImport(format, exported.content) };
+};
+
+describe('Quiz Formats', () => {
+  test('JSON keeps every question type and the quiz settings', () => {
+    const { exported, imported } = roundTrip('json');
+    expect(exported.skipped).toEqual([]);
+    expect(imported.report).toMatchObject({ total: 7, valid: 7, errors: [] });
+    expect(imported.quiz).toEqual({ ...quiz, subjectName: 'Physics' });
+    expect(imported.questions[0]).toEqual({
+      type: 'single_choice', text: 'Unit of force?', points: 2, difficulty: 'easy', explanation: 'Named after Newton.',
+      options: [{ text: 'Newton', isCorrect: true }, { text: 'Joule', isCorrect: false }]
+    });
+    expect(imported.questions[3]).toMatchObject({ numericAnswer: 9.8, tolerance: 0.1, unit: 'm/s2' });
+    expect(imported.questions[6].pairs).toEqual([{ prompt: 'Force', match: 'N' }, { prompt: 'Power', match: 'W' }]);
+  });
+
+  test('Ordering questions are exported and imported in the correct order', () => {
+    for (const format of ['json', 'csv']) {
+      const { imported } = roundTrip(format);
+      const ordering = imported.questions.find(q => q.type === 'ordering');
+      expect(ordering.options.map(o => o.text)).toEqual(['Proton', 'Atom', 'Molecule']);
+    }
+  });
+
+  test('CSV keeps every question type', () => {
+    const { exported, imported } = roundTrip('csv');
+    expect(exported.skipped).toEqual([]);
+    expect(imported.report).toMatchObject({ total: 7, valid: 7, errors: [] });
+    expect(imported.questions.map(q => q.type)).toEqual(questions.map(q => q.type));
+    expect(imported.questions[1].options.filter(o => o.isCorrect).map(o => o.text)).toEqual(['Velocity', 'Force']);
+    expect(imported.questions[2].options).toEqual([{ text: 'True', isCorrect: false }, { text: 'False', isCorrect: true }]);
+    expect(imported.questions[4].acceptedAnswers).toEqual(['joule', 'J']);
+  });
+
+  test('GIFT skips ordering questions and keeps the rest', () => {
+    const { exported, imported } = roundTrip('gift');
+    expect(exported.skipped).toEqual([expect.objectContaining({ number: 6, type: 'ordering' })]);
+    expect(imported.report).toMatchObject({ total: 6, valid: 6, errors: [] });
+    expect(imported.questions.map(q => q.text)).toEqual(questions.filter(q => q.type !== 'ordering').map(q => q.text));
+    expect(imported.questions[0].explanation).toBe('Named after Newton.');
+    expect(imported.questions[3]).toMatchObject({ type: 'numeric', numericAnswer: 9.8, tolerance: 0.1 });
+  });
+
+  test('Aiken keeps single choice and true/false questions only', () => {
+    const { exported, imported } = roundTrip('aiken');
+    expect(exported.skipped.map(s => s.number)).toEqual([2, 4, 5, 6, 7]);
+    expect(imported.report).toMatchObject({ total: 2, valid: 2, errors: [] });
+    expect(imported.questions[1]).toEqual({
+      type: 'single_choice', text: 'Mass depends on gravity',
+      options: [{ text: 'True', isCorrect: false }, { text: 'False', isCorrect: true }]
+    });
+  });
+
+  test('Reports every invalid question instead of throwing', () => {
+    const csv = 'type,text,options,correct\nsingle_choice,No answer,A|B,\nnumeric,Pi?,,3.14\n';
+    const { questions: valid, report } = parseQuizImport('csv', csv);
+    expect(valid).toHaveLength(1);
+    expect(report.errors).toEqual([expect.objectContaining({ location: 'row 2' })]);
+    expect(parseQuizImport('json', '{ not json').report.errors[0].message).toMatch(/Invalid JSON/);
+  });
+});
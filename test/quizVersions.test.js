@@ -0,0 +1,57 @@
+const { diffVersions, quizAtVersion } = require('../utils/quizVersions');
+
+const question = (id, fields) => ({ _id: id, type: 'single_choice', points: 1, options: [{ _id: `${id}a`, text: 'A', isCorrect: true }, { _id: `${id}b`, text: 'B', isCorrect: false }], ...fields });
+
+const v1 = {
+  _id: 'v1',
+  version: 1,
+  title: 'Optics',
+  passScore: 70,
+  timeLimit: 15,
+  questions: [question('q1', { text: 'Speed of light?' }), question('q2', { text: 'Focal length?' })],
+  bankQuestions: [question('b1', { text: 'Refraction?' })]
+};
+
+describe('Quiz Versions', () => {
+  test('diffVersions lists changed settings and added, removed and changed questions', () => {
+    const v2 = {
+      ...v1,
+      version: 2,
+      passScore: 80,
+      questions: [
+        question('q1', { text: 'Speed of light in a vacuum?', points: 2 }),
+        question('q3', { text: 'Snell\'s law?' })
+      ]
+    };
+
+    expect(diffVersions(v1, v2)).toEqual({
+      from: 1,
+      to: 2,
+      settings: [{ field: 'passScore', from: 70, to: 80 }],
+      questions: {
+        added: [{ questionId: 'q3', text: 'Snell\'s law?', source: 'quiz' }],
+        removed: [{ questionId: 'q2', text: 'Focal length?', source: 'quiz' }],
+        changed: [{ questionId: 'q1', text: 'Speed of light in a vacuum?', source: 'quiz', fields: ['text', 'points'] }]
+      }
+    });
+  });
+
+  test('diffVersions notices changed options of bank questions', () => {
+    const v2 = { ...v1, version: 2, bankQuestions: [question('b1', { text: 'Refraction?', options: [{ _id: 'b1a', text: 'A', isCorrect: false }, { _id: 'b1b', text: 'B', isCorrect: true }] })] };
+    const diff = diffVersions(v1, v2);
+    expect(diff.settings).toEqual([]);
+    expect(diff.questions.changed).toEqual([{ questionId: 'b1', text: 'Refraction?', source: 'bank', fields: ['options'] }]);
+  });
+
+  test('Identical versions have no differences', () => {
+    expect(diffVersions(v1, { ...v1, version: 2 })).toMatchObject({ settings: [], questions: { added: [], removed: [], changed: [] } });
+  });
+
+  test('quizAtVersion serves the version\'s settings and questions', () => {
+    const live = { _id: 'quiz', title: 'Optics (edited)', passScore: 50, subject: 's1', questions: [] };
+    const quiz = quizAtVersion(live, v1);
+    expect(quiz).toMatchObject({ title: 'Optics', passScore: 70, subject: 's1', totalPoints: 3, quizVersion: 'v1', quizVersionNumber: 1 });
+    expect(quiz.questions.map(q => q._id)).toEqual(['q1', 'q2', 'b1']);
+    expect(quizAtVersion(live, null)).toBe(live);
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  DEFAULT_RETAKE_POLICY,
+  resolveRetakePolicy,
+  getRetakeStatus,
+  countedResult,
+  repeatPointsMultiplier
+} = require('../utils/retakePolicy');
+
+const attempts = [
+  { _id: 'a1', percentageScore: 40, passed: false },
+  { _id: 'a2', percentageScore: 90, passed: true },
+  { _id: 'a3', percentageScore: 90, passed: true },
+  { _id: 'a4', percentageScore: 65, passed: false }
+];
+
+describe('Retake Policy', () => {
+  test('resolveRetakePolicy fills unset fields with the defaults', () => {
+    expect(resolveRetakePolicy({})).toEqual(DEFAULT_RETAKE_POLICY);
+    expect(resolveRetakePolicy({ retakePolicy: { maxAttempts: 3, scoring: null, unknown: 1 } }))
+      .toEqual({ ...DEFAULT_RETAKE_POLICY, maxAttempts: 3 });
+  });
+
+  describe('countedResult', () => {
+    test('Counts the attempt the scoring policy picks', () => {
+      expect(countedResult(attempts, 'first', 70)).toEqual({ attemptId: 'a1', percentageScore: 40, passed: false });
+      expect(countedResult(attempts, 'latest', 70)).toEqual({ attemptId: 'a4', percentageScore: 65, passed: false });
+      // The earliest of equal best scores
+      expect(countedResult(attempts, 'best', 70)).toEqual({ attemptId: 'a2', percentageScore: 90, passed: true });
+    });
+
+    test('Averages all attempts and compares the average with the pass score', () => {
+      expect(countedResult(attempts, 'average', 70)).toEqual({ attemptId: null, percentageScore: 71.25, passed: true });
+      expect(countedResult(attempts, 'average', 75).passed).toBe(false);
+    });
+
+    test('Returns null without attempts', () => {
+      expect(countedResult([], 'best', 70)).toBeNull();
+    });
+  });
+
+  describe('repeatPointsMultiplier', () => {
+    const policy = resolveRetakePolicy({});
+
+    test('Full points until the quiz is passed', () => {
+      expect(repeatPointsMultiplier(policy, [])).toBe(1);
+      expect(repeatPointsMultiplier(policy, [{ passed: false }, { passed: false }])).toBe(1);
+    });
+
+    test('Diminishing points for each attempt after the first pass', () => {
+      expect(repeatPointsMultiplier(policy, [{ passed: true }])).toBe(0.5);
+      expect(repeatPointsMultiplier(policy, [{ passed: false }, { passed: true }, { passed: false }])).toBe(0.25);
+      expect(repeatPointsMultiplier({ ...policy, repeatPointsFactor: 0.8 }, [{ passed: true }])).toBe(0.8);
+    });
+
+    test('Full or no points by policy', () => {
+      expect(repeatPointsMultiplier({ ...policy, repeatPoints: 'full' }, [{ passed: true }])).toBe(1);
+      expect(repeatPointsMultiplier({ ...policy, repeatPoints: 'none' }, [{ passed: true }])).toBe(0);
+    });
+  });
+
+  describe('getRetakeStatus', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const at = (minutesAgo) => ({ createdAt: new Date(now.getTime() - minutesAgo * 60 * 1000) });
+
+    test('Stops at maxAttempts', () => {
+      const status = getRetakeStatus({ ...DEFAULT_RETAKE_POLICY, maxAttempts: 2 }, [at(90), at(60)], now);
+      expect(status).toMatchObject({ canStart: false, reason: 'max_attempts', attemptsUsed: 2, attemptsRemaining: 0 });
+    });
+
+    test('Waits out the cooldown after the last attempt', () => {
+      const policy = { ...DEFAULT_RETAKE_POLICY, cooldownMinutes: 30 };
+      const waiting = getRetakeStatus(policy, [at(10)], now);
+      expect(waiting).toMatchObject({ canStart: false, reason: 'cooldown', attemptsRemaining: null });
+      expect(waiting.nextAttemptAt).toEqual(new Date(now.getTime() + 20 * 60 * 1000));
+      expect(getRetakeStatus(policy, [at(31)], now)).toMatchObject({ canStart: true, reason: null, nextAttemptAt: null });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { qualityFromCredit, scheduleReview } = require('../utils/spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-01T00:00:00Z');
+
+describe('Spaced Repetition', () => {
+  test('qualityFromCredit maps credit to SM-2 quality', () => {
+    expect(qualityFromCredit(1)).toBe(4);
+    expect(qualityFromCredit(1, 5)).toBe(5);
+    expect(qualityFromCredit(1, 2)).toBe(4);
+    expect(qualityFromCredit(0.5, 5)).toBe(2);
+    expect(qualityFromCredit(0.25)).toBe(1);
+    expect(qualityFromCredit(0)).toBe(0);
+  });
+
+  test('Intervals grow 1 -> 6 -> interval * easeFactor', () => {
+    let state = { easeFactor: 2.5, interval: 0, repetitions: 0 };
+    state = scheduleReview(state, 4, now);
+    expect(state).toMatchObject({ interval: 1, repetitions: 1, easeFactor: 2.5, lapsed: false });
+    state = scheduleReview(state, 4, now);
+    expect(state).toMatchObject({ interval: 6, repetitions: 2 });
+    state = scheduleReview(state, 5, now);
+    expect(state).toMatchObject({ interval: 16, repetitions: 3, easeFactor: 2.6 });
+    expect(state.dueAt).toEqual(new Date(now.getTime() + 16 * DAY_MS));
+  });
+
+  test('A lapse restarts the repetitions and lowers the ease factor', () => {
+    const state = scheduleReview({ easeFactor: 2.5, interval: 15, repetitions: 3 }, 1, now);
+    expect(state).toMatchObject({ interval: 1, repetitions: 0, easeFactor: 1.96, lapsed: true });
+    expect(state.dueAt).toEqual(new Date(now.getTime() + DAY_MS));
+  });
+
+  test('The ease factor never drops below 1.3', () => {
+    expect(scheduleReview({ easeFactor: 1.4, interval: 1, repetitions: 0 }, 0, now).easeFactor).toBe(1.3);
+  });
+});
@@ -0,0 +1,426 @@
+// utils/achievementEngine.js
+// Awards achievements from domain events (utils/domainEvents.js). Each event maps to the triggers
+// it can move forward; on every event the user's locked achievements with those triggers are
+// re-evaluated from stored data (getAchievementProgress) and unlocked once progress reaches the
+// achievement's requirement. Because progress is always recomputed rather than counted up from
+// events, a missed or repeated event can't award too much or too little. Each unlock is stored as a
+// UserAchievement record whose unique index makes awarding idempotent.
+//
+// A tiered achievement is unlocked once per tier (a record each). An achievement with prerequisites
+// is only evaluated once they're unlocked, and unlocking one re-evaluates its dependents. A seasonal
+// achievement (startsAt/endsAt) is only awarded inside its window and, for the counted triggers
+// below, only counts activity from the window; streaks, mastery and reviews use current values.
+//
+// Conditions per trigger (Achievement.condition):
+//   quiz_completion      { passed, minScore, difficulty, subject } - attempts matching all of them
+//   quiz_perfect_score   { difficulty, subject }
+//   quiz_streak          { minScore } - latest attempts in a row that passed (or reached minScore)
+//   quiz_points          - User.quizPointsEarned
+//   subject_mastery      { subject, mastery } - subjects where every topic is at least `mastery`
+//                        (default 'mastered') in the user's topic progress
+//   forum_posts          { category } - approved topics
+//   forum_replies        - approved replies
+//   forum_best_answers   - replies marked as best answer
+//   resource_access      { accessType } - resource views/downloads
+//   login_streak         - consecutive days with a login, up to today
+//   study_streak         - User.streak (logins and other study activity)
+//   reviews_completed    { correct } - spaced-repetition reviews
+const mongoose = require('mongoose');
+const Achievement = require('../models/achievementModel');
+const UserAchievement = require('../models/userAchievementModel');
+const User = require('../models/userModel');
+const Quiz = require('../models/quizModel');
+const QuizAttempt = require('../models/quizAttemptModel');
+const Subject = require('../models/subjectModel');
+const UserProgress = require('../models/userProgressModel');
+const ForumTopic = require('../models/forumTopicModel');
+const ForumReply = require('../models/forumReplyModel');
+const ResourceAccess = require('../models/resourceAccessModel');
+const LoginActivityLog = require('../models/loginActivityLogModel');
+const ReviewItem = require('../models/reviewItemModel');
+const PointsTransaction = require('../models/pointsTransactionModel');
+const { applyPointsChange } = require('./pointsLedger');
+const { syncLevel } = require('./progression');
+const { EVENTS, subscribe } = require('./domainEvents');
+
+const TRIGGERS_BY_EVENT = {
+  [EVENTS.QUIZ_SUBMITTED]: ['quiz_completion', 'quiz_perfect_score', 'quiz_streak', 'quiz_points', 'subject_mastery'],
+  [EVENTS.FORUM_TOPIC_POSTED]: ['forum_posts'],
+  [EVENTS.FORUM_REPLY_POSTED]: ['forum_replies'],
+  [EVENTS.FORUM_BEST_ANSWER_MARKED]: ['forum_best_answers'],
+  [EVENTS.RESOURCE_VIEWED]: ['resource_access', 'subject_mastery'],
+  [EVENTS.RESOURCE_DOWNLOADED]: ['resource_access', 'subject_mastery'],
+  [EVENTS.USER_LOGGED_IN]: ['login_streak', 'study_streak'],
+  [EVENTS.REVIEWS_COMPLETED]: ['reviews_completed', 'study_streak']
+};
+
+const MASTERY_LEVELS = ['low', 'medium', 'high', 'mastered'];
+const MAX_STREAK_ATTEMPTS = 200; // Attempts looked at for quiz_streak
+const MAX_LOGIN_STREAK_DAYS = 366;
+const MAX_PREREQUISITE_DEPTH = 10; // Prerequisite chain levels unlocked by one event
+// What students see of a hidden achievement until they unlock it
+const HIDDEN_TITLE = 'Hidden achievement';
+const HIDDEN_ICON = 'locked_secret';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Spaced-repetition reviews completed (or answered correctly)
+const countReviews = async (userId, condition = {}) => {
+  const field = condition && condition.correct ? '$correctCount' : '$reviewCount';
+  const [totals] = await ReviewItem.aggregate([
+    { $match: { user: toObjectId(userId) } },
+    { $group: { _id: null, total: { $sum: field } } }
+  ]);
+  return totals ? totals.total : 0;
+};
+
+// Attempt filter for quiz conditions; difficulty/subject are properties of the quiz
+const quizAttemptQuery = async (userId, condition = {}) => {
+  const query = { user: userId };
+  if (condition.passed) query.passed = true;
+  if (condition.minScore) query.percentageScore = { $gte: condition.minScore };
+  if (condition.difficulty || condition.subject) {
+    const quizFilter = {};
+    if (condition.difficulty) quizFilter.difficulty = condition.difficulty;
+    if (condition.subject) quizFilter.subject = condition.subject;
+    query.quiz = { $in: await Quiz.find(quizFilter).distinct('_id') };
+  }
+  return query;
+};
+
+// Latest attempts in a row that passed (or reached condition.minScore)
+const quizStreak = async (userId, condition = {}, season = {}) => {
+  const attempts = await QuizAttempt.find({ user: userId, ...season })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_STREAK_ATTEMPTS)
+    .select('passed percentageScore')
+    .lean();
+  const counts = (a) => (condition.minScore ? (a.percentageScore || 0) >= condition.minScore : a.passed);
+  const broken = attempts.findIndex(a => !counts(a));
+  return broken === -1 ? attempts.length : broken;
+};
+
+// Subjects where every topic has reached the required mastery
+const subjectsMastered = async (userId, condition = {}) => {
+  const required = MASTERY_LEVELS.indexOf(condition.mastery || 'mastered');
+  const subjectFilter = condition.subject ? { _id: condition.subject } : {};
+  const [subjects, progressDocs] = await Promise.all([
+    Subject.find(subjectFilter).select('topics._id').lean(),
+    UserProgress.find({ user: userId }).select('subject topicProgress.topic topicProgress.mastery').lean()
+  ]);
+  const progressBySubject = new Map(progressDocs.map(doc => [doc.subject.toString(), doc.topicProgress || []]));
+  return subjects.filter(subject => {
+    const entries = progressBySubject.get(subject._id.toString());
+    if (!entries || !subject.topics || subject.topics.length === 0) return false;
+    return subject.topics.every(topic => {
+      const entry = entries.find(tp => tp.topic.toString() === topic._id.toString());
+      return entry && MASTERY_LEVELS.indexOf(entry.mastery) >= required;
+    });
+  }).length;
+};
+
+// Consecutive UTC days with a login, ending today (or yesterday, if not logged in yet today)
+const loginStreak = async (userId, now = new Date()) => {
+  const today = Math.floor(now.getTime() / DAY_MS);
+  const days = await LoginActivityLog.aggregate([
+    { $match: { user: toObjectId(userId), loginDate: { $gte: new Date((today - MAX_LOGIN_STREAK_DAYS) * DAY_MS) } } },
+    { $group: { _id: { $floor: { $divide: [{ $toLong: '$loginDate' }, DAY_MS] } } } }
+  ]);
+  const loginDays = new Set(days.map(d => d._id));
+  let day = loginDays.has(today) ? today : today - 1;
+  let streak = 0;
+  while (loginDays.has(day)) {
+    streak++;
+    day--;
+  }
+  return streak;
+};
+
+// A seasonal achievement's window as a filter on `field` ({} when it isn't seasonal)
+const seasonFilter = (achievement, field = 'createdAt') => {
+  const range = {};
+  if (achievement.startsAt) range.$gte = new Date(achievement.startsAt);
+  if (achievement.endsAt) range.$lte = new Date(achievement.endsAt);
+  return Object.keys(range).length > 0 ? { [field]: range } : {};
+};
+
+/**
+ * Where a seasonal achievement's window stands. Pure.
+ * @param {object} achievement
+ * @param {Date} [now]
+ * @returns {string|null} upcoming, active or ended; null when it isn't seasonal
+ */
+const seasonStatus = (achievement, now = new Date()) => {
+  if (!achievement.startsAt && !achievement.endsAt) return null;
+  if (achievement.startsAt && now < new Date(achievement.startsAt)) return 'upcoming';
+  if (achievement.endsAt && now > new Date(achievement.endsAt)) return 'ended';
+  return 'active';
+};
+
+/**
+ * The levels an achievement is unlocked at, in order: its tiers, or a single level (tier null)
+ * for an untiered achievement. Pure.
+ * @param {object} achievement
+ * @returns {Array<{ tier: number|null, name: string|null, requirement: number, xp: number, points: number, rarity: string, icon: string, description: string }>}
+ */
+const achievementLevels = (achievement) => {
+  if (achievement.tiers && achievement.tiers.length > 0) {
+    return achievement.tiers.map(t => ({
+      tier: t.tier, name: t.name, requirement: t.requirement, xp: t.xp || 0, points: t.points || 0,
+      rarity: t.rarity || achievement.rarity || 'common', icon: t.icon || achievement.icon,
+      description: t.description || achievement.description
+    }));
+  }
+  return [{
+    tier: null, name: null, requirement: achievement.requirement || 1, xp: achievement.xp || 0,
+    points: achievement.points || 0, rarity: achievement.rarity || 'common', icon: achievement.icon,
+    description: achievement.description
+  }];
+};
+
+/**
+ * A user's unlocks.
+ * @param {string} userId
+ * @returns {Promise<Map<string, Map<number|null, object>>>} Achievement ID -> tier (null if untiered) -> lean UserAchievement
+ */
+const loadUserUnlocks = async (userId) => {
+  const records = await UserAchievement.find({ user: userId }).lean();
+  const unlocks = new Map();
+  records.forEach(record => {
+    const id = record.achievement.toString();
+    if (!unlocks.has(id)) unlocks.set(id, new Map());
+    unlocks.get(id).set(record.tier ?? null, record);
+  });
+  return unlocks;
+};
+
+// Every prerequisite unlocked (any tier of a tiered one)
+const prerequisitesMet = (achievement, unlocks) => (achievement.prerequisites || []).every(id => unlocks.has(id.toString()));
+
+// Every level of the achievement unlocked
+const isCompleted = (achievement, unlocks) => {
+  const unlocked = unlocks.get(achievement._id.toString());
+  return Boolean(unlocked) && achievementLevels(achievement).every(level => unlocked.has(level.tier));
+};
+
+/**
+ * A user's current progress towards an achievement, in the units of its requirement.
+ * @param {string} userId
+ * @param {object} achievement
+ * @returns {Promise<number>} 0 if it can't be calculated
+ */
+const getAchievementProgress = async (userId, achievement) => {
+  const condition = achievement.condition || {};
+  const season = seasonFilter(achievement);
+  try {
+    switch (achievement.trigger) {
+      case 'quiz_completion':
+        return await QuizAttempt.countDocuments({ ...(await quizAttemptQuery(userId, condition)), ...season });
+      case 'quiz_perfect_score':
+        return await QuizAttempt.countDocuments({
+          ...(await quizAttemptQuery(userId, { difficulty: condition.difficulty, subject: condition.subject })),
+          ...season,
+          percentageScore: { $gte: 100 }
+        });
+      case 'quiz_streak':
+        return await quizStreak(userId, condition, season);
+      case 'quiz_points': {
+        if (Object.keys(season).length > 0) { // Quiz points credited during the season, from the ledger
+          const [totals] = await PointsTransaction.aggregate([
+            { $match: { user: toObjectId(userId), source: 'quiz_attempt', ...season } },
+            { $group: { _id: null, points: { $sum: '$points' } } }
+          ]);
+          return totals ? totals.points : 0;
+        }
+        const user = await User.findById(userId).select('quizPointsEarned').lean();
+        return user ? user.quizPointsEarned || 0 : 0;
+      }
+      case 'subject_mastery':
+        return await subjectsMastered(userId, condition);
+      case 'forum_posts': {
+        const query = { author: userId, isApproved: true, ...season };
+        if (condition.category) query.category = condition.category;
+        return await ForumTopic.countDocuments(query);
+      }
+      case 'forum_replies':
+        return await ForumReply.countDocuments({ author: userId, isApproved: true, ...season });
+      case 'forum_best_answers':
+        return await ForumReply.countDocuments({ author: userId, isBestAnswer: true, ...season });
+      case 'resource_access': {
+        const query = { user: userId, ...season };
+        if (condition.accessType) query.accessType = condition.accessType;
+        return await ResourceAccess.countDocuments(query);
+      }
+      case 'login_streak':
+        return await loginStreak(userId);
+      case 'study_streak': {
+        const user = await User.findById(userId).select('streak').lean();
+        return user ? user.streak || 0 : 0;
+      }
+      case 'reviews_completed':
+        return await countReviews(userId, condition);
+      default:
+        console.warn(`[Achievements] Progress calculation not implemented for trigger: ${achievement.trigger}`);
+        return 0;
+    }
+  } catch (error) {
+    console.error(`[Achievements] Error calculating progress for "${achievement.title}":`, error);
+    return 0;
+  }
+};
+
+// Unlock one level of an achievement (a tier, or the achievement itself) and credit its points/XP.
+// The UserAchievement record is created first - its unique (user, achievement, tier) index means
+// concurrent events award a level at most once. Returns the awarded summary, or null if it was
+// already unlocked.
+const unlockLevel = async (userId, achievement, level, sourceEvent = null) => {
+  let record;
+  try {
+    record = await UserAchievement.create({
+      user: userId,
+      achievement: achievement._id,
+      tier: level.tier,
+      sourceEvent,
+      xpAwarded: level.xp,
+      pointsAwarded: level.points
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+  await User.updateOne({ _id: userId }, { $addToSet: { achievements: achievement._id } });
+  await applyPointsChange({
+    userId,
+    points: level.points,
+    xp: level.xp,
+    source: 'achievement',
+    sourceId: achievement._id,
+    description: `Unlocked achievement "${achievement.title}"${level.name ? ` (${level.name})` : ''}`
+  });
+  return {
+    id: achievement._id, title: achievement.title, description: level.description,
+    icon: level.icon, category: achievement.category, xp: level.xp, points: level.points,
+    rarity: level.rarity, tier: level.tier !== null ? { tier: level.tier, name: level.name } : null,
+    unlockedAt: record.unlockedAt
+  };
+};
+
+/**
+ * Award whatever a user has reached of one achievement: every tier (or the achievement itself)
+ * whose requirement is met, provided its prerequisites are unlocked and its season is open.
+ * @param {string} userId
+ * @param {object} achievement - Lean Achievement
+ * @param {object} [options]
+ * @param {Map} [options.unlocks] - loadUserUnlocks() result; updated with what gets awarded
+ * @param {string} [options.sourceEvent] - Stored on the unlock records
+ * @param {boolean} [options.dryRun=false] - Only work out what's due
+ * @param {Date} [options.now]
+ * @returns {Promise<{ status: string, progress: number|null, due: Array, awarded: Array }>} status is
+ *   completed (every level unlocked), unavailable (prerequisites missing or out of season),
+ *   not_reached or reached
+ */
+const evaluateAchievement = async (userId, achievement, { unlocks = null, sourceEvent = null, dryRun = false, now = new Date() } = {}) => {
+  const userUnlocks = unlocks || await loadUserUnlocks(userId);
+  const result = { status: 'not_reached', progress: null, due: [], awarded: [] };
+  if (isCompleted(achievement, userUnlocks)) return { ...result, status: 'completed' };
+  if (!prerequisitesMet(achievement, userUnlocks) || ['upcoming', 'ended'].includes(seasonStatus(achievement, now))) {
+    return { ...result, status: 'unavailable' };
+  }
+
+  const id = achievement._id.toString();
+  const unlocked = userUnlocks.get(id) || new Map();
+  result.progress = await getAchievementProgress(userId, achievement);
+  result.due = achievementLevels(achievement).filter(level => !unlocked.has(level.tier) && result.progress >= level.requirement);
+  if (result.due.length === 0) return result;
+  result.status = 'reached';
+  if (dryRun) return result;
+
+  for (const level of result.due) {
+    const awarded = await unlockLevel(userId, achievement, level, sourceEvent);
+    if (!awarded) continue; // Awarded by a concurrent event
+    if (!userUnlocks.has(id)) userUnlocks.set(id, new Map());
+    userUnlocks.get(id).set(level.tier, { tier: level.tier, unlockedAt: awarded.unlockedAt });
+    result.awarded.push(awarded);
+  }
+  if (result.awarded.length > 0) await syncLevel(userId);
+  return result;
+};
+
+/**
+ * Evaluate every achievement of the given triggers for a user, then the achievements that list a
+ * newly unlocked one as a prerequisite (whatever their trigger), and so on down the chain.
+ * @param {string} userId
+ * @param {string[]} triggers
+ * @param {object} [options]
+ * @param {string} [options.sourceEvent] - Event being handled, stored on the unlock records
+ * @returns {Promise<{ awarded: Array }>}
+ */
+const evaluateAchievements = async (userId, triggers, { sourceEvent = null } = {}) => {
+  if (!userId || !triggers || triggers.length === 0) return { awarded: [] };
+  if (!(await User.exists({ _id: userId }))) return { awarded: [] };
+
+  const unlocks = await loadUserUnlocks(userId);
+  const awarded = [];
+  let candidates = await Achievement.find({ trigger: { $in: triggers } }).lean();
+  for (let depth = 0; candidates.length > 0 && depth < MAX_PREREQUISITE_DEPTH; depth++) {
+    const unlockedNow = [];
+    for (const achievement of candidates) {
+      const result = await evaluateAchievement(userId, achievement, { unlocks, sourceEvent });
+      if (result.awarded.length === 0) continue;
+      awarded.push(...result.awarded);
+      unlockedNow.push(achievement._id);
+    }
+    candidates = unlockedNow.length > 0 ? await Achievement.find({ prerequisites: { $in: unlockedNow } }).lean() : [];
+  }
+
+  if (awarded.length > 0) {
+    console.log(`[Achievements] User ${userId} unlocked: ${awarded.map(a => (a.tier ? `${a.title} (${a.tier.name})` : a.title)).join(', ')}`);
+  }
+  return { awarded };
+};
+
+/**
+ * Subscribe the evaluator to every event that can move an achievement forward. Its result is
+ * published under `achievements`.
+ */
+const registerAchievementEngine = () => {
+  Object.entries(TRIGGERS_BY_EVENT).forEach(([event, triggers]) => {
+    subscribe(event, 'achievements', (payload) => evaluateAchievements(payload.userId, triggers, { sourceEvent: event }));
+  });
+};
+
+/**
+ * How many students have unlocked each achievement, and what share of all students that is.
+ * @returns {Promise<{ totalStudents: number, byAchievement: Map<string, { unlockedBy: number, percentage: number }> }>}
+ */
+const getAchievementRarity = async () => {
+  const [totalStudents, counts] = await Promise.all([
+    User.countDocuments({ role: 'user' }),
+    UserAchievement.aggregate([
+      { $lookup: { from: User.collection.name, localField: 'user', foreignField: '_id', as: 'owner' } },
+      { $match: { 'owner.role': 'user' } },
+      { $group: { _id: { achievement: '$achievement', user: '$user' } } }, // Any tier counts once
+      { $group: { _id: '$_id.achievement', unlockedBy: { $sum: 1 } } }
+    ])
+  ]);
+  const byAchievement = new Map(counts.map(c => [c._id.toString(), {
+    unlockedBy: c.unlockedBy,
+    percentage: totalStudents > 0 ? Math.round((c.unlockedBy / totalStudents) * 1000) / 10 : 0
+  }]));
+  return { totalStudents, byAchievement };
+};
+
+module.exports = {
+  TRIGGERS_BY_EVENT,
+  HIDDEN_TITLE,
+  HIDDEN_ICON,
+  seasonStatus,
+  achievementLevels,
+  loadUserUnlocks,
+  getAchievementProgress,
+  getAchievementRarity,
+  evaluateAchievement,
+  evaluateAchievements,
+  registerAchievementEngine
+};
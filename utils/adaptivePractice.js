@@ -0,0 +1,201 @@
+// utils/adaptivePractice.js
+// Adaptive practice (POST /api/practice/sessions): questions are drawn one at a time from
+// the question bank to match the student's estimated ability on each topic.
+//
+// Ratings use the Elo scale. A student with ability r answers a question rated d correctly with
+// probability p = 1 / (1 + 10^((d - r) / 400)). Questions start at DIFFICULTY_RATINGS[difficulty]
+// and students at DEFAULT_ABILITY.
+//
+// After each answer (score = the credit earned, 0-1):
+//   information  += p * (1 - p)                   Fisher information of the answer (logit scale)
+//   standardError = 1 / sqrt(PRIOR_INFORMATION + information), in rating points (* 400 / ln 10)
+//   rating       += K * (score - p)               K = standardError / 2, kept within [MIN_K, MAX_K]
+// so the estimate moves fast at first and settles as evidence builds up. information is capped at
+// MAX_INFORMATION so old estimates can still move when the student improves. The question's own
+// rating moves the other way by QUESTION_K * (score - p).
+//
+// Next question: the topic with the largest standard error (of the session's topics that still have
+// unseen questions), then a question whose rating is closest to the student's ability there, where
+// the answer tells us the most. The session stops when every topic's standard error is at most
+// TARGET_STANDARD_ERROR (after at least MIN_QUESTIONS answers), after MAX_QUESTIONS answers, or when
+// the bank runs out of questions.
+const mongoose = require('mongoose');
+const Question = require('../models/questionModel');
+
+const DEFAULT_ABILITY = 1000;
+const DIFFICULTY_RATINGS = { easy: 850, medium: 1000, hard: 1150 };
+const PRIOR_INFORMATION = 0.5;
+const MAX_INFORMATION = 8;
+const MIN_K = 16;
+const MAX_K = 100;
+const QUESTION_K = 16;
+const TARGET_STANDARD_ERROR = 80;
+const MIN_QUESTIONS = 5;
+const MAX_QUESTIONS = 20;
+const RATING_PER_LOGIT = 400 / Math.LN10;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Elo rating of a bank question (its learned rating, or the default for its difficulty).
+ * @param {object} question
+ * @returns {number}
+ */
+const questionRating = (question) => (
+  typeof question.rating === 'number' ? question.rating : DIFFICULTY_RATINGS[question.difficulty] || DEFAULT_ABILITY
+);
+
+/**
+ * Probability that a student of the given ability answers a question of the given rating correctly.
+ * @param {number} ability
+ * @param {number} rating
+ * @returns {number}
+ */
+const expectedScore = (ability, rating) => 1 / (1 + Math.pow(10, (rating - ability) / 400));
+
+/**
+ * Standard error of an ability estimate, in rating points.
+ * @param {object} [ability] - { rating, information, answered }
+ * @returns {number}
+ */
+const standardError = (ability) => (
+  RATING_PER_LOGIT / Math.sqrt(PRIOR_INFORMATION + ((ability && ability.information) || 0))
+);
+
+/**
+ * Ability estimate after one answer (see the algorithm above).
+ * @param {object} [ability] - Current { rating, information, answered }; missing for a new topic
+ * @param {number} rating - Rating of the answered question
+ * @param {number} score - Credit earned, 0-1
+ * @returns {{ ability: object, previousRating: number, expected: number, questionDelta: number }}
+ */
+const updateAbility = (ability, rating, score) => {
+  const current = {
+    rating: (ability && typeof ability.rating === 'number') ? ability.rating : DEFAULT_ABILITY,
+    information: (ability && ability.information) || 0,
+    answered: (ability && ability.answered) || 0
+  };
+  const expected = expectedScore(current.rating, rating);
+  const k = Math.min(MAX_K, Math.max(MIN_K, standardError(current) / 2));
+  const information = Math.min(MAX_INFORMATION, current.information + expected * (1 - expected));
+
+  return {
+    ability: {
+      rating: Math.round((current.rating + k * (score - expected)) * 10) / 10,
+      information: Math.round(information * 1000) / 1000,
+      answered: current.answered + 1,
+      updatedAt: new Date()
+    },
+    previousRating: current.rating,
+    expected,
+    questionDelta: Math.round(-QUESTION_K * (score - expected) * 10) / 10
+  };
+};
+
+/**
+ * Ability summary for API responses.
+ * @param {object} [ability]
+ * @returns {{ rating: number, standardError: number, answered: number, confident: boolean }}
+ */
+const describeAbility = (ability) => {
+  const error = standardError(ability);
+  return {
+    rating: Math.round((ability && typeof ability.rating === 'number') ? ability.rating : DEFAULT_ABILITY),
+    standardError: Math.round(error),
+    answered: (ability && ability.answered) || 0,
+    confident: error <= TARGET_STANDARD_ERROR
+  };
+};
+
+/**
+ * Move a bank question's rating after it was answered. Atomic, so concurrent answers all count.
+ * @param {object} question
+ * @param {number} delta
+ */
+const updateQuestionRating = async (question, delta) => {
+  await Question.updateOne({ _id: question._id }, [{
+    $set: {
+      rating: { $add: [{ $ifNull: ['$rating', DIFFICULTY_RATINGS[question.difficulty] || DEFAULT_ABILITY] }, delta] },
+      ratingAnswers: { $add: [{ $ifNull: ['$ratingAnswers', 0] }, 1] }
+    }
+  }]);
+};
+
+/**
+ * Pick the next question of a practice session, or the reason to stop.
+ * @param {object} params
+ * @param {object} params.session - PracticeSession (answers so far)
+ * @param {Array} params.topicIds - Topics the session practises
+ * @param {function(string): object} params.abilityOf - Current ability for a topic ID
+ * @returns {Promise<{ question: object|null, topic: string|null, stopReason: string|null }>}
+ */
+const pickNextQuestion = async ({ session, topicIds, abilityOf }) => {
+  const answeredCount = session.answers.length;
+  if (answeredCount >= MAX_QUESTIONS) return { question: null, topic: null, stopReason: 'max_questions' };
+
+  const seenIds = session.answers.map(a => toObjectId(a.questionId));
+  const remaining = await Question.aggregate([
+    {
+      $match: {
+        subject: toObjectId(session.subject),
+        topic: { $in: topicIds.map(toObjectId) },
+        isActive: true,
+        _id: { $nin: seenIds }
+      }
+    },
+    { $group: { _id: '$topic', count: { $sum: 1 } } }
+  ]);
+  const openTopics = remaining.filter(t => t.count > 0).map(t => t._id.toString());
+  if (openTopics.length === 0) return { question: null, topic: null, stopReason: 'no_questions' };
+
+  // Least certain topic first (ties: fewer answers this session, then ID)
+  const answersInSession = (topicId) => session.answers.filter(a => String(a.topic) === topicId).length;
+  const ranked = openTopics
+    .map(topicId => ({ topicId, error: standardError(abilityOf(topicId)) }))
+    .sort((a, b) => (b.error - a.error) || (answersInSession(a.topicId) - answersInSession(b.topicId)) || a.topicId.localeCompare(b.topicId));
+  const target = ranked[0];
+  if (answeredCount >= MIN_QUESTIONS && target.error <= TARGET_STANDARD_ERROR) {
+    return { question: null, topic: null, stopReason: 'confident' };
+  }
+
+  // Most informative question: rating closest to the ability (random among equally close ones)
+  const ability = describeAbility(abilityOf(target.topicId)).rating;
+  const [question] = await Question.aggregate([
+    { $match: { subject: toObjectId(session.subject), topic: toObjectId(target.topicId), isActive: true, _id: { $nin: seenIds } } },
+    {
+      $addFields: {
+        _distance: {
+          $abs: {
+            $subtract: [
+              {
+                $ifNull: ['$rating', {
+                  $switch: {
+                    branches: Object.entries(DIFFICULTY_RATINGS).map(([difficulty, rating]) => ({ case: { $eq: ['$difficulty', difficulty] }, then: rating })),
+                    default: DEFAULT_ABILITY
+                  }
+                }]
+              },
+              ability
+            ]
+          }
+        },
+        _random: { $rand: {} }
+      }
+    },
+    { $sort: { _distance: 1, _random: 1 } },
+    { $limit: 1 },
+    { $project: { _distance: 0, _random: 0 } }
+  ]);
+  return { question: question || null, topic: target.topicId, stopReason: question ? null : 'no_questions' };
+};
+
+module.exports = {
+  DEFAULT_ABILITY,
+  questionRating,
+  expectedScore,
+  standardError,
+  updateAbility,
+  describeAbility,
+  updateQuestionRating,
+  pickNextQuestion
+};
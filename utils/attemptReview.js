@@ -0,0 +1,155 @@
+// utils/attemptReview.js
+// Question-by-question review of a quiz attempt (GET /api/quizzes/attempts/:id/review): each
+// question as it was served, the student's answer next to the correct one, the explanation and
+// the points earned, plus a summary by difficulty and by topic.
+//
+// Before the quiz's answer-release policy allows it (see canRevealAnswers), the review only shows
+// the questions and the student's own answers: correct answers, explanations, per-question
+// correctness and per-group scores would all give the answers away.
+const { resolveQuestionType, correctOrderOf, describeCorrectAnswer } = require('./questionGrading');
+
+const CHOICE_TYPES = ['single_choice', 'multiple_select', 'true_false'];
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard', 'unrated'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const idOf = (value) => (value && value._id ? value._id.toString() : String(value));
+
+// The student's answer in terms of the question (option/pair texts, not just IDs)
+const describeGivenAnswer = (question, type, answer) => {
+  if (!answer) return null;
+  const optionsById = new Map((question.options || []).map(o => [idOf(o), o]));
+  const optionRef = (id) => ({ optionId: id, text: optionsById.get(String(id))?.text ?? null });
+  switch (type) {
+    case 'single_choice':
+    case 'true_false':
+    case 'multiple_select': {
+      const ids = answer.answerIds && answer.answerIds.length ? answer.answerIds : (answer.answerId ? [answer.answerId] : []);
+      return { optionIds: ids.map(String) };
+    }
+    case 'numeric':
+      return { value: answer.value ?? null, unit: answer.unit || null };
+    case 'text':
+      return { text: answer.text ?? '' };
+    case 'ordering':
+      return { order: (answer.order || []).map(optionRef) };
+    case 'matching': {
+      const promptsById = new Map((question.pairs || []).map(p => [idOf(p), p.prompt]));
+      return {
+        matches: (answer.matches || []).map(m => ({ pairId: m.pairId, prompt: promptsById.get(String(m.pairId)) ?? null, match: m.match }))
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Correct answer with option texts for ordering (describeCorrectAnswer only gives IDs)
+const describeCorrect = (question, type) => {
+  const correct = describeCorrectAnswer(question);
+  if (type === 'ordering') {
+    const textById = new Map((question.options || []).map(o => [idOf(o), o.text]));
+    return { type, correctOrder: correctOrderOf(question).map(id => ({ optionId: id, text: textById.get(id) ?? null })) };
+  }
+  return correct;
+};
+
+const emptyGroup = () => ({ questions: 0, answered: 0, correct: 0, pointsEarned: 0, pointsPossible: 0 });
+
+const finishGroup = (group, answersReleased) => {
+  if (!answersReleased) return { questions: group.questions, answered: group.answered, pointsPossible: group.pointsPossible };
+  return {
+    ...group,
+    pointsEarned: round(group.pointsEarned),
+    percentage: group.pointsPossible > 0 ? round((group.pointsEarned / group.pointsPossible) * 100, 1) : null
+  };
+};
+
+/**
+ * Build the review of an attempt. Pure.
+ * @param {object} params
+ * @param {object} params.attempt - Lean QuizAttempt
+ * @param {Array} params.questions - The attempt's questions as served (its quiz version, session order)
+ * @param {boolean} params.answersReleased
+ * @param {Map<string, string>} [params.topicNames] - Topic ID -> name
+ * @param {string|null} [params.quizTopic] - Quiz.topic, for questions without their own topic
+ * @returns {{ questions: Array, summary: object }}
+ */
+const buildAttemptReview = ({ attempt, questions, answersReleased, topicNames = new Map(), quizTopic = null }) => {
+  const answersById = new Map((attempt.answers || []).map(a => [String(a.questionId), a]));
+  const byDifficulty = new Map();
+  const byTopic = new Map();
+  const overall = emptyGroup();
+
+  const reviewed = questions.map((question, index) => {
+    const type = resolveQuestionType(question);
+    const answer = answersById.get(question._id.toString()) || null;
+    const topicId = (question.topic || quizTopic) ? idOf(question.topic || quizTopic) : null;
+    const points = question.points || 0;
+    const pointsEarned = answer ? answer.pointsEarned ?? (answer.isCorrect ? points : 0) : 0;
+    const isCorrect = Boolean(answer && answer.isCorrect);
+
+    const difficultyKey = question.difficulty || 'unrated';
+    const topicKey = topicId || 'none';
+    if (!byDifficulty.has(difficultyKey)) byDifficulty.set(difficultyKey, emptyGroup());
+    if (!byTopic.has(topicKey)) byTopic.set(topicKey, emptyGroup());
+    [overall, byDifficulty.get(difficultyKey), byTopic.get(topicKey)].forEach(group => {
+      group.questions += 1;
+      group.pointsPossible += points;
+      if (answer) group.answered += 1;
+      if (isCorrect) group.correct += 1;
+      group.pointsEarned += pointsEarned;
+    });
+
+    const item = {
+      number: index + 1,
+      questionId: question._id,
+      type,
+      text: question.text,
+      difficulty: question.difficulty || null,
+      topic: topicId ? { id: topicId, name: topicNames.get(topicId) || null } : null,
+      points,
+      answered: Boolean(answer),
+      yourAnswer: describeGivenAnswer(question, type, answer)
+    };
+    if (CHOICE_TYPES.includes(type)) {
+      const chosen = new Set(item.yourAnswer ? item.yourAnswer.optionIds : []);
+      item.options = (question.options || []).map(o => ({
+        optionId: idOf(o),
+        text: o.text,
+        chosen: chosen.has(idOf(o)),
+        ...(answersReleased ? { isCorrect: Boolean(o.isCorrect) } : {})
+      }));
+    }
+    if (type === 'numeric' && question.unit) item.unit = question.unit;
+    if (type === 'matching') item.prompts = (question.pairs || []).map(p => ({ pairId: idOf(p), prompt: p.prompt }));
+
+    if (answersReleased) {
+      Object.assign(item, {
+        correctAnswer: describeCorrect(question, type),
+        isCorrect,
+        credit: answer ? answer.credit ?? (isCorrect ? 1 : 0) : 0,
+        pointsEarned: round(pointsEarned),
+        explanation: question.explanation || null
+      });
+    }
+    return item;
+  });
+
+  return {
+    questions: reviewed,
+    summary: {
+      overall: finishGroup(overall, answersReleased),
+      byDifficulty: [...byDifficulty.entries()]
+        .sort(([a], [b]) => DIFFICULTY_ORDER.indexOf(a) - DIFFICULTY_ORDER.indexOf(b))
+        .map(([difficulty, group]) => ({ difficulty, ...finishGroup(group, answersReleased) })),
+      byTopic: [...byTopic.entries()].map(([topicKey, group]) => ({
+        topic: topicKey === 'none' ? null : { id: topicKey, name: topicNames.get(topicKey) || null },
+        ...finishGroup(group, answersReleased)
+      }))
+    }
+  };
+};
+
+module.exports = {
+  buildAttemptReview
+};
@@ -0,0 +1,65 @@
+// utils/domainEvents.js
+// In-process domain event bus. Controllers publish what happened (a quiz was submitted, a reply
+// was posted, ...) and subscribers such as the achievement engine react to it, so features that
+// depend on activity don't have to be wired into every controller.
+//
+// publish() runs the subscribers one after another and waits for them, so a request can return
+// their results (e.g. achievements unlocked by a quiz submission). A failing subscriber is logged
+// and never fails the request or the other subscribers.
+const EVENTS = Object.freeze({
+  QUIZ_SUBMITTED: 'quiz.submitted', // { userId, quizId, attemptId, percentageScore, passed, difficulty, subjectId }
+  FORUM_TOPIC_POSTED: 'forum.topic_posted', // { userId, topicId, categoryId } - once the topic is approved
+  FORUM_REPLY_POSTED: 'forum.reply_posted', // { userId, replyId, topicId } - once the reply is approved
+  FORUM_BEST_ANSWER_MARKED: 'forum.best_answer_marked', // { userId (reply author), replyId, topicId, markedBy }
+  RESOURCE_VIEWED: 'resource.viewed', // { userId, resourceId, subjectId }
+  RESOURCE_DOWNLOADED: 'resource.downloaded', // { userId, resourceId, subjectId }
+  USER_LOGGED_IN: 'user.logged_in', // { userId, streak }
+  REVIEWS_COMPLETED: 'reviews.completed', // { userId, reviewed, streak }
+  USER_LEVELED_UP: 'user.leveled_up' // { userId, previousLevel, level, title }
+});
+
+const subscribers = new Map(); // event -> Map(name -> handler)
+
+/**
+ * Subscribe to an event. A second subscription under the same name replaces the first.
+ * @param {string} event - One of EVENTS
+ * @param {string} name - Subscriber name; its result is returned by publish() under this key
+ * @param {function(object, string): Promise<*>} handler - Called with (payload, event)
+ * @returns {function} Unsubscribe
+ */
+const subscribe = (event, name, handler) => {
+  if (!Object.values(EVENTS).includes(event)) throw new Error(`Unknown domain event: ${event}`);
+  if (!subscribers.has(event)) subscribers.set(event, new Map());
+  subscribers.get(event).set(name, handler);
+  return () => {
+    const handlers = subscribers.get(event);
+    if (handlers && handlers.get(name) === handler) handlers.delete(name);
+  };
+};
+
+/**
+ * Publish an event and wait for its subscribers. Never throws.
+ * @param {string} event - One of EVENTS
+ * @param {object} payload - Always includes the userId the event is about
+ * @returns {Promise<object>} Subscriber name -> its result (null if it failed)
+ */
+const publish = async (event, payload) => {
+  const results = {};
+  const handlers = subscribers.get(event);
+  if (!handlers) return results;
+  for (const [name, handler] of handlers) {
+    try {
+      results[name] = await handler(payload, event);
+    } catch (err) {
+      console.error(`[Events] Subscriber "${name}" failed on ${event}:`, err);
+      results[name] = null;
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publish
+};
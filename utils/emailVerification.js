@@ -0,0 +1,35 @@
+// utils/emailVerification.js
+// Email verification OTPs, sent on registration, on request (resend-verification) and when a user
+// changes their email address.
+const bcrypt = require('bcryptjs');
+const sendEmail = require('./email');
+
+// --- Email Template (Email Verification) ---
+const EMAIL_VERIFICATION_TEMPLATE = `
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head> <title>Verify Your Email</title> <meta http-equiv="X-UA-Compatible" content="IE=edge"> <meta http-equiv="Content-Type" content="text/html; charset=UTF-8"> <meta name="viewport" content="width=device-width, initial-scale=1.0"> <link href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&display=swap" rel="stylesheet" type="text/css"> <style type="text/css"> body { margin: 0; padding: 0; font-family: 'Open Sans', sans-serif; background: #E5E5E5; } table, td { border-collapse: collapse; } .container { width: 100%; max-width: 500px; margin: 70px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 15px rgba(0,0,0,0.1); } .main-content { padding: 40px 30px; color: #333333; } .button { width: auto; background: #6D28D9; /* Purple */ text-decoration: none; display: inline-block; padding: 12px 25px; color: #ffffff !important; font-size: 18px; text-align: center; font-weight: bold; border-radius: 7px; letter-spacing: 1px; border: none; cursor: default; } @media only screen and (max-width: 480px) { .container { width: 90% !important; margin: 30px auto; } .main-content { padding: 30px 20px; } .button { padding: 10px 20px; font-size: 16px;} } </style></head>
+<body> <table width="100%" cellspacing="0" cellpadding="0" border="0" align="center" bgcolor="#F3F4F6"> <tbody> <tr> <td valign="top" align="center" style="padding: 20px 0;"> <table class="container" width="600" cellspacing="0" cellpadding="0" border="0"> <tbody> <tr> <td class="main-content"> <table width="100%" cellspacing="0" cellpadding="0" border="0"> <tbody> <tr> <td style="padding: 0 0 24px; font-size: 22px; line-height: 150%; font-weight: bold; color: #1F2937; text-align: center;"> Verify Your Email Address </td> </tr> <tr> <td style="padding: 0 0 15px; font-size: 15px; line-height: 160%; color: #4B5563;"> Welcome to XForce! Please confirm that <span style="color: #4F46E5; font-weight: 600;">{{email}}</span> belongs to you. </td> </tr> <tr> <td style="padding: 0 0 20px; font-size: 15px; line-height: 160%; color: #4B5563;"> Enter the One-Time Password (OTP) below to verify your email address. </td> </tr> <tr> <td style="padding: 10px 0 30px; text-align: center;"> <p class="button">{{otp}}</p> </td> </tr> <tr> <td style="padding: 0 0 15px; font-size: 14px; line-height: 150%; color: #6B7280; text-align: center;"> This OTP is valid for <strong>15 minutes</strong>. </td> </tr> <tr> <td style="padding: 20px 0 0; font-size: 13px; line-height: 150%; color: #6B7280; text-align: center;"> If you didn't create an account, you can safely ignore this email. </td> </tr> </tbody> </table> </td> </tr> </tbody> </table> </td> </tr> </tbody> </table></body></html>
+`;
+
+// Generates a fresh 6-digit OTP, stores its hash on the user and emails it. Throws if the email fails.
+const EMAIL_VERIFICATION_TTL_MINUTES = 15;
+const sendVerificationOtp = async (user) => {
+    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    user.emailVerificationOtp = await bcrypt.hash(otp, 10);
+    user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MINUTES * 60 * 1000);
+    user.emailVerificationOtpAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+    await sendEmail({
+        email: user.email,
+        subject: `Verify your email address (OTP valid for ${EMAIL_VERIFICATION_TTL_MINUTES} min)`,
+        htmlContent: EMAIL_VERIFICATION_TEMPLATE,
+        replacements: { email: user.email, otp: otp }
+    });
+    console.log(`[Backend] Verification OTP sent to ${user.email}`);
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_MINUTES,
+  sendVerificationOtp
+};
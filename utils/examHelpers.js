@@ -0,0 +1,218 @@
+// utils/examHelpers.js
+// Mock exam helpers: section validation, the exam schedule, per-section timing and grading,
+// and rank/percentile reporting once results are released.
+//
+// Ranking: attempts are ordered by percentage score. Equal scores share a rank (1, 2, 2, 4).
+// percentile = 100 * (candidates scoring lower + half of those with the same score) / candidates
+// (mid-rank), so the top of a large cohort is close to 100 and a lone candidate is at 50.
+const { validateQuestions, resolveQuestionType, normalizeAnswer, gradeAnswer } = require('./questionGrading');
+
+// Question types allowed in each section type
+const SECTION_QUESTION_TYPES = {
+  mcq: ['single_choice', 'multiple_select', 'true_false'],
+  structured: ['numeric', 'text', 'ordering', 'matching']
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Validate the sections of an exam payload.
+ * @param {Array} sections
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSections = (sections) => {
+  if (!Array.isArray(sections) || sections.length === 0) return 'An exam needs at least one section.';
+  for (let i = 0; i < sections.length; i++) {
+    const section = sections[i] || {};
+    const label = `Section ${i + 1}`;
+    const allowedTypes = SECTION_QUESTION_TYPES[section.type];
+    if (!allowedTypes) return `${label}: type must be one of ${Object.keys(SECTION_QUESTION_TYPES).join(', ')}.`;
+    if (typeof section.timeLimit !== 'number' || section.timeLimit < 1) return `${label}: timeLimit must be at least 1 minute.`;
+    if (!Array.isArray(section.questions) || section.questions.length === 0) return `${label}: at least one question is required.`;
+    const questionError = validateQuestions(section.questions);
+    if (questionError) return `${label}: ${questionError}`;
+    const wrongType = section.questions.find(q => !allowedTypes.includes(resolveQuestionType(q)));
+    if (wrongType) {
+      return `${label}: ${section.type} sections can only contain ${allowedTypes.join(', ')} questions.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Where an exam is in its schedule.
+ * @param {object} exam
+ * @param {Date} [now]
+ * @returns {'upcoming'|'open'|'closed'|'released'}
+ */
+const getExamPhase = (exam, now = new Date()) => {
+  if (now < new Date(exam.opensAt)) return 'upcoming';
+  if (now < new Date(exam.closesAt)) return 'open';
+  if (now < new Date(exam.resultsReleaseAt)) return 'closed';
+  return 'released';
+};
+
+/**
+ * Whether a user may see scores, answers and rankings of an exam.
+ * @param {object} exam
+ * @param {object} [user]
+ * @returns {boolean}
+ */
+const canSeeResults = (exam, user) => (
+  (user && user.role === 'admin') || getExamPhase(exam) === 'released'
+);
+
+/**
+ * Grade the saved answers of one section (unanswered questions earn 0).
+ * @param {object} section - Exam section with questions
+ * @param {Array} savedAnswers
+ * @returns {{ answers: Array, score: number, totalPoints: number }}
+ */
+const gradeSection = (section, savedAnswers) => {
+  const answersByQuestion = new Map();
+  (savedAnswers || []).forEach(raw => {
+    const answer = normalizeAnswer(raw);
+    if (answer) answersByQuestion.set(answer.questionId, answer);
+  });
+
+  let score = 0;
+  let totalPoints = 0;
+  const answers = [];
+  (section.questions || []).forEach(question => {
+    totalPoints += question.points || 0;
+    const answer = answersByQuestion.get(question._id.toString());
+    if (!answer) return;
+    const { credit, pointsEarned, isCorrect } = gradeAnswer(question, answer);
+    score += pointsEarned;
+    answers.push({ ...answer, isCorrect, credit, pointsEarned });
+  });
+  return { answers, score: round(score), totalPoints };
+};
+
+/**
+ * Advance an in-progress attempt to the current time: sections whose time ran out are graded
+ * from their saved answers and the next one starts (only when `startNext` - i.e. the student is
+ * there to take it). Once the exam has closed every remaining section is graded. Mutates the attempt.
+ * @param {object} attempt - ExamAttempt document
+ * @param {object} exam
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.startNext=true]
+ * @returns {boolean} Whether the attempt changed
+ */
+const syncAttempt = (attempt, exam, { now = new Date(), startNext = true } = {}) => {
+  let changed = false;
+  const closesAt = new Date(exam.closesAt);
+
+  while (attempt.status === 'in_progress') {
+    const section = exam.sections[attempt.currentSection];
+    if (!section) {
+      finishAttempt(attempt, exam, now);
+      return true;
+    }
+    let state = attempt.sections.find(s => s.sectionId.toString() === section._id.toString());
+    if (!state) {
+      attempt.sections.push({ sectionId: section._id });
+      state = attempt.sections[attempt.sections.length - 1];
+      changed = true;
+    }
+
+    if (!state.startedAt) {
+      if (now >= closesAt) {
+        submitSection(attempt, exam, state, now, true);
+        changed = true;
+        continue;
+      }
+      if (!startNext) return changed;
+      state.startedAt = now;
+      state.expiresAt = new Date(Math.min(now.getTime() + section.timeLimit * 60 * 1000, closesAt.getTime()));
+      return true;
+    }
+    if (now < new Date(state.expiresAt)) return changed;
+
+    // Time's up: grade what was saved and move on
+    submitSection(attempt, exam, state, now, true);
+    changed = true;
+  }
+  return changed;
+};
+
+/**
+ * Grade the current section and move the attempt to the next one (finishing it after the last).
+ * @param {object} attempt
+ * @param {object} exam
+ * @param {object} state - The attempt's entry for the current section
+ * @param {Date} now
+ * @param {boolean} autoSubmitted
+ */
+const submitSection = (attempt, exam, state, now, autoSubmitted) => {
+  const section = exam.sections[attempt.currentSection];
+  const graded = gradeSection(section, state.answers);
+  state.answers = graded.answers;
+  state.score = graded.score;
+  state.totalPoints = graded.totalPoints;
+  state.graded = true;
+  state.submittedAt = now;
+  state.autoSubmitted = autoSubmitted;
+  attempt.currentSection += 1;
+  if (attempt.currentSection >= exam.sections.length) finishAttempt(attempt, exam, now);
+};
+
+const finishAttempt = (attempt, exam, now) => {
+  const score = attempt.sections.reduce((sum, s) => sum + (s.score || 0), 0);
+  const totalPoints = exam.sections.reduce(
+    (sum, section) => sum + (section.questions || []).reduce((points, q) => points + (q.points || 0), 0),
+    0
+  );
+  attempt.score = round(score);
+  attempt.totalPoints = totalPoints;
+  attempt.percentageScore = totalPoints > 0 ? round((score / totalPoints) * 100) : 0;
+  attempt.passed = attempt.percentageScore >= (exam.passMark ?? 50);
+  attempt.status = 'submitted';
+  attempt.submittedAt = now;
+};
+
+/**
+ * Rank submitted attempts and summarise the score distribution. Pure.
+ * @param {Array<{ _id, percentageScore: number }>} attempts
+ * @returns {{ ranks: Map<string, {rank: number, percentile: number}>, stats: object }}
+ */
+const rankAttempts = (attempts) => {
+  const scores = attempts.map(a => a.percentageScore || 0).sort((a, b) => b - a);
+  const total = scores.length;
+  const ranks = new Map();
+  attempts.forEach(attempt => {
+    const score = attempt.percentageScore || 0;
+    const higher = scores.filter(s => s > score).length;
+    const equal = scores.filter(s => s === score).length;
+    const lower = total - higher - equal;
+    ranks.set(attempt._id.toString(), {
+      rank: higher + 1,
+      percentile: round((100 * (lower + 0.5 * equal)) / total, 1)
+    });
+  });
+
+  const middle = Math.floor(total / 2);
+  const median = total === 0 ? null : total % 2 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2;
+  return {
+    ranks,
+    stats: {
+      candidates: total,
+      highest: total ? scores[0] : null,
+      lowest: total ? scores[total - 1] : null,
+      average: total ? round(scores.reduce((sum, s) => sum + s, 0) / total) : null,
+      median: median === null ? null : round(median)
+    }
+  };
+};
+
+module.exports = {
+  SECTION_QUESTION_TYPES,
+  validateSections,
+  getExamPhase,
+  canSeeResults,
+  gradeSection,
+  syncAttempt,
+  submitSection,
+  rankAttempts
+};
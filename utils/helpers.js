@@ -1 +1,83 @@
-// Helper functions 
+// Helper functions
+
+// Fisher-Yates shuffle (returns a new array)
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Escape text for use inside a RegExp / $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One CSV cell: quoted when it contains a comma, quote or line break (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text from row objects. columns: [{ key, header }] in output order
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(c => escapeCsvValue(c.header || c.key)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => escapeCsvValue(row[c.key])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and line breaks).
+// Returns rows as arrays of cells, each with the 1-based line it starts on.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text).replace(/^\uFEFF/, ''); // Excel's byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  // Skip blank lines
+  return rows.filter(r => r.cells.some(c => c.trim() !== ''));
+};
+
+module.exports = {
+  shuffle,
+  escapeRegex,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,226 @@
+// utils/itemAnalysis.js
+// Item analysis of a quiz (GET /api/quizzes/:id/item-analysis) from its QuizAttempt answers.
+//
+// Per question, over the attempts that were served the question (unanswered = 0 credit):
+//   difficultyIndex      mean credit, 0-1 (higher = easier)
+//   discriminationIndex  difficulty among the top 27% of those attempts (by quiz score) minus
+//                        difficulty among the bottom 27%, -1 to 1. Good questions are >= 0.2
+//   options              how often each option was chosen, overall and by the top/bottom groups
+//                        (choice questions only) - a distractor nobody picks isn't doing its job
+//   avgTimeSeconds       mean time on the question reported by the client (timeSpent), or, when no
+//                        times were reported, the attempt's time split evenly over its questions
+// Flags (only with at least MIN_RESPONSES_FOR_FLAGS responses):
+//   too_hard (difficulty < 0.3), too_easy (> 0.9), low_discrimination (< 0.2),
+//   negative_discrimination (< 0 - weaker students do better), top_students_miss (the top group
+//   gets it right less than half the time - often a wrong answer key or an ambiguous question)
+//
+// By default each student's first attempt is used, so retakes don't inflate the results.
+// Questions removed from the quiz since are still analysed, from the quiz versions attempts were taken on.
+const QuizAttempt = require('../models/quizAttemptModel');
+const QuizSession = require('../models/quizSessionModel');
+const QuizVersion = require('../models/quizVersionModel');
+const { resolveQuestions } = require('./questionBank');
+const { resolveQuestionType } = require('./questionGrading');
+const { toCsv } = require('./helpers');
+
+const GROUP_SHARE = 0.27;
+const MIN_RESPONSES_FOR_FLAGS = 5;
+const CHOICE_TYPES = ['single_choice', 'multiple_select', 'true_false'];
+
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// Options the answer selected
+const selectedOptionIds = (answer) => {
+  if (!answer) return [];
+  if (Array.isArray(answer.answerIds) && answer.answerIds.length > 0) return answer.answerIds.map(String);
+  return answer.answerId ? [String(answer.answerId)] : [];
+};
+
+/**
+ * Analyse one question. Pure.
+ * @param {object} question
+ * @param {Array<{ attempt: object, answer: object|null }>} responses - Attempts served the question,
+ *   sorted by quiz score, best first
+ * @returns {object}
+ */
+const analyzeQuestion = (question, responses) => {
+  const type = resolveQuestionType(question);
+  const n = responses.length;
+  const creditOf = (r) => (r.answer ? r.answer.credit || 0 : 0);
+
+  const groupSize = n >= 2 ? Math.max(1, Math.round(n * GROUP_SHARE)) : 0;
+  const upper = responses.slice(0, groupSize);
+  const lower = groupSize ? responses.slice(n - groupSize) : [];
+
+  const difficultyIndex = mean(responses.map(creditOf));
+  const upperDifficulty = mean(upper.map(creditOf));
+  const lowerDifficulty = mean(lower.map(creditOf));
+  const discriminationIndex = groupSize ? upperDifficulty - lowerDifficulty : null;
+
+  let options = null;
+  if (CHOICE_TYPES.includes(type)) {
+    const shareChoosing = (group, optionId) => (
+      group.length ? group.filter(r => selectedOptionIds(r.answer).includes(optionId)).length / group.length : null
+    );
+    options = (question.options || []).map(option => {
+      const optionId = option._id.toString();
+      const count = responses.filter(r => selectedOptionIds(r.answer).includes(optionId)).length;
+      return {
+        optionId,
+        text: option.text,
+        isCorrect: Boolean(option.isCorrect),
+        count,
+        share: n ? round(count / n) : null,
+        upperShare: round(shareChoosing(upper, optionId)),
+        lowerShare: round(shareChoosing(lower, optionId))
+      };
+    });
+  }
+
+  const reportedTimes = responses.map(r => r.answer && r.answer.timeSpent).filter(t => typeof t === 'number');
+  const estimatedTimes = responses
+    .filter(r => r.attempt.timeTaken > 0 && r.questionCount > 0)
+    .map(r => r.attempt.timeTaken / r.questionCount);
+  const avgTimeSeconds = reportedTimes.length ? mean(reportedTimes) : mean(estimatedTimes);
+
+  const flags = [];
+  if (n >= MIN_RESPONSES_FOR_FLAGS) {
+    if (difficultyIndex < 0.3) flags.push('too_hard');
+    if (difficultyIndex > 0.9) flags.push('too_easy');
+    if (discriminationIndex !== null && discriminationIndex < 0) flags.push('negative_discrimination');
+    else if (discriminationIndex !== null && discriminationIndex < 0.2) flags.push('low_discrimination');
+    if (upperDifficulty !== null && upperDifficulty < 0.5) flags.push('top_students_miss');
+  }
+
+  return {
+    questionId: question._id.toString(),
+    text: question.text,
+    type,
+    difficulty: question.difficulty,
+    points: question.points,
+    responses: n,
+    unanswered: responses.filter(r => !r.answer).length,
+    difficultyIndex: round(difficultyIndex),
+    discriminationIndex: round(discriminationIndex),
+    upperGroupDifficulty: round(upperDifficulty),
+    lowerGroupDifficulty: round(lowerDifficulty),
+    avgTimeSeconds: avgTimeSeconds === null ? null : Math.round(avgTimeSeconds),
+    timeSource: reportedTimes.length ? 'reported' : (estimatedTimes.length ? 'estimated' : null),
+    options,
+    flags
+  };
+};
+
+/**
+ * Item analysis report for a quiz.
+ * @param {object} quiz - Lean quiz
+ * @param {object} [options]
+ * @param {boolean} [options.allAttempts=false] - Include retakes instead of first attempts only
+ * @returns {Promise<object>}
+ */
+const buildItemAnalysis = async (quiz, { allAttempts = false } = {}) => {
+  let attempts = await QuizAttempt.find({ quiz: quiz._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('user answers percentageScore timeTaken session quizVersion createdAt')
+    .lean();
+  if (!allAttempts) {
+    const seen = new Set();
+    attempts = attempts.filter(attempt => {
+      const userId = attempt.user.toString();
+      if (seen.has(userId)) return false;
+      seen.add(userId);
+      return true;
+    });
+  }
+
+  // Questions each attempt was served: its session's question set, otherwise the quiz's own questions
+  const sessionIds = attempts.map(a => a.session).filter(Boolean);
+  const sessions = sessionIds.length
+    ? await QuizSession.find({ _id: { $in: sessionIds } }).select('questionOrder drawnQuestions').lean()
+    : [];
+  const orderBySession = new Map(sessions.map(s => [s._id.toString(), s.questionOrder.map(String)]));
+  const embeddedIds = (quiz.questions || []).map(q => q._id.toString());
+  const servedIds = (attempt) => {
+    const answered = (attempt.answers || []).map(a => String(a.questionId));
+    const served = attempt.session && orderBySession.get(attempt.session.toString());
+    return [...new Set([...(served || embeddedIds), ...answered])];
+  };
+
+  // Report order: the quiz's own questions, then bank questions in order of first appearance
+  const servedByAttempt = new Map(attempts.map(attempt => [attempt._id.toString(), servedIds(attempt)]));
+  const allIds = [...new Set([...embeddedIds, ...[...servedByAttempt.values()].flat()])];
+  // Live embedded questions, falling back to the newest version the attempts were taken on that had
+  // the question, then to the sessions' drawn copies (resolveQuestions keeps the last entry per ID)
+  const versionIds = [...new Set(attempts.map(a => a.quizVersion).filter(Boolean).map(String))];
+  const versions = versionIds.length > 0
+    ? await QuizVersion.find({ _id: { $in: versionIds } }).sort({ version: 1 }).select('questions bankQuestions').lean()
+    : [];
+  const versionQuestions = versions.flatMap(v => [...(v.questions || []), ...(v.bankQuestions || [])]);
+  const removedIds = new Set(versions.flatMap(v => v.questions || []).map(q => q._id.toString()).filter(id => !embeddedIds.includes(id)));
+  const drawnQuestions = sessions.flatMap(s => s.drawnQuestions || []);
+  const questions = await resolveQuestions({ ...quiz, questions: [...drawnQuestions, ...versionQuestions, ...(quiz.questions || [])] }, allIds);
+
+  const ranked = [...attempts].sort((a, b) => (b.percentageScore - a.percentageScore) || a._id.toString().localeCompare(b._id.toString()));
+  const report = questions.map((question, index) => {
+    const questionId = question._id.toString();
+    const responses = ranked
+      .map(attempt => {
+        const served = servedByAttempt.get(attempt._id.toString());
+        if (!served.includes(questionId)) return null;
+        const answer = (attempt.answers || []).find(a => String(a.questionId) === questionId) || null;
+        return { attempt, answer, questionCount: served.length };
+      })
+      .filter(Boolean);
+    return {
+      number: index + 1,
+      source: embeddedIds.includes(questionId) ? 'quiz' : (removedIds.has(questionId) ? 'removed' : 'bank'),
+      ...analyzeQuestion(question, responses)
+    };
+  });
+
+  return {
+    quiz: { id: quiz._id, title: quiz.title },
+    scope: allAttempts ? 'all_attempts' : 'first_attempts',
+    attempts: attempts.length,
+    averageScore: attempts.length ? round(mean(attempts.map(a => a.percentageScore || 0)), 1) : null,
+    flaggedQuestions: report.filter(q => q.flags.length > 0).length,
+    generatedAt: new Date(),
+    questions: report
+  };
+};
+
+/**
+ * The report as CSV, one row per question.
+ * @param {object} report - Output of buildItemAnalysis
+ * @returns {string}
+ */
+const itemAnalysisToCsv = (report) => {
+  const rows = report.questions.map(q => ({
+    ...q,
+    options: (q.options || []).map(o => `${o.isCorrect ? '*' : ''}${o.text}: ${o.count} (${Math.round((o.share || 0) * 100)}%)`)
+  }));
+  return toCsv(rows, [
+    { key: 'number', header: 'Question' },
+    { key: 'questionId', header: 'Question ID' },
+    { key: 'text', header: 'Text' },
+    { key: 'type', header: 'Type' },
+    { key: 'source', header: 'Source' },
+    { key: 'responses', header: 'Responses' },
+    { key: 'unanswered', header: 'Unanswered' },
+    { key: 'difficultyIndex', header: 'Difficulty index' },
+    { key: 'discriminationIndex', header: 'Discrimination index' },
+    { key: 'upperGroupDifficulty', header: 'Top 27% difficulty' },
+    { key: 'lowerGroupDifficulty', header: 'Bottom 27% difficulty' },
+    { key: 'avgTimeSeconds', header: 'Average time (s)' },
+    { key: 'timeSource', header: 'Time source' },
+    { key: 'options', header: 'Options (* = correct)' },
+    { key: 'flags', header: 'Flags' }
+  ]);
+};
+
+module.exports = {
+  analyzeQuestion,
+  buildItemAnalysis,
+  itemAnalysisToCsv
+};
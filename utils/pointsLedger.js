@@ -0,0 +1,69 @@
+// utils/pointsLedger.js
+// Single entry point for changing a user's points/XP. Every change is applied with an
+// atomic $inc and recorded as a PointsTransaction so balances can always be explained.
+const User = require('../models/userModel');
+const PointsTransaction = require('../models/pointsTransactionModel');
+
+// Model each source's sourceId points to
+const SOURCE_MODELS = {
+  quiz_attempt: 'QuizAttempt',
+  achievement: 'Achievement',
+  redemption: 'Redemption',
+  redemption_refund: 'Redemption'
+};
+
+/**
+ * Apply a points/XP change to a user and record it in the ledger.
+ * @param {object} change
+ * @param {string} change.userId
+ * @param {number} [change.points=0] - Signed points delta
+ * @param {number} [change.xp=0] - Signed XP delta
+ * @param {string} change.source - PointsTransaction source
+ * @param {string} [change.sourceId] - QuizAttempt / Achievement / Redemption ID
+ * @param {string} [change.description]
+ * @param {string} [change.createdBy] - Admin ID for manual adjustments
+ * @param {object} [change.filter] - Extra conditions the user must match, e.g. { points: { $gte: cost } }
+ * @param {object} [change.extraInc] - Other counters to $inc in the same write, e.g. { quizPointsEarned: 10 }
+ * @returns {Promise<object|null>} Updated user, or null when no user matched (missing user or filter failed)
+ */
+const applyPointsChange = async ({ userId, points = 0, xp = 0, source, sourceId, description, createdBy, filter = {}, extraInc = {} }) => {
+  const inc = { ...extraInc };
+  if (points) inc.points = points;
+  if (xp) inc.xp = xp;
+
+  const user = await User.findOneAndUpdate(
+    { ...filter, _id: userId },
+    { $inc: inc },
+    { new: true }
+  );
+  if (!user) return null;
+
+  try {
+    await PointsTransaction.create({
+      user: userId,
+      points,
+      xp,
+      source,
+      sourceId,
+      sourceModel: sourceId ? SOURCE_MODELS[source] : undefined,
+      description,
+      pointsBalanceAfter: user.points,
+      xpBalanceAfter: user.xp,
+      createdBy
+    });
+  } catch (err) {
+    // Undo the balance change so User.points never drifts from the ledger
+    console.error(`[Points Ledger] Failed to record ${source} transaction for user ${userId}, reverting:`, err);
+    const revert = {};
+    Object.keys(inc).forEach(field => { revert[field] = -inc[field]; });
+    await User.updateOne({ _id: userId }, { $inc: revert });
+    throw err;
+  }
+
+  console.log(`[Points Ledger] ${source}: user ${userId} points ${points >= 0 ? '+' : ''}${points}, xp ${xp >= 0 ? '+' : ''}${xp} -> balance ${user.points} pts / ${user.xp} xp`);
+  return user;
+};
+
+module.exports = {
+  applyPointsChange
+};
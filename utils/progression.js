@@ -0,0 +1,150 @@
+// utils/progression.js
+// Levels and the XP curve - the one place that turns XP into a level. User.level is stored for
+// sorting and display, and kept in step with User.xp by syncLevel() whenever XP changes.
+//
+// The curve and level titles are configured in config.progression: reaching level L takes
+// xpBase * (L - 1) ^ xpExponent total XP, capped at maxLevel. Reaching a new level publishes
+// USER_LEVELED_UP; the level-up rewards subscriber grants that level's points (if any) once per user.
+const User = require('../models/userModel');
+const config = require('../config/config');
+const { applyPointsChange } = require('./pointsLedger');
+const { EVENTS, publish, subscribe } = require('./domainEvents');
+
+/**
+ * Total XP needed to reach a level. Pure.
+ * @param {number} level
+ * @param {object} [curve=config.progression]
+ * @returns {number}
+ */
+const xpForLevel = (level, curve = config.progression) => (
+  Math.round(curve.xpBase * Math.pow(Math.max(1, level) - 1, curve.xpExponent))
+);
+
+/**
+ * The level a total amount of XP reaches. Pure.
+ * @param {number} xp
+ * @param {object} [curve=config.progression]
+ * @returns {number} 1 to curve.maxLevel
+ */
+const levelForXp = (xp, curve = config.progression) => {
+  const total = Math.max(0, xp || 0);
+  let level = Math.floor(1 + Math.pow(total / curve.xpBase, 1 / curve.xpExponent));
+  // Correct for floating point at the exact thresholds
+  while (level > 1 && xpForLevel(level, curve) > total) level--;
+  while (xpForLevel(level + 1, curve) <= total) level++;
+  return Math.min(Math.max(1, level), curve.maxLevel);
+};
+
+/**
+ * Title held at a level (the last configured title at or below it). Pure.
+ * @param {number} level
+ * @param {object} [curve=config.progression]
+ * @returns {string|null}
+ */
+const levelTitle = (level, curve = config.progression) => {
+  const held = (curve.titles || []).filter(t => t.level <= level).sort((a, b) => b.level - a.level)[0];
+  return held ? held.title : null;
+};
+
+/**
+ * Where an amount of XP stands on the curve - what progress bars show. Pure.
+ * @param {number} xp
+ * @param {object} [curve=config.progression]
+ * @returns {{ level: number, title: string|null, xp: number, xpForCurrentLevel: number,
+ *   xpForNextLevel: number|null, xpToNextLevel: number, levelProgress: number, maxLevel: boolean }}
+ *   xpForNextLevel is null and levelProgress 100 at the maximum level
+ */
+const getLevelProgress = (xp, curve = config.progression) => {
+  const total = Math.max(0, xp || 0);
+  const level = levelForXp(total, curve);
+  const xpForCurrentLevel = xpForLevel(level, curve);
+  const atMax = level >= curve.maxLevel;
+  const xpForNextLevel = atMax ? null : xpForLevel(level + 1, curve);
+  return {
+    level,
+    title: levelTitle(level, curve),
+    xp: total,
+    xpForCurrentLevel,
+    xpForNextLevel,
+    xpToNextLevel: atMax ? 0 : xpForNextLevel - total,
+    levelProgress: atMax ? 100 : Math.floor(((total - xpForCurrentLevel) / (xpForNextLevel - xpForCurrentLevel)) * 100),
+    maxLevel: atMax
+  };
+};
+
+/**
+ * Bring a user's stored level in line with their XP, after it changed. Publishes USER_LEVELED_UP
+ * when the level went up.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.allowDecrease=false] - Also lower it (e.g. after an admin XP debit).
+ *   Otherwise a level only goes up, so a sync working from stale XP can't undo a newer one
+ * @returns {Promise<{ level: number, previousLevel: number, leveledUp: boolean, title: string|null, rewards: Array }|null>}
+ *   null if the user doesn't exist
+ */
+const syncLevel = async (userId, { allowDecrease = false } = {}) => {
+  const user = await User.findById(userId).select('xp level').lean();
+  if (!user) return null;
+  const level = levelForXp(user.xp);
+  const result = { level, previousLevel: user.level || 1, leveledUp: false, title: levelTitle(level), rewards: [] };
+  if (level === result.previousLevel || (level < result.previousLevel && !allowDecrease)) {
+    return { ...result, level: result.previousLevel, title: levelTitle(result.previousLevel) };
+  }
+
+  // Conditional on the level just read, so concurrent syncs publish each level-up once
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, level: user.level },
+    { $set: { level } },
+    { new: true }
+  ).select('level').lean();
+  if (!updated) return { ...result, level: result.previousLevel, title: levelTitle(result.previousLevel) };
+
+  if (level > result.previousLevel) {
+    console.log(`[Progression] User ${userId} leveled up from ${result.previousLevel} to ${level} (${result.title})`);
+    const published = await publish(EVENTS.USER_LEVELED_UP, { userId: userId.toString(), previousLevel: result.previousLevel, level, title: result.title });
+    return { ...result, leveledUp: true, rewards: published.levelRewards || [] };
+  }
+  console.log(`[Progression] User ${userId} level lowered from ${result.previousLevel} to ${level}`);
+  return result;
+};
+
+// Grant the configured rewards for levels reached for the first time. User.levelRewardedUpTo is
+// claimed before anything is credited, so falling back a level and climbing again pays nothing.
+const grantLevelUpRewards = async ({ userId, previousLevel, level }) => {
+  const before = await User.findOneAndUpdate(
+    { _id: userId, $or: [{ levelRewardedUpTo: { $lt: level } }, { levelRewardedUpTo: { $exists: false } }] },
+    { $set: { levelRewardedUpTo: level } }
+  ).select('levelRewardedUpTo').lean();
+  if (!before) return [];
+
+  const rewards = config.progression.levelUpRewards || {};
+  const granted = [];
+  for (let reached = (before.levelRewardedUpTo ?? previousLevel) + 1; reached <= level; reached++) {
+    const points = rewards[reached];
+    if (!points) continue;
+    await applyPointsChange({
+      userId,
+      points,
+      source: 'level_up',
+      description: `Reached level ${reached}${levelTitle(reached) ? ` (${levelTitle(reached)})` : ''}`
+    });
+    granted.push({ level: reached, points });
+  }
+  return granted;
+};
+
+/**
+ * Subscribe the level-up rewards to USER_LEVELED_UP. Call once at startup.
+ */
+const registerProgression = () => {
+  subscribe(EVENTS.USER_LEVELED_UP, 'levelRewards', grantLevelUpRewards);
+};
+
+module.exports = {
+  xpForLevel,
+  levelForXp,
+  levelTitle,
+  getLevelProgress,
+  syncLevel,
+  registerProgression
+};
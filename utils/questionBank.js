@@ -0,0 +1,193 @@
+// utils/questionBank.js
+// Question bank helpers: building the question set for a new quiz session (embedded,
+// referenced and randomly drawn bank questions), resolving a session's questions for
+// serving/grading, and copying a quiz's embedded questions into the bank.
+const mongoose = require('mongoose');
+const Question = require('../models/questionModel');
+const { shuffle } = require('./helpers');
+const { resolveQuestionType } = require('./questionGrading');
+const { snapshotQuestion } = require('./quizVersions');
+
+// Option order is only shuffled for these types ("True, False" stays put; ordering
+// questions are always shuffled by the serializer)
+const SHUFFLED_OPTION_TYPES = ['single_choice', 'multiple_select'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(idOf(id)));
+
+// Bank filter for one draw rule of a quiz
+const buildDrawFilter = (subjectId, rule) => {
+  const filter = { subject: toObjectId(subjectId), isActive: true };
+  if (rule.topic) filter.topic = toObjectId(rule.topic);
+  if (rule.difficulty) filter.difficulty = rule.difficulty;
+  if (rule.tags && rule.tags.length > 0) filter.tags = { $all: rule.tags.map(tag => String(tag).trim().toLowerCase()) };
+  return filter;
+};
+
+/**
+ * Validate the bank references and draw rules of a quiz payload.
+ * @param {object} params
+ * @param {string} params.subjectId - The quiz's subject (draw rules only draw from it)
+ * @param {Array} [params.bankQuestions]
+ * @param {Array} [params.drawRules]
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateQuestionSources = async ({ subjectId, bankQuestions, drawRules }) => {
+  if (bankQuestions !== undefined) {
+    if (!Array.isArray(bankQuestions)) return 'bankQuestions must be an array of question IDs.';
+    if (bankQuestions.some(id => !mongoose.Types.ObjectId.isValid(String(idOf(id))))) return 'bankQuestions contains an invalid question ID.';
+    const uniqueIds = [...new Set(bankQuestions.map(id => String(idOf(id))))];
+    const found = await Question.countDocuments({ _id: { $in: uniqueIds }, isActive: true });
+    if (found !== uniqueIds.length) return 'Some bankQuestions do not exist or are archived.';
+  }
+
+  if (drawRules !== undefined) {
+    if (!Array.isArray(drawRules)) return 'drawRules must be an array.';
+    for (let i = 0; i < drawRules.length; i++) {
+      const rule = drawRules[i] || {};
+      const label = `Draw rule ${i + 1}`;
+      if (!Number.isInteger(rule.count) || rule.count < 1) return `${label}: count must be a positive whole number.`;
+      if (rule.topic && !mongoose.Types.ObjectId.isValid(String(rule.topic))) return `${label}: invalid topic ID.`;
+      if (rule.difficulty && !['easy', 'medium', 'hard'].includes(rule.difficulty)) return `${label}: difficulty must be easy, medium or hard.`;
+      if (rule.tags !== undefined && !Array.isArray(rule.tags)) return `${label}: tags must be an array.`;
+      const available = await Question.countDocuments(buildDrawFilter(subjectId, rule));
+      if (available < rule.count) {
+        return `${label}: only ${available} matching question(s) in the bank, ${rule.count} requested.`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Load questions by ID from the quiz's embedded questions or the bank, in the given order.
+ * Archived bank questions are still returned so in-progress sessions and old attempts keep working.
+ * @param {object} quiz - Lean quiz
+ * @param {Array} ids - Question IDs
+ * @returns {Promise<Array<object>>}
+ */
+const resolveQuestions = async (quiz, ids) => {
+  const embeddedById = new Map((quiz.questions || []).map(q => [q._id.toString(), q]));
+  const bankIds = ids.map(String).filter(id => !embeddedById.has(id));
+  const bankQuestions = bankIds.length > 0 ? await Question.find({ _id: { $in: bankIds } }).lean() : [];
+  const bankById = new Map(bankQuestions.map(q => [q._id.toString(), q]));
+  return ids.map(id => embeddedById.get(String(id)) || bankById.get(String(id))).filter(Boolean);
+};
+
+/**
+ * Build the question set for a new session: embedded questions, referenced bank questions and
+ * questions drawn at random per draw rule (no duplicates), plus a per-session option order.
+ * @param {object} quiz - Lean quiz (subject may be populated)
+ * @returns {Promise<{ questionOrder: Array, optionOrder: Array<{questionId, optionIds}>, drawnQuestions: Array }>}
+ *   drawnQuestions are snapshots of the drawn questions, to store on the session
+ */
+const generateQuestionSet = async (quiz) => {
+  const subjectId = idOf(quiz.subject);
+  const embeddedIds = (quiz.questions || []).map(q => q._id);
+
+  // Referenced bank questions, skipping any archived since the quiz was saved
+  const referencedIds = (quiz.bankQuestions || []).map(idOf);
+  const activeReferenced = referencedIds.length > 0
+    ? new Set((await Question.find({ _id: { $in: referencedIds }, isActive: true }).select('_id').lean()).map(q => q._id.toString()))
+    : new Set();
+  const fixedIds = referencedIds.filter(id => activeReferenced.has(id.toString()));
+
+  const chosen = new Set([...embeddedIds, ...fixedIds].map(String));
+  const drawnIds = [];
+  for (const rule of quiz.drawRules || []) {
+    const sample = await Question.aggregate([
+      { $match: { ...buildDrawFilter(subjectId, rule), _id: { $nin: [...chosen].map(toObjectId) } } },
+      { $sample: { size: rule.count } },
+      { $project: { _id: 1 } }
+    ]);
+    if (sample.length < rule.count) {
+      console.warn(`[Question Bank] Quiz ${quiz._id}: draw rule wanted ${rule.count} question(s), only ${sample.length} available`);
+    }
+    sample.forEach(q => {
+      chosen.add(q._id.toString());
+      drawnIds.push(q._id);
+    });
+  }
+
+  const ids = [...embeddedIds, ...fixedIds, ...drawnIds];
+  const questionOrder = quiz.shuffleQuestions ? shuffle(ids) : ids;
+  const drawnQuestions = drawnIds.length > 0
+    ? (await Question.find({ _id: { $in: drawnIds } }).lean()).map(snapshotQuestion)
+    : [];
+
+  let optionOrder = [];
+  if (quiz.shuffleOptions) {
+    const questions = await resolveQuestions(quiz, questionOrder);
+    optionOrder = questions
+      .filter(q => SHUFFLED_OPTION_TYPES.includes(resolveQuestionType(q)) && (q.options || []).length > 1)
+      .map(q => ({ questionId: q._id, optionIds: shuffle(q.options.map(o => o._id)) }));
+  }
+  return { questionOrder, optionOrder, drawnQuestions };
+};
+
+/**
+ * The quiz as seen by one session: its questions are exactly the session's question set, with
+ * drawn questions read from the session's snapshots (sessions from before those were stored
+ * fall back to the bank).
+ * @param {object} quiz - Lean quiz (at the session's version, see loadQuizAtVersion)
+ * @param {object} session - QuizSession (with questionOrder and drawnQuestions)
+ * @returns {Promise<object>} Quiz copy with questions and totalPoints for the session
+ */
+const withSessionQuestions = async (quiz, session) => {
+  const drawn = (session.drawnQuestions || []).map(q => (typeof q.toObject === 'function' ? q.toObject() : q));
+  const known = { ...quiz, questions: [...(quiz.questions || []), ...drawn] };
+  const questions = await resolveQuestions(known, session.questionOrder || []);
+  return {
+    ...quiz,
+    questions,
+    totalPoints: questions.reduce((sum, q) => sum + (q.points || 0), 0)
+  };
+};
+
+/**
+ * Copy a quiz's embedded questions into the bank (tagged with the quiz's subject and topic).
+ * Questions copied before are skipped, so this is safe to run repeatedly.
+ * @param {object} quiz - Lean quiz
+ * @param {object} [options]
+ * @param {string} [options.createdBy]
+ * @returns {Promise<{ created: number, skipped: number, failed: number }>}
+ */
+const copyQuizQuestionsToBank = async (quiz, { createdBy } = {}) => {
+  const embedded = quiz.questions || [];
+  const alreadyCopied = new Set(
+    (await Question.find({ 'source.question': { $in: embedded.map(q => q._id) } }).select('source.question').lean())
+      .map(q => q.source.question.toString())
+  );
+
+  const result = { created: 0, skipped: 0, failed: 0 };
+  for (const question of embedded) {
+    if (alreadyCopied.has(question._id.toString())) {
+      result.skipped++;
+      continue;
+    }
+    const { _id, id, ...content } = question;
+    try {
+      await Question.create({
+        ...content,
+        type: resolveQuestionType(question),
+        subject: idOf(quiz.subject),
+        topic: quiz.topic || null,
+        source: { quiz: quiz._id, question: _id },
+        createdBy: createdBy || quiz.createdBy
+      });
+      result.created++;
+    } catch (err) {
+      console.error(`[Question Bank] Could not copy question ${_id} of quiz ${quiz._id}:`, err.message);
+      result.failed++;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  validateQuestionSources,
+  resolveQuestions,
+  generateQuestionSet,
+  withSessionQuestions,
+  copyQuizQuestionsToBank
+};
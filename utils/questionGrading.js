@@ -0,0 +1,310 @@
+// utils/questionGrading.js
+// Question types: validation (createQuiz/updateQuiz), answer normalisation and grading.
+//
+// Answer payloads by type (always with questionId):
+//   single_choice / true_false : { answerId }
+//   multiple_select            : { answerIds: [optionId, ...] }
+//   numeric                    : { value, unit }      value may also be a string like "9.8 m/s2"
+//   text                       : { text }
+//   ordering                   : { order: [optionId, ...] }
+//   matching                   : { matches: [{ pairId, match }, ...] }
+const crypto = require('crypto');
+const { shuffle } = require('./helpers');
+
+const QUESTION_TYPES = ['single_choice', 'multiple_select', 'true_false', 'numeric', 'text', 'ordering', 'matching'];
+
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+const MAX_TIME_SPENT_SECONDS = 24 * 60 * 60;
+const NUMERIC_EPSILON = 1e-9;
+
+/**
+ * Question type, falling back to the legacy isTrueFalse / isFillBlank flags.
+ * @param {object} question
+ * @returns {string}
+ */
+const resolveQuestionType = (question) => {
+  if (question.type && QUESTION_TYPES.includes(question.type)) return question.type;
+  if (question.isFillBlank) return 'text';
+  if (question.isTrueFalse) return 'true_false';
+  return 'single_choice';
+};
+
+const idOf = (value) => (value && value._id ? value._id.toString() : String(value));
+
+/**
+ * Correct order of an ordering question's option IDs. Questions stored before correctOrder
+ * existed list their options in the correct order.
+ * @param {object} question
+ * @returns {string[]}
+ */
+const correctOrderOf = (question) => {
+  const correctOrder = question.correctOrder || [];
+  if (correctOrder.length > 0) return correctOrder.map(id => idOf(id));
+  return (question.options || []).map(o => idOf(o));
+};
+
+/**
+ * Storage form of an ordering question whose options are listed in the correct order: the
+ * options get random IDs and a random order, and the order is kept in correctOrder - so neither
+ * the served option order nor ObjectId timestamps give the answer away.
+ * @param {object} question
+ * @returns {{ options: Array, correctOrder: string[] }|null} null if there's nothing to do
+ *   (not an ordering question, or correctOrder already set)
+ */
+const orderingKey = (question) => {
+  if (resolveQuestionType(question) !== 'ordering') return null;
+  if (question.correctOrder && question.correctOrder.length > 0) return null;
+  const options = (question.options || []).map(o => ({ _id: crypto.randomBytes(12).toString('hex'), text: o.text, isCorrect: false }));
+  return { options: shuffle(options), correctOrder: options.map(o => o._id) };
+};
+
+// Trim, collapse whitespace, drop surrounding quotes/punctuation and (by default) case
+const normalizeText = (text, caseSensitive = false) => {
+  const normalized = String(text ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'`.,;:!?]+|[\s"'`.,;:!?]+$/g, '');
+  return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+const normalizeUnit = (unit) => String(unit ?? '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+
+// "9.8", 9.8, "9,8 m/s2" -> { value: 9.8, unit: 'm/s2' }
+const parseNumericAnswer = (value, unit) => {
+  if (typeof value === 'number') return { value, unit: unit ?? null };
+  const match = String(value ?? '').trim().match(/^(-?\d+(?:[.,]\d+)?(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return { value: NaN, unit: unit ?? null };
+  return { value: Number(match[1].replace(',', '.')), unit: unit ?? (match[2] || null) };
+};
+
+// Accepted answers for a text question (legacy fill-blank questions use the correct option's text)
+const getAcceptedTextAnswers = (question) => {
+  const accepted = (question.acceptedAnswers || []).filter(a => String(a).trim() !== '');
+  if (accepted.length > 0) return accepted;
+  return (question.options || []).filter(o => o.isCorrect).map(o => o.text);
+};
+
+/**
+ * Type-specific validation for a question sent to createQuiz/updateQuiz.
+ * @param {object} question - Raw question from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateQuestion = (question) => {
+  if (!question || typeof question !== 'object') return 'Question must be an object.';
+  if (question.type !== undefined && !QUESTION_TYPES.includes(question.type)) {
+    return `Unknown question type "${question.type}". Use one of: ${QUESTION_TYPES.join(', ')}.`;
+  }
+  const type = resolveQuestionType(question);
+  const options = Array.isArray(question.options) ? question.options : [];
+  const correctCount = options.filter(o => o && o.isCorrect).length;
+
+  switch (type) {
+    case 'single_choice':
+      if (options.length < 1) return 'Single choice questions need at least one option.';
+      if (correctCount !== 1) return 'Single choice questions need exactly one correct option.';
+      return null;
+    case 'true_false':
+      if (options.length !== 2) return 'True/false questions need exactly two options.';
+      if (correctCount !== 1) return 'True/false questions need exactly one correct option.';
+      return null;
+    case 'multiple_select':
+      if (options.length < 2) return 'Multiple select questions need at least two options.';
+      if (correctCount < 1) return 'Multiple select questions need at least one correct option.';
+      return null;
+    case 'numeric':
+      if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+        return 'Numeric questions need a numeric numericAnswer.';
+      }
+      if (question.tolerance !== undefined && (typeof question.tolerance !== 'number' || question.tolerance < 0)) {
+        return 'Tolerance must be a non-negative number.';
+      }
+      if (question.requireUnit && !question.unit) return 'Numeric questions that require a unit must define unit.';
+      return null;
+    case 'text':
+      if (getAcceptedTextAnswers(question).length === 0) return 'Text questions need at least one accepted answer.';
+      return null;
+    case 'ordering': {
+      if (options.length < 2) return 'Ordering questions need at least two options (listed in the correct order).';
+      const correctOrder = Array.isArray(question.correctOrder) ? question.correctOrder.map(id => idOf(id)) : [];
+      if (correctOrder.length === 0) return null;
+      // An explicit correctOrder (e.g. an edited stored question) must list every option ID once
+      const optionIds = options.map(o => (o && o._id ? idOf(o._id) : null));
+      if (correctOrder.length !== optionIds.length || new Set(correctOrder).size !== correctOrder.length ||
+          correctOrder.some(id => !optionIds.includes(id))) {
+        return 'correctOrder must list every option ID exactly once (or be left out, with the options in the correct order).';
+      }
+      return null;
+    }
+    case 'matching': {
+      const pairs = Array.isArray(question.pairs) ? question.pairs : [];
+      if (pairs.length < 2) return 'Matching questions need at least two pairs.';
+      if (pairs.some(p => !p || !String(p.prompt || '').trim() || !String(p.match || '').trim())) {
+        return 'Every matching pair needs a prompt and a match.';
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate every question of a quiz payload.
+ * @param {Array} questions
+ * @returns {string|null} First error, prefixed with the question number
+ */
+const validateQuestions = (questions) => {
+  if (!Array.isArray(questions)) return 'Questions must be an array.';
+  for (let i = 0; i < questions.length; i++) {
+    const error = validateQuestion(questions[i]);
+    if (error) return `Question ${i + 1}: ${error}`;
+  }
+  return null;
+};
+
+/**
+ * Keep only the fields a submitted answer may carry, with consistent types.
+ * @param {object} raw - Answer from the client
+ * @returns {object|null} null when there's no questionId
+ */
+const normalizeAnswer = (raw) => {
+  if (!raw || raw.questionId === undefined || raw.questionId === null) return null;
+  const answer = { questionId: String(raw.questionId) };
+  if (raw.answerId !== undefined && raw.answerId !== null) answer.answerId = String(raw.answerId);
+  if (Array.isArray(raw.answerIds)) answer.answerIds = [...new Set(raw.answerIds.map(String))];
+  if (raw.value !== undefined && raw.value !== null && raw.value !== '') {
+    const parsed = parseNumericAnswer(raw.value, raw.unit);
+    if (Number.isFinite(parsed.value)) answer.value = parsed.value;
+    if (parsed.unit) answer.unit = String(parsed.unit).slice(0, 50);
+  }
+  if (raw.text !== undefined && raw.text !== null) answer.text = String(raw.text).slice(0, MAX_TEXT_ANSWER_LENGTH);
+  if (Array.isArray(raw.order)) answer.order = raw.order.map(String);
+  if (Array.isArray(raw.matches)) {
+    answer.matches = raw.matches
+      .filter(m => m && m.pairId !== undefined && m.match !== undefined)
+      .map(m => ({ pairId: String(m.pairId), match: String(m.match).slice(0, MAX_TEXT_ANSWER_LENGTH) }));
+  }
+  // Seconds the student spent on the question, as reported by the client (used for item analysis)
+  const timeSpent = Number(raw.timeSpent);
+  if (raw.timeSpent !== undefined && raw.timeSpent !== null && Number.isFinite(timeSpent) && timeSpent >= 0) {
+    answer.timeSpent = Math.min(MAX_TIME_SPENT_SECONDS, Math.round(timeSpent));
+  }
+  return answer;
+};
+
+// Credit between 0 and 1 for one answer
+const computeCredit = (question, answer) => {
+  const type = resolveQuestionType(question);
+  const options = question.options || [];
+  const partial = question.partialCredit !== false;
+
+  switch (type) {
+    case 'single_choice':
+    case 'true_false': {
+      let correctIds = options.filter(o => o.isCorrect).map(o => idOf(o));
+      if (correctIds.length === 0 && question.correctAnswer) correctIds = [String(question.correctAnswer)];
+      return answer.answerId && correctIds.includes(answer.answerId) ? 1 : 0;
+    }
+    case 'multiple_select': {
+      const correctIds = new Set(options.filter(o => o.isCorrect).map(o => idOf(o)));
+      const selected = new Set(answer.answerIds || (answer.answerId ? [answer.answerId] : []));
+      if (correctIds.size === 0) return 0;
+      const selectedCorrect = [...selected].filter(id => correctIds.has(id)).length;
+      const selectedWrong = selected.size - selectedCorrect;
+      if (!partial) return selectedCorrect === correctIds.size && selectedWrong === 0 ? 1 : 0;
+      // Each wrong pick cancels a right one
+      return Math.max(0, (selectedCorrect - selectedWrong) / correctIds.size);
+    }
+    case 'numeric': {
+      if (typeof answer.value !== 'number' || typeof question.numericAnswer !== 'number') return 0;
+      if (question.unit) {
+        const allowedUnits = [question.unit, ...(question.acceptedUnits || [])].map(normalizeUnit);
+        if (answer.unit) {
+          if (!allowedUnits.includes(normalizeUnit(answer.unit))) return 0;
+        } else if (question.requireUnit) {
+          return 0;
+        }
+      }
+      const tolerance = question.tolerance || 0;
+      return Math.abs(answer.value - question.numericAnswer) <= tolerance + NUMERIC_EPSILON ? 1 : 0;
+    }
+    case 'text': {
+      if (answer.text === undefined) return 0;
+      const given = normalizeText(answer.text, question.caseSensitive);
+      if (!given) return 0;
+      return getAcceptedTextAnswers(question).some(accepted => normalizeText(accepted, question.caseSensitive) === given) ? 1 : 0;
+    }
+    case 'ordering': {
+      const correctOrder = correctOrderOf(question);
+      const given = answer.order || [];
+      if (correctOrder.length === 0) return 0;
+      const inPlace = correctOrder.filter((id, index) => given[index] === id).length;
+      if (!partial) return inPlace === correctOrder.length ? 1 : 0;
+      return inPlace / correctOrder.length;
+    }
+    case 'matching': {
+      const pairs = question.pairs || [];
+      if (pairs.length === 0) return 0;
+      const givenByPair = new Map((answer.matches || []).map(m => [m.pairId, m.match]));
+      const correctMatches = pairs.filter(pair => {
+        const given = givenByPair.get(idOf(pair));
+        return given !== undefined && normalizeText(given) === normalizeText(pair.match);
+      }).length;
+      if (!partial) return correctMatches === pairs.length ? 1 : 0;
+      return correctMatches / pairs.length;
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Grade one answer.
+ * @param {object} question - Question subdocument / lean object
+ * @param {object} answer - Output of normalizeAnswer
+ * @returns {{ credit: number, pointsEarned: number, isCorrect: boolean }}
+ */
+const gradeAnswer = (question, answer) => {
+  const credit = Math.min(1, Math.max(0, computeCredit(question, answer)));
+  const pointsEarned = Math.round((question.points || 0) * credit * 100) / 100;
+  return { credit, pointsEarned, isCorrect: credit === 1 };
+};
+
+/**
+ * Type-specific description of the correct answer (for answer keys / attempt review).
+ * @param {object} question
+ * @returns {object}
+ */
+const describeCorrectAnswer = (question) => {
+  const type = resolveQuestionType(question);
+  const options = question.options || [];
+  switch (type) {
+    case 'single_choice':
+    case 'true_false':
+    case 'multiple_select':
+      return { type, correctOptionIds: options.filter(o => o.isCorrect).map(o => idOf(o)) };
+    case 'numeric':
+      return { type, numericAnswer: question.numericAnswer, tolerance: question.tolerance || 0, unit: question.unit || null };
+    case 'text':
+      return { type, acceptedAnswers: getAcceptedTextAnswers(question) };
+    case 'ordering':
+      return { type, correctOrder: correctOrderOf(question) };
+    case 'matching':
+      return { type, pairs: (question.pairs || []).map(p => ({ pairId: idOf(p), prompt: p.prompt, match: p.match })) };
+    default:
+      return { type };
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  resolveQuestionType,
+  correctOrderOf,
+  orderingKey,
+  normalizeText,
+  validateQuestion,
+  validateQuestions,
+  normalizeAnswer,
+  gradeAnswer,
+  describeCorrectAnswer
+};
@@ -0,0 +1,593 @@
+// utils/quizFormats.js
+// Quiz import/export (POST /api/quizzes/import, GET /api/quizzes/:id/export) in four formats:
+//
+//   json   { "format": "xforce-quiz", "version": 1, "quiz": { title, description, subject (name),
+//            difficulty, timeLimit, passScore, ... }, "questions": [ ...same fields as createQuiz ] }
+//          A bare array of questions is accepted on import too.
+//   csv    One question per row. Header: type,text,options,correct,points,difficulty,explanation,tolerance,unit
+//          Lists are separated by "|" (write "\|" for a literal bar). By type:
+//            single_choice / multiple_select  options "A|B|C", correct = option number(s) "2" / "1|3"
+//            true_false                       correct "true" or "false"
+//            numeric                          correct = the number, plus tolerance / unit
+//            text                             correct = accepted answers "Paris|paris city"
+//            ordering                         options in the correct order, correct empty
+//            matching                         options "prompt=match|prompt=match"
+//   gift   Moodle GIFT: multiple choice ({=right ~wrong}, with ~%50% weights for multiple select),
+//          true/false ({T}/{F}), short answer ({=a =b}), numeric ({#3.14:0.01} or {#1..5}),
+//          matching ({=a -> 1 =b -> 2}). "####" general feedback becomes the explanation.
+//   aiken  Moodle Aiken: question line, "A. option" lines, "ANSWER: B". Single choice only.
+//
+// Parsers never throw on bad content: every question comes back with its location (line/row) and
+// either the parsed question or an error, so a dry run can report all problems at once.
+const { QUESTION_TYPES, resolveQuestionType, correctOrderOf, validateQuestion } = require('./questionGrading');
+const { toCsv, parseCsv } = require('./helpers');
+
+const IMPORT_FORMATS = ['json', 'csv', 'gift', 'aiken'];
+const JSON_FORMAT_ID = 'xforce-quiz';
+const JSON_FORMAT_VERSION = 1;
+const MAX_IMPORT_QUESTIONS = 500;
+
+// Quiz settings carried by the JSON format
+const QUIZ_FIELDS = ['title', 'description', 'difficulty', 'timeLimit', 'passScore', 'answerRelease', 'shuffleQuestions', 'shuffleOptions', 'retakePolicy', 'isPublished'];
+// Question fields kept on import/export (everything else, e.g. _id, is dropped)
+const QUESTION_FIELDS = [
+  'text', 'type', 'partialCredit', 'numericAnswer', 'tolerance', 'unit', 'acceptedUnits', 'requireUnit',
+  'acceptedAnswers', 'caseSensitive', 'explanation', 'difficulty', 'points', 'isTrueFalse', 'isFillBlank'
+];
+const CSV_COLUMNS = ['type', 'text', 'options', 'correct', 'points', 'difficulty', 'explanation', 'tolerance', 'unit'];
+
+const pick = (source, fields) => {
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) result[field] = source[field];
+  });
+  return result;
+};
+
+// Quiz settings an import may set (title, timeLimit, ...) - never questions, subject or counters
+const pickQuizSettings = (source) => pick(source || {}, QUIZ_FIELDS);
+
+// Ordering options in the correct order (they're stored shuffled, see orderingKey). Imported
+// questions have no correctOrder - their options are already listed in the correct order.
+const optionsInOrder = (question) => {
+  const options = question.options || [];
+  if (resolveQuestionType(question) !== 'ordering' || !(question.correctOrder || []).length) return options;
+  const byId = new Map(options.map(o => [String(o._id), o]));
+  return correctOrderOf(question).map(id => byId.get(id)).filter(Boolean);
+};
+
+// Plain question in the createQuiz shape (no IDs)
+const cleanQuestion = (question) => {
+  const clean = pick(question, QUESTION_FIELDS);
+  clean.type = resolveQuestionType(question);
+  delete clean.isTrueFalse;
+  delete clean.isFillBlank;
+  if (Array.isArray(question.options) && question.options.length > 0) {
+    clean.options = optionsInOrder(question).map(o => ({ text: o.text, isCorrect: Boolean(o.isCorrect) }));
+  }
+  if (Array.isArray(question.pairs) && question.pairs.length > 0) {
+    clean.pairs = question.pairs.map(p => ({ prompt: p.prompt, match: p.match }));
+  }
+  return clean;
+};
+
+const trueFalseOptions = (answer) => [
+  { text: 'True', isCorrect: answer === true },
+  { text: 'False', isCorrect: answer === false }
+];
+
+// ---------------------------------------------------------------- JSON
+
+const parseJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    return { quiz: null, items: [{ location: 'file', error: `Invalid JSON: ${err.message}` }] };
+  }
+
+  let quiz = null;
+  let questions = data;
+  if (!Array.isArray(data)) {
+    if (!data || typeof data !== 'object') {
+      return { quiz: null, items: [{ location: 'file', error: 'Expected an object with "questions" or an array of questions.' }] };
+    }
+    if (data.format !== undefined && data.format !== JSON_FORMAT_ID) {
+      return { quiz: null, items: [{ location: 'file', error: `Unknown format "${data.format}", expected "${JSON_FORMAT_ID}".` }] };
+    }
+    if (data.version !== undefined && data.version > JSON_FORMAT_VERSION) {
+      return { quiz: null, items: [{ location: 'file', error: `Version ${data.version} is newer than this server supports (${JSON_FORMAT_VERSION}).` }] };
+    }
+    quiz = data.quiz && typeof data.quiz === 'object'
+      ? { ...pickQuizSettings(data.quiz), subjectName: typeof data.quiz.subject === 'string' ? data.quiz.subject : undefined }
+      : null;
+    questions = data.questions;
+  }
+  if (!Array.isArray(questions)) {
+    return { quiz, items: [{ location: 'file', error: '"questions" must be an array.' }] };
+  }
+
+  const items = questions.map((question, index) => {
+    const location = `question ${index + 1}`;
+    if (!question || typeof question !== 'object') return { location, error: 'Question must be an object.' };
+    return { location, question: cleanQuestion(question) };
+  });
+  return { quiz, items };
+};
+
+const exportJson = (quiz, questions, subjectName) => ({
+  content: JSON.stringify({
+    format: JSON_FORMAT_ID,
+    version: JSON_FORMAT_VERSION,
+    quiz: { ...pickQuizSettings(quiz), subject: subjectName || null },
+    questions: questions.map(cleanQuestion)
+  }, null, 2),
+  skipped: []
+});
+
+// ---------------------------------------------------------------- CSV
+
+// Split a "|" list, honouring "\|" escapes
+const splitList = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return [];
+  return String(value)
+    .split(/(?<!\\)\|/)
+    .map(item => item.replace(/\\\|/g, '|').trim())
+    .filter(item => item !== '');
+};
+const joinList = (items) => items.map(item => String(item).replace(/\|/g, '\\|')).join('|');
+
+const parseBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 't', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'f', 'no', '0'].includes(normalized)) return false;
+  return null;
+};
+
+// Question from one CSV row (cells keyed by column name); returns an error message instead when it can't
+const csvRowToQuestion = (cells) => {
+  const type = (cells.type || 'single_choice').trim().toLowerCase();
+  if (!QUESTION_TYPES.includes(type)) return `Unknown type "${cells.type}". Use one of: ${QUESTION_TYPES.join(', ')}.`;
+  const question = { type, text: (cells.text || '').trim() };
+  if (!question.text) return 'Question text is required.';
+
+  if (cells.points) {
+    question.points = Number(cells.points);
+    if (!Number.isFinite(question.points)) return `Points must be a number, got "${cells.points}".`;
+  }
+  if (cells.difficulty) question.difficulty = cells.difficulty.trim().toLowerCase();
+  if (cells.explanation) question.explanation = cells.explanation.trim();
+
+  const options = splitList(cells.options);
+  const correct = splitList(cells.correct);
+  switch (type) {
+    case 'single_choice':
+    case 'multiple_select': {
+      const numbers = correct.map(Number);
+      const badNumber = numbers.find(n => !Number.isInteger(n) || n < 1 || n > options.length);
+      if (badNumber !== undefined) return `"correct" must list option numbers between 1 and ${options.length}.`;
+      question.options = options.map((text, i) => ({ text, isCorrect: numbers.includes(i + 1) }));
+      break;
+    }
+    case 'true_false': {
+      const answer = parseBoolean(cells.correct);
+      if (answer === null) return '"correct" must be true or false.';
+      question.options = trueFalseOptions(answer);
+      break;
+    }
+    case 'numeric':
+      question.numericAnswer = Number(String(cells.correct || '').trim());
+      if (String(cells.correct || '').trim() === '' || !Number.isFinite(question.numericAnswer)) {
+        return `"correct" must be a number, got "${cells.correct || ''}".`;
+      }
+      if (cells.tolerance) question.tolerance = Number(cells.tolerance);
+      if (cells.unit) question.unit = cells.unit.trim();
+      break;
+    case 'text':
+      question.acceptedAnswers = correct;
+      break;
+    case 'ordering':
+      question.options = options.map(text => ({ text, isCorrect: false }));
+      break;
+    case 'matching': {
+      const pairs = options.map(item => item.split(/(?<!\\)=/).map(part => part.replace(/\\=/g, '=').trim()));
+      if (pairs.some(p => p.length !== 2)) return 'Matching options must look like "prompt=match|prompt=match".';
+      question.pairs = pairs.map(([prompt, match]) => ({ prompt, match }));
+      break;
+    }
+    default:
+      break;
+  }
+  return question;
+};
+
+const parseCsvContent = (content) => {
+  const rows = parseCsv(content);
+  if (rows.length === 0) return { quiz: null, items: [{ location: 'file', error: 'The CSV file is empty.' }] };
+
+  const header = rows[0].cells.map(c => c.trim().toLowerCase());
+  if (!header.includes('text')) {
+    return { quiz: null, items: [{ location: 'row 1', error: `Missing "text" column. Expected columns: ${CSV_COLUMNS.join(', ')}.` }] };
+  }
+  const items = rows.slice(1).map(row => {
+    const cells = {};
+    header.forEach((name, i) => { cells[name] = row.cells[i]; });
+    const result = csvRowToQuestion(cells);
+    const location = `row ${row.line}`;
+    return typeof result === 'string' ? { location, error: result } : { location, question: result };
+  });
+  return { quiz: null, items };
+};
+
+const exportCsv = (quiz, questions) => {
+  const rows = questions.map(q => {
+    const type = resolveQuestionType(q);
+    const options = q.options || [];
+    const row = {
+      type,
+      text: q.text,
+      points: q.points,
+      difficulty: q.difficulty,
+      explanation: q.explanation || ''
+    };
+    switch (type) {
+      case 'single_choice':
+      case 'multiple_select':
+        row.options = joinList(options.map(o => o.text));
+        row.correct = options.map((o, i) => (o.isCorrect ? i + 1 : null)).filter(Boolean).join('|');
+        break;
+      case 'true_false': {
+        const correctOption = options.find(o => o.isCorrect);
+        row.correct = correctOption ? String(/^t/i.test(correctOption.text)) : '';
+        break;
+      }
+      case 'numeric':
+        row.correct = q.numericAnswer;
+        row.tolerance = q.tolerance || 0;
+        row.unit = q.unit || '';
+        break;
+      case 'text':
+        row.correct = joinList(q.acceptedAnswers && q.acceptedAnswers.length
+          ? q.acceptedAnswers
+          : options.filter(o => o.isCorrect).map(o => o.text));
+        break;
+      case 'ordering':
+        row.options = joinList(optionsInOrder(q).map(o => o.text));
+        break;
+      case 'matching':
+        row.options = joinList((q.pairs || []).map(p => `${String(p.prompt).replace(/=/g, '\\=')}=${String(p.match).replace(/=/g, '\\=')}`));
+        break;
+      default:
+        break;
+    }
+    return row;
+  });
+  return { content: toCsv(rows, CSV_COLUMNS.map(key => ({ key }))), skipped: [] };
+};
+
+// ---------------------------------------------------------------- GIFT
+
+const GIFT_SPECIAL = /([~=#{}:\\])/g;
+const escapeGift = (text) => String(text ?? '').replace(GIFT_SPECIAL, '\\$1');
+const unescapeGift = (text) => String(text).replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+
+// Index of the next unescaped occurrence of char
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') { i++; continue; }
+    if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+// Split an answer block into "=..." / "~..." entries (unescaped markers only)
+const splitGiftAnswers = (block) => {
+  const entries = [];
+  let current = null;
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      if (current) current.text += char + (block[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (char === '=' || char === '~') {
+      // "->" inside matching entries isn't a marker
+      if (current) entries.push(current);
+      current = { marker: char, text: '' };
+      continue;
+    }
+    if (current) current.text += char;
+  }
+  if (current) entries.push(current);
+  return entries;
+};
+
+// Answer text without its "#feedback" and with its "%weight%"
+const parseGiftEntry = (entry) => {
+  let text = entry.text;
+  const feedbackAt = findUnescaped(text, '#');
+  if (feedbackAt !== -1) text = text.slice(0, feedbackAt);
+  let weight = null;
+  const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+  if (weightMatch) {
+    weight = Number(weightMatch[1]);
+    text = text.slice(weightMatch[0].length);
+  }
+  return { marker: entry.marker, weight, text: unescapeGift(text) };
+};
+
+// Question fields from the content of a GIFT answer block
+const parseGiftAnswerBlock = (rawBlock) => {
+  let block = rawBlock;
+  let explanation;
+  const generalFeedbackAt = block.indexOf('####');
+  if (generalFeedbackAt !== -1) {
+    explanation = unescapeGift(block.slice(generalFeedbackAt + 4));
+    block = block.slice(0, generalFeedbackAt);
+  }
+  const withExplanation = (fields) => (explanation ? { ...fields, explanation } : fields);
+  const trimmed = block.trim();
+
+  const trueFalse = trimmed.split('#')[0].trim().toUpperCase();
+  if (['T', 'TRUE', 'F', 'FALSE'].includes(trueFalse)) {
+    return withExplanation({ type: 'true_false', options: trueFalseOptions(trueFalse.startsWith('T')) });
+  }
+
+  if (trimmed.startsWith('#')) {
+    const first = trimmed.slice(1).split(/(?<!\\)=/).map(s => s.trim()).find(s => s !== '') || '';
+    const spec = first.split(/(?<!\\)#/)[0].trim();
+    const range = spec.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    if (range) {
+      const min = Number(range[1]);
+      const max = Number(range[2]);
+      if (!Number.isFinite(min) || !Number.isFinite(max)) return 'Invalid numeric range.';
+      return withExplanation({ type: 'numeric', numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2 });
+    }
+    const [value, tolerance] = spec.split(':').map(s => s.trim());
+    if (!Number.isFinite(Number(value)) || value === '') return `Invalid numeric answer "${spec}".`;
+    return withExplanation({
+      type: 'numeric',
+      numericAnswer: Number(value),
+      tolerance: tolerance !== undefined && Number.isFinite(Number(tolerance)) ? Number(tolerance) : 0
+    });
+  }
+
+  const entries = splitGiftAnswers(block).map(parseGiftEntry);
+  if (entries.length === 0) return 'The answer block {...} has no answers.';
+
+  if (entries.every(e => e.marker === '=') && entries.some(e => e.text.includes('->'))) {
+    const pairs = entries.map(e => e.text.split('->').map(s => s.trim()));
+    if (pairs.some(p => p.length !== 2)) return 'Every matching entry needs "prompt -> match".';
+    return withExplanation({ type: 'matching', pairs: pairs.map(([prompt, match]) => ({ prompt, match })) });
+  }
+  if (entries.every(e => e.marker === '=')) {
+    return withExplanation({ type: 'text', acceptedAnswers: entries.map(e => e.text) });
+  }
+  if (entries.some(e => e.weight !== null)) {
+    return withExplanation({
+      type: 'multiple_select',
+      options: entries.map(e => ({ text: e.text, isCorrect: e.marker === '=' || (e.weight || 0) > 0 }))
+    });
+  }
+  return withExplanation({
+    type: 'single_choice',
+    options: entries.map(e => ({ text: e.text, isCorrect: e.marker === '=' }))
+  });
+};
+
+const parseGift = (content) => {
+  // Questions are separated by blank lines; "//" comment lines and $CATEGORY lines are ignored
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const blocks = [];
+  let current = null;
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//') || trimmed.startsWith('$CATEGORY')) return;
+    if (trimmed === '') {
+      if (current) blocks.push(current);
+      current = null;
+      return;
+    }
+    if (!current) current = { line: index + 1, text: '' };
+    current.text += (current.text ? '\n' : '') + line;
+  });
+  if (current) blocks.push(current);
+
+  const items = blocks.map(block => {
+    const location = `line ${block.line}`;
+    let text = block.text.trim();
+    text = text.replace(/^::(.*?)::/s, '').trim(); // Question name
+    const open = findUnescaped(text, '{');
+    const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+    if (open === -1 || close === -1) return { location, error: 'Missing answer block {...}.' };
+
+    const before = text.slice(0, open).replace(/^\[(html|markdown|plain|moodle)\]/i, '').trim();
+    const after = text.slice(close + 1).trim();
+    const questionText = unescapeGift(after ? `${before} _____ ${after}` : before);
+    if (!questionText) return { location, error: 'Question text is required.' };
+
+    const fields = parseGiftAnswerBlock(text.slice(open + 1, close));
+    if (typeof fields === 'string') return { location, error: fields };
+    return { location, question: { text: questionText, ...fields } };
+  });
+  return { quiz: null, items };
+};
+
+const exportGift = (quiz, questions) => {
+  const skipped = [];
+  const blocks = [`// ${String(quiz.title || 'Quiz').replace(/\r?\n/g, ' ')}`];
+  questions.forEach((q, index) => {
+    const type = resolveQuestionType(q);
+    const options = q.options || [];
+    let answers;
+    switch (type) {
+      case 'single_choice':
+        answers = options.map(o => `${o.isCorrect ? '=' : '~'}${escapeGift(o.text)}`).join(' ');
+        break;
+      case 'multiple_select': {
+        const correctCount = options.filter(o => o.isCorrect).length || 1;
+        const wrongCount = options.length - correctCount || 1;
+        const weight = (n) => Number((100 / n).toFixed(5));
+        answers = options.map(o => `~%${o.isCorrect ? weight(correctCount) : -weight(wrongCount)}%${escapeGift(o.text)}`).join(' ');
+        break;
+      }
+      case 'true_false': {
+        const correctOption = options.find(o => o.isCorrect);
+        answers = correctOption && /^t/i.test(correctOption.text) ? 'TRUE' : 'FALSE';
+        break;
+      }
+      case 'numeric':
+        answers = `#${q.numericAnswer}:${q.tolerance || 0}`;
+        break;
+      case 'text': {
+        const accepted = q.acceptedAnswers && q.acceptedAnswers.length ? q.acceptedAnswers : options.filter(o => o.isCorrect).map(o => o.text);
+        answers = accepted.map(a => `=${escapeGift(a)}`).join(' ');
+        break;
+      }
+      case 'matching':
+        answers = (q.pairs || []).map(p => `=${escapeGift(p.prompt)} -> ${escapeGift(p.match)}`).join(' ');
+        break;
+      default:
+        skipped.push({ number: index + 1, type, reason: `${type} questions can't be expressed in GIFT` });
+        blocks.push(`// Skipped question ${index + 1}: ${type} questions can't be expressed in GIFT`);
+        return;
+    }
+    const explanation = q.explanation ? ` ####${escapeGift(q.explanation)}` : '';
+    blocks.push(`::Q${index + 1}:: ${escapeGift(q.text).replace(/\r?\n/g, '\\n')} {${answers}${explanation}}`);
+  });
+  return { content: blocks.join('\n\n') + '\n', skipped };
+};
+
+// ---------------------------------------------------------------- Aiken
+
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.*)$/;
+const AIKEN_ANSWER = /^ANSWER:\s*([A-Z])\s*$/i;
+
+const parseAiken = (content) => {
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const items = [];
+  let current = null;
+
+  const finish = (error) => {
+    if (!current) return;
+    items.push(error ? { location: `line ${current.line}`, error } : { location: `line ${current.line}`, question: current.question });
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '') return;
+    if (!current) {
+      current = { line: index + 1, question: { type: 'single_choice', text: trimmed, options: [] }, letters: [] };
+      return;
+    }
+    const answer = trimmed.match(AIKEN_ANSWER);
+    if (answer) {
+      const position = current.letters.indexOf(answer[1].toUpperCase());
+      if (current.letters.length === 0) return finish('No options before ANSWER.');
+      if (position === -1) return finish(`ANSWER ${answer[1]} doesn't match any option.`);
+      current.question.options[position].isCorrect = true;
+      return finish();
+    }
+    const option = trimmed.match(AIKEN_OPTION);
+    if (option) {
+      current.letters.push(option[1].toUpperCase());
+      current.question.options.push({ text: option[2].trim(), isCorrect: false });
+    } else if (current.letters.length === 0) {
+      current.question.text += `\n${trimmed}`; // Question text over several lines
+    } else {
+      finish(`Expected an option ("A. ...") or "ANSWER: X", got "${trimmed}".`);
+    }
+  });
+  finish(current ? 'Missing "ANSWER: X" line.' : null);
+  return { quiz: null, items };
+};
+
+const exportAiken = (quiz, questions) => {
+  const skipped = [];
+  const blocks = [];
+  questions.forEach((q, index) => {
+    const type = resolveQuestionType(q);
+    const options = q.options || [];
+    if (!['single_choice', 'true_false'].includes(type) || options.length > 26) {
+      skipped.push({ number: index + 1, type, reason: 'Aiken only supports single choice questions' });
+      return;
+    }
+    const letter = (i) => String.fromCharCode(65 + i);
+    const correctIndex = options.findIndex(o => o.isCorrect);
+    blocks.push([
+      String(q.text).replace(/\r?\n/g, ' '),
+      ...options.map((o, i) => `${letter(i)}. ${String(o.text).replace(/\r?\n/g, ' ')}`),
+      `ANSWER: ${letter(Math.max(0, correctIndex))}`
+    ].join('\n'));
+  });
+  return { content: blocks.join('\n\n') + '\n', skipped };
+};
+
+// ---------------------------------------------------------------- Public API
+
+/**
+ * Parse import content and validate every question.
+ * @param {string} format - json, csv, gift or aiken
+ * @param {string} content
+ * @returns {{ quiz: object|null, questions: Array, report: object }}
+ *   report: { format, total, valid, errors: [{ location, message }], preview: [{ location, type, text }] }
+ */
+const parseQuizImport = (format, content) => {
+  const parsers = { json: parseJson, csv: parseCsvContent, gift: parseGift, aiken: parseAiken };
+  const { quiz, items } = parsers[format](content);
+
+  const errors = [];
+  const questions = [];
+  const preview = [];
+  items.forEach(item => {
+    if (item.error) {
+      errors.push({ location: item.location, message: item.error });
+      return;
+    }
+    const validationError = validateQuestion(item.question);
+    if (validationError) {
+      errors.push({ location: item.location, message: validationError });
+      return;
+    }
+    questions.push(item.question);
+    preview.push({ location: item.location, type: resolveQuestionType(item.question), text: item.question.text });
+  });
+  if (items.length === 0) errors.push({ location: 'file', message: 'No questions found.' });
+  if (items.length > MAX_IMPORT_QUESTIONS) {
+    errors.push({ location: 'file', message: `At most ${MAX_IMPORT_QUESTIONS} questions per import, found ${items.length}.` });
+  }
+
+  return {
+    quiz,
+    questions,
+    report: { format, total: items.length, valid: questions.length, errors, preview }
+  };
+};
+
+/**
+ * Export a quiz's questions.
+ * @param {string} format - json, csv, gift or aiken
+ * @param {object} quiz - Lean quiz (settings for the JSON format)
+ * @param {Array} questions - Questions to export
+ * @param {object} [options]
+ * @param {string} [options.subjectName] - Written to the JSON format so imports can find the subject
+ * @returns {{ content: string, skipped: Array<{ number, type, reason }> }}
+ */
+const buildQuizExport = (format, quiz, questions, { subjectName } = {}) => {
+  switch (format) {
+    case 'json': return exportJson(quiz, questions, subjectName);
+    case 'csv': return exportCsv(quiz, questions);
+    case 'gift': return exportGift(quiz, questions);
+    case 'aiken': return exportAiken(quiz, questions);
+    default: throw new Error(`Unknown export format "${format}"`);
+  }
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  pickQuizSettings,
+  parseQuizImport,
+  buildQuizExport
+};
@@ -0,0 +1,92 @@
+// utils/quizSerializer.js
+// Role-aware serialisation of Quiz documents. Students only ever receive questions and
+// options; correct answers and explanations are released according to the quiz's
+// answerRelease policy (see canRevealAnswers). Admins see everything.
+const { shuffle } = require('./helpers');
+const { resolveQuestionType } = require('./questionGrading');
+
+// Question/option fields that are safe to show before answers are released.
+// Anything not listed here (correctAnswer, explanation, isCorrect, ...) is withheld.
+const STUDENT_QUESTION_FIELDS = ['_id', 'type', 'text', 'difficulty', 'points', 'partialCredit', 'unit', 'isTrueFalse', 'isFillBlank'];
+const STUDENT_OPTION_FIELDS = ['_id', 'text'];
+
+const pick = (source, fields) => {
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) result[field] = source[field];
+  });
+  return result;
+};
+
+const toPlainObject = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject({ virtuals: true }) : doc);
+
+// Roles that always see answers
+const canSeeAllAnswers = (user) => Boolean(user && user.role === 'admin');
+
+/**
+ * Strip answers/explanations from a single question.
+ * @param {object} question - Question subdocument or plain object
+ * @returns {object}
+ */
+const toStudentQuestion = (question) => {
+  const plain = toPlainObject(question);
+  const type = resolveQuestionType(plain);
+  let options = (plain.options || []).map(option => pick(option, STUDENT_OPTION_FIELDS));
+  // Ordering questions stored before correctOrder list their options in the correct order
+  if (type === 'ordering') options = shuffle(options);
+  // Text questions may store the answer as a legacy correct option
+  if (type === 'text' || type === 'numeric') options = [];
+
+  const studentQuestion = { ...pick(plain, STUDENT_QUESTION_FIELDS), type, options };
+  if (type === 'matching') {
+    const pairs = plain.pairs || [];
+    studentQuestion.pairs = pairs.map(pair => pick(pair, ['_id', 'prompt']));
+    studentQuestion.matchOptions = shuffle(pairs.map(pair => pair.match));
+  }
+  return studentQuestion;
+};
+
+/**
+ * Serialise a quiz for the given viewer.
+ * @param {object} quiz - Quiz document or lean object
+ * @param {object} [user] - req.user (may be undefined for anonymous requests)
+ * @returns {object}
+ */
+const serializeQuiz = (quiz, user) => {
+  const plain = toPlainObject(quiz);
+  if (!plain || canSeeAllAnswers(user)) return plain;
+  return {
+    ...plain,
+    questions: (plain.questions || []).map(toStudentQuestion)
+  };
+};
+
+/**
+ * Decide whether the answers of a quiz may be shown to the viewer for a given attempt.
+ * @param {object} quiz - Needs answerRelease and closesAt
+ * @param {object} [attempt] - The viewer's submitted QuizAttempt
+ * @param {object} [user] - req.user
+ * @returns {boolean}
+ */
+const canRevealAnswers = (quiz, attempt, user) => {
+  if (canSeeAllAnswers(user)) return true;
+  if (!attempt) return false; // Answers are only released after a submission
+  switch (quiz.answerRelease || 'immediately') {
+    case 'immediately':
+      return true;
+    case 'after_pass':
+      return Boolean(attempt.passed);
+    case 'after_close':
+      return Boolean(quiz.closesAt && new Date(quiz.closesAt).getTime() <= Date.now());
+    case 'never':
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  toStudentQuestion,
+  serializeQuiz,
+  canRevealAnswers,
+  canSeeAllAnswers
+};
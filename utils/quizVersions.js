@@ -0,0 +1,187 @@
+// utils/quizVersions.js
+// Quiz versions (models/quizVersionModel.js): immutable snapshots of what students were served.
+//
+// ensureQuizVersion() snapshots the quiz - its settings, embedded questions and copies of the
+// referenced bank questions - and compares a hash of the snapshot with the latest version, so a
+// version is only written when something actually changed. It runs when a quiz is published or
+// a published quiz is edited, and when a session starts. Sessions and attempts store the version
+// they were taken on; grading and attempt review read questions from that version via
+// quizAtVersion(), so later edits (or deleted questions) don't rewrite history.
+//
+// Questions drawn at random by drawRules aren't part of the version - each session snapshots the
+// questions it drew (QuizSession.drawnQuestions, see utils/questionBank.js).
+const crypto = require('crypto');
+const Quiz = require('../models/quizModel');
+const Question = require('../models/questionModel');
+const QuizVersion = require('../models/quizVersionModel');
+
+// Quiz settings that affect how a version is taken and graded
+const SETTING_FIELDS = ['title', 'difficulty', 'timeLimit', 'passScore', 'shuffleQuestions', 'shuffleOptions'];
+// Question fields compared between versions (_id, options and pairs handled separately)
+const QUESTION_FIELDS = [
+  'text', 'type', 'partialCredit', 'numericAnswer', 'tolerance', 'unit', 'acceptedUnits', 'requireUnit',
+  'acceptedAnswers', 'caseSensitive', 'correctAnswer', 'explanation', 'difficulty', 'points',
+  'isTrueFalse', 'isFillBlank', 'subject', 'topic', 'correctOrder'
+];
+const MAX_CREATE_TRIES = 3;
+
+const idOf = (value) => (value && value._id ? value._id.toString() : String(value));
+
+// Content of one question, in a fixed key order so equal questions hash equally
+const snapshotQuestion = (question) => {
+  const snapshot = { _id: question._id };
+  QUESTION_FIELDS.forEach(field => {
+    const value = question[field];
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value) && value.length === 0) return;
+    snapshot[field] = ['subject', 'topic'].includes(field) ? idOf(value) : value;
+  });
+  if (question.options && question.options.length > 0) {
+    snapshot.options = question.options.map(o => ({ _id: o._id, text: o.text, isCorrect: Boolean(o.isCorrect) }));
+  }
+  if (question.pairs && question.pairs.length > 0) {
+    snapshot.pairs = question.pairs.map(p => ({ _id: p._id, prompt: p.prompt, match: p.match }));
+  }
+  return snapshot;
+};
+
+/**
+ * Snapshot of a quiz's current content.
+ * @param {object} quiz - Lean quiz
+ * @returns {Promise<object>} Fields of a QuizVersion (without quiz/version/hash)
+ */
+const buildSnapshot = async (quiz) => {
+  const bankIds = (quiz.bankQuestions || []).map(idOf);
+  const bankQuestions = bankIds.length > 0 ? await Question.find({ _id: { $in: bankIds } }).lean() : [];
+  const bankById = new Map(bankQuestions.map(q => [q._id.toString(), q]));
+
+  const snapshot = {};
+  SETTING_FIELDS.forEach(field => { snapshot[field] = quiz[field] ?? null; });
+  snapshot.questions = (quiz.questions || []).map(snapshotQuestion);
+  snapshot.bankQuestions = bankIds.map(id => bankById.get(id)).filter(Boolean).map(snapshotQuestion);
+  snapshot.drawRules = (quiz.drawRules || []).map(rule => ({
+    topic: rule.topic ? idOf(rule.topic) : null,
+    difficulty: rule.difficulty || null,
+    tags: rule.tags || [],
+    count: rule.count
+  }));
+  return snapshot;
+};
+
+const hashSnapshot = (snapshot) => crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex');
+
+/**
+ * Latest version of a quiz, recording a new one first if the quiz changed since.
+ * @param {object} quiz - Lean quiz (current content)
+ * @param {object} [options]
+ * @param {string} [options.reason='session'] - published, edited, session or migration
+ * @param {string} [options.createdBy]
+ * @returns {Promise<object>} Lean QuizVersion
+ */
+const ensureQuizVersion = async (quiz, { reason = 'session', createdBy = null } = {}) => {
+  const snapshot = await buildSnapshot(quiz);
+  const contentHash = hashSnapshot(snapshot);
+
+  for (let tries = 0; tries < MAX_CREATE_TRIES; tries++) {
+    const latest = await QuizVersion.findOne({ quiz: quiz._id }).sort({ version: -1 }).lean();
+    if (latest && latest.contentHash === contentHash) return latest;
+    try {
+      const created = await QuizVersion.create({
+        ...snapshot,
+        quiz: quiz._id,
+        version: latest ? latest.version + 1 : 1,
+        contentHash,
+        reason,
+        createdBy
+      });
+      await Quiz.updateOne({ _id: quiz._id }, { $max: { currentVersion: created.version } });
+      console.log(`[Quiz Version] Quiz ${quiz._id} is now at version ${created.version} (${reason})`);
+      return created.toObject();
+    } catch (err) {
+      // Another request recorded the next version first - compare against that one
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error(`Could not record a version of quiz ${quiz._id}`);
+};
+
+/**
+ * The quiz as it was at a version: settings from the version and all its snapshot questions
+ * (embedded and bank) as `questions`, so resolveQuestions() finds them before the live bank.
+ * @param {object} quiz - Lean quiz (live - used for the answer release policy, subject, etc.)
+ * @param {object|null} version - Lean QuizVersion; the live quiz is returned when null
+ * @returns {object}
+ */
+const quizAtVersion = (quiz, version) => {
+  if (!version) return quiz;
+  const settings = {};
+  SETTING_FIELDS.forEach(field => {
+    if (version[field] !== undefined && version[field] !== null) settings[field] = version[field];
+  });
+  const questions = [...(version.questions || []), ...(version.bankQuestions || [])];
+  return {
+    ...quiz,
+    ...settings,
+    questions,
+    totalPoints: questions.reduce((sum, q) => sum + (q.points || 0), 0),
+    quizVersion: version._id,
+    quizVersionNumber: version.version
+  };
+};
+
+/**
+ * quizAtVersion() by version ID (sessions and attempts store the ID; null = the live quiz).
+ * @param {object} quiz - Lean quiz
+ * @param {string|null} versionId
+ * @returns {Promise<object>}
+ */
+const loadQuizAtVersion = async (quiz, versionId) => {
+  const version = versionId ? await QuizVersion.findById(versionId).lean() : null;
+  if (versionId && !version) console.warn(`[Quiz Version] Version ${versionId} of quiz ${quiz._id} not found, using the live quiz`);
+  return quizAtVersion(quiz, version);
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * What changed between two versions of a quiz. Pure.
+ * @param {object} from - Lean QuizVersion
+ * @param {object} to - Lean QuizVersion
+ * @returns {{ from: number, to: number, settings: Array, questions: { added, removed, changed } }}
+ */
+const diffVersions = (from, to) => {
+  const settings = [...SETTING_FIELDS, 'drawRules']
+    .filter(field => !sameValue(from[field], to[field]))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  const questionsOf = (version) => new Map([
+    ...(version.questions || []).map(q => [q._id.toString(), { question: q, source: 'quiz' }]),
+    ...(version.bankQuestions || []).map(q => [q._id.toString(), { question: q, source: 'bank' }])
+  ]);
+  const before = questionsOf(from);
+  const after = questionsOf(to);
+  const summary = ({ question, source }) => ({ questionId: question._id.toString(), text: question.text, source });
+
+  const added = [...after.entries()].filter(([id]) => !before.has(id)).map(([, entry]) => summary(entry));
+  const removed = [...before.entries()].filter(([id]) => !after.has(id)).map(([, entry]) => summary(entry));
+  const changed = [];
+  after.forEach((entry, id) => {
+    const previous = before.get(id);
+    if (!previous) return;
+    const oldQuestion = snapshotQuestion(previous.question);
+    const newQuestion = snapshotQuestion(entry.question);
+    const fields = [...new Set([...Object.keys(oldQuestion), ...Object.keys(newQuestion)])]
+      .filter(field => field !== '_id' && !sameValue(oldQuestion[field], newQuestion[field]));
+    if (fields.length > 0) changed.push({ ...summary(entry), fields });
+  });
+
+  return { from: from.version, to: to.version, settings, questions: { added, removed, changed } };
+};
+
+module.exports = {
+  snapshotQuestion,
+  ensureQuizVersion,
+  quizAtVersion,
+  loadQuizAtVersion,
+  diffVersions
+};
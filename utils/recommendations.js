@@ -0,0 +1,194 @@
+// utils/recommendations.js
+// Personalised study recommendations for one subject (GET /api/subjects/:id/recommendations).
+//
+// Every topic gets a "need" between 0 and 1 from the student's UserProgress:
+//   attempted topic   1 - quizScore/100            "You scored 40% on Organic Chemistry"
+//   opened, no quiz   0.5 * (1 - progress/100)     "Keep going with Organic Chemistry (20% complete)"
+//   untouched topic   UNTOUCHED_TOPIC_NEED (0.4)   "You haven't started Organic Chemistry yet"
+//   mastered topic    0
+// Candidates are the subject's active resources the student hasn't opened and published quizzes
+// they haven't passed. A candidate scores
+//   100 * need of its topic (GENERAL_ITEM_NEED for items without a topic)
+//   + up to 10 for popularity (resource opens/downloads, quiz attempts and rating; log-scaled)
+//   + up to 5 when a quiz's difficulty suits the topic need (easy for weak topics, hard for strong)
+// A quiz the student failed recently uses 1 - lastScore/100 as its need when that is higher
+// ("You scored 35% on "Alkanes quiz" last time").
+// Ties are broken by type and _id, so the same data always gives the same ranking.
+const mongoose = require('mongoose');
+const Resource = require('../models/resourceModel');
+const ResourceAccess = require('../models/resourceAccessModel');
+const Quiz = require('../models/quizModel');
+const QuizAttempt = require('../models/quizAttemptModel');
+const UserProgress = require('../models/userProgressModel');
+
+const UNTOUCHED_TOPIC_NEED = 0.4;
+const GENERAL_ITEM_NEED = 0.1;
+const MAX_POPULARITY_BONUS = 10;
+const MAX_DIFFICULTY_BONUS = 5;
+const RECENT_ATTEMPTS = 20;
+
+// Log-scaled 0..MAX_POPULARITY_BONUS relative to the most popular candidate
+const popularityBonus = (value, max) => {
+  if (!value || !max) return 0;
+  return MAX_POPULARITY_BONUS * (Math.log10(1 + value) / Math.log10(1 + max));
+};
+
+const difficultyBonus = (difficulty, need) => {
+  if (need >= 0.5 && difficulty === 'easy') return MAX_DIFFICULTY_BONUS;
+  if (need >= 0.5 && difficulty === 'medium') return MAX_DIFFICULTY_BONUS / 2;
+  if (need < 0.3 && difficulty === 'hard') return MAX_DIFFICULTY_BONUS;
+  return 0;
+};
+
+// Need and reason per topic (see above)
+const assessTopics = (subject, progressDoc) => {
+  const entries = progressDoc ? progressDoc.topicProgress || [] : [];
+  const topics = new Map();
+  (subject.topics || []).forEach(topic => {
+    const entry = entries.find(tp => tp.topic.toString() === topic._id.toString());
+    let need = UNTOUCHED_TOPIC_NEED;
+    let reason = `You haven't started ${topic.name} yet`;
+    if (entry && entry.mastery === 'mastered') {
+      need = 0;
+      reason = `You've mastered ${topic.name}`;
+    } else if (entry && entry.quizAttempts > 0) {
+      const score = Math.round(entry.quizScore || 0);
+      need = 1 - score / 100;
+      reason = `You scored ${score}% on ${topic.name}`;
+    } else if (entry) {
+      need = 0.5 * (1 - (entry.progress || 0) / 100);
+      reason = `Keep going with ${topic.name} (${entry.progress || 0}% complete)`;
+    }
+    topics.set(topic._id.toString(), { id: topic._id.toString(), name: topic.name, need, reason });
+  });
+  return topics;
+};
+
+/**
+ * Rank candidate resources and quizzes. Pure and deterministic (no I/O, no randomness).
+ * @param {object} data
+ * @param {object} data.subject - Lean subject with topics
+ * @param {object|null} data.progress - Lean UserProgress
+ * @param {Array} data.resources - Candidate resources (not yet opened), with `opens`
+ * @param {Array} data.quizzes - Candidate quizzes (not yet passed)
+ * @param {Map<string, object>} data.lastAttemptByQuiz - Most recent attempt per quiz ID
+ * @param {number} [data.limit=10]
+ * @returns {Array<object>}
+ */
+const rankRecommendations = ({ subject, progress, resources, quizzes, lastAttemptByQuiz, limit = 10 }) => {
+  const topics = assessTopics(subject, progress);
+  const topicOf = (item) => (item.topic ? topics.get(item.topic.toString()) || null : null);
+
+  const resourcePopularity = (r) => (r.downloads || 0) + (r.opens || 0);
+  const quizPopularity = (q) => (q.attempts || 0) * (1 + (q.rating || 0) / 5);
+  const maxResourcePopularity = Math.max(0, ...resources.map(resourcePopularity));
+  const maxQuizPopularity = Math.max(0, ...quizzes.map(quizPopularity));
+
+  const ranked = [];
+
+  resources.forEach(resource => {
+    const topic = topicOf(resource);
+    const need = topic ? topic.need : GENERAL_ITEM_NEED;
+    if (need <= 0) return; // Mastered topic
+    ranked.push({
+      type: 'resource',
+      id: resource._id.toString(),
+      title: resource.title,
+      description: resource.description || '',
+      category: resource.category,
+      resourceType: resource.type,
+      premium: Boolean(resource.premium),
+      topic: topic ? { id: topic.id, name: topic.name } : null,
+      score: 100 * need + popularityBonus(resourcePopularity(resource), maxResourcePopularity),
+      reason: topic ? topic.reason : `Popular in ${subject.name}`
+    });
+  });
+
+  quizzes.forEach(quiz => {
+    const topic = topicOf(quiz);
+    let need = topic ? topic.need : GENERAL_ITEM_NEED;
+    let reason = topic ? topic.reason : `Practice ${subject.name}`;
+    const lastAttempt = lastAttemptByQuiz.get(quiz._id.toString());
+    if (lastAttempt && 1 - lastAttempt.percentageScore / 100 > need) {
+      need = 1 - lastAttempt.percentageScore / 100;
+      reason = `You scored ${lastAttempt.percentageScore}% on "${quiz.title}" last time`;
+    }
+    if (need <= 0) return; // Mastered topic
+    ranked.push({
+      type: 'quiz',
+      id: quiz._id.toString(),
+      title: quiz.title,
+      description: quiz.description || '',
+      difficulty: quiz.difficulty,
+      timeLimit: quiz.timeLimit,
+      topic: topic ? { id: topic.id, name: topic.name } : null,
+      score: 100 * need + popularityBonus(quizPopularity(quiz), maxQuizPopularity) + difficultyBonus(quiz.difficulty, need),
+      reason
+    });
+  });
+
+  return ranked
+    .sort((a, b) => (b.score - a.score) || a.type.localeCompare(b.type) || a.id.localeCompare(b.id))
+    .slice(0, limit)
+    .map(item => ({ ...item, score: Math.round(item.score * 10) / 10 }));
+};
+
+/**
+ * Load the student's data for a subject and rank recommendations.
+ * @param {string} userId
+ * @param {object} subject - Lean subject with topics
+ * @param {object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<Array<object>>}
+ */
+const getRecommendations = async (userId, subject, { limit = 10 } = {}) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  const [progress, subjectResources, subjectQuizzes] = await Promise.all([
+    UserProgress.findOne({ user: userId, subject: subject._id }).lean(),
+    Resource.find({ subject: subject._id, isActive: true })
+      .select('title description category type topic downloads premium').lean(),
+    Quiz.find({ subject: subject._id, isPublished: true })
+      .select('title description difficulty timeLimit topic attempts rating').lean()
+  ]);
+
+  const resourceIds = subjectResources.map(r => r._id);
+  const quizIds = subjectQuizzes.map(q => q._id);
+  const [opened, openCounts, recentAttempts, passedQuizIds] = await Promise.all([
+    ResourceAccess.distinct('resource', { user: userObjectId, resource: { $in: resourceIds } }),
+    ResourceAccess.aggregate([
+      { $match: { resource: { $in: resourceIds } } },
+      { $group: { _id: '$resource', opens: { $sum: 1 } } }
+    ]),
+    QuizAttempt.find({ user: userObjectId, quiz: { $in: quizIds } })
+      .sort({ createdAt: -1, _id: -1 }).limit(RECENT_ATTEMPTS)
+      .select('quiz percentageScore passed createdAt').lean(),
+    QuizAttempt.distinct('quiz', { user: userObjectId, quiz: { $in: quizIds }, passed: true })
+  ]);
+
+  // Already consumed: resources the student opened, quizzes they passed
+  const openedIds = new Set(opened.map(String));
+  const passedIds = new Set(passedQuizIds.map(String));
+  const opensById = new Map(openCounts.map(r => [r._id.toString(), r.opens]));
+  const lastAttemptByQuiz = new Map();
+  recentAttempts.forEach(attempt => {
+    const quizId = attempt.quiz.toString();
+    if (!lastAttemptByQuiz.has(quizId)) lastAttemptByQuiz.set(quizId, attempt);
+  });
+
+  return rankRecommendations({
+    subject,
+    progress,
+    resources: subjectResources
+      .filter(r => !openedIds.has(r._id.toString()))
+      .map(r => ({ ...r, opens: opensById.get(r._id.toString()) || 0 })),
+    quizzes: subjectQuizzes.filter(q => !passedIds.has(q._id.toString())),
+    lastAttemptByQuiz,
+    limit
+  });
+};
+
+module.exports = {
+  rankRecommendations,
+  getRecommendations
+};
@@ -0,0 +1,122 @@
+// utils/retakePolicy.js
+// Per-quiz retake policy (Quiz.retakePolicy):
+//   maxAttempts         submitted attempts allowed per student (null = unlimited)
+//   cooldownMinutes     wait after an attempt before the next session can start
+//   scoring             which attempt is the student's score for the quiz: best, latest, first
+//                       or the average of all attempts. Used for the quiz score in user stats
+//   repeatPoints        points/XP for attempts after the quiz has been passed:
+//                       full, diminishing (repeatPointsFactor ^ n for the n-th attempt after
+//                       the first pass, e.g. 0.5, 0.25, ...) or none
+// Admins are not limited. Attempts graded from an expired session count like any other.
+const RETAKE_SCORING = ['best', 'latest', 'average', 'first'];
+const REPEAT_POINTS = ['full', 'diminishing', 'none'];
+
+const DEFAULT_RETAKE_POLICY = {
+  maxAttempts: null,
+  cooldownMinutes: 0,
+  scoring: 'best',
+  repeatPoints: 'diminishing',
+  repeatPointsFactor: 0.5
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * The quiz's retake policy with defaults for anything unset.
+ * @param {object} quiz
+ * @returns {object}
+ */
+const resolveRetakePolicy = (quiz) => {
+  const policy = { ...DEFAULT_RETAKE_POLICY };
+  Object.entries((quiz && quiz.retakePolicy) || {}).forEach(([key, value]) => {
+    if (key in DEFAULT_RETAKE_POLICY && value !== undefined && value !== null) policy[key] = value;
+  });
+  return policy;
+};
+
+/**
+ * Whether a student may start another attempt. Pure.
+ * @param {object} policy - resolveRetakePolicy()
+ * @param {Array<{ createdAt: Date }>} attempts - The student's attempts at the quiz, oldest first
+ * @param {Date} [now]
+ * @returns {{ canStart: boolean, reason: string|null, attemptsUsed: number, attemptsRemaining: number|null, nextAttemptAt: Date|null }}
+ */
+const getRetakeStatus = (policy, attempts, now = new Date()) => {
+  const attemptsUsed = attempts.length;
+  const attemptsRemaining = policy.maxAttempts ? Math.max(0, policy.maxAttempts - attemptsUsed) : null;
+  const last = attempts[attempts.length - 1];
+  const cooldownEnds = last && policy.cooldownMinutes > 0
+    ? new Date(new Date(last.createdAt).getTime() + policy.cooldownMinutes * 60 * 1000)
+    : null;
+
+  let reason = null;
+  if (attemptsRemaining === 0) reason = 'max_attempts';
+  else if (cooldownEnds && cooldownEnds > now) reason = 'cooldown';
+  return {
+    canStart: reason === null,
+    reason,
+    attemptsUsed,
+    attemptsRemaining,
+    nextAttemptAt: reason === 'cooldown' ? cooldownEnds : null
+  };
+};
+
+/**
+ * The student's score for the quiz under the scoring policy. Pure.
+ * @param {Array<{ _id, percentageScore: number, passed: boolean }>} attempts - Oldest first
+ * @param {string} scoring - best, latest, average or first
+ * @param {number} passScore - Percentage needed to pass (for the average)
+ * @returns {{ attemptId: string|null, percentageScore: number, passed: boolean }|null} null without attempts
+ */
+const countedResult = (attempts, scoring, passScore) => {
+  if (attempts.length === 0) return null;
+  const fromAttempt = (attempt) => ({
+    attemptId: attempt._id ? attempt._id.toString() : null,
+    percentageScore: attempt.percentageScore || 0,
+    passed: Boolean(attempt.passed)
+  });
+  switch (scoring) {
+    case 'first':
+      return fromAttempt(attempts[0]);
+    case 'latest':
+      return fromAttempt(attempts[attempts.length - 1]);
+    case 'average': {
+      const percentageScore = round(attempts.reduce((sum, a) => sum + (a.percentageScore || 0), 0) / attempts.length);
+      return { attemptId: null, percentageScore, passed: percentageScore >= passScore };
+    }
+    case 'best':
+    default: // Highest score; the earliest of equal scores
+      return fromAttempt(attempts.reduce((best, a) => ((a.percentageScore || 0) > (best.percentageScore || 0) ? a : best)));
+  }
+};
+
+/**
+ * Share of the usual points/XP a new attempt earns. Pure.
+ * @param {object} policy - resolveRetakePolicy()
+ * @param {Array<{ passed: boolean }>} previousAttempts - The student's earlier attempts, oldest first
+ * @returns {number} 0-1
+ */
+const repeatPointsMultiplier = (policy, previousAttempts) => {
+  const firstPass = previousAttempts.findIndex(a => a.passed);
+  if (firstPass === -1) return 1; // Not passed yet - retakes earn full points
+  const attemptsSincePass = previousAttempts.length - firstPass; // 1 for the first attempt after passing
+  switch (policy.repeatPoints) {
+    case 'full':
+      return 1;
+    case 'none':
+      return 0;
+    case 'diminishing':
+    default:
+      return Math.pow(policy.repeatPointsFactor, attemptsSincePass);
+  }
+};
+
+module.exports = {
+  RETAKE_SCORING,
+  REPEAT_POINTS,
+  DEFAULT_RETAKE_POLICY,
+  resolveRetakePolicy,
+  getRetakeStatus,
+  countedResult,
+  repeatPointsMultiplier
+};
@@ -0,0 +1,115 @@
+// utils/spacedRepetition.js
+// SM-2 scheduling for the review queue (models/reviewItemModel.js).
+//
+// Each review is graded with a quality from 0 to 5:
+//   5 / 4 / 3  correct (the client may send 3-5 to say how hard it felt; 4 when omitted)
+//   2          partially correct (at least half the credit)
+//   1          a little credit
+//   0          wrong
+// Quality < 3 is a lapse: repetitions restart and the question comes back tomorrow.
+// Otherwise the interval grows 1 day -> 6 days -> previous interval * easeFactor.
+// easeFactor moves by 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02) and never drops below 1.3.
+const ReviewItem = require('../models/reviewItemModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_CORRECT_QUALITY = 4;
+
+/**
+ * Quality (0-5) for a graded review answer.
+ * @param {number} credit - 0-1 from gradeAnswer
+ * @param {number} [selfRating] - 3-5 from the client, only used for correct answers
+ * @returns {number}
+ */
+const qualityFromCredit = (credit, selfRating) => {
+  if (credit >= 1) {
+    const rating = Number(selfRating);
+    return Number.isInteger(rating) && rating >= 3 && rating <= 5 ? rating : DEFAULT_CORRECT_QUALITY;
+  }
+  if (credit >= 0.5) return 2;
+  if (credit > 0) return 1;
+  return 0;
+};
+
+/**
+ * Next SM-2 state after a review.
+ * @param {{ easeFactor: number, interval: number, repetitions: number }} state
+ * @param {number} quality - 0-5
+ * @param {Date} [now]
+ * @returns {{ easeFactor: number, interval: number, repetitions: number, dueAt: Date, lapsed: boolean }}
+ */
+const scheduleReview = (state, quality, now = new Date()) => {
+  const q = Math.min(5, Math.max(0, Math.round(quality)));
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    Math.round(((state.easeFactor || 2.5) + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)) * 100) / 100
+  );
+
+  let repetitions;
+  let interval;
+  const lapsed = q < 3;
+  if (lapsed) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = (state.repetitions || 0) + 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((state.interval || 1) * easeFactor);
+  }
+
+  return { easeFactor, interval, repetitions, dueAt: new Date(now.getTime() + interval * DAY_MS), lapsed };
+};
+
+/**
+ * Put the questions a user missed in a quiz attempt into their review queue (due tomorrow).
+ * Questions already in the queue count as a lapse and start over. Never throws.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {object} params.quiz - Quiz whose questions are the attempt's questions
+ * @param {Array<{questionId: string, isCorrect: boolean}>} params.answers - Graded answers
+ * @param {string} params.attemptId
+ * @returns {Promise<number>} Questions queued
+ */
+const enqueueMissedQuestions = async ({ userId, quiz, answers, attemptId }) => {
+  try {
+    const questionsById = new Map((quiz.questions || []).map(q => [q._id.toString(), q]));
+    const missed = answers.filter(a => !a.isCorrect && questionsById.has(String(a.questionId)));
+    const dueAt = new Date(Date.now() + DAY_MS);
+
+    for (const answer of missed) {
+      const question = questionsById.get(String(answer.questionId));
+      await ReviewItem.findOneAndUpdate(
+        { user: userId, questionId: question._id },
+        [{
+          $set: {
+            quiz: quiz._id,
+            attempt: attemptId,
+            subject: question.subject || (quiz.subject && quiz.subject._id ? quiz.subject._id : quiz.subject),
+            topic: question.topic || quiz.topic || null,
+            isActive: true,
+            repetitions: 0,
+            interval: 1,
+            dueAt,
+            // A miss of a question already being reviewed is a lapse
+            easeFactor: { $max: [MIN_EASE_FACTOR, { $subtract: [{ $ifNull: ['$easeFactor', 2.7] }, 0.2] }] },
+            lapses: { $cond: [{ $gt: ['$reviewCount', 0] }, { $add: ['$lapses', 1] }, { $ifNull: ['$lapses', 0] }] },
+            reviewCount: { $ifNull: ['$reviewCount', 0] },
+            correctCount: { $ifNull: ['$correctCount', 0] }
+          }
+        }],
+        { upsert: true }
+      );
+    }
+    return missed.length;
+  } catch (err) {
+    console.error(`[Review Queue] Failed to queue missed questions for user ${userId}:`, err);
+    return 0;
+  }
+};
+
+module.exports = {
+  qualityFromCredit,
+  scheduleReview,
+  enqueueMissedQuestions
+};
@@ -0,0 +1,52 @@
+// utils/studyActivity.js
+// Marks a day as active and keeps User.streak up to date for study activity that doesn't go
+// through login (e.g. completing reviews). Same rules as the login streak in authController:
+// active yesterday -> streak + 1, otherwise the streak restarts at 1; once per day.
+const User = require('../models/userModel');
+const DailyActivityLog = require('../models/dailyActivityLogModel');
+const { startOfDay, subDays, isSameDay } = require('date-fns');
+
+/**
+ * Log today's activity for a user and update their streak. Never throws.
+ * @param {string} userId
+ * @returns {Promise<number|null>} Current streak, or null if it couldn't be updated
+ */
+const recordStudyActivity = async (userId) => {
+  try {
+    const now = new Date();
+    const todayUTCStart = startOfDay(now);
+    const yesterdayUTCStart = startOfDay(subDays(now, 1));
+
+    await DailyActivityLog.findOneAndUpdate(
+      { user: userId, date: todayUTCStart },
+      { $set: { lastTimestamp: now } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const user = await User.findById(userId).select('+streak +lastActive').lean();
+    if (!user) return null;
+    if (user.lastActive && isSameDay(todayUTCStart, startOfDay(user.lastActive))) {
+      return user.streak || 0; // Already counted today
+    }
+
+    const wasActiveYesterday = await DailyActivityLog.exists({ user: userId, date: yesterdayUTCStart });
+    const newStreak = wasActiveYesterday ? (user.streak || 0) + 1 : 1;
+    // Only if lastActive is unchanged, so two requests on the same day can't both increment
+    const update = await User.updateOne(
+      { _id: userId, lastActive: user.lastActive || null },
+      { $set: { streak: newStreak, lastActive: now } }
+    );
+    if (update.modifiedCount === 0) {
+      const current = await User.findById(userId).select('+streak').lean();
+      return current ? current.streak || 0 : null;
+    }
+    return newStreak;
+  } catch (err) {
+    console.error(`[Backend] Error logging study activity for user ${userId}:`, err);
+    return null;
+  }
+};
+
+module.exports = {
+  recordStudyActivity
+};
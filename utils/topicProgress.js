@@ -0,0 +1,301 @@
+// utils/topicProgress.js
+// Keeps UserProgress up to date from learning activity and computes topic mastery.
+//
+// Mastery algorithm (per user and topic):
+//   quizScore   Weighted average of the student's results on the topic, 0-100. Each new result
+//               counts for QUIZ_SCORE_WEIGHT (40%) so recent performance matters most. The result
+//               of one attempt is the share of points earned on that topic's questions (the
+//               question's own topic for bank questions, otherwise Quiz.topic).
+//   confidence  min(1, quizAttempts / MIN_ATTEMPTS_FOR_CONFIDENCE) - one lucky attempt isn't mastery
+//   coverage    Share of the topic's active resources the student has viewed or downloaded, 0-100
+//   progress    70% quizScore * confidence + 30% coverage
+//               (just quizScore * confidence when the topic has no resources)
+//   mastery     mastered  progress >= 85, quizScore >= 90 and at least MIN_ATTEMPTS_FOR_CONFIDENCE attempts
+//               high      progress >= 70
+//               medium    progress >= 40
+//               low       otherwise
+//
+// overallSubjectProgress is the mean progress over all of the subject's topics (untouched topics
+// count as 0), or quizScore * confidence for a subject without topics. Forum activity in the
+// subject's forum category is counted and refreshes lastActivityAt, but doesn't change mastery -
+// posting doesn't show understanding. Ability estimates from adaptive practice (utils/adaptivePractice.js)
+// are stored on the topic entries too and reported alongside mastery, but don't change it.
+//
+// The record* functions never throw: progress tracking must not break the request that caused it.
+const mongoose = require('mongoose');
+const UserProgress = require('../models/userProgressModel');
+const Subject = require('../models/subjectModel');
+const Resource = require('../models/resourceModel');
+const { updateAbility, describeAbility } = require('./adaptivePractice');
+
+const QUIZ_SCORE_WEIGHT = 0.4;
+const MIN_ATTEMPTS_FOR_CONFIDENCE = 3;
+const QUIZ_SHARE = 0.7;
+const MAX_SAVE_RETRIES = 3;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// Weighted average: the first result is taken as is
+const blendScore = (previous, attempts, result) => (
+  attempts === 0 ? result : previous * (1 - QUIZ_SCORE_WEIGHT) + result * QUIZ_SCORE_WEIGHT
+);
+
+/**
+ * Progress and mastery for one topic entry (see the algorithm above).
+ * @param {object} entry - topicProgress entry
+ * @param {number} resourcesTotal - Active resources of the topic
+ * @returns {{ progress: number, mastery: string }}
+ */
+const computeTopicMastery = (entry, resourcesTotal) => {
+  const quizAttempts = entry.quizAttempts || 0;
+  const quizScore = entry.quizScore || 0;
+  const confidence = Math.min(1, quizAttempts / MIN_ATTEMPTS_FOR_CONFIDENCE);
+  const quizPart = quizScore * confidence;
+
+  let progress = quizPart;
+  if (resourcesTotal > 0) {
+    const coverage = Math.min(1, (entry.resourcesAccessed || []).length / resourcesTotal) * 100;
+    progress = QUIZ_SHARE * quizPart + (1 - QUIZ_SHARE) * coverage;
+  }
+  progress = Math.round(Math.min(100, Math.max(0, progress)));
+
+  let mastery = 'low';
+  if (progress >= 85 && quizScore >= 90 && quizAttempts >= MIN_ATTEMPTS_FOR_CONFIDENCE) mastery = 'mastered';
+  else if (progress >= 70) mastery = 'high';
+  else if (progress >= 40) mastery = 'medium';
+  return { progress, mastery };
+};
+
+// Topic entry for a topic, created if missing
+const getTopicEntry = (doc, topicId) => {
+  let entry = doc.topicProgress.find(tp => sameId(tp.topic, topicId));
+  if (!entry) {
+    doc.topicProgress.push({ topic: idOf(topicId) });
+    entry = doc.topicProgress[doc.topicProgress.length - 1];
+  }
+  return entry;
+};
+
+// Recompute every topic's progress/mastery and the subject's overall progress
+const recomputeProgress = async (doc) => {
+  const subject = await Subject.findById(doc.subject).select('topics._id').lean();
+  const topicIds = subject ? subject.topics.map(t => t._id.toString()) : [];
+
+  const resourceCounts = await Resource.aggregate([
+    { $match: { subject: new mongoose.Types.ObjectId(String(doc.subject)), isActive: true, topic: { $ne: null } } },
+    { $group: { _id: '$topic', count: { $sum: 1 } } }
+  ]);
+  const resourcesByTopic = new Map(resourceCounts.map(r => [r._id.toString(), r.count]));
+
+  doc.topicProgress.forEach(entry => {
+    entry.resourcesTotal = resourcesByTopic.get(entry.topic.toString()) || 0;
+    const { progress, mastery } = computeTopicMastery(entry, entry.resourcesTotal);
+    entry.progress = progress;
+    entry.mastery = mastery;
+  });
+
+  if (topicIds.length > 0) {
+    const total = topicIds.reduce((sum, topicId) => {
+      const entry = doc.topicProgress.find(tp => tp.topic.toString() === topicId);
+      return sum + (entry ? entry.progress : 0);
+    }, 0);
+    doc.overallSubjectProgress = Math.round(total / topicIds.length);
+  } else {
+    const confidence = Math.min(1, (doc.quizAttempts || 0) / MIN_ATTEMPTS_FOR_CONFIDENCE);
+    doc.overallSubjectProgress = Math.round((doc.quizScore || 0) * confidence);
+  }
+};
+
+/**
+ * Load (or create) a user's progress for a subject, apply a change and recompute mastery.
+ * Retries when a concurrent update saved the same document first.
+ * @param {string} userId
+ * @param {string} subjectId
+ * @param {function(object): void} mutate - Changes the UserProgress document
+ * @returns {Promise<object>} Saved UserProgress document
+ */
+const updateProgress = async (userId, subjectId, mutate) => {
+  for (let attempt = 1; ; attempt++) {
+    let doc = await UserProgress.findOne({ user: userId, subject: subjectId });
+    if (!doc) doc = new UserProgress({ user: userId, subject: subjectId });
+    mutate(doc);
+    doc.lastActivityAt = new Date();
+    await recomputeProgress(doc);
+    try {
+      return await doc.save();
+    } catch (err) {
+      // VersionError: someone else saved in between. 11000: both created the document.
+      const conflict = err.name === 'VersionError' || err.code === 11000;
+      if (!conflict || attempt >= MAX_SAVE_RETRIES) throw err;
+    }
+  }
+};
+
+/**
+ * Update topic progress from a graded quiz attempt.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {object} params.quiz - Quiz whose questions are the attempt's questions
+ * @param {Array<{questionId: string, pointsEarned: number}>} params.answers - Graded answers
+ */
+const recordQuizAttempt = async ({ userId, quiz, answers }) => {
+  try {
+    const earnedByQuestion = new Map(answers.map(a => [String(a.questionId), a.pointsEarned || 0]));
+
+    // Points possible/earned per subject and per topic (unanswered questions earn 0)
+    const subjects = new Map();
+    (quiz.questions || []).forEach(question => {
+      const subjectId = String(idOf(question.subject || quiz.subject));
+      const topicId = question.topic || quiz.topic;
+      const possible = question.points || 0;
+      const earned = earnedByQuestion.get(question._id.toString()) || 0;
+      if (!subjects.has(subjectId)) subjects.set(subjectId, { possible: 0, earned: 0, topics: new Map() });
+      const subjectTotals = subjects.get(subjectId);
+      subjectTotals.possible += possible;
+      subjectTotals.earned += earned;
+      if (topicId) {
+        const key = topicId.toString();
+        const topicTotals = subjectTotals.topics.get(key) || { possible: 0, earned: 0 };
+        topicTotals.possible += possible;
+        topicTotals.earned += earned;
+        subjectTotals.topics.set(key, topicTotals);
+      }
+    });
+
+    const now = new Date();
+    for (const [subjectId, totals] of subjects) {
+      if (totals.possible <= 0) continue;
+      await updateProgress(userId, subjectId, doc => {
+        const subjectResult = (totals.earned / totals.possible) * 100;
+        doc.quizScore = blendScore(doc.quizScore || 0, doc.quizAttempts || 0, subjectResult);
+        doc.quizAttempts = (doc.quizAttempts || 0) + 1;
+
+        totals.topics.forEach((topicTotals, topicId) => {
+          if (topicTotals.possible <= 0) return;
+          const result = (topicTotals.earned / topicTotals.possible) * 100;
+          const entry = getTopicEntry(doc, topicId);
+          entry.quizScore = blendScore(entry.quizScore || 0, entry.quizAttempts || 0, result);
+          entry.quizAttempts = (entry.quizAttempts || 0) + 1;
+          entry.bestQuizScore = Math.max(entry.bestQuizScore || 0, Math.round(result));
+          entry.lastQuizAt = now;
+          entry.lastAccessed = now;
+        });
+      });
+    }
+  } catch (err) {
+    console.error(`[Progress] Failed to record quiz attempt for user ${userId}:`, err);
+  }
+};
+
+/**
+ * Update topic progress when a user views or downloads a resource.
+ * @param {string} userId
+ * @param {object} resource - Needs subject (ID or populated) and topic
+ */
+const recordResourceAccess = async (userId, resource) => {
+  try {
+    if (!resource || !resource.subject) return;
+    await updateProgress(userId, idOf(resource.subject), doc => {
+      if (!resource.topic) return;
+      const entry = getTopicEntry(doc, resource.topic);
+      if (!entry.resourcesAccessed.some(id => sameId(id, resource._id))) {
+        entry.resourcesAccessed.push(resource._id);
+      }
+      entry.lastAccessed = new Date();
+    });
+  } catch (err) {
+    console.error(`[Progress] Failed to record resource access for user ${userId}:`, err);
+  }
+};
+
+/**
+ * Count a forum topic or reply towards the subject linked to the forum category.
+ * @param {string} userId
+ * @param {string} categoryId - ForumCategory of the post
+ * @param {'topic'|'reply'} kind
+ */
+const recordForumActivity = async (userId, categoryId, kind) => {
+  try {
+    const subject = await Subject.findOne({ forumCategoryId: categoryId }).select('_id').lean();
+    if (!subject) return; // Category isn't tied to a subject
+    await updateProgress(userId, subject._id, doc => {
+      if (kind === 'topic') doc.forumTopics = (doc.forumTopics || 0) + 1;
+      else doc.forumReplies = (doc.forumReplies || 0) + 1;
+    });
+  } catch (err) {
+    console.error(`[Progress] Failed to record forum activity for user ${userId}:`, err);
+  }
+};
+
+/**
+ * Update a topic's ability estimate from an adaptive practice answer. Unlike the record*
+ * functions this throws - the answer is what the request is about.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.subjectId
+ * @param {string} params.topicId
+ * @param {number} params.questionRating - Elo rating of the answered question
+ * @param {number} params.score - Credit earned, 0-1
+ * @returns {Promise<{ progress: object, ability: object, previousRating: number, expected: number, questionDelta: number }>}
+ */
+const applyPracticeAnswer = async ({ userId, subjectId, topicId, questionRating, score }) => {
+  let outcome = null;
+  const progress = await updateProgress(userId, subjectId, doc => {
+    const entry = getTopicEntry(doc, topicId);
+    outcome = updateAbility(entry.ability, questionRating, score);
+    entry.ability = outcome.ability;
+    entry.lastAccessed = new Date();
+  });
+  return { progress, ...outcome };
+};
+
+/**
+ * Progress response for a subject: every topic of the subject, in topic order.
+ * @param {object} subject - Lean subject with topics
+ * @param {object|null} progressDoc - Lean UserProgress (null when the user has no activity yet)
+ * @returns {object}
+ */
+const buildSubjectProgress = (subject, progressDoc) => {
+  const entries = progressDoc ? progressDoc.topicProgress || [] : [];
+  const topics = [...(subject.topics || [])]
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+    .map(topic => {
+      const entry = entries.find(tp => sameId(tp.topic, topic._id));
+      return {
+        id: topic._id.toString(),
+        name: topic.name,
+        progress: entry?.progress || 0,
+        mastery: entry?.mastery || 'low',
+        quizAttempts: entry?.quizAttempts || 0,
+        quizScore: Math.round(entry?.quizScore || 0),
+        bestQuizScore: entry?.bestQuizScore || 0,
+        resourcesAccessed: entry?.resourcesAccessed?.length || 0,
+        resourcesTotal: entry?.resourcesTotal || 0,
+        lastAccessed: entry?.lastAccessed || null,
+        ability: entry?.ability?.answered ? describeAbility(entry.ability) : null
+      };
+    });
+
+  return {
+    subjectId: subject._id.toString(),
+    subjectName: subject.name,
+    subjectColor: subject.color,
+    overallProgress: progressDoc?.overallSubjectProgress || 0,
+    quizAttempts: progressDoc?.quizAttempts || 0,
+    quizScore: Math.round(progressDoc?.quizScore || 0),
+    forumTopics: progressDoc?.forumTopics || 0,
+    forumReplies: progressDoc?.forumReplies || 0,
+    lastActivityAt: progressDoc?.lastActivityAt || null,
+    topics
+  };
+};
+
+module.exports = {
+  computeTopicMastery,
+  recordQuizAttempt,
+  recordResourceAccess,
+  recordForumActivity,
+  applyPracticeAnswer,
+  buildSubjectProgress
+};